@@ -1,158 +1,127 @@
-// Load environment variables FIRST
-require('dotenv').config();
-
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
 
+const storageConfig = require('./config/storage');
+
 // Import routes
 const routes = require('./routes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
-
-// Validate required environment variables
-const requiredEnvVars = [
-  'MONGODB_URI',
-  'JWT_SECRET',
-  'CLOUDINARY_CLOUD_NAME',
-  'CLOUDINARY_API_KEY',
-  'CLOUDINARY_API_SECRET'
-];
-
-const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
-
-if (missingEnvVars.length > 0) {
-  console.error('❌ Missing required environment variables:', missingEnvVars.join(', '));
-  process.exit(1);
-}
-
-console.log('✅ Environment variables validated');
-
-// Initialize Express app
-const app = express();
-
-// Security middleware
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'"],
-      scriptSrc: ["'self'"],
-      imgSrc: ["'self'", "data:", "https:"],
-      connectSrc: ["'self'", "wss:", "https:"]
-    }
+const { requestMetrics } = require('./middleware/metrics');
+const { requestLogger } = require('./middleware/requestLogger');
+const loggingConfig = require('./config/logging');
+const monitoringConfig = require('./config/monitoring');
+
+// Build the Express application. Booting concerns (environment checks,
+// database connection, Socket.IO, listening) live in server.js so the app
+// can also be created on its own, e.g. by scripts and tests.
+const createApp = ({ io } = {}) => {
+  const app = express();
+
+  // Socket.IO server used by controllers to broadcast changes
+  app.set('io', io || null);
+
+  // In production the app sits behind the host's proxy; trust it so
+  // req.ip is the client's address (used by rate limiting and the audit log)
+  if (process.env.NODE_ENV === 'production') {
+    app.set('trust proxy', 1);
   }
-}));
-
-// CORS configuration
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many requests from this IP, please try again later.'
+
+  // Request IDs and request logging
+  app.use(requestLogger);
+
+  // Request counts and durations for /metrics
+  if (monitoringConfig.metrics.enabled) {
+    app.use(requestMetrics);
   }
-});
-app.use('/api/', limiter);
-
-// Compression middleware
-app.use(compression());
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Create uploads directory for legacy files
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Serve static files from uploads directory (for legacy files)
-app.use('/uploads', express.static(uploadsDir, {
-  maxAge: '1d',
-  etag: true
-}));
-
-// MongoDB connection
-const MONGODB_URI = process.env.MONGODB_URI;
-
-// Debug: Log the connection string (first 50 characters for security)
-console.log('🔍 MongoDB URI (first 50 chars):', MONGODB_URI ? MONGODB_URI.substring(0, 50) + '...' : 'UNDEFINED');
-console.log('🔍 MongoDB URI length:', MONGODB_URI ? MONGODB_URI.length : 0);
-
-// Validate MongoDB URI before connecting
-if (!MONGODB_URI) {
-  console.error('❌ MONGODB_URI environment variable is not set!');
-  process.exit(1);
-}
-
-if (!MONGODB_URI.startsWith('mongodb://') && !MONGODB_URI.startsWith('mongodb+srv://')) {
-  console.error('❌ Invalid MongoDB URI format. Must start with \'mongodb://\' or \'mongodb+srv://\'');
-  console.error('❌ Current URI starts with:', MONGODB_URI.substring(0, 20));
-  process.exit(1);
-}
-
-// Connect to MongoDB
-mongoose
-  .connect(MONGODB_URI, {
-    maxPoolSize: 10, // Maintain up to 10 socket connections
-    serverSelectionTimeoutMS: 5000, // Keep trying to send operations for 5 seconds
-    socketTimeoutMS: 45000, // Close sockets after 45 seconds of inactivity
-  })
-  .then(() => {
-    console.log('✅ MongoDB Connected Successfully');
-  })
-  .catch((err) => {
-    console.error('❌ MongoDB Connection Error:', err);
-    console.error('❌ Connection string format check failed');
-    process.exit(1);
+
+  // Security middleware
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+        imgSrc: ["'self'", "data:", "https:"],
+        connectSrc: ["'self'", "wss:", "https:"]
+      }
+    },
+    // Uploaded files are embedded by the frontend, which runs on another origin
+    crossOriginResourcePolicy: { policy: 'cross-origin' }
+  }));
+
+  // CORS configuration
+  app.use(cors({
+    origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', loggingConfig.requestIdHeader],
+    exposedHeaders: [loggingConfig.requestIdHeader]
+  }));
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // limit each IP to 100 requests per windowMs
+    message: {
+      success: false,
+      message: 'Too many requests from this IP, please try again later.'
+    }
   });
+  app.use('/api/', limiter);
 
-// Routes
-app.use('/', routes);
+  // Compression middleware
+  app.use(compression({ level: 6, threshold: 1024 }));
 
-// Error handling middleware
-app.use(errorHandler);
+  // Body parsing middleware
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// 404 handler for non-API routes
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found',
-    path: req.originalUrl
-  });
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  mongoose.connection.close(() => {
-    console.log('MongoDB connection closed.');
-    process.exit(0);
-  });
-});
+  // Cookie parsing (the refresh token lives in an httpOnly cookie)
+  app.use(cookieParser());
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down gracefully...');
-  mongoose.connection.close(() => {
-    console.log('MongoDB connection closed.');
-    process.exit(0);
+  // Create uploads directory for legacy files and the local storage driver
+  const uploadsDir = path.join(__dirname, 'uploads');
+  if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+  }
+
+  // Serve static files from uploads directory (legacy files and local storage)
+  const staticOptions = {
+    maxAge: '1d',
+    etag: true,
+    lastModified: true
+  };
+  const localStorageDir = path.resolve(storageConfig.drivers.local.directory);
+  if (localStorageDir !== uploadsDir) {
+    app.use('/api/files', express.static(localStorageDir, staticOptions));
+  }
+  app.use('/api/files', express.static(uploadsDir, staticOptions));
+  app.use('/uploads', express.static(uploadsDir, staticOptions));
+
+  // Routes
+  app.use('/', routes);
+
+  // Error handling middleware
+  app.use(errorHandler);
+
+  // 404 handler for non-API routes
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      success: false,
+      message: 'Route not found',
+      path: req.originalUrl
+    });
   });
-});
 
-module.exports = app;
+  return app;
+};
+
+module.exports = createApp;
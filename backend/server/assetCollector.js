@@ -0,0 +1,291 @@
+// Scheduled job that removes stored files no record points to any more
+// (replaced uploads, failed requests) and temp files multer left behind.
+// Unreferenced files are quarantined first and only deleted if they are
+// still unreferenced after the quarantine period.
+const fs = require('fs');
+const path = require('path');
+const Notice = require('./models/Notice');
+const FormSubmission = require('./models/FormSubmission');
+const GalleryImage = require('./models/GalleryImage');
+const News = require('./models/News');
+const Member = require('./models/Member');
+const QuarantinedAsset = require('./models/QuarantinedAsset');
+const storageService = require('./storageService');
+const storageConfig = require('./config/storage');
+const logger = require('./logger');
+
+const TEMP_DIR = path.join(__dirname, 'temp');
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Wait a little after startup so the job doesn't slow down booting
+const FIRST_RUN_DELAY_MS = 5 * MINUTE_MS;
+
+class AssetCollectorService {
+  constructor() {
+    this.timeout = null;
+    this.interval = null;
+    this.isRunning = false;
+    this.collecting = false;
+    this.lastReport = null;
+    this.nextRunAt = null;
+  }
+
+  start() {
+    if (this.isRunning || !storageConfig.cleanup.enabled) return;
+
+    logger.info('Starting storage cleanup service');
+
+    const runScheduled = () => {
+      this.nextRunAt = new Date(Date.now() + storageConfig.cleanup.intervalMs);
+      this.collect().catch(error => logger.error('Storage cleanup error', { error }));
+    };
+
+    this.timeout = setTimeout(() => {
+      this.interval = setInterval(runScheduled, storageConfig.cleanup.intervalMs);
+      runScheduled();
+    }, FIRST_RUN_DELAY_MS);
+    this.nextRunAt = new Date(Date.now() + FIRST_RUN_DELAY_MS);
+
+    this.isRunning = true;
+    logger.info('Storage cleanup service started');
+  }
+
+  stop() {
+    clearTimeout(this.timeout);
+    clearInterval(this.interval);
+    this.timeout = null;
+    this.interval = null;
+    this.nextRunAt = null;
+    this.isRunning = false;
+    logger.info('Storage cleanup service stopped');
+  }
+
+  // Shown on /api/health/detailed
+  getStatus() {
+    return {
+      enabled: storageConfig.cleanup.enabled,
+      scheduled: this.isRunning,
+      collecting: this.collecting,
+      quarantineDays: storageConfig.cleanup.quarantineDays,
+      nextRunAt: this.nextRunAt,
+      lastRun: this.lastReport
+    };
+  }
+
+  // Keys ("<driver>:<key>") and URLs of every file a record points to,
+  // and the drivers those files are on
+  async collectReferences() {
+    const keys = new Set();
+    const urls = [];
+    const drivers = new Set();
+    const add = (file) => {
+      if (!file) return;
+      if (file.publicId) {
+        const driver = storageService.driverFor(file.storage);
+        drivers.add(driver);
+        keys.add(`${driver}:${file.publicId}`);
+      }
+      if (file.url) urls.push(file.url);
+    };
+
+    // Attachments without their extracted text
+    const attachmentFields = 'pdfFile.storage pdfFile.publicId pdfFile.url pdfFile.thumbnail';
+    const [notices, submissions, images, news, members] = await Promise.all([
+      Notice.find({ pdfFile: { $ne: null } }).select(attachmentFields).lean(),
+      FormSubmission.find({ pdfFile: { $ne: null } }).select(attachmentFields).lean(),
+      GalleryImage.find().select('storage publicId imageUrl variants').lean(),
+      News.find().select('imageStorage imagePublicId imageUrl imageVariants').lean(),
+      Member.find().select('logo documents').lean()
+    ]);
+
+    [...notices, ...submissions].forEach(({ pdfFile }) => {
+      add(pdfFile);
+      if (pdfFile) add(pdfFile.thumbnail);
+    });
+    images.forEach(image => {
+      add({ storage: image.storage, publicId: image.publicId, url: image.imageUrl });
+      (image.variants || []).forEach(variant => add({ storage: image.storage, ...variant }));
+    });
+    news.forEach(article => {
+      add({ storage: article.imageStorage, publicId: article.imagePublicId, url: article.imageUrl });
+      (article.imageVariants || []).forEach(variant => add({ storage: article.imageStorage, ...variant }));
+    });
+    members.forEach(member => {
+      add(member.logo);
+      (member.documents || []).forEach(add);
+    });
+
+    return {
+      drivers,
+      // Records from before keys were saved only have the URL
+      has: (storage, key) => keys.has(`${storage}:${key}`) || urls.some(url => url.includes(key))
+    };
+  }
+
+  // Delete temp uploads older than the configured age; returns how many
+  async removeTempFiles({ dryRun }) {
+    if (!fs.existsSync(TEMP_DIR)) return 0;
+
+    const cutoff = Date.now() - storageConfig.cleanup.tempMaxAgeMinutes * MINUTE_MS;
+    let removed = 0;
+
+    for (const entry of await fs.promises.readdir(TEMP_DIR, { withFileTypes: true })) {
+      if (!entry.isFile()) continue;
+
+      const filePath = path.join(TEMP_DIR, entry.name);
+      const { mtimeMs } = await fs.promises.stat(filePath);
+      if (mtimeMs > cutoff) continue;
+
+      if (!dryRun) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+      removed += 1;
+    }
+    return removed;
+  }
+
+  // Reconcile one driver's files with the references
+  async collectDriver(name, references, report, { dryRun }) {
+    let driver;
+    try {
+      driver = storageService.getDriver(name);
+    } catch (error) {
+      report.skipped.push({ storage: name, reason: error.message });
+      return;
+    }
+
+    if (!driver.list) {
+      report.skipped.push({ storage: name, reason: 'Driver cannot list files' });
+      return;
+    }
+
+    // Never delete anything unless every folder could be listed
+    const assets = [];
+    for (const folder of Object.values(storageConfig.folders)) {
+      assets.push(...await driver.list(folder));
+    }
+
+    const { minAgeMinutes, quarantineDays } = storageConfig.cleanup;
+    const now = Date.now();
+    const quarantine = new Map(
+      (await QuarantinedAsset.find({ storage: name }).lean()).map(entry => [entry.key, entry])
+    );
+    const present = new Set();
+
+    for (const asset of assets) {
+      present.add(asset.key);
+      report.scanned += 1;
+      const entry = quarantine.get(asset.key);
+      const summary = { storage: name, key: asset.key, size: asset.size };
+
+      if (references.has(name, asset.key)) {
+        report.referenced += 1;
+        if (entry) {
+          report.released.push(summary);
+          if (!dryRun) await QuarantinedAsset.deleteOne({ _id: entry._id });
+        }
+        continue;
+      }
+
+      if (now - new Date(asset.lastModified).getTime() < minAgeMinutes * MINUTE_MS) continue;
+
+      if (!entry) {
+        report.quarantined.push(summary);
+        if (!dryRun) {
+          await QuarantinedAsset.create({
+            storage: name,
+            key: asset.key,
+            resourceType: asset.resourceType,
+            size: asset.size
+          });
+        }
+        continue;
+      }
+
+      if (now - new Date(entry.quarantinedAt).getTime() < quarantineDays * DAY_MS) continue;
+
+      try {
+        if (!dryRun) {
+          await driver.delete(asset.key, { resourceType: entry.resourceType || asset.resourceType });
+          await QuarantinedAsset.deleteOne({ _id: entry._id });
+        }
+        report.deleted.push(summary);
+      } catch (error) {
+        report.errors.push(`${name} ${asset.key}: ${error.message}`);
+      }
+    }
+
+    // Quarantined files that were removed some other way
+    const gone = [...quarantine.values()].filter(entry => !present.has(entry.key));
+    if (gone.length > 0 && !dryRun) {
+      await QuarantinedAsset.deleteMany({ _id: { $in: gone.map(entry => entry._id) } });
+    }
+  }
+
+  // One reconciliation pass over every driver that holds files. With dryRun
+  // nothing is quarantined or deleted; the report shows what would happen.
+  async collect({ dryRun = false } = {}) {
+    if (this.collecting) {
+      const error = new Error('Storage cleanup is already running');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    this.collecting = true;
+    const report = {
+      dryRun,
+      startedAt: new Date(),
+      finishedAt: null,
+      scanned: 0,
+      referenced: 0,
+      quarantined: [],
+      released: [],
+      deleted: [],
+      inQuarantine: 0,
+      tempFilesRemoved: 0,
+      skipped: [],
+      errors: []
+    };
+
+    try {
+      report.tempFilesRemoved = await this.removeTempFiles({ dryRun });
+
+      const references = await this.collectReferences();
+
+      // The active driver plus any driver older files were left on
+      const driverNames = new Set([
+        storageService.getServiceStatus().driver,
+        ...references.drivers,
+        ...(await QuarantinedAsset.distinct('storage'))
+      ].filter(Boolean));
+
+      for (const name of driverNames) {
+        try {
+          await this.collectDriver(name, references, report, { dryRun });
+        } catch (error) {
+          report.errors.push(`${name}: ${error.message}`);
+        }
+      }
+
+      report.inQuarantine = await QuarantinedAsset.countDocuments();
+      logger.info('Storage cleanup finished', {
+        scanned: report.scanned,
+        quarantined: report.quarantined.length,
+        deleted: report.deleted.length,
+        tempFilesRemoved: report.tempFilesRemoved
+      });
+    } catch (error) {
+      report.errors.push(error.message);
+      throw error;
+    } finally {
+      report.finishedAt = new Date();
+      this.lastReport = report;
+      this.collecting = false;
+    }
+
+    return report;
+  }
+}
+
+module.exports = new AssetCollectorService();
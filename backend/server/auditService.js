@@ -0,0 +1,82 @@
+const AuditLog = require('./models/AuditLog');
+const logger = require('./logger');
+
+// Fields left out of diffs: identifiers, timestamps and secrets
+const IGNORED_FIELDS = new Set([
+  '_id',
+  '__v',
+  'id',
+  'createdAt',
+  'updatedAt',
+  'password',
+  'resetPasswordToken',
+  'resetPasswordExpires'
+]);
+
+// Long values (notice bodies, article content) are cut down to keep entries small
+const MAX_VALUE_LENGTH = 1000;
+
+const truncate = (value) => {
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  return value;
+};
+
+class AuditService {
+  // Plain JSON copy of a document, taken before it is changed.
+  // ObjectIds and dates become strings so they compare and store cleanly.
+  snapshot(doc) {
+    if (!doc) return {};
+    const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    return JSON.parse(JSON.stringify(plain));
+  }
+
+  // Top-level fields that differ between two snapshots
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    fields.forEach(field => {
+      if (IGNORED_FIELDS.has(field)) return;
+
+      const beforeValue = before[field];
+      const afterValue = after[field];
+      if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) return;
+
+      changes.push({
+        field,
+        before: truncate(beforeValue === undefined ? null : beforeValue),
+        after: truncate(afterValue === undefined ? null : afterValue)
+      });
+    });
+
+    return changes;
+  }
+
+  // Record an admin action. `before` and `after` may be documents or snapshots;
+  // leave `before` out for creations and `after` out for deletions.
+  // Never throws: a failed audit write must not fail the admin's request.
+  async record(req, { action, entityType, entityId, entityLabel, before, after }) {
+    try {
+      const actor = req.user || {};
+
+      await AuditLog.create({
+        actor: actor.userId,
+        actorName: actor.name,
+        actorEmail: actor.email,
+        action,
+        entityType,
+        entityId: entityId ? String(entityId) : undefined,
+        entityLabel,
+        changes: this.diff(this.snapshot(before), this.snapshot(after)),
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      logger.error('Audit log error', { error });
+    }
+  }
+}
+
+module.exports = new AuditService();
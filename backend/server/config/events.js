@@ -0,0 +1,13 @@
+// Chamber events settings
+const parseHours = (value, fallback) => {
+  const hours = parseInt(value, 10);
+  return Number.isNaN(hours) || hours < 1 ? fallback : hours;
+};
+
+module.exports = {
+  // Confirmed attendees get a reminder email this many hours before the start
+  reminderHoursBefore: parseHours(process.env.EVENT_REMINDER_HOURS, 24),
+
+  // How often the reminder job looks for events starting soon
+  reminderCheckIntervalMs: 60 * 60 * 1000
+};
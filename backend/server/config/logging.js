@@ -0,0 +1,37 @@
+// Structured logging (see logger.js) and reports of frontend errors
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const FORMATS = ['json', 'pretty'];
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+const pick = (value, allowed, fallback) => {
+  const normalised = (value || '').toLowerCase();
+  return allowed.includes(normalised) ? normalised : fallback;
+};
+
+module.exports = {
+  levels: LEVELS,
+  // Entries below this level are dropped
+  level: pick(process.env.LOG_LEVEL, LEVELS, isProduction ? 'info' : 'debug'),
+  // One JSON object per line for log collectors, or readable lines while
+  // developing
+  format: pick(process.env.LOG_FORMAT, FORMATS, isProduction ? 'json' : 'pretty'),
+
+  // Header carrying the request ID from the frontend and back in responses
+  requestIdHeader: 'X-Request-Id',
+
+  // Values of fields whose name matches are replaced before writing, at any
+  // depth, as are bearer tokens and JWTs found inside text
+  redactKeys: /passw(or)?d|secret|token|authorization|cookie|api[-_]?key|^otp$|recoverycodes/i,
+  redactedValue: '[REDACTED]',
+  // Nested objects deeper than this are summarised
+  maxDepth: 6,
+
+  clientErrors: {
+    // Reports accepted per client address every 15 minutes
+    maxPerWindow: 30,
+    // Longer texts in a report are cut to this many characters
+    maxMessageLength: 1000,
+    maxStackLength: 8000
+  }
+};
@@ -0,0 +1,34 @@
+// Failed sign-in tracking. Counters live in MongoDB (see models/LoginThrottle.js)
+// so they survive restarts and are shared between instances.
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number <= 0 ? fallback : number;
+};
+
+module.exports = {
+  // Failures older than this no longer count
+  windowMinutes: 15,
+
+  // Per email address
+  account: {
+    // Failures allowed before each attempt has to wait
+    freeAttempts: 3,
+    // Failures that lock the account
+    maxFailures: parseNumber(process.env.LOGIN_MAX_FAILURES, 5),
+    // First lockout; each further lockout doubles it, up to maxLockMinutes
+    lockMinutes: parseNumber(process.env.LOGIN_LOCK_MINUTES, 15),
+    maxLockMinutes: 24 * 60
+  },
+
+  // Per client address, across every account it tries
+  ip: {
+    maxFailures: parseNumber(process.env.LOGIN_IP_MAX_FAILURES, 30),
+    lockMinutes: parseNumber(process.env.LOGIN_LOCK_MINUTES, 15)
+  },
+
+  // Wait after each failure past freeAttempts: 1s, 2s, 4s... up to maxSeconds
+  delay: {
+    baseSeconds: 1,
+    maxSeconds: 30
+  }
+};
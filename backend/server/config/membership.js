@@ -0,0 +1,29 @@
+// Membership lifecycle settings for the Jamalpur Chamber
+const parseDays = (value, fallback) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) || days < 0 ? fallback : days;
+};
+
+module.exports = {
+  // Length of one membership term
+  termMonths: 12,
+
+  // Annual dues per tier in BDT (life members pay once and never renew)
+  annualDues: {
+    general: parseInt(process.env.MEMBERSHIP_DUES_GENERAL, 10) || 5000,
+    associate: parseInt(process.env.MEMBERSHIP_DUES_ASSOCIATE, 10) || 3000,
+    life: 0
+  },
+
+  // Days after the due date before a membership is considered lapsed
+  gracePeriodDays: parseDays(process.env.MEMBERSHIP_GRACE_DAYS, 30),
+
+  // Reminder emails are sent this many days before the due date
+  reminderDaysBefore: [30, 7],
+
+  // Membership numbers look like JCCI-2024-0001
+  numberPrefix: process.env.MEMBERSHIP_NUMBER_PREFIX || 'JCCI',
+
+  // How often the reminder job checks for upcoming renewals
+  reminderCheckIntervalMs: 24 * 60 * 60 * 1000
+};
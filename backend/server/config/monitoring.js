@@ -0,0 +1,32 @@
+// Health monitors for the database and file storage (middleware/databaseMonitor
+// and middleware/cloudinaryMonitor), reported on /api/health, and the
+// Prometheus metrics on /metrics
+const parseSeconds = (value, fallback) => {
+  const seconds = parseInt(value, 10);
+  return Number.isNaN(seconds) || seconds < 10 ? fallback : seconds;
+};
+
+module.exports = {
+  // How often each service is checked
+  checkIntervalMs: parseSeconds(process.env.HEALTH_CHECK_INTERVAL_SECONDS, 60) * 1000,
+  // A check that takes longer than this fails
+  checkTimeoutMs: 10 * 1000,
+  // Checks slower than this (in ms) mark the service as degraded
+  slowMs: {
+    database: 500,
+    storage: 3000
+  },
+  // Latest check latencies kept for the percentiles
+  latencySamples: 500,
+  // Status history: checks grouped into buckets over the window
+  historyHours: 24,
+  bucketMinutes: 15,
+  // Status changes kept for the detailed report
+  transitionsKept: 50,
+
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    // When set, scrapers must send it as "Authorization: Bearer <token>"
+    token: process.env.METRICS_TOKEN || ''
+  }
+};
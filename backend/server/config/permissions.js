@@ -0,0 +1,66 @@
+// Permissions checked by the API routes, with the labels shown in Admin Settings
+const PERMISSIONS = {
+  'notice:write': 'Create, edit and delete notices',
+  'news:write': 'Create, edit and delete news articles',
+  'news:publish': 'Approve, publish and archive news articles',
+  'gallery:write': 'Upload, edit and delete gallery images',
+  'event:manage': 'Create events and manage their registrations',
+  'submission:review': 'View and review form submissions',
+  'member:manage': 'Review member profiles, dues and certificates',
+  'admin:manage': 'Manage staff accounts and roles',
+  'audit:view': 'View and export the activity log',
+  'system:view': 'View detailed system health'
+};
+
+// Holds every permission, including ones added in later releases
+const SUPER_ADMIN_ROLE = 'super-admin';
+
+// Regular website accounts with no access to the admin panel
+const DEFAULT_USER_ROLE = 'user';
+
+// Roles created on first start. System roles can't be edited or deleted;
+// the others are starting points the super admin can adjust.
+const DEFAULT_ROLES = [
+  {
+    name: SUPER_ADMIN_ROLE,
+    label: 'Super Admin',
+    description: 'Full access, including managing other admins',
+    permissions: Object.keys(PERMISSIONS),
+    isSystem: true
+  },
+  {
+    name: 'admin',
+    label: 'Admin',
+    description: 'Manages site content, events, submissions and members',
+    permissions: ['notice:write', 'news:write', 'news:publish', 'gallery:write', 'event:manage', 'submission:review', 'member:manage', 'system:view'],
+    isSystem: false
+  },
+  {
+    name: 'editor',
+    label: 'Editor',
+    description: 'Writes news articles and sends them for review',
+    permissions: ['news:write'],
+    isSystem: false
+  },
+  {
+    name: 'secretary',
+    label: 'Secretary',
+    description: 'Reviews form submissions',
+    permissions: ['submission:review'],
+    isSystem: false
+  },
+  {
+    name: DEFAULT_USER_ROLE,
+    label: 'User',
+    description: 'Registered website user',
+    permissions: [],
+    isSystem: true
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  SUPER_ADMIN_ROLE,
+  DEFAULT_USER_ROLE,
+  DEFAULT_ROLES
+};
@@ -0,0 +1,18 @@
+// Scheduled publishing of notices and news, and news preview links
+const parseSeconds = (value, fallback) => {
+  const seconds = parseInt(value, 10);
+  return Number.isNaN(seconds) || seconds < 10 ? fallback : seconds;
+};
+
+const parseHours = (value, fallback) => {
+  const hours = parseInt(value, 10);
+  return Number.isNaN(hours) || hours < 1 ? fallback : hours;
+};
+
+module.exports = {
+  // How often the scheduler publishes items whose time has come and retires
+  // expired ones
+  checkIntervalMs: parseSeconds(process.env.PUBLISH_CHECK_INTERVAL_SECONDS, 60) * 1000,
+  // How long a preview link for an unpublished article keeps working
+  previewLinkHours: parseHours(process.env.NEWS_PREVIEW_LINK_HOURS, 72)
+};
@@ -0,0 +1,31 @@
+// Sign-in session settings: short-lived access tokens renewed with a
+// rotating refresh token kept in an httpOnly cookie
+const parseDays = (value, fallback) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) || days <= 0 ? fallback : days;
+};
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+module.exports = {
+  // Lifetime of the JWT sent in the Authorization header
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+
+  // A session ends after this many days without being used
+  refreshTokenDays: parseDays(process.env.REFRESH_TOKEN_DAYS, 30),
+
+  // A refresh token that was just rotated is still accepted for this long,
+  // so two tabs refreshing at the same moment don't end the session
+  rotationGraceMs: 10 * 1000,
+
+  refreshCookie: {
+    name: 'refreshToken',
+    options: {
+      httpOnly: true,
+      // The frontend runs on another origin in production
+      secure: isProduction,
+      sameSite: isProduction ? 'none' : 'lax',
+      path: '/api/auth'
+    }
+  }
+};
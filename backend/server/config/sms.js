@@ -0,0 +1,37 @@
+// SMS delivery and one-time code settings
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number <= 0 ? fallback : number;
+};
+
+module.exports = {
+  // console (logs messages; the default outside production), twilio or bulksmsbd.
+  // Production sends nothing unless a driver is chosen.
+  driver: process.env.SMS_DRIVER || (process.env.NODE_ENV === 'production' ? '' : 'console'),
+
+  // Options passed to each driver
+  drivers: {
+    twilio: {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_FROM_NUMBER
+    },
+    bulksmsbd: {
+      apiUrl: process.env.BULKSMSBD_API_URL || 'https://bulksmsbd.net/api/smsapi',
+      apiKey: process.env.BULKSMSBD_API_KEY,
+      senderId: process.env.BULKSMSBD_SENDER_ID
+    }
+  },
+
+  // Numbers without a country code are treated as Bangladeshi
+  defaultCountryCode: process.env.SMS_DEFAULT_COUNTRY_CODE || '880',
+
+  otp: {
+    ttlMinutes: parseNumber(process.env.OTP_TTL_MINUTES, 10),
+    // Wrong guesses allowed before a code stops working
+    maxAttempts: parseNumber(process.env.OTP_MAX_ATTEMPTS, 5),
+    // Minimum wait between two codes for the same account and purpose
+    resendCooldownSeconds: 60,
+    maxPerHour: 5
+  }
+};
@@ -0,0 +1,63 @@
+const path = require('path');
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number < 0 ? fallback : number;
+};
+
+// File storage for notice PDFs, form attachments, gallery, news and member uploads
+const hasCloudinaryConfig = Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+);
+
+module.exports = {
+  // local, s3 (AWS S3 or an S3-compatible service such as MinIO) or cloudinary.
+  // Defaults to Cloudinary when it is configured, otherwise to local disk.
+  driver: process.env.STORAGE_DRIVER || (hasCloudinaryConfig ? 'cloudinary' : 'local'),
+
+  // Options passed to each driver
+  drivers: {
+    local: {
+      // Served by the app under /api/files
+      directory: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../uploads'),
+      publicUrl: process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/api/files`
+    },
+    s3: {
+      // e.g. http://localhost:9000 for MinIO; defaults to AWS
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // Base URL files are served from (a CDN or public bucket URL);
+      // defaults to the bucket's own URL
+      publicUrl: process.env.S3_PUBLIC_URL
+    },
+    cloudinary: {
+      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+      apiKey: process.env.CLOUDINARY_API_KEY,
+      apiSecret: process.env.CLOUDINARY_API_SECRET
+    }
+  },
+
+  // Folder each kind of upload goes into
+  folders: {
+    default: 'jamalpur-chamber',
+    gallery: 'jamalpur-gallery',
+    news: 'jamalpur-news',
+    memberLogos: 'jamalpur-members',
+    memberDocuments: 'jamalpur-member-documents'
+  },
+
+  // Removal of stored files no record points to, and of leftover temp uploads
+  cleanup: {
+    enabled: process.env.STORAGE_CLEANUP_ENABLED !== 'false',
+    intervalMs: 24 * 60 * 60 * 1000,
+    // Newer files may belong to an upload whose record isn't saved yet
+    minAgeMinutes: 60,
+    // Unreferenced files are quarantined first and deleted after this many days
+    quarantineDays: parseNumber(process.env.STORAGE_QUARANTINE_DAYS, 7),
+    // Files multer left in server/temp are deleted after this many minutes
+    tempMaxAgeMinutes: 60
+  }
+};
@@ -0,0 +1,482 @@
+const mongoose = require('mongoose');
+const Album = require('../models/Album');
+const GalleryImage = require('../models/GalleryImage');
+const imageService = require('../imageService');
+const storageConfig = require('../config/storage');
+const { emitEvent } = require('../socket');
+const auditService = require('../auditService');
+const searchService = require('../searchService');
+const parseBoolean = require('../utils/parseBoolean');
+const fs = require('fs');
+const logger = require('../logger');
+
+// Gallery category given to images uploaded into an album of each event type
+const CATEGORY_BY_EVENT_TYPE = {
+  'business-meeting': 'meeting',
+  'annual-meeting': 'meeting',
+  conference: 'conference'
+};
+
+// Image fields album cards and pages need
+const IMAGE_FIELDS = 'title description altText imageUrl width height placeholder variants order album isActive uploadedAt';
+
+const toCover = (image) => image && {
+  _id: image._id,
+  imageUrl: image.imageUrl,
+  altText: image.altText,
+  width: image.width,
+  height: image.height,
+  placeholder: image.placeholder,
+  variants: image.variants
+};
+
+// Add cover and imageCount to plain albums. Public callers only count and
+// show active images.
+const withCovers = async (albums, { activeOnly }) => {
+  const match = { album: { $in: albums.map(album => album._id) } };
+  if (activeOnly) match.isActive = true;
+
+  const [summaries, covers] = await Promise.all([
+    GalleryImage.aggregate([
+      { $match: match },
+      { $sort: { order: 1, uploadedAt: -1 } },
+      { $group: { _id: '$album', imageCount: { $sum: 1 }, firstImage: { $first: '$$ROOT' } } }
+    ]),
+    GalleryImage.find({ ...match, _id: { $in: albums.map(album => album.coverImage).filter(Boolean) } })
+      .select(IMAGE_FIELDS)
+      .lean()
+  ]);
+
+  const summaryByAlbum = new Map(summaries.map(summary => [String(summary._id), summary]));
+  const coverById = new Map(covers.map(cover => [String(cover._id), cover]));
+
+  return albums.map(album => {
+    const summary = summaryByAlbum.get(String(album._id));
+    const cover = coverById.get(String(album.coverImage)) || summary?.firstImage;
+    return {
+      ...album,
+      imageCount: summary ? summary.imageCount : 0,
+      cover: toCover(cover) || null
+    };
+  });
+};
+
+// Validated album fields from a request body; throws with statusCode 400
+const readAlbumFields = (body, { partial }) => {
+  const fields = {};
+  const { title, description, eventDate, eventType, eventLocation, organizer } = body;
+
+  if (title !== undefined || !partial) {
+    if (!title?.trim()) {
+      const error = new Error('Album title is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    fields.title = title.trim();
+  }
+
+  if (description !== undefined) fields.description = description.trim();
+  if (eventLocation !== undefined) fields.eventLocation = eventLocation.trim();
+  if (organizer !== undefined) fields.organizer = organizer.trim();
+
+  if (eventType !== undefined) {
+    if (!Album.EVENT_TYPES.includes(eventType)) {
+      const error = new Error(`Invalid event type. Must be one of: ${Album.EVENT_TYPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    fields.eventType = eventType;
+  }
+
+  if (eventDate !== undefined) {
+    const date = eventDate ? new Date(eventDate) : null;
+    if (date && Number.isNaN(date.getTime())) {
+      const error = new Error('Invalid event date');
+      error.statusCode = 400;
+      throw error;
+    }
+    fields.eventDate = date;
+  }
+
+  const isActive = parseBoolean(body.isActive);
+  if (isActive !== undefined) fields.isActive = isActive;
+
+  return fields;
+};
+
+const findAlbum = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Album.findById(id);
+};
+
+// Album and its images for the public album page or the admin editor
+const sendAlbum = async (req, res, { admin }) => {
+  try {
+    const album = await findAlbum(req.params.id);
+
+    if (!album || (!admin && !album.isActive)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Album not found'
+      });
+    }
+
+    const imageQuery = { album: album._id };
+    if (!admin) imageQuery.isActive = true;
+
+    const images = await GalleryImage.find(imageQuery)
+      .sort({ order: 1, uploadedAt: -1 })
+      .select(IMAGE_FIELDS)
+      .lean();
+
+    const [summary] = await withCovers([album.toObject()], { activeOnly: !admin });
+
+    res.json({
+      success: true,
+      data: { album: summary, images }
+    });
+  } catch (error) {
+    logger.error('Get album error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching album'
+    });
+  }
+};
+
+class AlbumController {
+  // Published albums, newest event first (public)
+  async getAlbums(req, res) {
+    try {
+      const albums = await Album.find({ isActive: true })
+        .sort({ eventDate: -1, createdAt: -1 })
+        .select('-__v')
+        .lean();
+
+      res.json({
+        success: true,
+        data: { albums: await withCovers(albums, { activeOnly: true }) }
+      });
+    } catch (error) {
+      logger.error('Get albums error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching albums'
+      });
+    }
+  }
+
+  // Every album including unpublished ones (admin only)
+  async getAlbumsAdmin(req, res) {
+    try {
+      const albums = await Album.find()
+        .sort({ eventDate: -1, createdAt: -1 })
+        .lean();
+
+      res.json({
+        success: true,
+        data: { albums: await withCovers(albums, { activeOnly: false }) }
+      });
+    } catch (error) {
+      logger.error('Get admin albums error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching albums'
+      });
+    }
+  }
+
+  // One published album with its active images in display order (public)
+  async getAlbumById(req, res) {
+    return sendAlbum(req, res, { admin: false });
+  }
+
+  // One album with all its images, hidden ones included (admin only)
+  async getAlbumAdmin(req, res) {
+    return sendAlbum(req, res, { admin: true });
+  }
+
+  // Create an album (admin only)
+  async createAlbum(req, res) {
+    try {
+      const album = new Album({
+        ...readAlbumFields(req.body, { partial: false }),
+        createdBy: req.user.name || req.user.email
+      });
+
+      await album.save();
+
+      auditService.record(req, {
+        action: 'create',
+        entityType: 'album',
+        entityId: album._id,
+        entityLabel: album.title,
+        after: album
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Album created successfully',
+        album
+      });
+    } catch (error) {
+      logger.error('Create album error', { error });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while creating album'
+      });
+    }
+  }
+
+  // Update album details or its cover image (admin only)
+  async updateAlbum(req, res) {
+    try {
+      const album = await findAlbum(req.params.id);
+      if (!album) {
+        return res.status(404).json({
+          success: false,
+          message: 'Album not found'
+        });
+      }
+
+      const fields = readAlbumFields(req.body, { partial: true });
+      const { coverImage } = req.body;
+
+      if (coverImage !== undefined) {
+        const cover = coverImage && mongoose.Types.ObjectId.isValid(coverImage)
+          ? await GalleryImage.findOne({ _id: coverImage, album: album._id }).select('_id')
+          : null;
+
+        if (coverImage && !cover) {
+          return res.status(400).json({
+            success: false,
+            message: 'The cover image must be one of the album\'s images'
+          });
+        }
+        fields.coverImage = cover ? cover._id : null;
+      }
+
+      const before = auditService.snapshot(album);
+      Object.assign(album, fields);
+      await album.save();
+
+      auditService.record(req, {
+        action: 'update',
+        entityType: 'album',
+        entityId: album._id,
+        entityLabel: album.title,
+        before,
+        after: album
+      });
+
+      res.json({
+        success: true,
+        message: 'Album updated successfully',
+        album
+      });
+    } catch (error) {
+      logger.error('Update album error', { error });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while updating album'
+      });
+    }
+  }
+
+  // Delete an album (admin only). Its images stay in the gallery without an album.
+  async deleteAlbum(req, res) {
+    try {
+      const album = await findAlbum(req.params.id);
+      if (!album) {
+        return res.status(404).json({
+          success: false,
+          message: 'Album not found'
+        });
+      }
+
+      await GalleryImage.updateMany({ album: album._id }, { album: null });
+      await Album.findByIdAndDelete(album._id);
+      await searchService.detachAlbum(album._id);
+
+      auditService.record(req, {
+        action: 'delete',
+        entityType: 'album',
+        entityId: album._id,
+        entityLabel: album.title,
+        before: album
+      });
+
+      res.json({
+        success: true,
+        message: 'Album deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete album error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while deleting album'
+      });
+    }
+  }
+
+  // Upload several images into an album at once (admin only). Each image is
+  // stored on its own; the response lists the ones that failed.
+  async uploadImages(req, res) {
+    const files = req.files || [];
+
+    try {
+      const album = await findAlbum(req.params.id);
+      if (!album) {
+        files.forEach(file => fs.unlink(file.path, () => {}));
+        return res.status(404).json({
+          success: false,
+          message: 'Album not found'
+        });
+      }
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one image file is required'
+        });
+      }
+
+      // New images go after the existing ones
+      const last = await GalleryImage.findOne({ album: album._id }).sort({ order: -1 }).select('order').lean();
+      let order = last ? last.order + 1 : 0;
+
+      const images = [];
+      const failed = [];
+
+      for (const file of files) {
+        if (!file.mimetype.startsWith('image/')) {
+          fs.unlink(file.path, () => {});
+          failed.push({ filename: file.originalname, error: 'Only image files are allowed' });
+          continue;
+        }
+
+        try {
+          const stored = await imageService.upload(file, {
+            folder: storageConfig.folders.gallery
+          });
+
+          const image = await GalleryImage.create({
+            title: album.title,
+            description: album.description || album.title,
+            altText: `${album.title} (${order + 1})`,
+            category: CATEGORY_BY_EVENT_TYPE[album.eventType] || 'event',
+            album: album._id,
+            imageUrl: stored.url,
+            publicId: stored.publicId,
+            storage: stored.storage,
+            width: stored.width,
+            height: stored.height,
+            placeholder: stored.placeholder,
+            variants: stored.variants,
+            uploadedBy: req.user.name || req.user.email,
+            order
+          });
+
+          order += 1;
+          images.push(image);
+          await searchService.index('gallery', image);
+          emitEvent(req, 'gallery-image-created', image.toEvent());
+        } catch (uploadError) {
+          logger.error('Album image upload failed', { error: uploadError });
+          if (fs.existsSync(file.path)) fs.unlink(file.path, () => {});
+          failed.push({ filename: file.originalname, error: 'Failed to upload image to storage' });
+        }
+      }
+
+      if (!album.coverImage && images.length > 0) {
+        album.coverImage = images[0]._id;
+        await album.save();
+      }
+
+      if (images.length > 0) {
+        auditService.record(req, {
+          action: 'upload-images',
+          entityType: 'album',
+          entityId: album._id,
+          entityLabel: album.title,
+          after: { images: images.map(image => String(image._id)) }
+        });
+      }
+
+      res.status(images.length > 0 ? 201 : 400).json({
+        success: images.length > 0,
+        message: `${images.length} of ${files.length} images uploaded`,
+        images,
+        failed
+      });
+    } catch (error) {
+      logger.error('Upload album images error', { error });
+      files.forEach(file => {
+        if (fs.existsSync(file.path)) fs.unlink(file.path, () => {});
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while uploading album images'
+      });
+    }
+  }
+
+  // Save the display order of an album's images (admin only). Takes the
+  // image ids in their new order and stores each position in `order`.
+  async reorderImages(req, res) {
+    try {
+      const { imageIds } = req.body;
+
+      if (!Array.isArray(imageIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Image ids must be an array'
+        });
+      }
+
+      const album = await findAlbum(req.params.id);
+      if (!album) {
+        return res.status(404).json({
+          success: false,
+          message: 'Album not found'
+        });
+      }
+
+      const images = await GalleryImage.find({ album: album._id }).select('order').lean();
+      const albumImageIds = new Set(images.map(image => String(image._id)));
+
+      if (imageIds.some(id => !albumImageIds.has(String(id)))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every image must belong to the album'
+        });
+      }
+
+      await GalleryImage.bulkWrite(imageIds.map((id, order) => ({
+        updateOne: { filter: { _id: id }, update: { order } }
+      })));
+
+      auditService.record(req, {
+        action: 'reorder',
+        entityType: 'album',
+        entityId: album._id,
+        entityLabel: album.title,
+        before: { images: [...images].sort((a, b) => a.order - b.order).map(image => String(image._id)) },
+        after: { images: imageIds.map(String) }
+      });
+
+      res.json({
+        success: true,
+        message: 'Album images reordered successfully'
+      });
+    } catch (error) {
+      logger.error('Reorder album images error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while reordering album images'
+      });
+    }
+  }
+}
+
+module.exports = new AlbumController();
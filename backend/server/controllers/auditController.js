@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { toCsv } = require('../utils/csv');
+const logger = require('../logger');
+
+// Exports are capped so a wide date range can't exhaust memory
+const MAX_EXPORT_ROWS = 10000;
+
+// Start of the given YYYY-MM-DD day, or undefined when missing or invalid
+const parseDay = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Build a query from the activity filters (actor, entity, action, date range)
+const buildQuery = ({ actor, entityType, entityId, action, from, to }) => {
+  const query = {};
+
+  if (actor && mongoose.Types.ObjectId.isValid(actor)) query.actor = actor;
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = entityId;
+  if (action) query.action = action;
+
+  const fromDate = parseDay(from);
+  const toDate = parseDay(to);
+  if (fromDate || toDate) {
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) {
+      // The "to" day is inclusive
+      toDate.setDate(toDate.getDate() + 1);
+      query.createdAt.$lt = toDate;
+    }
+  }
+
+  return query;
+};
+
+// Changes flattened to "field: before → after" for spreadsheets
+const formatChanges = (changes) => changes
+  .map(({ field, before, after }) => `${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`)
+  .join('; ');
+
+// Columns for the activity CSV export
+const auditColumns = [
+  { header: 'Time', value: entry => entry.createdAt },
+  { header: 'Actor', value: entry => entry.actorName },
+  { header: 'Actor Email', value: entry => entry.actorEmail },
+  { header: 'Action', value: entry => entry.action },
+  { header: 'Entity Type', value: entry => AuditLog.ENTITY_TYPES[entry.entityType] || entry.entityType },
+  { header: 'Entity ID', value: entry => entry.entityId },
+  { header: 'Entity', value: entry => entry.entityLabel },
+  { header: 'Changes', value: entry => formatChanges(entry.changes) },
+  { header: 'IP Address', value: entry => entry.ip }
+];
+
+class AuditController {
+  // Get audit entries, newest first (filters: actor, entityType, entityId, action, from, to)
+  async getEntries(req, res) {
+    try {
+      const { page = 1, limit = 25 } = req.query;
+      const skip = (page - 1) * limit;
+      const query = buildQuery(req.query);
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        AuditLog.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get audit entries error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching activity'
+      });
+    }
+  }
+
+  // Values for the activity filters: everyone who has acted, entity types and actions
+  async getOptions(req, res) {
+    try {
+      const [actors, actions] = await Promise.all([
+        AuditLog.aggregate([
+          { $match: { actor: { $ne: null } } },
+          { $sort: { createdAt: -1 } },
+          { $group: { _id: '$actor', name: { $first: '$actorName' }, email: { $first: '$actorEmail' } } },
+          { $sort: { name: 1 } }
+        ]),
+        AuditLog.distinct('action')
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          actors: actors.map(({ _id, name, email }) => ({ id: _id, name, email })),
+          entityTypes: Object.entries(AuditLog.ENTITY_TYPES).map(([value, label]) => ({ value, label })),
+          actions: actions.sort()
+        }
+      });
+    } catch (error) {
+      logger.error('Get audit options error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching activity filters'
+      });
+    }
+  }
+
+  // Download the filtered audit entries as CSV
+  async exportEntries(req, res) {
+    try {
+      const entries = await AuditLog.find(buildQuery(req.query))
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+      const filename = `activity-${new Date().toISOString().split('T')[0]}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(toCsv(entries, auditColumns));
+    } catch (error) {
+      logger.error('Export audit entries error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while exporting activity'
+      });
+    }
+  }
+}
+
+module.exports = new AuditController();
@@ -1,65 +1,214 @@
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { sendPasswordResetEmail } = require('../emailService');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const OneTimeCode = require('../models/OneTimeCode');
+const sessionConfig = require('../config/session');
+const smsConfig = require('../config/sms');
+const emailService = require('../emailService');
+const twoFactorService = require('../twoFactorService');
+const smsService = require('../smsService');
+const lockoutService = require('../lockoutService');
+const { normalizePhone, maskPhone } = require('../utils/phone');
+const { emitEvent } = require('../socket');
+const logger = require('../logger');
+
+// Sign a short-lived access token tied to a sign-in session
+const signToken = (user, session) => jwt.sign(
+  { userId: user._id, name: user.name, email: user.email, role: user.role, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: sessionConfig.accessTokenExpiresIn }
+);
+
+// Reset and refresh tokens are stored hashed so a database leak can't be used to sign in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + sessionConfig.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+const setRefreshCookie = (res, session, secret) => {
+  res.cookie(sessionConfig.refreshCookie.name, `${session._id}.${secret}`, {
+    ...sessionConfig.refreshCookie.options,
+    expires: session.expiresAt
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(sessionConfig.refreshCookie.name, sessionConfig.refreshCookie.options);
+};
+
+// Split the refresh cookie into its session id and secret
+const readRefreshToken = (req) => {
+  const value = req.cookies && req.cookies[sessionConfig.refreshCookie.name];
+  if (typeof value !== 'string') return null;
+
+  const [sessionId, secret] = value.split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+// Open a session for this device, set its refresh cookie and return an access token
+const startSession = async (req, res, user) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  setRefreshCookie(res, session, secret);
+  return signToken(user, session);
+};
+
+// Answer 429 when sign-in attempts for this email or client address are
+// delayed or locked. Returns true when the request has been answered.
+const rejectIfThrottled = async (req, res, email) => {
+  const blocked = await lockoutService.check({ email, ip: req.ip });
+  if (!blocked) return false;
+
+  res.set('Retry-After', String(blocked.retryAfter));
+  res.status(429).json({
+    success: false,
+    message: blocked.message,
+    reason: blocked.reason,
+    retryAfter: blocked.retryAfter
+  });
+  return true;
+};
+
+// Answer 403 for deactivated accounts, which must not get a session (the
+// same rule refresh() applies). Returns true when the request has been answered.
+const rejectIfInactive = (res, user) => {
+  if (user.isActive) return false;
+
+  res.status(403).json({
+    success: false,
+    message: 'Your account has been deactivated. Please contact an administrator.'
+  });
+  return true;
+};
+
+const getSaltRounds = () => parseInt(process.env.BCRYPT_ROUNDS) || 10;
+
+// Public profile plus the permissions the frontend uses to decide what to show
+const withPermissions = async (user) => ({
+  ...user.profile,
+  ...await Role.getUserAccess(user)
+});
+
+// Accounts with two-factor authentication get this instead of a session after
+// the password check; it is exchanged for a session with a second factor
+const TWO_FACTOR_CHALLENGE = '2fa-login';
+const MAX_EMAIL_CODE_ATTEMPTS = 5;
+
+const signChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: TWO_FACTOR_CHALLENGE },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+// User id from a valid challenge token, or null
+const readChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return decoded.purpose === TWO_FACTOR_CHALLENGE ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// "ab***@example.com", so the sign-in screen can say where the code went
+const maskEmail = (email) => {
+  const [name, domain] = email.split('@');
+  return `${name.slice(0, 2)}***@${domain}`;
+};
+
+// Check a second factor, consuming it when it is single-use. Returns true when it matches.
+const verifySecondFactor = (user, method, code) => {
+  const twoFactor = user.twoFactor;
+
+  if (method === 'recovery') {
+    const index = twoFactorService.findRecoveryCode(twoFactor.recoveryCodes, code);
+    if (index === -1) return false;
+    twoFactor.recoveryCodes = twoFactor.recoveryCodes.filter((hash, i) => i !== index);
+    return true;
+  }
+
+  if (method === 'email') {
+    const usable = twoFactor.emailCodeHash &&
+      twoFactor.emailCodeExpires > new Date() &&
+      (twoFactor.emailCodeAttempts || 0) < MAX_EMAIL_CODE_ATTEMPTS;
+    if (!usable) return false;
+
+    if (twoFactorService.hashCode(code) !== twoFactor.emailCodeHash) {
+      twoFactor.emailCodeAttempts = (twoFactor.emailCodeAttempts || 0) + 1;
+      return false;
+    }
+    twoFactor.emailCodeHash = undefined;
+    twoFactor.emailCodeExpires = undefined;
+    twoFactor.emailCodeAttempts = undefined;
+    return true;
+  }
+
+  const step = twoFactorService.verifyCode(
+    twoFactor.secret,
+    code,
+    twoFactor.lastUsedStep === undefined ? -1 : twoFactor.lastUsedStep
+  );
+  if (step === null) return false;
+  twoFactor.lastUsedStep = step;
+  return true;
+};
 
 class AuthController {
   // Register new user
   async register(req, res) {
     try {
-      const { name, email, password, role = 'user' } = req.body;
+      const { name, email, password } = req.body;
 
       // Validate input
       if (!name || !email || !password) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Name, email, and password are required' 
+        return res.status(400).json({
+          success: false,
+          message: 'Name, email, and password are required'
         });
       }
 
       // Check if user already exists
-      const existingUser = await User.findOne({ email });
+      const existingUser = await User.findByEmail(email);
       if (existingUser) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'User with this email already exists' 
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
         });
       }
 
       // Hash password
-      const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 10;
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
+      const hashedPassword = await bcrypt.hash(password, getSaltRounds());
 
-      // Create user
+      // Self-registration always creates a regular user
       const user = new User({
         name,
-        email,
-        password: hashedPassword,
-        role
+        email: email.trim().toLowerCase(),
+        password: hashedPassword
       });
 
       await user.save();
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
-
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
-        data: {
-          user: user.toSafeObject(),
-          token
-        }
+        token: await startSession(req, res, user),
+        user: await withPermissions(user)
       });
     } catch (error) {
-      console.error('Registration error:', error);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Server error during registration' 
+      logger.error('Registration error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error during registration'
       });
     }
   }
@@ -71,50 +220,154 @@ class AuthController {
 
       // Validate input
       if (!email || !password) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Email and password are required' 
+        return res.status(400).json({
+          success: false,
+          message: 'Email and password are required'
         });
       }
 
+      if (await rejectIfThrottled(req, res, email)) return;
+
       // Find user
-      const user = await User.findOne({ email });
+      const user = await User.findByEmail(email);
       if (!user) {
-        return res.status(401).json({ 
-          success: false, 
-          message: 'Invalid email or password' 
+        await lockoutService.recordFailure({ email, ip: req.ip });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
         });
       }
 
       // Check password
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
-        return res.status(401).json({ 
-          success: false, 
-          message: 'Invalid email or password' 
+        await lockoutService.recordFailure({ email, ip: req.ip, user });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
         });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
+      if (rejectIfInactive(res, user)) return;
 
+      // Second step: the client asks for a code and calls /login/2fa
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: signChallenge(user),
+          message: 'Enter the code from your authenticator app'
+        });
+      }
+
+      await lockoutService.clearAccount(email);
       res.json({
         success: true,
         message: 'Login successful',
-        data: {
-          user: user.toSafeObject(),
-          token
-        }
+        token: await startSession(req, res, user),
+        user: await withPermissions(user)
+      });
+    } catch (error) {
+      logger.error('Login error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error during login'
+      });
+    }
+  }
+
+  // Finish a two-factor login with an authenticator, recovery or email code
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code, method = 'totp' } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification code is required'
+        });
+      }
+
+      const userId = readChallenge(challengeToken);
+      const user = userId && await User.findById(userId).select(User.TWO_FACTOR_SECRETS);
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(401).json({
+          success: false,
+          message: 'Your sign-in attempt has expired. Please log in again.'
+        });
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (await rejectIfThrottled(req, res, user.email)) return;
+
+      const verified = verifySecondFactor(user, method, code);
+      await user.save();
+
+      if (!verified) {
+        await lockoutService.recordFailure({ email: user.email, ip: req.ip, user });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+
+      await lockoutService.clearAccount(user.email);
+      // Deactivated since the password step
+      if (rejectIfInactive(res, user)) return;
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        token: await startSession(req, res, user),
+        user: await withPermissions(user),
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+      });
+    } catch (error) {
+      logger.error('Two-factor login error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error during login'
+      });
+    }
+  }
+
+  // Email a one-time sign-in code to an account that can't use its authenticator
+  async sendTwoFactorEmailCode(req, res) {
+    try {
+      const userId = readChallenge(req.body.challengeToken);
+      const user = userId && await User.findById(userId).select(User.TWO_FACTOR_SECRETS);
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(401).json({
+          success: false,
+          message: 'Your sign-in attempt has expired. Please log in again.'
+        });
+      }
+
+      const code = twoFactorService.generateEmailCode();
+      user.twoFactor.emailCodeHash = twoFactorService.hashCode(code);
+      user.twoFactor.emailCodeExpires = new Date(Date.now() + 600000); // 10 minutes
+      user.twoFactor.emailCodeAttempts = 0;
+      await user.save();
+
+      try {
+        await emailService.sendOTPEmail(user.email, code);
+      } catch (emailError) {
+        logger.error('Email sending error', { error: emailError });
+        return res.status(500).json({
+          success: false,
+          message: 'The code could not be emailed. Please use a recovery code instead.'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `A sign-in code has been sent to ${maskEmail(user.email)}`
       });
     } catch (error) {
-      console.error('Login error:', error);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Server error during login' 
+      logger.error('Two-factor email code error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while sending the sign-in code'
       });
     }
   }
@@ -124,69 +377,113 @@ class AuthController {
     try {
       const user = await User.findById(req.user.userId);
       if (!user) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'User not found' 
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
         });
       }
 
       res.json({
-        success: true,
-        data: {
-          user: user.toSafeObject()
-        }
+        ...user.toSafeObject(),
+        ...await Role.getUserAccess(user)
       });
     } catch (error) {
-      console.error('Get profile error:', error);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Server error while fetching profile' 
+      logger.error('Get profile error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching profile'
       });
     }
   }
 
-  // Update user profile
+  // Update current user profile
   async updateProfile(req, res) {
     try {
       const { name, email } = req.body;
       const userId = req.user.userId;
 
+      if (!name || !email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name and email are required'
+        });
+      }
+
       const user = await User.findById(userId);
       if (!user) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'User not found' 
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
         });
       }
 
       // Check if email is being changed and if it's already taken
-      if (email && email !== user.email) {
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-          return res.status(400).json({ 
-            success: false, 
-            message: 'Email is already taken' 
+      const normalizedEmail = email.trim().toLowerCase();
+      if (normalizedEmail !== user.email) {
+        const existingUser = await User.findByEmail(normalizedEmail);
+        if (existingUser && existingUser.id !== user.id) {
+          return res.status(400).json({
+            success: false,
+            message: 'This email is already taken by another user'
           });
         }
-        user.email = email;
+        user.email = normalizedEmail;
       }
 
-      if (name) user.name = name;
-
+      user.name = name.trim();
       await user.save();
 
+      emitEvent(req, 'admin-profile-updated', {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        updatedAt: new Date()
+      }, 'admin');
+
       res.json({
         success: true,
         message: 'Profile updated successfully',
-        data: {
-          user: user.toSafeObject()
-        }
+        user: user.toSafeObject()
       });
     } catch (error) {
-      console.error('Update profile error:', error);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Server error while updating profile' 
+      logger.error('Update profile error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while updating profile'
+      });
+    }
+  }
+
+  // Save the signed-in account's interface preferences ({ language })
+  async updatePreferences(req, res) {
+    try {
+      const { language } = req.body;
+
+      if (!User.LANGUAGES.includes(language)) {
+        return res.status(400).json({
+          success: false,
+          message: `Language must be one of: ${User.LANGUAGES.join(', ')}`
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(req.user.userId, { language }, { new: true });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Preferences saved',
+        language: user.language
+      });
+    } catch (error) {
+      logger.error('Update preferences error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while saving preferences'
       });
     }
   }
@@ -198,169 +495,481 @@ class AuthController {
       const userId = req.user.userId;
 
       if (!currentPassword || !newPassword) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Current password and new password are required' 
+        return res.status(400).json({
+          success: false,
+          message: 'Current password and new password are required'
+        });
+      }
+
+      if (newPassword.length < 8) {
+        return res.status(400).json({
+          success: false,
+          message: 'New password must be at least 8 characters long'
         });
       }
 
       const user = await User.findById(userId);
       if (!user) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'User not found' 
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
         });
       }
 
       // Verify current password
       const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
       if (!isCurrentPasswordValid) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Current password is incorrect' 
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
         });
       }
 
       // Hash new password
-      const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 10;
-      user.password = await bcrypt.hash(newPassword, saltRounds);
+      user.password = await bcrypt.hash(newPassword, getSaltRounds());
       await user.save();
 
+      // Sign out every other device; this one stays signed in
+      await Session.revokeForUser(user._id, { except: req.user.sessionId });
+
+      emitEvent(req, 'admin-password-changed', {
+        id: user._id,
+        updatedAt: new Date()
+      }, 'admin');
+
       res.json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully. Other devices have been signed out.'
       });
     } catch (error) {
-      console.error('Change password error:', error);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Server error while changing password' 
+      logger.error('Change password error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while changing password'
       });
     }
   }
 
-  // Request password reset
-  async requestPasswordReset(req, res) {
+  // Request password reset (emails a one-hour reset link)
+  async forgotPassword(req, res) {
     try {
       const { email } = req.body;
 
       if (!email) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Email is required' 
+        return res.status(400).json({
+          success: false,
+          message: 'Email is required'
         });
       }
 
-      const user = await User.findOne({ email });
+      const user = await User.findByEmail(email);
       if (!user) {
-        // Don't reveal if email exists or not for security
-        return res.json({
-          success: true,
-          message: 'If the email exists, a password reset link has been sent'
+        return res.status(404).json({
+          success: false,
+          message: 'No account found with this email address'
         });
       }
 
-      // Generate reset token
-      const resetToken = jwt.sign(
-        { userId: user._id },
-        process.env.JWT_SECRET,
-        { expiresIn: '1h' }
-      );
-
-      // Save reset token to user
-      user.resetPasswordToken = resetToken;
+      // Generate reset token and store only its hash
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      user.resetPasswordToken = hashToken(resetToken);
       user.resetPasswordExpires = new Date(Date.now() + 3600000); // 1 hour
       await user.save();
 
-      // Send reset email
+      const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+      let emailSent = false;
       try {
-        await sendPasswordResetEmail(user.email, resetToken);
-        res.json({
-          success: true,
-          message: 'Password reset link sent to your email'
-        });
+        await emailService.sendPasswordResetEmail(user.email, resetToken);
+        emailSent = true;
       } catch (emailError) {
-        console.error('Email sending error:', emailError);
-        res.status(500).json({
+        logger.error('Email sending error', { error: emailError });
+      }
+
+      res.json({
+        success: emailSent,
+        emailSent,
+        message: emailSent
+          ? 'Password reset link has been sent to your email address. Please check your inbox.'
+          : 'Password reset link could not be sent. Please try again later.',
+        // Only hand the link back directly when email is unavailable outside production
+        resetUrl: !emailSent && process.env.NODE_ENV !== 'production' ? resetUrl : undefined
+      });
+    } catch (error) {
+      logger.error('Request password reset error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error during password reset'
+      });
+    }
+  }
+
+  // Verify a reset token before showing the new password form
+  async verifyResetToken(req, res) {
+    try {
+      const { token } = req.params;
+
+      const user = await User.findOne({
+        resetPasswordToken: hashToken(token),
+        resetPasswordExpires: { $gt: new Date() }
+      });
+
+      if (!user) {
+        return res.status(400).json({
           success: false,
-          message: 'Failed to send password reset email'
+          message: 'Invalid or expired reset token'
         });
       }
+
+      res.json({
+        success: true,
+        message: 'Reset token is valid',
+        email: user.email,
+        name: user.name
+      });
     } catch (error) {
-      console.error('Request password reset error:', error);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Server error while processing password reset request' 
+      logger.error('Verify reset token error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error during token verification'
       });
     }
   }
 
-  // Reset password
+  // Reset password (token from the URL or the request body)
   async resetPassword(req, res) {
     try {
-      const { token, newPassword } = req.body;
+      const token = req.params.token || req.body.token;
+      const { newPassword } = req.body;
 
       if (!token || !newPassword) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Token and new password are required' 
+        return res.status(400).json({
+          success: false,
+          message: 'Reset token and new password are required'
+        });
+      }
+
+      if (newPassword.length < 8) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password must be at least 8 characters long'
         });
       }
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findOne({
-        _id: decoded.userId,
-        resetPasswordToken: token,
+        resetPasswordToken: hashToken(token),
         resetPasswordExpires: { $gt: new Date() }
       });
 
       if (!user) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Invalid or expired reset token' 
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token. Please request a new password reset.'
         });
       }
 
-      // Hash new password
-      const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 10;
-      user.password = await bcrypt.hash(newPassword, saltRounds);
+      // Hash new password and clear the reset token
+      user.password = await bcrypt.hash(newPassword, getSaltRounds());
       user.resetPasswordToken = undefined;
       user.resetPasswordExpires = undefined;
       await user.save();
 
+      // Whoever knew the old password is signed out everywhere, and the
+      // owner no longer has to wait out a lockout
+      await Session.revokeForUser(user._id);
+      await lockoutService.clearAccount(user.email);
+
       res.json({
         success: true,
-        message: 'Password reset successfully'
+        message: 'Password has been reset successfully. You can now login with your new password.'
       });
     } catch (error) {
-      console.error('Reset password error:', error);
-      if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Invalid or expired reset token' 
+      logger.error('Reset password error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while resetting password'
+      });
+    }
+  }
+
+  // Send a password reset code by SMS to a verified phone number (alternative to email)
+  async sendSmsOtp(req, res) {
+    try {
+      const phoneNumber = normalizePhone(req.body.phoneNumber);
+      if (!phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid phone number is required'
+        });
+      }
+
+      const user = await User.findOne({ phoneNumber, isActive: true });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'No account found with this phone number'
         });
       }
-      res.status(500).json({ 
-        success: false, 
-        message: 'Server error while resetting password' 
+
+      const { code, retryAfter } = await OneTimeCode.issue({
+        user: user._id,
+        purpose: 'reset-password',
+        phoneNumber
+      });
+      if (!code) {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another code.`,
+          retryAfter
+        });
+      }
+
+      const smsResult = await smsService.sendOTPSMS(phoneNumber, code);
+
+      res.json({
+        success: true,
+        message: `A verification code has been sent to ${maskPhone(phoneNumber)}.`,
+        smsSent: smsResult.success,
+        expiresInMinutes: smsConfig.otp.ttlMinutes
+      });
+    } catch (error) {
+      logger.error('SMS OTP error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send SMS OTP. Please try email method.'
+      });
+    }
+  }
+
+  // Check an SMS code; a correct code is exchanged for a short-lived reset token
+  async verifySmsOtp(req, res) {
+    try {
+      const phoneNumber = normalizePhone(req.body.phoneNumber);
+      const { code } = req.body;
+      if (!phoneNumber || !code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Phone number and code are required'
+        });
+      }
+
+      const user = await User.findOne({ phoneNumber, isActive: true });
+      const result = user
+        ? await OneTimeCode.verify({ user: user._id, purpose: 'reset-password', code })
+        : { error: 'expired' };
+
+      if (result.error) {
+        return res.status(result.error === 'locked' ? 429 : 400).json({
+          success: false,
+          message: OneTimeCode.errorMessage(result),
+          attemptsLeft: result.attemptsLeft
+        });
+      }
+
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      user.resetPasswordToken = hashToken(resetToken);
+      user.resetPasswordExpires = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Code verified. You can now choose a new password.',
+        resetToken
+      });
+    } catch (error) {
+      logger.error('Verify SMS OTP error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error during code verification'
       });
     }
   }
 
-  // Logout (client-side token removal, but we can add token blacklisting here if needed)
+  // Exchange the refresh cookie for a new access token, rotating the cookie
+  async refresh(req, res) {
+    try {
+      const refreshToken = readRefreshToken(req);
+      if (!refreshToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token required'
+        });
+      }
+
+      const session = await Session.findById(refreshToken.sessionId).catch(() => null);
+      if (!session || !session.isActive()) {
+        clearRefreshCookie(res);
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired. Please log in again.'
+        });
+      }
+
+      const presentedHash = hashToken(refreshToken.secret);
+      let rotate = true;
+
+      if (presentedHash !== session.tokenHash) {
+        const withinGrace = presentedHash === session.previousTokenHash &&
+          session.rotatedAt &&
+          Date.now() - session.rotatedAt.getTime() < sessionConfig.rotationGraceMs;
+
+        if (!withinGrace) {
+          // An old token being replayed means it was copied; end the session
+          if (presentedHash === session.previousTokenHash) {
+            session.revokedAt = new Date();
+            await session.save();
+          }
+          clearRefreshCookie(res);
+          return res.status(401).json({
+            success: false,
+            message: 'Session expired. Please log in again.'
+          });
+        }
+
+        // Another tab refreshed a moment ago and already holds the new cookie
+        rotate = false;
+      }
+
+      const user = await User.findById(session.user);
+      if (!user || !user.isActive) {
+        session.revokedAt = new Date();
+        await session.save();
+        clearRefreshCookie(res);
+        return res.status(401).json({
+          success: false,
+          message: 'Account is no longer available'
+        });
+      }
+
+      session.lastUsedAt = new Date();
+      session.ip = req.ip;
+      if (rotate) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        session.previousTokenHash = session.tokenHash;
+        session.tokenHash = hashToken(secret);
+        session.rotatedAt = new Date();
+        session.expiresAt = refreshExpiry();
+        setRefreshCookie(res, session, secret);
+      }
+      await session.save();
+
+      res.json({
+        success: true,
+        token: signToken(user, session),
+        user: await withPermissions(user)
+      });
+    } catch (error) {
+      logger.error('Refresh token error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while refreshing session'
+      });
+    }
+  }
+
+  // Sign-in sessions of the current user, newest activity first
+  async getSessions(req, res) {
+    try {
+      const sessions = await Session.find({
+        user: req.user.userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastUsedAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => ({
+            id: session.id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            current: session.id === req.user.sessionId
+          }))
+        }
+      });
+    } catch (error) {
+      logger.error('Get sessions error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching sessions'
+      });
+    }
+  }
+
+  // Sign out one of the current user's devices
+  async revokeSession(req, res) {
+    try {
+      const session = await Session.findActive(req.params.id, req.user.userId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      session.revokedAt = new Date();
+      await session.save();
+
+      if (session.id === req.user.sessionId) {
+        clearRefreshCookie(res);
+      }
+
+      res.json({
+        success: true,
+        message: 'Device signed out'
+      });
+    } catch (error) {
+      logger.error('Revoke session error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while signing out device'
+      });
+    }
+  }
+
+  // Log out this device. Works from the refresh cookie, so an expired
+  // access token doesn't prevent signing out.
   async logout(req, res) {
     try {
-      // In a more advanced implementation, you might want to blacklist the token
+      const refreshToken = readRefreshToken(req);
+      const sessionId = refreshToken ? refreshToken.sessionId : req.user && req.user.sessionId;
+
+      if (sessionId && mongoose.Types.ObjectId.isValid(sessionId)) {
+        await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+      }
+
+      clearRefreshCookie(res);
       res.json({
         success: true,
         message: 'Logged out successfully'
       });
     } catch (error) {
-      console.error('Logout error:', error);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Server error during logout' 
+      logger.error('Logout error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error during logout'
+      });
+    }
+  }
+
+  // Log out every device, including this one
+  async logoutAll(req, res) {
+    try {
+      const result = await Session.revokeForUser(req.user.userId);
+
+      clearRefreshCookie(res);
+      res.json({
+        success: true,
+        message: 'Logged out of all devices',
+        revoked: result.modifiedCount
+      });
+    } catch (error) {
+      logger.error('Logout all error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error during logout'
       });
     }
   }
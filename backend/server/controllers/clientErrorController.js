@@ -0,0 +1,54 @@
+const logger = require('../logger');
+const loggingConfig = require('../config/logging');
+
+// Where the frontend caught the error
+const SOURCES = ['logger', 'boundary', 'window', 'promise'];
+
+const text = (value, maxLength) =>
+  (typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : undefined);
+
+class ClientErrorController {
+  // Log an error reported by the frontend (logger.error, error boundaries and
+  // uncaught errors) next to the server's own entries
+  async report(req, res) {
+    try {
+      const { maxMessageLength, maxStackLength } = loggingConfig.clientErrors;
+      const body = req.body || {};
+      const message = text(body.message, maxMessageLength);
+
+      if (!message) {
+        return res.status(400).json({
+          success: false,
+          message: 'Error message is required'
+        });
+      }
+
+      logger.error('Client error', {
+        source: SOURCES.includes(body.source) ? body.source : 'logger',
+        clientMessage: message,
+        stack: text(body.stack, maxStackLength),
+        componentStack: text(body.componentStack, maxStackLength),
+        page: text(body.url, maxMessageLength),
+        // ID of the API request that failed, when the error came from one
+        apiRequestId: text(body.requestId, 64),
+        context: body.context && typeof body.context === 'object' ? body.context : undefined,
+        userAgent: text(req.get('User-Agent'), maxMessageLength),
+        ip: req.ip,
+        ...(req.user && { userId: req.user.userId })
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Error reported'
+      });
+    } catch (error) {
+      logger.error('Report client error error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while reporting error'
+      });
+    }
+  }
+}
+
+module.exports = new ClientErrorController();
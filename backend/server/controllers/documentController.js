@@ -0,0 +1,196 @@
+const Member = require('../models/Member');
+const DuesPayment = require('../models/DuesPayment');
+const Certificate = require('../models/Certificate');
+const Counter = require('../models/Counter');
+const pdfService = require('../pdfService');
+const logger = require('../logger');
+
+// Next certificate number for the current year (e.g. CERT-2024-00003)
+const nextCertificateNumber = async () => {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`certificate-${year}`);
+  return `CERT-${year}-${String(seq).padStart(5, '0')}`;
+};
+
+// Reuse the certificate already issued for the member's current term and details,
+// or issue a new one (after a renewal, tier change or rename)
+const getCurrentCertificate = async (member, issuedBy) => {
+  if (!member.membershipNumber || !member.isMembershipActive) {
+    const error = new Error('Certificates are only available to members in good standing');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const validUntil = member.membershipExpiry || null;
+  const existing = await Certificate.findOne({
+    member: member._id,
+    validUntil,
+    membershipTier: member.membershipTier,
+    companyName: member.companyName
+  }).sort({ issuedAt: -1 });
+
+  if (existing) return existing;
+
+  return Certificate.create({
+    certificateNumber: await nextCertificateNumber(),
+    member: member._id,
+    membershipNumber: member.membershipNumber,
+    companyName: member.companyName,
+    membershipTier: member.membershipTier,
+    validUntil,
+    issuedBy
+  });
+};
+
+const sendPdf = (res, buffer, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.send(buffer);
+};
+
+const sendCertificate = async (res, member, issuedBy) => {
+  const certificate = await getCurrentCertificate(member, issuedBy);
+  const pdf = await pdfService.buildCertificate(certificate);
+  sendPdf(res, pdf, `${certificate.certificateNumber}.pdf`);
+};
+
+const sendReceipt = async (res, member, paymentId) => {
+  const payment = await DuesPayment.findOne({ _id: paymentId, member: member._id });
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+  }
+
+  const pdf = await pdfService.buildReceipt(member, payment);
+  sendPdf(res, pdf, `${payment.receiptNumber}.pdf`);
+};
+
+const handleDocumentError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+class DocumentController {
+  // Download the membership certificate for any member (admin only)
+  async getMemberCertificate(req, res) {
+    try {
+      const member = await Member.findById(req.params.id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      await sendCertificate(res, member, req.user.userId);
+    } catch (error) {
+      logger.error('Get member certificate error', { error });
+      handleDocumentError(res, error, 'Server error while generating certificate');
+    }
+  }
+
+  // Download the signed-in member's own certificate
+  async getMyCertificate(req, res) {
+    try {
+      const member = await Member.findOne({ user: req.user.userId });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'You have not applied for membership yet'
+        });
+      }
+
+      await sendCertificate(res, member);
+    } catch (error) {
+      logger.error('Get my certificate error', { error });
+      handleDocumentError(res, error, 'Server error while generating certificate');
+    }
+  }
+
+  // Download a dues receipt for any member (admin only)
+  async getPaymentReceipt(req, res) {
+    try {
+      const member = await Member.findById(req.params.id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      await sendReceipt(res, member, req.params.paymentId);
+    } catch (error) {
+      logger.error('Get payment receipt error', { error });
+      handleDocumentError(res, error, 'Server error while generating receipt');
+    }
+  }
+
+  // Download one of the signed-in member's own dues receipts
+  async getMyPaymentReceipt(req, res) {
+    try {
+      const member = await Member.findOne({ user: req.user.userId });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      await sendReceipt(res, member, req.params.paymentId);
+    } catch (error) {
+      logger.error('Get my payment receipt error', { error });
+      handleDocumentError(res, error, 'Server error while generating receipt');
+    }
+  }
+
+  // Check a certificate's authenticity (public).
+  // A certificate is valid while it is unexpired and the member is still in good standing.
+  async verifyCertificate(req, res) {
+    try {
+      const certificateNumber = String(req.params.certificateNo).trim().toUpperCase();
+      const certificate = await Certificate.findOne({ certificateNumber });
+
+      if (!certificate) {
+        return res.status(404).json({
+          success: false,
+          message: 'No certificate was issued with this number'
+        });
+      }
+
+      const member = await Member.findById(certificate.member);
+      const membershipState = member ? Member.getMembershipState(member) : 'none';
+
+      let reason = '';
+      if (!member || member.status !== 'approved') {
+        reason = 'This business is no longer a registered member of the chamber';
+      } else if (certificate.validUntil && certificate.validUntil < new Date()) {
+        reason = 'This certificate has expired';
+      } else if (membershipState === 'lapsed') {
+        reason = 'This membership has lapsed';
+      }
+
+      res.json({
+        success: true,
+        data: {
+          valid: !reason,
+          reason,
+          membershipState,
+          certificate: certificate.toVerificationObject()
+        }
+      });
+    } catch (error) {
+      logger.error('Verify certificate error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while verifying certificate'
+      });
+    }
+  }
+}
+
+module.exports = new DocumentController();
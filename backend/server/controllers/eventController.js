@@ -0,0 +1,604 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const Member = require('../models/Member');
+const User = require('../models/User');
+const emailService = require('../emailService');
+const auditService = require('../auditService');
+const parseBoolean = require('../utils/parseBoolean');
+const { toCsv } = require('../utils/csv');
+const logger = require('../logger');
+
+// Most events one calendar request returns
+const MAX_EVENTS = 200;
+
+const attendeeColumns = [
+  { header: 'Status', value: registration => registration.status },
+  { header: 'Name', value: registration => registration.name },
+  { header: 'Email', value: registration => registration.email },
+  { header: 'Phone', value: registration => registration.phone },
+  { header: 'Company', value: registration => registration.companyName },
+  { header: 'Membership Number', value: registration => registration.membershipNumber },
+  { header: 'Registered At', value: registration => registration.registeredAt },
+  { header: 'Confirmed At', value: registration => registration.confirmedAt }
+];
+
+// Public view of an event with its seat and waitlist counts
+const toEventSummary = (event, waitlistCount = 0) => ({
+  ...(typeof event.toObject === 'function' ? event.toObject() : event),
+  spotsLeft: Event.getSpotsLeft(event),
+  waitlistCount,
+  registrationOpen: Event.isRegistrationOpen(event)
+});
+
+// Waitlist sizes for a set of events, keyed by event id
+const countWaitlists = async (eventIds) => {
+  const counts = await EventRegistration.aggregate([
+    { $match: { event: { $in: eventIds }, status: 'waitlisted' } },
+    { $group: { _id: '$event', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(count => [String(count._id), count.count]));
+};
+
+// Let the attendee know where their registration stands; failures are only logged
+const notifyRegistration = (registration, event, status) => {
+  emailService.sendEventRegistrationEmail(registration.email, {
+    name: registration.name,
+    event,
+    status
+  }).catch(error => logger.error('Event registration email failed', { error }));
+};
+
+// Take one confirmed seat if the event has room. The capacity check and the
+// increment happen in one update so concurrent registrations can't overbook.
+const claimSeat = async (eventId) => {
+  const event = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      $expr: {
+        $or: [
+          { $lte: ['$capacity', 0] },
+          { $lt: ['$confirmedCount', '$capacity'] }
+        ]
+      }
+    },
+    { $inc: { confirmedCount: 1 } },
+    { new: true }
+  );
+  return Boolean(event);
+};
+
+const releaseSeat = (eventId) =>
+  Event.updateOne({ _id: eventId, confirmedCount: { $gt: 0 } }, { $inc: { confirmedCount: -1 } });
+
+// Confirm waitlisted registrations, oldest first, while seats are free
+const promoteWaitlist = async (event) => {
+  for (;;) {
+    const next = await EventRegistration.findOne({ event: event._id, status: 'waitlisted' })
+      .sort({ registeredAt: 1 });
+    if (!next || !await claimSeat(event._id)) return;
+
+    // Another request may have promoted or cancelled it meanwhile
+    const promoted = await EventRegistration.findOneAndUpdate(
+      { _id: next._id, status: 'waitlisted' },
+      { status: 'confirmed', confirmedAt: new Date() },
+      { new: true }
+    );
+    if (!promoted) {
+      await releaseSeat(event._id);
+      continue;
+    }
+
+    notifyRegistration(promoted, event, 'promoted');
+  }
+};
+
+// Validated event fields from a request body; throws with statusCode 400
+const readEventFields = (body, existing) => {
+  const fields = {};
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  ['title', 'venue'].forEach(field => {
+    if (body[field] !== undefined || !existing) {
+      if (!body[field]?.trim()) fail(`Event ${field} is required`);
+      fields[field] = body[field].trim();
+    }
+  });
+
+  if (body.description !== undefined) fields.description = body.description.trim();
+
+  ['startsAt', 'endsAt', 'registrationDeadline'].forEach(field => {
+    if (body[field] === undefined) return;
+    const date = body[field] ? new Date(body[field]) : null;
+    if (date && Number.isNaN(date.getTime())) fail(`Invalid ${field}`);
+    fields[field] = date;
+  });
+
+  ['capacity', 'fee'].forEach(field => {
+    if (body[field] === undefined) return;
+    const number = Number(body[field] || 0);
+    if (!Number.isFinite(number) || number < 0) fail(`${field} must be zero or more`);
+    fields[field] = field === 'capacity' ? Math.floor(number) : number;
+  });
+
+  ['membersOnly', 'isPublished'].forEach(field => {
+    const value = parseBoolean(body[field]);
+    if (value !== undefined) fields[field] = value;
+  });
+
+  const startsAt = fields.startsAt || existing?.startsAt;
+  const endsAt = fields.endsAt || existing?.endsAt;
+  if (!startsAt || !endsAt) fail('Start and end times are required');
+  if (endsAt < startsAt) fail('The event must end after it starts');
+
+  const deadline = fields.registrationDeadline !== undefined
+    ? fields.registrationDeadline
+    : existing?.registrationDeadline;
+  if (deadline && deadline > endsAt) fail('Registration must close before the event ends');
+
+  return fields;
+};
+
+const findEvent = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Event.findById(id);
+};
+
+class EventController {
+  // Published events overlapping ?from=&to= (ISO dates) for the calendar,
+  // or upcoming events when no range is given (public)
+  async getEvents(req, res) {
+    try {
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = req.query.to ? new Date(req.query.to) : null;
+
+      if (Number.isNaN(from.getTime()) || (to && Number.isNaN(to.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range'
+        });
+      }
+
+      const query = { isPublished: true, endsAt: { $gte: from } };
+      if (to) query.startsAt = { $lte: to };
+
+      const events = await Event.find(query)
+        .sort({ startsAt: 1 })
+        .limit(MAX_EVENTS)
+        .select('-__v -createdBy')
+        .lean();
+      const waitlists = await countWaitlists(events.map(event => event._id));
+
+      res.json({
+        success: true,
+        data: {
+          events: events.map(event => toEventSummary(event, waitlists.get(String(event._id))))
+        }
+      });
+    } catch (error) {
+      logger.error('Get events error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching events'
+      });
+    }
+  }
+
+  // One published event, with the signed-in account's registration if any
+  async getEventById(req, res) {
+    try {
+      const event = await findEvent(req.params.id);
+      if (!event || !event.isPublished) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const [waitlistCount, registration] = await Promise.all([
+        EventRegistration.countDocuments({ event: event._id, status: 'waitlisted' }),
+        req.user
+          ? EventRegistration.findOne({ event: event._id, user: req.user.userId, status: { $ne: 'cancelled' } })
+            .select('status registeredAt confirmedAt')
+            .lean()
+          : null
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          event: toEventSummary(event, waitlistCount),
+          registration
+        }
+      });
+    } catch (error) {
+      logger.error('Get event by ID error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching event'
+      });
+    }
+  }
+
+  // The signed-in account's current registrations, soonest event first
+  async getMyRegistrations(req, res) {
+    try {
+      const registrations = await EventRegistration.find({
+        user: req.user.userId,
+        status: { $ne: 'cancelled' }
+      })
+        .populate('event', 'title venue startsAt endsAt fee isPublished')
+        .lean();
+
+      res.json({
+        success: true,
+        data: {
+          registrations: registrations
+            .filter(registration => registration.event && registration.event.isPublished)
+            .sort((a, b) => new Date(a.event.startsAt) - new Date(b.event.startsAt))
+        }
+      });
+    } catch (error) {
+      logger.error('Get my event registrations error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching your registrations'
+      });
+    }
+  }
+
+  // Register the signed-in account. Takes a seat when one is free, otherwise
+  // joins the waitlist.
+  async register(req, res) {
+    let seatClaimed = false;
+    let event;
+
+    try {
+      event = await findEvent(req.params.id);
+      if (!event || !event.isPublished) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      if (!Event.isRegistrationOpen(event)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Registration for this event is closed'
+        });
+      }
+
+      const existing = await EventRegistration.findOne({ event: event._id, user: req.user.userId });
+      if (existing && existing.status !== 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: existing.status === 'confirmed'
+            ? 'You are already registered for this event'
+            : 'You are already on the waitlist for this event'
+        });
+      }
+
+      const [user, member] = await Promise.all([
+        User.findById(req.user.userId).select('name email phoneNumber'),
+        Member.findOne({ user: req.user.userId })
+      ]);
+
+      const inGoodStanding = member && ['active', 'grace'].includes(Member.getMembershipState(member));
+      if (event.membersOnly && !inGoodStanding) {
+        return res.status(403).json({
+          success: false,
+          message: 'This event is open to chamber members in good standing only'
+        });
+      }
+
+      seatClaimed = await claimSeat(event._id);
+      const now = new Date();
+      const details = {
+        name: user.name,
+        email: user.email,
+        phone: user.phoneNumber || member?.contactPerson?.phone,
+        member: inGoodStanding ? member._id : null,
+        companyName: inGoodStanding ? member.companyName : undefined,
+        membershipNumber: inGoodStanding ? member.membershipNumber : undefined,
+        status: seatClaimed ? 'confirmed' : 'waitlisted',
+        registeredAt: now,
+        confirmedAt: seatClaimed ? now : undefined,
+        cancelledAt: undefined,
+        reminderSentAt: undefined
+      };
+
+      let registration;
+      if (existing) {
+        Object.assign(existing, details);
+        registration = await existing.save();
+      } else {
+        registration = await EventRegistration.create({ event: event._id, user: req.user.userId, ...details });
+      }
+
+      notifyRegistration(registration, event, registration.status);
+
+      res.status(201).json({
+        success: true,
+        message: seatClaimed
+          ? 'You are registered for this event'
+          : 'The event is full; you have been added to the waitlist',
+        registration: {
+          _id: registration._id,
+          status: registration.status,
+          registeredAt: registration.registeredAt,
+          confirmedAt: registration.confirmedAt
+        }
+      });
+    } catch (error) {
+      if (seatClaimed) await releaseSeat(event._id);
+
+      // Two registrations from the same account raced each other
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You are already registered for this event'
+        });
+      }
+
+      logger.error('Event registration error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while registering for the event'
+      });
+    }
+  }
+
+  // Cancel the signed-in account's registration; a freed seat goes to the waitlist
+  async cancelRegistration(req, res) {
+    try {
+      const event = await findEvent(req.params.id);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const registration = await EventRegistration.findOneAndUpdate(
+        { event: event._id, user: req.user.userId, status: { $ne: 'cancelled' } },
+        { status: 'cancelled', cancelledAt: new Date() }
+      );
+
+      if (!registration) {
+        return res.status(404).json({
+          success: false,
+          message: 'You are not registered for this event'
+        });
+      }
+
+      if (registration.status === 'confirmed') {
+        await releaseSeat(event._id);
+        await promoteWaitlist(event);
+      }
+
+      res.json({
+        success: true,
+        message: 'Your registration has been cancelled'
+      });
+    } catch (error) {
+      logger.error('Cancel event registration error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while cancelling the registration'
+      });
+    }
+  }
+
+  // Every event including unpublished ones, newest first (admin only)
+  async getEventsAdmin(req, res) {
+    try {
+      const events = await Event.find().sort({ startsAt: -1 }).lean();
+      const waitlists = await countWaitlists(events.map(event => event._id));
+
+      res.json({
+        success: true,
+        data: {
+          events: events.map(event => toEventSummary(event, waitlists.get(String(event._id))))
+        }
+      });
+    } catch (error) {
+      logger.error('Get admin events error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching events'
+      });
+    }
+  }
+
+  // Create an event (admin only)
+  async createEvent(req, res) {
+    try {
+      const event = new Event({
+        ...readEventFields(req.body, null),
+        createdBy: req.user.name || req.user.email
+      });
+      await event.save();
+
+      auditService.record(req, {
+        action: 'create',
+        entityType: 'event',
+        entityId: event._id,
+        entityLabel: event.title,
+        after: event
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Event created successfully',
+        event: toEventSummary(event)
+      });
+    } catch (error) {
+      logger.error('Create event error', { error });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while creating event'
+      });
+    }
+  }
+
+  // Update an event (admin only). Raising the capacity confirms people from
+  // the waitlist; it can't go below the number already confirmed.
+  async updateEvent(req, res) {
+    try {
+      const event = await findEvent(req.params.id);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const fields = readEventFields(req.body, event);
+      if (fields.capacity > 0 && fields.capacity < event.confirmedCount) {
+        return res.status(400).json({
+          success: false,
+          message: `${event.confirmedCount} people are already confirmed; cancel registrations before lowering the capacity`
+        });
+      }
+
+      const before = auditService.snapshot(event);
+      // confirmedCount is only ever changed atomically
+      const updated = await Event.findByIdAndUpdate(event._id, { ...fields, updatedAt: new Date() }, { new: true });
+      await promoteWaitlist(updated);
+
+      auditService.record(req, {
+        action: 'update',
+        entityType: 'event',
+        entityId: updated._id,
+        entityLabel: updated.title,
+        before,
+        after: updated
+      });
+
+      const waitlistCount = await EventRegistration.countDocuments({ event: updated._id, status: 'waitlisted' });
+      res.json({
+        success: true,
+        message: 'Event updated successfully',
+        event: toEventSummary(await Event.findById(updated._id), waitlistCount)
+      });
+    } catch (error) {
+      logger.error('Update event error', { error });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while updating event'
+      });
+    }
+  }
+
+  // Delete an event and its registrations (admin only)
+  async deleteEvent(req, res) {
+    try {
+      const event = await findEvent(req.params.id);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      await EventRegistration.deleteMany({ event: event._id });
+      await Event.findByIdAndDelete(event._id);
+
+      auditService.record(req, {
+        action: 'delete',
+        entityType: 'event',
+        entityId: event._id,
+        entityLabel: event.title,
+        before: event
+      });
+
+      res.json({
+        success: true,
+        message: 'Event deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete event error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while deleting event'
+      });
+    }
+  }
+
+  // Attendee list: confirmed first, then the waitlist in order, then cancellations (admin only)
+  async getRegistrations(req, res) {
+    try {
+      const event = await findEvent(req.params.id);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const registrations = await EventRegistration.find({ event: event._id })
+        .select('-__v')
+        .lean();
+
+      const rank = { confirmed: 0, waitlisted: 1, cancelled: 2 };
+      registrations.sort((a, b) =>
+        rank[a.status] - rank[b.status] || new Date(a.registeredAt) - new Date(b.registeredAt)
+      );
+
+      res.json({
+        success: true,
+        data: { event: toEventSummary(event), registrations }
+      });
+    } catch (error) {
+      logger.error('Get event registrations error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching registrations'
+      });
+    }
+  }
+
+  // Attendee list as CSV for the organizer (admin only)
+  async exportRegistrations(req, res) {
+    try {
+      const event = await findEvent(req.params.id);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const registrations = await EventRegistration.find({ event: event._id, status: { $ne: 'cancelled' } })
+        .sort({ status: 1, registeredAt: 1 })
+        .lean();
+
+      auditService.record(req, {
+        action: 'export',
+        entityType: 'event',
+        entityId: event._id,
+        entityLabel: event.title,
+        after: { attendees: registrations.length }
+      });
+
+      const date = event.startsAt.toISOString().split('T')[0];
+      const filename = `attendees-${date}-${event._id}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(toCsv(registrations, attendeeColumns));
+    } catch (error) {
+      logger.error('Export event registrations error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while exporting registrations'
+      });
+    }
+  }
+}
+
+module.exports = new EventController();
@@ -1,6 +1,23 @@
 const FormSubmission = require('../models/FormSubmission');
-const { uploadToCloudinary } = require('../middleware/cloudinaryUpload');
+const documentService = require('../documentService');
+const escapeRegex = require('../utils/escapeRegex');
+const auditService = require('../auditService');
 const fs = require('fs');
+const logger = require('../logger');
+
+// Submission details echoed back to the submitter, without the text read
+// from their PDF
+const toSubmissionResponse = (submission) => ({
+  id: submission._id,
+  name: submission.name,
+  email: submission.email,
+  phone: submission.phone,
+  message: submission.message,
+  category: submission.category,
+  address: submission.address,
+  pdfFile: submission.pdfFile && { ...submission.toObject().pdfFile, text: undefined },
+  submittedAt: submission.submittedAt
+});
 
 class FormController {
   // Submit form with file
@@ -28,19 +45,9 @@ class FormController {
       // Handle PDF file upload if present
       if (req.file) {
         try {
-          const cloudinaryResult = await uploadToCloudinary(req.file.path);
-          submissionData.pdfFile = {
-            publicId: cloudinaryResult.public_id,
-            originalName: req.file.originalname,
-            url: cloudinaryResult.secure_url,
-            size: cloudinaryResult.bytes,
-            mimetype: req.file.mimetype,
-          };
+          submissionData.pdfFile = await documentService.upload(req.file);
         } catch (uploadError) {
-          console.error('Cloudinary upload error:', uploadError);
-          if (fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-          }
+          logger.error('File upload error', { error: uploadError });
           return res.status(500).json({ 
             success: false, 
             message: 'Failed to upload PDF file' 
@@ -54,10 +61,10 @@ class FormController {
       res.status(201).json({
         success: true,
         message: 'Form submitted successfully',
-        data: { submission: submission.summary }
+        submission: toSubmissionResponse(submission)
       });
     } catch (error) {
-      console.error('Form submission with file error:', error);
+      logger.error('Form submission with file error', { error });
       if (req.file && fs.existsSync(req.file.path)) {
         fs.unlinkSync(req.file.path);
       }
@@ -95,10 +102,10 @@ class FormController {
       res.status(201).json({
         success: true,
         message: 'Form submitted successfully',
-        data: { submission: submission.summary }
+        submission: toSubmissionResponse(submission)
       });
     } catch (error) {
-      console.error('Form submission error:', error);
+      logger.error('Form submission error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error during form submission' 
@@ -106,11 +113,10 @@ class FormController {
     }
   }
 
-  // Get all form submissions (admin only)
+  // Get all form submissions (admin only). Returns a plain array, newest first.
   async getAllSubmissions(req, res) {
     try {
-      const { page = 1, limit = 10, status, category, search } = req.query;
-      const skip = (page - 1) * limit;
+      const { status, category, search } = req.query;
 
       // Build query
       let query = {};
@@ -124,36 +130,24 @@ class FormController {
       }
       
       if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
         query.$or = [
-          { name: { $regex: search, $options: 'i' } },
-          { email: { $regex: search, $options: 'i' } },
-          { message: { $regex: search, $options: 'i' } }
+          { name: pattern },
+          { email: pattern },
+          { message: pattern },
+          { 'pdfFile.originalName': pattern },
+          { 'pdfFile.text': pattern }
         ];
       }
 
       const submissions = await FormSubmission.find(query)
         .populate('reviewedBy', 'name email')
         .sort({ submittedAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
         .lean();
 
-      const total = await FormSubmission.countDocuments(query);
-
-      res.json({
-        success: true,
-        data: {
-          submissions,
-          pagination: {
-            current: parseInt(page),
-            pages: Math.ceil(total / limit),
-            total,
-            limit: parseInt(limit)
-          }
-        }
-      });
+      res.json(submissions);
     } catch (error) {
-      console.error('Get all submissions error:', error);
+      logger.error('Get all submissions error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching submissions' 
@@ -180,7 +174,7 @@ class FormController {
         data: { submission }
       });
     } catch (error) {
-      console.error('Get submission by ID error:', error);
+      logger.error('Get submission by ID error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching submission' 
@@ -210,6 +204,8 @@ class FormController {
         });
       }
 
+      const before = auditService.snapshot(submission);
+
       submission.status = status;
       submission.reviewedBy = reviewerId;
       submission.reviewedAt = new Date();
@@ -217,13 +213,22 @@ class FormController {
 
       await submission.save();
 
+      auditService.record(req, {
+        action: 'update',
+        entityType: 'submission',
+        entityId: submission._id,
+        entityLabel: submission.name,
+        before,
+        after: submission
+      });
+
       res.json({
         success: true,
         message: 'Submission status updated successfully',
         data: { submission }
       });
     } catch (error) {
-      console.error('Update submission status error:', error);
+      logger.error('Update submission status error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while updating submission status' 
@@ -244,20 +249,27 @@ class FormController {
         });
       }
 
-      // Delete PDF from Cloudinary if exists
+      // Delete the stored PDF if there is one
       if (submission.pdfFile && submission.pdfFile.publicId) {
-        const { deleteFromCloudinary } = require('../middleware/cloudinaryUpload');
-        await deleteFromCloudinary(submission.pdfFile.publicId);
+        await documentService.delete(submission.pdfFile);
       }
 
       await FormSubmission.findByIdAndDelete(id);
 
+      auditService.record(req, {
+        action: 'delete',
+        entityType: 'submission',
+        entityId: id,
+        entityLabel: submission.name,
+        before: submission
+      });
+
       res.json({
         success: true,
         message: 'Form submission deleted successfully'
       });
     } catch (error) {
-      console.error('Delete submission error:', error);
+      logger.error('Delete submission error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while deleting submission' 
@@ -302,7 +314,7 @@ class FormController {
         }
       });
     } catch (error) {
-      console.error('Get submissions by status error:', error);
+      logger.error('Get submissions by status error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching submissions by status' 
@@ -340,7 +352,7 @@ class FormController {
         }
       });
     } catch (error) {
-      console.error('Get submissions by category error:', error);
+      logger.error('Get submissions by category error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching submissions by category' 
@@ -384,7 +396,7 @@ class FormController {
         }
       });
     } catch (error) {
-      console.error('Get submission stats error:', error);
+      logger.error('Get submission stats error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching submission statistics' 
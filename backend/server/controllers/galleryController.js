@@ -1,13 +1,37 @@
+const mongoose = require('mongoose');
 const GalleryImage = require('../models/GalleryImage');
-const { uploadToCloudinary, deleteFromCloudinary } = require('../middleware/cloudinaryUpload');
+const Album = require('../models/Album');
+const imageService = require('../imageService');
+const storageConfig = require('../config/storage');
+const { emitEvent } = require('../socket');
+const auditService = require('../auditService');
+const searchService = require('../searchService');
+const escapeRegex = require('../utils/escapeRegex');
 const fs = require('fs');
+const logger = require('../logger');
+
+const VALID_CATEGORIES = ['meeting', 'event', 'conference'];
+
+// Album id from a request body: undefined when absent, null to leave the
+// album, otherwise the id of an existing album. Throws with statusCode 400.
+const resolveAlbum = async (album) => {
+  if (album === undefined) return undefined;
+  if (!album) return null;
+
+  const exists = mongoose.Types.ObjectId.isValid(album) && await Album.exists({ _id: album });
+  if (!exists) {
+    const error = new Error('Album not found');
+    error.statusCode = 400;
+    throw error;
+  }
+  return album;
+};
 
 class GalleryController {
-  // Get all gallery images (public)
+  // Get all active gallery images (public). Returns a plain array in display order.
   async getAllImages(req, res) {
     try {
-      const { page = 1, limit = 12, category, search } = req.query;
-      const skip = (page - 1) * limit;
+      const { category, search } = req.query;
 
       // Build query
       let query = { isActive: true };
@@ -17,35 +41,43 @@ class GalleryController {
       }
       
       if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
         query.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
+          { title: pattern },
+          { description: pattern },
+          { tags: { $in: [pattern] } }
         ];
       }
 
       const images = await GalleryImage.find(query)
         .sort({ order: 1, uploadedAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
+        .select('-__v')
         .lean();
 
-      const total = await GalleryImage.countDocuments(query);
-
-      res.json({
-        success: true,
-        data: {
-          images,
-          pagination: {
-            current: parseInt(page),
-            pages: Math.ceil(total / limit),
-            total,
-            limit: parseInt(limit)
-          }
-        }
+      // Disable caching so new uploads appear immediately across clients
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+      res.set('Pragma', 'no-cache');
+      res.set('Expires', '0');
+      res.json(images);
+    } catch (error) {
+      logger.error('Get all gallery images error', { error });
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while fetching gallery images' 
       });
+    }
+  }
+
+  // Get every gallery image including hidden ones (admin only)
+  async getAllImagesAdmin(req, res) {
+    try {
+      const images = await GalleryImage.find()
+        .sort({ order: 1, uploadedAt: -1 })
+        .lean();
+
+      res.json(images);
     } catch (error) {
-      console.error('Get all gallery images error:', error);
+      logger.error('Get gallery admin images error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching gallery images' 
@@ -81,7 +113,7 @@ class GalleryController {
         data: { image }
       });
     } catch (error) {
-      console.error('Get gallery image by ID error:', error);
+      logger.error('Get gallery image by ID error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching gallery image' 
@@ -92,75 +124,99 @@ class GalleryController {
   // Upload new gallery image (admin only)
   async uploadImage(req, res) {
     try {
-      const { title, description, altText, category = 'meeting', tags } = req.body;
-      const uploadedBy = req.user.userId;
+      const { title, description, altText, category = 'meeting', tags, order } = req.body;
+      const album = await resolveAlbum(req.body.album);
+
+      if (!req.file) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Image file is required' 
+        });
+      }
+
+      if (!req.file.mimetype.startsWith('image/')) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Only image files are allowed' 
+        });
+      }
 
-      if (!title || !description || !altText) {
+      if (!title?.trim() || !description?.trim() || !altText?.trim()) {
+        fs.unlink(req.file.path, () => {});
         return res.status(400).json({ 
           success: false, 
           message: 'Title, description, and alt text are required' 
         });
       }
 
-      if (!req.file) {
+      if (!VALID_CATEGORIES.includes(category)) {
+        fs.unlink(req.file.path, () => {});
         return res.status(400).json({ 
           success: false, 
-          message: 'Image file is required' 
+          message: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(', ')}` 
         });
       }
 
-      // Upload image to Cloudinary
-      let imageUrl;
+      // Move the image and its responsive variants to file storage
+      let stored;
       try {
-        const cloudinaryResult = await uploadToCloudinary(req.file.path, {
-          folder: 'jamalpur-chamber/gallery',
-          resource_type: 'image',
-          quality: 'auto',
-          fetch_format: 'auto'
+        stored = await imageService.upload(req.file, {
+          folder: storageConfig.folders.gallery
         });
-        imageUrl = cloudinaryResult.secure_url;
       } catch (uploadError) {
-        console.error('Cloudinary upload error:', uploadError);
-        if (fs.existsSync(req.file.path)) {
-          fs.unlinkSync(req.file.path);
-        }
+        logger.error('Image upload failed', { error: uploadError });
         return res.status(500).json({ 
           success: false, 
-          message: 'Failed to upload image' 
+          message: 'Failed to upload image to cloud storage' 
         });
       }
 
-      // Get the next order number
-      const lastImage = await GalleryImage.findOne({}, {}, { sort: { order: -1 } });
-      const nextOrder = lastImage ? lastImage.order + 1 : 1;
-
-      const imageData = {
-        title,
-        description,
-        altText,
+      const image = new GalleryImage({
+        title: title.trim(),
+        description: description.trim(),
+        altText: altText.trim(),
         category,
-        imageUrl,
-        uploadedBy,
-        order: nextOrder,
+        album: album || null,
+        imageUrl: stored.url,
+        publicId: stored.publicId,
+        storage: stored.storage,
+        width: stored.width,
+        height: stored.height,
+        placeholder: stored.placeholder,
+        variants: stored.variants,
+        uploadedBy: req.user.name || req.user.email,
+        order: parseInt(order) || 0,
         tags: tags ? tags.split(',').map(tag => tag.trim()) : []
-      };
+      });
 
-      const image = new GalleryImage(imageData);
       await image.save();
+      logger.info('Gallery image saved', { imageId: image._id });
+      await searchService.index('gallery', image);
+
+      // Broadcast to all clients (users and admins)
+      emitEvent(req, 'gallery-image-created', image.toEvent());
+      auditService.record(req, {
+        action: 'create',
+        entityType: 'gallery-image',
+        entityId: image._id,
+        entityLabel: image.title,
+        after: image
+      });
 
       res.status(201).json({
         success: true,
-        message: 'Gallery image uploaded successfully',
-        data: { image }
+        message: 'Image uploaded successfully',
+        image
       });
     } catch (error) {
-      console.error('Upload gallery image error:', error);
+      logger.error('Upload gallery image error', { error });
       if (req.file && fs.existsSync(req.file.path)) {
         fs.unlinkSync(req.file.path);
       }
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         success: false, 
-        message: 'Server error while uploading gallery image' 
+        message: error.statusCode ? error.message : 'Server error while uploading gallery image' 
       });
     }
   }
@@ -179,27 +235,55 @@ class GalleryController {
         });
       }
 
+      if (category !== undefined && !VALID_CATEGORIES.includes(category)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(', ')}` 
+        });
+      }
+
+      const album = await resolveAlbum(req.body.album);
+      const before = auditService.snapshot(image);
+
       // Update fields
-      if (title) image.title = title;
-      if (description) image.description = description;
-      if (altText) image.altText = altText;
+      if (title) image.title = title.trim();
+      if (description) image.description = description.trim();
+      if (altText) image.altText = altText.trim();
       if (category) image.category = category;
       if (tags) image.tags = tags.split(',').map(tag => tag.trim());
       if (typeof isActive === 'boolean') image.isActive = isActive;
-      if (order !== undefined) image.order = parseInt(order);
+      if (order !== undefined) image.order = parseInt(order) || 0;
+      if (album !== undefined) image.album = album;
 
       await image.save();
+      await searchService.index('gallery', image);
+
+      // An image moved out of its album can't stay that album's cover
+      if (album !== undefined) {
+        await Album.updateMany({ coverImage: image._id, _id: { $ne: album } }, { coverImage: null });
+      }
+
+      // Broadcast to all clients (users and admins)
+      emitEvent(req, 'gallery-image-updated', image.toEvent());
+      auditService.record(req, {
+        action: 'update',
+        entityType: 'gallery-image',
+        entityId: image._id,
+        entityLabel: image.title,
+        before,
+        after: image
+      });
 
       res.json({
         success: true,
-        message: 'Gallery image updated successfully',
-        data: { image }
+        message: 'Image updated successfully',
+        image
       });
     } catch (error) {
-      console.error('Update gallery image error:', error);
-      res.status(500).json({ 
+      logger.error('Update gallery image error', { error });
+      res.status(error.statusCode || 500).json({ 
         success: false, 
-        message: 'Server error while updating gallery image' 
+        message: error.statusCode ? error.message : 'Server error while updating gallery image' 
       });
     }
   }
@@ -217,27 +301,31 @@ class GalleryController {
         });
       }
 
-      // Delete image from Cloudinary
-      if (image.imageUrl) {
-        try {
-          // Extract public ID from Cloudinary URL
-          const urlParts = image.imageUrl.split('/');
-          const publicId = urlParts[urlParts.length - 1].split('.')[0];
-          await deleteFromCloudinary(`jamalpur-chamber/gallery/${publicId}`);
-        } catch (deleteError) {
-          console.error('Cloudinary delete error:', deleteError);
-          // Continue with deletion even if Cloudinary delete fails
-        }
+      // Delete the stored image and its variants (failures are logged and ignored)
+      if (image.publicId) {
+        await imageService.delete(image);
       }
 
       await GalleryImage.findByIdAndDelete(id);
+      await Album.updateMany({ coverImage: image._id }, { coverImage: null });
+      await searchService.remove('gallery', id);
+
+      // Broadcast to all clients (users and admins)
+      emitEvent(req, 'gallery-image-deleted', { id });
+      auditService.record(req, {
+        action: 'delete',
+        entityType: 'gallery-image',
+        entityId: id,
+        entityLabel: image.title,
+        before: image
+      });
 
       res.json({
         success: true,
-        message: 'Gallery image deleted successfully'
+        message: 'Image deleted successfully'
       });
     } catch (error) {
-      console.error('Delete gallery image error:', error);
+      logger.error('Delete gallery image error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while deleting gallery image' 
@@ -252,7 +340,7 @@ class GalleryController {
       const { page = 1, limit = 12 } = req.query;
       const skip = (page - 1) * limit;
 
-      if (!['meeting', 'event', 'conference'].includes(category)) {
+      if (!VALID_CATEGORIES.includes(category)) {
         return res.status(400).json({ 
           success: false, 
           message: 'Invalid category' 
@@ -287,7 +375,7 @@ class GalleryController {
         }
       });
     } catch (error) {
-      console.error('Get images by category error:', error);
+      logger.error('Get images by category error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching images by category' 
@@ -307,19 +395,31 @@ class GalleryController {
         });
       }
 
-      // Update each image's order
+      // Update each image's order, keeping the previous order for the audit log
       const updatePromises = imageOrders.map(({ id, order }) => 
-        GalleryImage.findByIdAndUpdate(id, { order }, { new: true })
+        GalleryImage.findByIdAndUpdate(id, { order }, { new: false })
       );
 
-      await Promise.all(updatePromises);
+      const previousImages = await Promise.all(updatePromises);
+
+      previousImages.forEach((image, index) => {
+        if (!image || image.order === imageOrders[index].order) return;
+        auditService.record(req, {
+          action: 'reorder',
+          entityType: 'gallery-image',
+          entityId: image._id,
+          entityLabel: image.title,
+          before: { order: image.order },
+          after: { order: imageOrders[index].order }
+        });
+      });
 
       res.json({
         success: true,
         message: 'Gallery images reordered successfully'
       });
     } catch (error) {
-      console.error('Reorder gallery images error:', error);
+      logger.error('Reorder gallery images error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while reordering gallery images' 
@@ -361,7 +461,7 @@ class GalleryController {
         }
       });
     } catch (error) {
-      console.error('Get gallery stats error:', error);
+      logger.error('Get gallery stats error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching gallery statistics' 
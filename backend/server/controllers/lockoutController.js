@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const lockoutService = require('../lockoutService');
+const auditService = require('../auditService');
+const logger = require('../logger');
+
+class LockoutController {
+  // Locked accounts and client addresses, plus ones with recent failed sign-ins
+  async getLockouts(req, res) {
+    try {
+      const throttles = await lockoutService.list();
+
+      res.json({
+        success: true,
+        data: {
+          lockouts: throttles.map(throttle => ({
+            id: throttle.id,
+            kind: throttle.kind,
+            key: throttle.key,
+            user: throttle.user ? { id: throttle.user._id, name: throttle.user.name, email: throttle.user.email } : null,
+            failures: throttle.failures,
+            lastFailureAt: throttle.lastFailureAt,
+            lastIp: throttle.lastIp,
+            lockedUntil: throttle.isLocked() ? throttle.lockedUntil : null,
+            lockouts: throttle.lockouts
+          }))
+        }
+      });
+    } catch (error) {
+      logger.error('Get lockouts error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching lockouts'
+      });
+    }
+  }
+
+  // Lift a lockout and clear its failed attempts
+  async unlock(req, res) {
+    try {
+      const { id } = req.params;
+      const throttle = mongoose.Types.ObjectId.isValid(id) && await lockoutService.unlock(id);
+      if (!throttle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lockout not found'
+        });
+      }
+
+      auditService.record(req, {
+        action: 'unlock-sign-in',
+        entityType: 'lockout',
+        entityId: throttle._id,
+        entityLabel: throttle.key
+      });
+
+      res.json({
+        success: true,
+        message: throttle.kind === 'account' ? 'Account unlocked' : 'Address unblocked'
+      });
+    } catch (error) {
+      logger.error('Unlock error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while unlocking'
+      });
+    }
+  }
+}
+
+module.exports = new LockoutController();
@@ -0,0 +1,816 @@
+const Member = require('../models/Member');
+const DuesPayment = require('../models/DuesPayment');
+const Counter = require('../models/Counter');
+const membershipConfig = require('../config/membership');
+const emailService = require('../emailService');
+const auditService = require('../auditService');
+const storageService = require('../storageService');
+const storageConfig = require('../config/storage');
+const escapeRegex = require('../utils/escapeRegex');
+const { toCsv } = require('../utils/csv');
+const fs = require('fs');
+const logger = require('../logger');
+
+const MAX_DOCUMENTS = 5;
+
+// Map flat (multipart-friendly) form fields onto the nested member shape.
+// Only fields present in the request are returned, so it works for updates too.
+const buildMemberData = (body, { allowAdminFields = false } = {}) => {
+  const data = {};
+
+  if (body.companyName !== undefined) data.companyName = body.companyName;
+  if (body.tradeLicenseNumber !== undefined) data.tradeLicenseNumber = body.tradeLicenseNumber;
+  if (body.businessCategory !== undefined) data.businessCategory = body.businessCategory;
+  if (body.description !== undefined) data.description = body.description;
+  if (body.website !== undefined) data.website = body.website;
+
+  if (body.addressLine !== undefined) data['address.line'] = body.addressLine;
+  if (body.upazila !== undefined) data['address.upazila'] = body.upazila;
+
+  if (body.contactName !== undefined) data['contactPerson.name'] = body.contactName;
+  if (body.contactDesignation !== undefined) data['contactPerson.designation'] = body.contactDesignation;
+  if (body.contactPhone !== undefined) data['contactPerson.phone'] = body.contactPhone;
+  if (body.contactEmail !== undefined) data['contactPerson.email'] = body.contactEmail;
+
+  // Tier and expiry are managed by the chamber, not by members themselves
+  if (allowAdminFields) {
+    if (body.membershipTier !== undefined) data.membershipTier = body.membershipTier;
+    if (body.membershipExpiry !== undefined) {
+      data.membershipExpiry = body.membershipExpiry ? new Date(body.membershipExpiry) : null;
+    }
+  }
+
+  return data;
+};
+
+// Files sent in a multipart field by upload.fields(); empty when none were sent
+const getUploadedFiles = (req, field) => (req.files && req.files[field]) || [];
+
+// Remove temp files left behind when a request fails part-way
+const cleanupUploads = (req) => {
+  Object.values(req.files || {}).flat().forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+// Upload a logo from the request (if any) and point the member at it.
+// Resolves to the logo it replaced, which the caller deletes from storage
+// once the member has been saved, so a failed save never leaves the record
+// pointing at a deleted file.
+const applyLogoUpload = async (req, member) => {
+  const [logoFile] = getUploadedFiles(req, 'logo');
+  if (!logoFile) return null;
+
+  if (!logoFile.mimetype.startsWith('image/')) {
+    const error = new Error('Logo must be an image file');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const stored = await storageService.upload(logoFile, {
+    folder: storageConfig.folders.memberLogos,
+    resourceType: 'image'
+  });
+
+  const replaced = member.logo && member.logo.publicId
+    ? { publicId: member.logo.publicId, storage: member.logo.storage }
+    : null;
+
+  member.logo = {
+    storage: stored.storage,
+    publicId: stored.publicId,
+    url: stored.url
+  };
+  return replaced;
+};
+
+// Delete a logo returned by applyLogoUpload after the save went through
+const deleteReplacedLogo = async (logo) => {
+  if (logo) {
+    await storageService.delete(logo.publicId, logo.storage);
+  }
+};
+
+// Attach supporting documents (trade license, TIN certificate, etc.) to an application
+const applyDocumentUploads = async (req, member) => {
+  const files = getUploadedFiles(req, 'documents');
+  if (files.length === 0) return;
+
+  if (member.documents.length + files.length > MAX_DOCUMENTS) {
+    const error = new Error(`A maximum of ${MAX_DOCUMENTS} supporting documents can be attached`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  for (const file of files) {
+    const stored = await storageService.upload(file, {
+      folder: storageConfig.folders.memberDocuments
+    });
+    member.documents.push({
+      storage: stored.storage,
+      publicId: stored.publicId,
+      url: stored.url,
+      originalName: file.originalname,
+      size: stored.size,
+      mimetype: file.mimetype
+    });
+  }
+};
+
+// End date of a membership term starting on the given date
+const addTerm = (startDate) => {
+  const endDate = new Date(startDate);
+  endDate.setMonth(endDate.getMonth() + membershipConfig.termMonths);
+  return endDate;
+};
+
+// Assign the next membership number (e.g. JCCI-2024-0007) if the member has none yet
+const assignMembershipNumber = async (member) => {
+  if (member.membershipNumber) return;
+
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`membership-${year}`);
+  member.membershipNumber = `${membershipConfig.numberPrefix}-${year}-${String(seq).padStart(4, '0')}`;
+};
+
+// Next dues receipt number for the year of payment (e.g. RCT-2024-00012)
+const nextReceiptNumber = async (paidAt) => {
+  const year = paidAt.getFullYear();
+  const seq = await Counter.next(`receipt-${year}`);
+  return `RCT-${year}-${String(seq).padStart(5, '0')}`;
+};
+
+// Approve a member and start their first membership term.
+// Re-approving after a profile edit keeps the existing number and due date.
+const startMembership = async (member, reviewerId) => {
+  member.status = 'approved';
+  member.reviewedBy = reviewerId;
+  member.reviewedAt = new Date();
+  member.rejectionReason = '';
+
+  await assignMembershipNumber(member);
+
+  if (!member.membershipSince) {
+    member.membershipSince = new Date();
+  }
+
+  if (member.membershipTier === 'life') {
+    member.membershipExpiry = undefined;
+  } else if (!member.membershipExpiry) {
+    member.membershipExpiry = addTerm(member.membershipSince);
+  }
+};
+
+// Let the member know their application was approved; failures are only logged
+const notifyApproval = (member) => {
+  const email = member.contactPerson.email || (member.user && member.user.email);
+  if (!email) return;
+
+  emailService.sendMembershipApprovedEmail(email, {
+    companyName: member.companyName,
+    membershipNumber: member.membershipNumber,
+    membershipExpiry: member.membershipExpiry
+  }).catch(error => logger.error('Membership approval email failed', { error }));
+};
+
+// Work out the period a dues payment covers. Payments made before the due date or
+// within the grace period continue from the previous due date; lapsed members start afresh.
+const getRenewalPeriod = (member, paidAt) => {
+  const state = Member.getMembershipState(member, paidAt);
+  const periodStart = member.membershipExpiry && state !== 'lapsed'
+    ? new Date(member.membershipExpiry)
+    : new Date(paidAt);
+
+  return { periodStart, periodEnd: addTerm(periodStart) };
+};
+
+// Columns for the per-member dues ledger export
+const ledgerColumns = [
+  { header: 'Receipt No', value: payment => payment.receiptNumber },
+  { header: 'Paid On', value: payment => payment.paidAt },
+  { header: 'Amount (BDT)', value: payment => payment.amount },
+  { header: 'Method', value: payment => payment.method },
+  { header: 'Reference', value: payment => payment.reference },
+  { header: 'Period Start', value: payment => payment.periodStart },
+  { header: 'Period End', value: payment => payment.periodEnd },
+  { header: 'Recorded By', value: payment => payment.recordedBy && payment.recordedBy.name },
+  { header: 'Notes', value: payment => payment.notes }
+];
+
+// Turn save errors into the repo's JSON error responses
+const handleSaveError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(err => err.message).join(', ');
+    return res.status(400).json({ success: false, message: `Validation Error: ${message}` });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A member with this trade license number already exists'
+    });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+class MemberController {
+  // Get the public member directory (approved members only)
+  async getDirectory(req, res) {
+    try {
+      const { page = 1, limit = 12, category, tier, upazila, search } = req.query;
+      const skip = (page - 1) * limit;
+
+      // Build query (lapsed members are hidden until they renew)
+      let query = Member.goodStandingQuery();
+
+      if (category) {
+        query.businessCategory = category;
+      }
+
+      if (tier) {
+        query.membershipTier = tier;
+      }
+
+      if (upazila) {
+        query['address.upazila'] = upazila;
+      }
+
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        query.$and = [{
+          $or: [
+            { companyName: pattern },
+            { description: pattern },
+            { 'contactPerson.name': pattern },
+            { tradeLicenseNumber: pattern },
+            { membershipNumber: pattern }
+          ]
+        }];
+      }
+
+      const members = await Member.find(query)
+        .sort({ companyName: 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Member.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          members: members.map(member => member.toPublicObject()),
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get member directory error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching member directory'
+      });
+    }
+  }
+
+  // Get the option lists used by directory filters and profile forms
+  async getOptions(req, res) {
+    res.json({
+      success: true,
+      data: {
+        categories: Member.BUSINESS_CATEGORIES,
+        tiers: Member.MEMBERSHIP_TIERS,
+        upazilas: Member.JAMALPUR_UPAZILAS,
+        paymentMethods: DuesPayment.PAYMENT_METHODS,
+        annualDues: membershipConfig.annualDues,
+        gracePeriodDays: membershipConfig.gracePeriodDays
+      }
+    });
+  }
+
+  // Get a single approved member (public)
+  async getMemberById(req, res) {
+    try {
+      const { id } = req.params;
+      const member = await Member.findById(id);
+
+      if (!member || !member.isMembershipActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { member: member.toPublicObject() }
+      });
+    } catch (error) {
+      logger.error('Get member by ID error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching member'
+      });
+    }
+  }
+
+  // Get the signed-in user's own business profile
+  async getMyProfile(req, res) {
+    try {
+      const member = await Member.findOne({ user: req.user.userId });
+
+      res.json({
+        success: true,
+        data: { member }
+      });
+    } catch (error) {
+      logger.error('Get my member profile error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching your business profile'
+      });
+    }
+  }
+
+  // Create or update the signed-in user's business profile.
+  // Every change goes back to the review queue before it is shown publicly.
+  async saveMyProfile(req, res) {
+    try {
+      let member = await Member.findOne({ user: req.user.userId });
+      const isNew = !member;
+
+      if (isNew) {
+        member = new Member({ user: req.user.userId });
+      }
+
+      member.set(buildMemberData(req.body));
+      member.status = 'pending';
+      member.reviewedBy = undefined;
+      member.reviewedAt = undefined;
+      member.rejectionReason = '';
+
+      // Check the profile before anything is uploaded
+      await member.validate();
+      const replacedLogo = await applyLogoUpload(req, member);
+      await applyDocumentUploads(req, member);
+
+      await member.save();
+      await deleteReplacedLogo(replacedLogo);
+
+      res.status(isNew ? 201 : 200).json({
+        success: true,
+        message: 'Business profile submitted for approval',
+        data: { member }
+      });
+    } catch (error) {
+      logger.error('Save my member profile error', { error });
+      cleanupUploads(req);
+      handleSaveError(res, error, 'Server error while saving your business profile');
+    }
+  }
+
+  // Remove a supporting document from the signed-in user's application
+  async deleteMyDocument(req, res) {
+    try {
+      const member = await Member.findOne({ user: req.user.userId });
+      const document = member && member.documents.id(req.params.documentId);
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found'
+        });
+      }
+
+      await storageService.delete(document.publicId, document.storage);
+      document.deleteOne();
+      await member.save();
+
+      res.json({
+        success: true,
+        message: 'Document removed successfully',
+        data: { member }
+      });
+    } catch (error) {
+      logger.error('Delete member document error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while removing document'
+      });
+    }
+  }
+
+  // Get the signed-in user's dues payment history
+  async getMyPayments(req, res) {
+    try {
+      const member = await Member.findOne({ user: req.user.userId });
+      const payments = member
+        ? await DuesPayment.find({ member: member._id }).sort({ paidAt: -1 })
+        : [];
+
+      res.json({
+        success: true,
+        data: { payments }
+      });
+    } catch (error) {
+      logger.error('Get my dues payments error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching your dues payments'
+      });
+    }
+  }
+
+  // Get all member profiles in any status (admin only)
+  async getAllMembers(req, res) {
+    try {
+      const { status, state, search } = req.query;
+
+      let query = {};
+
+      if (status) {
+        query.status = status;
+      }
+
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        query.$or = [
+          { companyName: pattern },
+          { tradeLicenseNumber: pattern },
+          { 'contactPerson.name': pattern },
+          { membershipNumber: pattern }
+        ];
+      }
+
+      const members = await Member.find(query)
+        .populate('user', 'name email')
+        .populate('reviewedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .lean();
+
+      // Membership state depends on today's date, so it is worked out per request
+      const withState = members.map(member => ({
+        ...member,
+        membershipState: Member.getMembershipState(member),
+        graceEndsAt: Member.getGraceEndsAt(member.membershipExpiry)
+      }));
+
+      res.json(state ? withState.filter(member => member.membershipState === state) : withState);
+    } catch (error) {
+      logger.error('Get all members error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching members'
+      });
+    }
+  }
+
+  // Create an approved member profile directly (admin only)
+  async createMember(req, res) {
+    try {
+      const member = new Member(buildMemberData(req.body, { allowAdminFields: true }));
+      await member.validate();
+      await applyLogoUpload(req, member);
+      await applyDocumentUploads(req, member);
+      await startMembership(member, req.user.userId);
+
+      await member.save();
+
+      auditService.record(req, {
+        action: 'create',
+        entityType: 'member',
+        entityId: member._id,
+        entityLabel: member.companyName,
+        after: member
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Member created successfully',
+        data: { member }
+      });
+    } catch (error) {
+      logger.error('Create member error', { error });
+      cleanupUploads(req);
+      handleSaveError(res, error, 'Server error while creating member');
+    }
+  }
+
+  // Update a member profile (admin only)
+  async updateMember(req, res) {
+    try {
+      const { id } = req.params;
+      const member = await Member.findById(id);
+
+      if (!member) {
+        cleanupUploads(req);
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      const before = auditService.snapshot(member);
+
+      member.set(buildMemberData(req.body, { allowAdminFields: true }));
+      await member.validate();
+      const replacedLogo = await applyLogoUpload(req, member);
+      await applyDocumentUploads(req, member);
+      await member.save();
+      await deleteReplacedLogo(replacedLogo);
+
+      auditService.record(req, {
+        action: 'update',
+        entityType: 'member',
+        entityId: member._id,
+        entityLabel: member.companyName,
+        before,
+        after: member
+      });
+
+      res.json({
+        success: true,
+        message: 'Member updated successfully',
+        data: { member }
+      });
+    } catch (error) {
+      logger.error('Update member error', { error });
+      cleanupUploads(req);
+      handleSaveError(res, error, 'Server error while updating member');
+    }
+  }
+
+  // Approve a member profile so it appears in the directory (admin only).
+  // First approval assigns a membership number and starts the first annual term.
+  async approveMember(req, res) {
+    try {
+      const { id } = req.params;
+      const { membershipTier, membershipExpiry } = req.body;
+
+      const member = await Member.findById(id).populate('user', 'email');
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      const before = auditService.snapshot(member);
+
+      if (membershipTier) member.membershipTier = membershipTier;
+      if (membershipExpiry) member.membershipExpiry = new Date(membershipExpiry);
+
+      const isFirstApproval = !member.membershipNumber;
+      await startMembership(member, req.user.userId);
+      await member.save();
+
+      auditService.record(req, {
+        action: 'approve',
+        entityType: 'member',
+        entityId: member._id,
+        entityLabel: member.companyName,
+        before,
+        after: member
+      });
+
+      if (isFirstApproval) {
+        notifyApproval(member);
+      }
+
+      res.json({
+        success: true,
+        message: 'Member approved successfully',
+        data: { member }
+      });
+    } catch (error) {
+      logger.error('Approve member error', { error });
+      handleSaveError(res, error, 'Server error while approving member');
+    }
+  }
+
+  // Reject a member profile with an optional reason (admin only)
+  async rejectMember(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason = '' } = req.body;
+
+      const member = await Member.findById(id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      const before = auditService.snapshot(member);
+
+      member.status = 'rejected';
+      member.reviewedBy = req.user.userId;
+      member.reviewedAt = new Date();
+      member.rejectionReason = reason;
+      await member.save();
+
+      auditService.record(req, {
+        action: 'reject',
+        entityType: 'member',
+        entityId: member._id,
+        entityLabel: member.companyName,
+        before,
+        after: member
+      });
+
+      res.json({
+        success: true,
+        message: 'Member rejected',
+        data: { member }
+      });
+    } catch (error) {
+      logger.error('Reject member error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while rejecting member'
+      });
+    }
+  }
+
+  // Delete a member profile (admin only)
+  async deleteMember(req, res) {
+    try {
+      const { id } = req.params;
+      const member = await Member.findById(id);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      // Delete logo and supporting documents from file storage
+      if (member.logo && member.logo.publicId) {
+        await storageService.delete(member.logo.publicId, member.logo.storage);
+      }
+      for (const document of member.documents) {
+        await storageService.delete(document.publicId, document.storage);
+      }
+
+      // Dues payments are kept as financial records
+      await Member.findByIdAndDelete(id);
+
+      auditService.record(req, {
+        action: 'delete',
+        entityType: 'member',
+        entityId: id,
+        entityLabel: member.companyName,
+        before: member
+      });
+
+      res.json({
+        success: true,
+        message: 'Member deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete member error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while deleting member'
+      });
+    }
+  }
+
+  // Get the dues ledger for a member (admin only)
+  async getMemberPayments(req, res) {
+    try {
+      const payments = await DuesPayment.find({ member: req.params.id })
+        .populate('recordedBy', 'name email')
+        .sort({ paidAt: -1 });
+
+      res.json(payments);
+    } catch (error) {
+      logger.error('Get dues payments error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching dues payments'
+      });
+    }
+  }
+
+  // Record a dues payment and renew the membership for another term (admin only)
+  async recordPayment(req, res) {
+    try {
+      const { id } = req.params;
+      const { amount, method, reference = '', paidAt, notes = '' } = req.body;
+
+      const member = await Member.findById(id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      if (member.status !== 'approved') {
+        return res.status(400).json({
+          success: false,
+          message: 'Dues can only be recorded for approved members'
+        });
+      }
+
+      const paymentDate = paidAt ? new Date(paidAt) : new Date();
+      if (Number.isNaN(paymentDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payment date'
+        });
+      }
+
+      const payment = new DuesPayment({
+        member: member._id,
+        amount: amount === undefined || amount === ''
+          ? membershipConfig.annualDues[member.membershipTier]
+          : Number(amount),
+        method,
+        reference,
+        notes,
+        paidAt: paymentDate,
+        membershipTier: member.membershipTier,
+        recordedBy: req.user.userId
+      });
+
+      // Life members pay once; everyone else renews for another term
+      const renews = member.membershipTier !== 'life';
+      if (renews) {
+        const { periodStart, periodEnd } = getRenewalPeriod(member, paymentDate);
+        payment.periodStart = periodStart;
+        payment.periodEnd = periodEnd;
+      }
+
+      // Validate before taking a receipt number so failed requests leave no gaps
+      await payment.validate({ pathsToSkip: ['receiptNumber'] });
+      payment.receiptNumber = await nextReceiptNumber(paymentDate);
+      await payment.save();
+
+      if (renews) {
+        member.membershipExpiry = payment.periodEnd;
+        member.remindersSent = [];
+        await member.save();
+      }
+
+      auditService.record(req, {
+        action: 'create',
+        entityType: 'payment',
+        entityId: payment._id,
+        entityLabel: `${payment.receiptNumber} (${member.companyName})`,
+        after: payment
+      });
+
+      await payment.populate('recordedBy', 'name email');
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: { payment, member }
+      });
+    } catch (error) {
+      logger.error('Record dues payment error', { error });
+      handleSaveError(res, error, 'Server error while recording payment');
+    }
+  }
+
+  // Download a member's dues ledger as CSV (admin only)
+  async exportPayments(req, res) {
+    try {
+      const member = await Member.findById(req.params.id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      const payments = await DuesPayment.find({ member: member._id })
+        .populate('recordedBy', 'name')
+        .sort({ paidAt: 1 });
+
+      const filename = `${member.membershipNumber || member._id}-dues-ledger.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(toCsv(payments, ledgerColumns));
+    } catch (error) {
+      logger.error('Export dues payments error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while exporting dues payments'
+      });
+    }
+  }
+}
+
+module.exports = new MemberController();
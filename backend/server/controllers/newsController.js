@@ -1,14 +1,103 @@
+const jwt = require('jsonwebtoken');
 const News = require('../models/News');
+const { emitEvent } = require('../socket');
+const auditService = require('../auditService');
+const revisionService = require('../revisionService');
+const searchService = require('../searchService');
+const escapeRegex = require('../utils/escapeRegex');
+const parseBoolean = require('../utils/parseBoolean');
+const { visibleFilter, applyPublishWindow } = require('../utils/publishWindow');
+const { STATUSES, statusOf, transitionPermission, editPermission, hideUnpublished, applyStatus } = require('../utils/newsWorkflow');
+const imageService = require('../imageService');
+const storageConfig = require('../config/storage');
+const publishingConfig = require('../config/publishing');
+const fs = require('fs');
+const logger = require('../logger');
+
+// Purpose claim of preview link tokens, so no other token can open a draft
+const PREVIEW_PURPOSE = 'news-preview';
+
+// Tell clients about a change. An article that just became visible is
+// announced as new and one that was live and no longer is (scheduled, sent
+// back to draft, archived) is taken off their lists. Hidden articles are never
+// broadcast, so drafts don't reach the public.
+const announceUpdate = (req, news, wasVisible) => {
+  const visible = news.isVisible();
+  if (visible && !wasVisible) {
+    emitEvent(req, 'news-created', news.toEvent(), 'user');
+  } else if (wasVisible && !visible) {
+    emitEvent(req, 'news-deleted', { id: news._id }, 'user');
+  } else if (visible) {
+    emitEvent(req, 'news-updated', news.toEvent(), 'user');
+  }
+};
+
+const hasPermission = (req, permission) => (req.user.permissions || []).includes(permission);
+
+// Store an uploaded image (if any) as the article's image. Returns the upload
+// it replaced, to be passed to deleteStoredImage once the article has been
+// saved, so a failed save never leaves the article pointing at a deleted file.
+const applyImageUpload = async (req, news) => {
+  if (!req.file) return null;
+
+  if (!req.file.mimetype.startsWith('image/')) {
+    fs.unlink(req.file.path, () => {});
+    const error = new Error('Only image files can be used as the news image');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const stored = await imageService.upload(req.file, {
+    folder: storageConfig.folders.news
+  });
+  const replaced = detachStoredImage(news);
+
+  news.imageUrl = stored.url;
+  news.imagePublicId = stored.publicId;
+  news.imageStorage = stored.storage;
+  news.imageWidth = stored.width;
+  news.imageHeight = stored.height;
+  news.imagePlaceholder = stored.placeholder;
+  news.imageVariants = stored.variants;
+  return replaced;
+};
+
+// Clear the article's image fields. Returns the uploaded image they pointed at
+// (null for linked images) for deleteStoredImage.
+const detachStoredImage = (news) => {
+  let image = null;
+  if (news.imagePublicId) {
+    image = {
+      storage: news.imageStorage,
+      publicId: news.imagePublicId,
+      variants: news.imageVariants.map(({ publicId }) => ({ publicId }))
+    };
+  }
+
+  news.imagePublicId = undefined;
+  news.imageStorage = undefined;
+  news.imageWidth = undefined;
+  news.imageHeight = undefined;
+  news.imagePlaceholder = undefined;
+  news.imageVariants = [];
+  return image;
+};
+
+// Delete an image returned by detachStoredImage, with its variants
+const deleteStoredImage = async (image) => {
+  if (image) {
+    await imageService.delete(image);
+  }
+};
 
 class NewsController {
-  // Get all news (public)
+  // Get latest active news (public). Returns a plain array, newest first.
   async getAllNews(req, res) {
     try {
-      const { page = 1, limit = 10, category, featured, search } = req.query;
-      const skip = (page - 1) * limit;
+      const { limit = 10, category, featured, search } = req.query;
 
       // Build query
-      let query = { isActive: true };
+      let query = visibleFilter();
       
       if (category) {
         query.category = category;
@@ -19,36 +108,52 @@ class NewsController {
       }
       
       if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
         query.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { content: { $regex: search, $options: 'i' } },
-          { author: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
+          { title: pattern },
+          { content: pattern },
+          { titleBn: pattern },
+          { contentBn: pattern },
+          { author: pattern },
+          { tags: { $in: [pattern] } }
         ];
       }
 
       const news = await News.find(query)
-        .sort({ publishedAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
+        .sort({ publishedAt: -1, createdAt: -1 })
+        .limit(parseInt(limit) || 10)
+        .select('-__v')
         .lean();
 
-      const total = await News.countDocuments(query);
-
-      res.json({
-        success: true,
-        data: {
-          news,
-          pagination: {
-            current: parseInt(page),
-            pages: Math.ceil(total / limit),
-            total,
-            limit: parseInt(limit)
-          }
-        }
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json(news);
+    } catch (error) {
+      logger.error('Get all news error', { error });
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while fetching news' 
       });
+    }
+  }
+
+  // Get all news including drafts and inactive articles (admin only).
+  // Optional ?status= filter (draft, in_review, published, archived).
+  async getAllNewsAdmin(req, res) {
+    try {
+      const { status } = req.query;
+      const query = {};
+      if (STATUSES.includes(status)) {
+        // Articles from before the workflow have no status and count as published
+        query.status = status === 'published' ? { $in: ['published', null] } : status;
+      }
+
+      const news = await News.find(query)
+        .sort({ publishedAt: -1, createdAt: -1 })
+        .lean();
+
+      res.json(news);
     } catch (error) {
-      console.error('Get all news error:', error);
+      logger.error('Get admin news error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching news' 
@@ -56,6 +161,28 @@ class NewsController {
     }
   }
 
+  // Scheduled articles and live articles with an expiry, soonest first (admin only)
+  async getScheduledNews(req, res) {
+    try {
+      const news = await News.find({
+        $or: [
+          { isScheduled: true },
+          { isActive: true, expireAt: { $gt: new Date() } }
+        ]
+      })
+        .sort({ publishAt: 1, expireAt: 1 })
+        .lean();
+
+      res.json(news);
+    } catch (error) {
+      logger.error('Get scheduled news error', { error });
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while fetching scheduled news' 
+      });
+    }
+  }
+
   // Get single news by ID
   async getNewsById(req, res) {
     try {
@@ -69,7 +196,7 @@ class NewsController {
         });
       }
 
-      if (!news.isActive) {
+      if (!news.isVisible()) {
         return res.status(404).json({ 
           success: false, 
           message: 'News article not found' 
@@ -84,7 +211,7 @@ class NewsController {
         data: { news }
       });
     } catch (error) {
-      console.error('Get news by ID error:', error);
+      logger.error('Get news by ID error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching news' 
@@ -95,35 +222,89 @@ class NewsController {
   // Create new news (admin only)
   async createNews(req, res) {
     try {
-      const { title, content, category = 'business', author, imageUrl, isFeatured = false, tags } = req.body;
+      const { title, content, titleBn, contentBn, category = 'business', author, imageUrl, isFeatured = false, tags, status = 'draft' } = req.body;
+
+      if (!['draft', 'in_review', 'published'].includes(status)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'New articles start as draft, in_review or published' 
+        });
+      }
+
+      if (status === 'published' && !hasPermission(req, 'news:publish')) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Permission required: news:publish' 
+        });
+      }
+
+      if (!title || !content) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Title and content are required' 
+        });
+      }
 
-      if (!title || !content || !author) {
+      if (title.trim().length < 3) {
         return res.status(400).json({ 
           success: false, 
-          message: 'Title, content, and author are required' 
+          message: 'Title must be at least 3 characters long' 
         });
       }
 
+      if (content.trim().length < 10) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Content must be at least 10 characters long' 
+        });
+      }
+
+      // Default the author to the signed-in admin
       const newsData = {
-        title,
-        content,
-        author,
+        title: title.trim(),
+        content: content.trim(),
+        titleBn: titleBn || '',
+        contentBn: contentBn || '',
+        author: author || req.user.name || 'Admin',
         category,
         imageUrl: imageUrl || '',
-        isFeatured: Boolean(isFeatured),
+        isFeatured: Boolean(parseBoolean(isFeatured)),
         tags: tags ? tags.split(',').map(tag => tag.trim()) : []
       };
 
       const news = new News(newsData);
+      applyPublishWindow(news, req.body);
+      applyStatus(news, status, { user: req.user });
+      await applyImageUpload(req, news);
       await news.save();
 
+      // Scheduled articles are announced by the publish scheduler
+      if (news.isVisible()) {
+        emitEvent(req, 'news-created', news.toEvent(), 'user');
+      }
+      await revisionService.record(req, 'news', news, { action: 'create' });
+      await searchService.index('news', news);
+      auditService.record(req, {
+        action: 'create',
+        entityType: 'news',
+        entityId: news._id,
+        entityLabel: news.title,
+        after: news
+      });
+
       res.status(201).json({
         success: true,
         message: 'News article created successfully',
-        data: { news }
+        news
       });
     } catch (error) {
-      console.error('Create news error:', error);
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('Create news error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while creating news' 
@@ -135,7 +316,7 @@ class NewsController {
   async updateNews(req, res) {
     try {
       const { id } = req.params;
-      const { title, content, author, category, imageUrl, isFeatured, isActive, tags } = req.body;
+      const { title, content, titleBn, contentBn, author, category, imageUrl, isFeatured, isActive, tags } = req.body;
 
       const news = await News.findById(id);
       if (!news) {
@@ -145,25 +326,67 @@ class NewsController {
         });
       }
 
+      const permission = editPermission(news);
+      if (!hasPermission(req, permission)) {
+        const error = new Error(`Permission required: ${permission}`);
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const before = auditService.snapshot(news);
+      const wasVisible = news.isVisible();
+
       // Update fields
       if (title) news.title = title;
       if (content) news.content = content;
+      // The Bangla version can be removed by sending an empty value
+      if (titleBn !== undefined) news.titleBn = titleBn;
+      if (contentBn !== undefined) news.contentBn = contentBn;
       if (author) news.author = author;
       if (category) news.category = category;
-      if (imageUrl !== undefined) news.imageUrl = imageUrl;
-      if (typeof isFeatured === 'boolean') news.isFeatured = isFeatured;
-      if (typeof isActive === 'boolean') news.isActive = isActive;
+      // Replaced uploads are deleted once the changes are saved
+      const replacedImages = [];
+      if (imageUrl !== undefined && imageUrl !== news.imageUrl) {
+        replacedImages.push(detachStoredImage(news));
+        news.imageUrl = imageUrl;
+      }
+      if (parseBoolean(isFeatured) !== undefined) news.isFeatured = parseBoolean(isFeatured);
+      if (parseBoolean(isActive) !== undefined) news.isActive = parseBoolean(isActive);
+      applyPublishWindow(news, req.body);
+      hideUnpublished(news);
       if (tags) news.tags = tags.split(',').map(tag => tag.trim());
+      replacedImages.push(await applyImageUpload(req, news));
 
       await news.save();
+      for (const image of replacedImages) {
+        await deleteStoredImage(image);
+      }
+
+      announceUpdate(req, news, wasVisible);
+      await revisionService.record(req, 'news', news, { before });
+      await searchService.index('news', news);
+      auditService.record(req, {
+        action: 'update',
+        entityType: 'news',
+        entityId: news._id,
+        entityLabel: news.title,
+        before,
+        after: news
+      });
 
       res.json({
         success: true,
         message: 'News article updated successfully',
-        data: { news }
+        news
       });
     } catch (error) {
-      console.error('Update news error:', error);
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('Update news error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while updating news' 
@@ -184,14 +407,35 @@ class NewsController {
         });
       }
 
+      // Deleting takes a live article off the site, like editing it
+      const permission = editPermission(news);
+      if (!hasPermission(req, permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Permission required: ${permission}`
+        });
+      }
+
       await News.findByIdAndDelete(id);
+      await deleteStoredImage(detachStoredImage(news));
+      await revisionService.remove('news', id);
+      await searchService.remove('news', id);
+
+      emitEvent(req, 'news-deleted', { id }, 'user');
+      auditService.record(req, {
+        action: 'delete',
+        entityType: 'news',
+        entityId: id,
+        entityLabel: news.title,
+        before: news
+      });
 
       res.json({
         success: true,
         message: 'News article deleted successfully'
       });
     } catch (error) {
-      console.error('Delete news error:', error);
+      logger.error('Delete news error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while deleting news' 
@@ -199,6 +443,134 @@ class NewsController {
     }
   }
 
+  // Move an article through the editorial workflow: submit for review,
+  // approve (publish), send back to draft with a note, archive or reopen
+  async changeNewsStatus(req, res) {
+    try {
+      const { id } = req.params;
+      const { status, note } = req.body;
+
+      const news = await News.findById(id);
+      if (!news) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'News article not found' 
+        });
+      }
+
+      const permission = transitionPermission(news, status);
+      if (!permission) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `An article can't move from ${statusOf(news)} to ${status}` 
+        });
+      }
+      if (!hasPermission(req, permission)) {
+        return res.status(403).json({ 
+          success: false, 
+          message: `Permission required: ${permission}` 
+        });
+      }
+
+      const before = auditService.snapshot(news);
+      const wasVisible = news.isVisible();
+
+      applyStatus(news, status, { user: req.user, note });
+      await news.save();
+
+      announceUpdate(req, news, wasVisible);
+      await searchService.index('news', news);
+      auditService.record(req, {
+        action: status === 'published' ? 'publish' : 'status',
+        entityType: 'news',
+        entityId: news._id,
+        entityLabel: news.title,
+        before,
+        after: news
+      });
+
+      res.json({
+        success: true,
+        message: 'News article status updated',
+        news
+      });
+    } catch (error) {
+      logger.error('Change news status error', { error });
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while updating news status' 
+      });
+    }
+  }
+
+  // Signed link that shows an article as the public would see it, whatever
+  // its status (admin only). The token expires after previewLinkHours.
+  async createNewsPreview(req, res) {
+    try {
+      const news = await News.findById(req.params.id).select('_id');
+      if (!news) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'News article not found' 
+        });
+      }
+
+      const expiresIn = publishingConfig.previewLinkHours * 60 * 60;
+      const token = jwt.sign(
+        { newsId: news._id, purpose: PREVIEW_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          token,
+          expiresAt: new Date(Date.now() + expiresIn * 1000)
+        }
+      });
+    } catch (error) {
+      logger.error('Create news preview error', { error });
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while creating preview link' 
+      });
+    }
+  }
+
+  // Article behind a preview link (public; the token is the credential).
+  // Views aren't counted.
+  async getNewsPreview(req, res) {
+    try {
+      let newsId;
+      try {
+        const decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+        if (decoded.purpose === PREVIEW_PURPOSE) newsId = decoded.newsId;
+      } catch (error) {
+        newsId = null;
+      }
+
+      const news = newsId ? await News.findById(newsId).select('-__v').lean() : null;
+      if (!news) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'This preview link is invalid or has expired' 
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { news }
+      });
+    } catch (error) {
+      logger.error('Get news preview error', { error });
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while fetching preview' 
+      });
+    }
+  }
+
   // Get featured news
   async getFeaturedNews(req, res) {
     try {
@@ -210,7 +582,7 @@ class NewsController {
         data: { news }
       });
     } catch (error) {
-      console.error('Get featured news error:', error);
+      logger.error('Get featured news error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching featured news' 
@@ -232,19 +604,14 @@ class NewsController {
         });
       }
 
-      const news = await News.find({ 
-        isActive: true, 
-        category 
-      })
+      const query = { ...visibleFilter(), category };
+      const news = await News.find(query)
         .sort({ publishedAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
         .lean();
 
-      const total = await News.countDocuments({ 
-        isActive: true, 
-        category 
-      });
+      const total = await News.countDocuments(query);
 
       res.json({
         success: true,
@@ -260,7 +627,7 @@ class NewsController {
         }
       });
     } catch (error) {
-      console.error('Get news by category error:', error);
+      logger.error('Get news by category error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching news by category' 
@@ -282,12 +649,14 @@ class NewsController {
       }
 
       const query = {
-        isActive: true,
+        ...visibleFilter(),
         $or: [
-          { title: { $regex: q, $options: 'i' } },
-          { content: { $regex: q, $options: 'i' } },
-          { author: { $regex: q, $options: 'i' } },
-          { tags: { $in: [new RegExp(q, 'i')] } }
+          { title: new RegExp(escapeRegex(q), 'i') },
+          { content: new RegExp(escapeRegex(q), 'i') },
+          { titleBn: new RegExp(escapeRegex(q), 'i') },
+          { contentBn: new RegExp(escapeRegex(q), 'i') },
+          { author: new RegExp(escapeRegex(q), 'i') },
+          { tags: { $in: [new RegExp(escapeRegex(q), 'i')] } }
         ]
       };
 
@@ -313,7 +682,7 @@ class NewsController {
         }
       });
     } catch (error) {
-      console.error('Search news error:', error);
+      logger.error('Search news error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while searching news' 
@@ -357,7 +726,7 @@ class NewsController {
         }
       });
     } catch (error) {
-      console.error('Get news stats error:', error);
+      logger.error('Get news stats error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching news statistics' 
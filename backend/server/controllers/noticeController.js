@@ -1,51 +1,60 @@
 const Notice = require('../models/Notice');
-const { uploadToCloudinary, deleteFromCloudinary } = require('../middleware/cloudinaryUpload');
+const documentService = require('../documentService');
+const { emitEvent } = require('../socket');
+const auditService = require('../auditService');
+const revisionService = require('../revisionService');
+const searchService = require('../searchService');
+const escapeRegex = require('../utils/escapeRegex');
+const parseBoolean = require('../utils/parseBoolean');
+const { visibleFilter, applyPublishWindow } = require('../utils/publishWindow');
 const fs = require('fs');
+const logger = require('../logger');
+
+// Tell clients about an edit. A notice that just became visible is announced
+// as new; one that was live and is now scheduled is taken off their lists.
+const announceUpdate = (req, notice, wasVisible) => {
+  if (notice.isVisible() && !wasVisible) {
+    emitEvent(req, 'notice-created', notice.toEvent(), 'user');
+  } else if (wasVisible && notice.isScheduled) {
+    emitEvent(req, 'notice-deleted', { id: notice._id }, 'user');
+  } else {
+    emitEvent(req, 'notice-updated', notice.toEvent(), 'user');
+  }
+};
 
 class NoticeController {
-  // Get all notices (public)
+  // Get all active notices (public). Returns a plain array, newest first.
   async getAllNotices(req, res) {
     try {
-      const { page = 1, limit = 10, priority, search } = req.query;
-      const skip = (page - 1) * limit;
+      const { priority, search } = req.query;
 
       // Build query
-      let query = { isActive: true };
+      let query = visibleFilter();
       
       if (priority) {
         query.priority = priority;
       }
       
       if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
         query.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { content: { $regex: search, $options: 'i' } },
-          { author: { $regex: search, $options: 'i' } }
+          { title: pattern },
+          { content: pattern },
+          { titleBn: pattern },
+          { contentBn: pattern },
+          { author: pattern }
         ];
       }
 
       const notices = await Notice.find(query)
         .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
+        .select('-__v')
         .lean();
 
-      const total = await Notice.countDocuments(query);
-
-      res.json({
-        success: true,
-        data: {
-          notices,
-          pagination: {
-            current: parseInt(page),
-            pages: Math.ceil(total / limit),
-            total,
-            limit: parseInt(limit)
-          }
-        }
-      });
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json(notices);
     } catch (error) {
-      console.error('Get all notices error:', error);
+      logger.error('Get all notices error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching notices' 
@@ -66,7 +75,7 @@ class NoticeController {
         });
       }
 
-      if (!notice.isActive) {
+      if (!notice.isVisible()) {
         return res.status(404).json({ 
           success: false, 
           message: 'Notice not found' 
@@ -81,7 +90,7 @@ class NoticeController {
         data: { notice }
       });
     } catch (error) {
-      console.error('Get notice by ID error:', error);
+      logger.error('Get notice by ID error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching notice' 
@@ -92,39 +101,35 @@ class NoticeController {
   // Create new notice (admin only)
   async createNotice(req, res) {
     try {
-      const { title, content, author, priority = 'normal', tags } = req.body;
+      const { title, content, titleBn, contentBn, author, priority = 'normal', tags } = req.body;
 
-      if (!title || !content || !author) {
+      if (!title || !content) {
         return res.status(400).json({ 
           success: false, 
-          message: 'Title, content, and author are required' 
+          message: 'Title and content are required' 
         });
       }
 
+      // Default the author to the signed-in admin
       const noticeData = {
         title,
         content,
-        author,
+        titleBn: titleBn || '',
+        contentBn: contentBn || '',
+        author: author || req.user.email,
         priority,
         tags: tags ? tags.split(',').map(tag => tag.trim()) : []
       };
 
+      const notice = new Notice(noticeData);
+      applyPublishWindow(notice, req.body);
+
       // Handle PDF file upload if present
       if (req.file) {
         try {
-          const cloudinaryResult = await uploadToCloudinary(req.file.path);
-          noticeData.pdfFile = {
-            publicId: cloudinaryResult.public_id,
-            originalName: req.file.originalname,
-            url: cloudinaryResult.secure_url,
-            size: cloudinaryResult.bytes,
-            mimetype: req.file.mimetype,
-          };
+          notice.pdfFile = await documentService.upload(req.file);
         } catch (uploadError) {
-          console.error('Cloudinary upload error:', uploadError);
-          if (fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-          }
+          logger.error('File upload error', { error: uploadError });
           return res.status(500).json({ 
             success: false, 
             message: 'Failed to upload PDF file' 
@@ -132,19 +137,35 @@ class NoticeController {
         }
       }
 
-      const notice = new Notice(noticeData);
       await notice.save();
 
+      // Scheduled notices are announced by the publish scheduler
+      if (notice.isVisible()) {
+        emitEvent(req, 'notice-created', notice.toEvent(), 'user');
+      }
+      await revisionService.record(req, 'notice', notice, { action: 'create' });
+      await searchService.index('notice', notice);
+      auditService.record(req, {
+        action: 'create',
+        entityType: 'notice',
+        entityId: notice._id,
+        entityLabel: notice.title,
+        after: notice
+      });
+
       res.status(201).json({
         success: true,
         message: 'Notice created successfully',
-        data: { notice }
+        notice
       });
     } catch (error) {
-      console.error('Create notice error:', error);
       if (req.file && fs.existsSync(req.file.path)) {
         fs.unlinkSync(req.file.path);
       }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('Create notice error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while creating notice' 
@@ -154,9 +175,11 @@ class NoticeController {
 
   // Update notice (admin only)
   async updateNotice(req, res) {
+    // A newly stored PDF, deleted again if the notice can't be saved
+    let uploadedPdf = null;
     try {
       const { id } = req.params;
-      const { title, content, author, priority, tags, isActive } = req.body;
+      const { title, content, titleBn, contentBn, author, priority, tags, isActive } = req.body;
 
       const notice = await Notice.findById(id);
       if (!notice) {
@@ -166,36 +189,33 @@ class NoticeController {
         });
       }
 
+      const before = auditService.snapshot(notice);
+      const wasVisible = notice.isVisible();
+
       // Update fields
       if (title) notice.title = title;
       if (content) notice.content = content;
+      // The Bangla version can be removed by sending an empty value
+      if (titleBn !== undefined) notice.titleBn = titleBn;
+      if (contentBn !== undefined) notice.contentBn = contentBn;
       if (author) notice.author = author;
       if (priority) notice.priority = priority;
       if (tags) notice.tags = tags.split(',').map(tag => tag.trim());
-      if (typeof isActive === 'boolean') notice.isActive = isActive;
+      if (parseBoolean(isActive) !== undefined) notice.isActive = parseBoolean(isActive);
+      applyPublishWindow(notice, req.body);
 
-      // Handle new PDF file upload if present
+      // Handle new PDF file upload if present. The PDF it replaces is deleted
+      // once the notice has been saved, so a failed save never leaves the
+      // notice pointing at a deleted file.
+      let replacedPdf = null;
       if (req.file) {
         try {
-          // Delete old PDF from Cloudinary if exists
-          if (notice.pdfFile && notice.pdfFile.publicId) {
-            await deleteFromCloudinary(notice.pdfFile.publicId);
-          }
-
-          // Upload new PDF
-          const cloudinaryResult = await uploadToCloudinary(req.file.path);
-          notice.pdfFile = {
-            publicId: cloudinaryResult.public_id,
-            originalName: req.file.originalname,
-            url: cloudinaryResult.secure_url,
-            size: cloudinaryResult.bytes,
-            mimetype: req.file.mimetype,
-          };
+          uploadedPdf = await documentService.upload(req.file);
+          const { pdfFile } = notice.toObject();
+          if (pdfFile && pdfFile.publicId) replacedPdf = pdfFile;
+          notice.pdfFile = uploadedPdf;
         } catch (uploadError) {
-          console.error('Cloudinary upload error:', uploadError);
-          if (fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-          }
+          logger.error('File upload error', { error: uploadError });
           return res.status(500).json({ 
             success: false, 
             message: 'Failed to upload new PDF file' 
@@ -204,17 +224,35 @@ class NoticeController {
       }
 
       await notice.save();
+      uploadedPdf = null;
+      await documentService.delete(replacedPdf);
+
+      announceUpdate(req, notice, wasVisible);
+      await revisionService.record(req, 'notice', notice, { before });
+      await searchService.index('notice', notice);
+      auditService.record(req, {
+        action: 'update',
+        entityType: 'notice',
+        entityId: notice._id,
+        entityLabel: notice.title,
+        before,
+        after: notice
+      });
 
       res.json({
         success: true,
         message: 'Notice updated successfully',
-        data: { notice }
+        notice
       });
     } catch (error) {
-      console.error('Update notice error:', error);
       if (req.file && fs.existsSync(req.file.path)) {
         fs.unlinkSync(req.file.path);
       }
+      await documentService.delete(uploadedPdf);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('Update notice error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while updating notice' 
@@ -235,19 +273,30 @@ class NoticeController {
         });
       }
 
-      // Delete PDF from Cloudinary if exists
+      // Delete the stored PDF if there is one
       if (notice.pdfFile && notice.pdfFile.publicId) {
-        await deleteFromCloudinary(notice.pdfFile.publicId);
+        await documentService.delete(notice.pdfFile);
       }
 
       await Notice.findByIdAndDelete(id);
+      await revisionService.remove('notice', id);
+      await searchService.remove('notice', id);
+
+      emitEvent(req, 'notice-deleted', { id }, 'user');
+      auditService.record(req, {
+        action: 'delete',
+        entityType: 'notice',
+        entityId: id,
+        entityLabel: notice.title,
+        before: notice
+      });
 
       res.json({
         success: true,
         message: 'Notice deleted successfully'
       });
     } catch (error) {
-      console.error('Delete notice error:', error);
+      logger.error('Delete notice error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while deleting notice' 
@@ -255,6 +304,29 @@ class NoticeController {
     }
   }
 
+  // Scheduled notices and live notices with an expiry, soonest first (admin only)
+  async getScheduledNotices(req, res) {
+    try {
+      const notices = await Notice.find({
+        $or: [
+          { isScheduled: true },
+          { isActive: true, expireAt: { $gt: new Date() } }
+        ]
+      })
+        .sort({ publishAt: 1, expireAt: 1 })
+        .select('-__v')
+        .lean();
+
+      res.json(notices);
+    } catch (error) {
+      logger.error('Get scheduled notices error', { error });
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while fetching scheduled notices' 
+      });
+    }
+  }
+
   // Get notices by priority
   async getNoticesByPriority(req, res) {
     try {
@@ -269,19 +341,14 @@ class NoticeController {
         });
       }
 
-      const notices = await Notice.find({ 
-        isActive: true, 
-        priority 
-      })
+      const query = { ...visibleFilter(), priority };
+      const notices = await Notice.find(query)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
         .lean();
 
-      const total = await Notice.countDocuments({ 
-        isActive: true, 
-        priority 
-      });
+      const total = await Notice.countDocuments(query);
 
       res.json({
         success: true,
@@ -297,7 +364,7 @@ class NoticeController {
         }
       });
     } catch (error) {
-      console.error('Get notices by priority error:', error);
+      logger.error('Get notices by priority error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching notices by priority' 
@@ -314,7 +381,7 @@ class NoticeController {
         data: { notices }
       });
     } catch (error) {
-      console.error('Get high priority notices error:', error);
+      logger.error('Get high priority notices error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching high priority notices' 
@@ -336,12 +403,14 @@ class NoticeController {
       }
 
       const query = {
-        isActive: true,
+        ...visibleFilter(),
         $or: [
-          { title: { $regex: q, $options: 'i' } },
-          { content: { $regex: q, $options: 'i' } },
-          { author: { $regex: q, $options: 'i' } },
-          { tags: { $in: [new RegExp(q, 'i')] } }
+          { title: new RegExp(escapeRegex(q), 'i') },
+          { content: new RegExp(escapeRegex(q), 'i') },
+          { titleBn: new RegExp(escapeRegex(q), 'i') },
+          { contentBn: new RegExp(escapeRegex(q), 'i') },
+          { author: new RegExp(escapeRegex(q), 'i') },
+          { tags: { $in: [new RegExp(escapeRegex(q), 'i')] } }
         ]
       };
 
@@ -367,7 +436,7 @@ class NoticeController {
         }
       });
     } catch (error) {
-      console.error('Search notices error:', error);
+      logger.error('Search notices error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while searching notices' 
@@ -0,0 +1,169 @@
+const User = require('../models/User');
+const OneTimeCode = require('../models/OneTimeCode');
+const smsService = require('../smsService');
+const smsConfig = require('../config/sms');
+const auditService = require('../auditService');
+const { normalizePhone, maskPhone } = require('../utils/phone');
+const logger = require('../logger');
+
+class PhoneController {
+  // Start adding or changing the account's phone number: texts a code to the new number
+  async requestVerification(req, res) {
+    try {
+      const phoneNumber = normalizePhone(req.body.phoneNumber);
+      if (!phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please enter a valid phone number'
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.phoneNumber === phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'This phone number is already verified on your account'
+        });
+      }
+
+      const existingUser = await User.findOne({ phoneNumber });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'This phone number is already used by another account'
+        });
+      }
+
+      const { code, retryAfter } = await OneTimeCode.issue({
+        user: user._id,
+        purpose: 'verify-phone',
+        phoneNumber
+      });
+      if (!code) {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another code.`,
+          retryAfter
+        });
+      }
+
+      await smsService.sendOTPSMS(phoneNumber, code);
+
+      res.json({
+        success: true,
+        message: `A verification code has been sent to ${maskPhone(phoneNumber)}.`,
+        data: {
+          phoneNumber,
+          expiresInMinutes: smsConfig.otp.ttlMinutes
+        }
+      });
+    } catch (error) {
+      logger.error('Phone verification request error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send verification code'
+      });
+    }
+  }
+
+  // Confirm the code sent by requestVerification and save the number
+  async verify(req, res) {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification code is required'
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const result = await OneTimeCode.verify({ user: user._id, purpose: 'verify-phone', code });
+      if (result.error) {
+        return res.status(result.error === 'locked' ? 429 : 400).json({
+          success: false,
+          message: OneTimeCode.errorMessage(result),
+          attemptsLeft: result.attemptsLeft
+        });
+      }
+
+      // The number may have been claimed by someone else while the code was outstanding
+      const { phoneNumber } = result.record;
+      const existingUser = await User.findOne({ phoneNumber, _id: { $ne: user._id } });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'This phone number is already used by another account'
+        });
+      }
+
+      user.phoneNumber = phoneNumber;
+      user.phoneVerifiedAt = new Date();
+      await user.save();
+
+      auditService.record(req, {
+        action: 'verify-phone',
+        entityType: 'user',
+        entityId: user._id,
+        entityLabel: user.email
+      });
+
+      res.json({
+        success: true,
+        message: 'Phone number verified',
+        user: user.toSafeObject()
+      });
+    } catch (error) {
+      logger.error('Phone verification error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while verifying phone number'
+      });
+    }
+  }
+
+  // Remove the account's phone number (SMS password reset stops working)
+  async remove(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      user.phoneNumber = undefined;
+      user.phoneVerifiedAt = undefined;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Phone number removed',
+        user: user.toSafeObject()
+      });
+    } catch (error) {
+      logger.error('Remove phone number error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while removing phone number'
+      });
+    }
+  }
+}
+
+module.exports = new PhoneController();
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Notice = require('../models/Notice');
+const News = require('../models/News');
+const Revision = require('../models/Revision');
+const revisionService = require('../revisionService');
+const searchService = require('../searchService');
+const auditService = require('../auditService');
+const { emitEvent } = require('../socket');
+const logger = require('../logger');
+const { editPermission } = require('../utils/newsWorkflow');
+
+// Records that keep a revision history, by the entityType used in the URL
+const MODELS = {
+  notice: Notice,
+  news: News
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+// Restoring a version edits the record, so live news articles need the same
+// permission as editing them directly (see newsController.updateNews)
+const requireEditPermission = (req, entityType, record) => {
+  if (entityType !== 'news') return;
+
+  const permission = editPermission(record);
+  if (!(req.user.permissions || []).includes(permission)) {
+    const error = new Error(`Permission required: ${permission}`);
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+// The notice or news article named by :entityType/:entityId
+const findRecord = async ({ entityType, entityId }) => {
+  const Model = MODELS[entityType];
+  if (!Model || !mongoose.Types.ObjectId.isValid(entityId)) {
+    throw notFound('Record not found');
+  }
+
+  const record = await Model.findById(entityId);
+  if (!record) throw notFound('Record not found');
+  return record;
+};
+
+const findRevision = async ({ entityType, entityId, revisionId }) => {
+  if (!mongoose.Types.ObjectId.isValid(revisionId)) throw notFound('Revision not found');
+
+  const revision = await Revision.findOne({ _id: revisionId, entityType, entityId }).lean();
+  if (!revision) throw notFound('Revision not found');
+  return revision;
+};
+
+class RevisionController {
+  // Versions of a notice or news article, newest first
+  async getRevisions(req, res) {
+    try {
+      const { entityType, entityId } = req.params;
+      await findRecord(req.params);
+
+      const revisions = await revisionService.list(entityType, entityId);
+
+      res.json({
+        success: true,
+        data: { revisions }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('Get revisions error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching revisions'
+      });
+    }
+  }
+
+  // One version with its changes: against the version before it (default),
+  // or against=current for what restoring it would change
+  async getRevision(req, res) {
+    try {
+      const { entityType } = req.params;
+      const record = await findRecord(req.params);
+      const revision = await findRevision(req.params);
+
+      let base;
+      let changes;
+      if (req.query.against === 'current') {
+        base = 'current';
+        changes = revisionService.compare(entityType, revisionService.contentOf(entityType, record), revision.data);
+      } else {
+        const previous = await revisionService.previous(revision);
+        base = previous ? previous.version : null;
+        changes = revisionService.compare(entityType, previous && previous.data, revision.data);
+      }
+
+      res.json({
+        success: true,
+        data: { revision, against: base, changes }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('Get revision error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching revision'
+      });
+    }
+  }
+
+  // Put a version's content back. The restore is saved as a new version, so
+  // it can be undone the same way.
+  async restoreRevision(req, res) {
+    try {
+      const { entityType } = req.params;
+      const record = await findRecord(req.params);
+      requireEditPermission(req, entityType, record);
+      const revision = await findRevision(req.params);
+
+      const before = auditService.snapshot(record);
+      Revision.TRACKED_FIELDS[entityType].forEach(field => {
+        if (revision.data[field] !== undefined) record[field] = revision.data[field];
+      });
+      await record.save();
+
+      await revisionService.record(req, entityType, record, {
+        action: 'restore',
+        restoredFrom: revision.version
+      });
+      await searchService.index(entityType, record);
+      // Drafts and hidden records stay off the public lists
+      if (record.isVisible()) {
+        emitEvent(req, `${entityType}-updated`, record.toEvent(), 'user');
+      }
+      auditService.record(req, {
+        action: 'restore',
+        entityType,
+        entityId: record._id,
+        entityLabel: record.title,
+        before,
+        after: record
+      });
+
+      res.json({
+        success: true,
+        message: `Version ${revision.version} restored`,
+        data: { record }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('Restore revision error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while restoring revision'
+      });
+    }
+  }
+}
+
+module.exports = new RevisionController();
@@ -0,0 +1,200 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+const auditService = require('../auditService');
+const logger = require('../logger');
+
+// Keep only known permissions, ignoring duplicates
+const normalizePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return [];
+  return [...new Set(permissions)].filter(permission => PERMISSIONS[permission]);
+};
+
+// Turn save errors into the repo's JSON error responses
+const handleSaveError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(err => err.message).join(', ');
+    return res.status(400).json({ success: false, message: `Validation Error: ${message}` });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A role with this name already exists'
+    });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+class RoleController {
+  // Get all roles with their user counts, plus the permission catalogue
+  async getRoles(req, res) {
+    try {
+      const [roles, counts] = await Promise.all([
+        Role.find().sort({ isSystem: -1, createdAt: 1 }).lean(),
+        User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+      ]);
+
+      const countByRole = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+      res.json({
+        success: true,
+        data: {
+          roles: await Promise.all(roles.map(async role => ({
+            ...role,
+            permissions: await Role.getPermissions(role.name),
+            userCount: countByRole[role.name] || 0
+          }))),
+          permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+        }
+      });
+    } catch (error) {
+      logger.error('Get roles error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching roles'
+      });
+    }
+  }
+
+  // Create a custom role
+  async createRole(req, res) {
+    try {
+      const { name, label, description, permissions, requireTwoFactor } = req.body;
+
+      if (!name || !label) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role name and label are required'
+        });
+      }
+
+      const role = new Role({
+        name,
+        label,
+        description,
+        permissions: normalizePermissions(permissions),
+        requireTwoFactor: Boolean(requireTwoFactor)
+      });
+
+      await role.save();
+
+      auditService.record(req, {
+        action: 'create',
+        entityType: 'role',
+        entityId: role.name,
+        entityLabel: role.label,
+        after: role
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: { role }
+      });
+    } catch (error) {
+      logger.error('Create role error', { error });
+      handleSaveError(res, error, 'Server error while creating role');
+    }
+  }
+
+  // Update a role's label, description, permissions and two-factor requirement.
+  // System roles only allow the two-factor requirement to change.
+  async updateRole(req, res) {
+    try {
+      const role = await Role.findOne({ name: req.params.name });
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      const { label, description, permissions, requireTwoFactor } = req.body;
+
+      if (role.isSystem && [label, description, permissions].some(value => value !== undefined)) {
+        return res.status(400).json({
+          success: false,
+          message: 'System roles cannot be changed'
+        });
+      }
+
+      const before = auditService.snapshot(role);
+
+      if (label !== undefined) role.label = label;
+      if (description !== undefined) role.description = description;
+      if (permissions !== undefined) role.permissions = normalizePermissions(permissions);
+      if (requireTwoFactor !== undefined) role.requireTwoFactor = Boolean(requireTwoFactor);
+
+      await role.save();
+
+      auditService.record(req, {
+        action: 'update',
+        entityType: 'role',
+        entityId: role.name,
+        entityLabel: role.label,
+        before,
+        after: role
+      });
+
+      res.json({
+        success: true,
+        message: 'Role updated successfully',
+        data: { role }
+      });
+    } catch (error) {
+      logger.error('Update role error', { error });
+      handleSaveError(res, error, 'Server error while updating role');
+    }
+  }
+
+  // Delete a custom role that no account is using
+  async deleteRole(req, res) {
+    try {
+      const role = await Role.findOne({ name: req.params.name });
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          message: 'System roles cannot be deleted'
+        });
+      }
+
+      const userCount = await User.countDocuments({ role: role.name });
+      if (userCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `This role is assigned to ${userCount} account(s). Reassign them first.`
+        });
+      }
+
+      await Role.findOneAndDelete({ _id: role._id });
+
+      auditService.record(req, {
+        action: 'delete',
+        entityType: 'role',
+        entityId: role.name,
+        entityLabel: role.label,
+        before: role
+      });
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete role error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while deleting role'
+      });
+    }
+  }
+}
+
+module.exports = new RoleController();
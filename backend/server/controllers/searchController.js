@@ -0,0 +1,68 @@
+const searchService = require('../searchService');
+const SearchEntry = require('../models/SearchEntry');
+const logger = require('../logger');
+
+// Longest search query accepted
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIMIT = 50;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Search options from the query string. Throws with statusCode 400.
+const parseSearchQuery = (query) => {
+  const q = String(query.q || '').trim();
+  if (!q) throw badRequest('Search query is required');
+  if (q.length > MAX_QUERY_LENGTH) throw badRequest(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+
+  const type = query.type || undefined;
+  if (type && !SearchEntry.SEARCH_TYPES.includes(type)) throw badRequest('Invalid result type');
+
+  const year = query.year ? parseInt(query.year, 10) : undefined;
+  if (query.year && !Number.isInteger(year)) throw badRequest('Invalid year');
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), MAX_LIMIT);
+
+  return { q, type, category: query.category || undefined, year, page, limit };
+};
+
+class SearchController {
+  // Site-wide search across notices, news and gallery images (public)
+  async search(req, res) {
+    try {
+      const options = parseSearchQuery(req.query);
+      const { terms, results, total, facets } = await searchService.search(options);
+
+      res.json({
+        success: true,
+        data: {
+          query: options.q,
+          terms,
+          results,
+          facets,
+          pagination: {
+            current: options.page,
+            pages: Math.ceil(total / options.limit),
+            total,
+            limit: options.limit
+          }
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      logger.error('Search error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while searching'
+      });
+    }
+  }
+}
+
+module.exports = new SearchController();
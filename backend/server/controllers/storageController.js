@@ -0,0 +1,94 @@
+const uploadMigration = require('../uploadMigration');
+const assetCollectorService = require('../assetCollector');
+const auditService = require('../auditService');
+const parseBoolean = require('../utils/parseBoolean');
+const logger = require('../logger');
+
+class StorageController {
+  // Progress or result of the legacy upload migration
+  async getMigration(req, res) {
+    res.json({
+      success: true,
+      data: uploadMigration.getStatus()
+    });
+  }
+
+  // Start moving legacy server/uploads files into storage. The job runs in
+  // the background; poll getMigration for the report.
+  async startMigration(req, res) {
+    try {
+      if (uploadMigration.getStatus().running) {
+        return res.status(409).json({
+          success: false,
+          message: 'An upload migration is already running'
+        });
+      }
+
+      const dryRun = parseBoolean(req.body.dryRun) === true;
+
+      uploadMigration.run({ dryRun })
+        .then(report => {
+          if (!dryRun) {
+            auditService.record(req, {
+              action: 'migrate-uploads',
+              entityType: 'storage',
+              entityLabel: `${report.migrated.length} file(s) to ${report.storage}`
+            });
+          }
+        })
+        .catch(error => logger.error('Upload migration error', { error }));
+
+      res.status(202).json({
+        success: true,
+        message: dryRun ? 'Dry run started' : 'Upload migration started',
+        data: uploadMigration.getStatus()
+      });
+    } catch (error) {
+      logger.error('Start upload migration error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while starting the upload migration'
+      });
+    }
+  }
+
+  // Run the orphaned-file cleanup now instead of waiting for the schedule.
+  // The report appears on /api/health/detailed.
+  async startCleanup(req, res) {
+    try {
+      if (assetCollectorService.getStatus().collecting) {
+        return res.status(409).json({
+          success: false,
+          message: 'Storage cleanup is already running'
+        });
+      }
+
+      const dryRun = parseBoolean(req.body.dryRun) === true;
+
+      assetCollectorService.collect({ dryRun })
+        .then(report => {
+          if (!dryRun && report.deleted.length > 0) {
+            auditService.record(req, {
+              action: 'clean-up-storage',
+              entityType: 'storage',
+              entityLabel: `${report.deleted.length} unreferenced file(s) deleted`
+            });
+          }
+        })
+        .catch(error => logger.error('Storage cleanup error', { error }));
+
+      res.status(202).json({
+        success: true,
+        message: dryRun ? 'Dry run started' : 'Storage cleanup started'
+      });
+    } catch (error) {
+      logger.error('Start storage cleanup error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while starting the storage cleanup'
+      });
+    }
+  }
+}
+
+module.exports = new StorageController();
@@ -0,0 +1,248 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const twoFactorService = require('../twoFactorService');
+const auditService = require('../auditService');
+const logger = require('../logger');
+
+// Load the signed-in account with its two-factor secrets
+const findCurrentUser = (req) => User.findById(req.user.userId).select(User.TWO_FACTOR_SECRETS);
+
+class TwoFactorController {
+  // Two-factor status of the signed-in account
+  async getStatus(req, res) {
+    try {
+      const user = await findCurrentUser(req);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const { requireTwoFactor } = await Role.getAccess(user.role);
+
+      res.json({
+        success: true,
+        data: {
+          enabled: user.twoFactor.enabled,
+          enabledAt: user.twoFactor.enabledAt,
+          required: requireTwoFactor,
+          recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+        }
+      });
+    } catch (error) {
+      logger.error('Get two-factor status error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching two-factor status'
+      });
+    }
+  }
+
+  // Start enrollment: a new secret and the QR code to scan
+  async setup(req, res) {
+    try {
+      const user = await findCurrentUser(req);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const secret = twoFactorService.generateSecret();
+      const otpauthUrl = twoFactorService.getOtpauthUrl(user.email, secret);
+
+      user.twoFactor.pendingSecret = secret;
+      await user.save();
+
+      res.json({
+        success: true,
+        data: {
+          secret,
+          otpauthUrl,
+          qrCode: await twoFactorService.getQrCode(otpauthUrl)
+        }
+      });
+    } catch (error) {
+      logger.error('Two-factor setup error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while starting two-factor setup'
+      });
+    }
+  }
+
+  // Finish enrollment with the first code from the app; returns the recovery codes once
+  async enable(req, res) {
+    try {
+      const { code } = req.body;
+
+      const user = await findCurrentUser(req);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor setup first'
+        });
+      }
+
+      const step = twoFactorService.verifyCode(user.twoFactor.pendingSecret, code);
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid verification code. Check the time on your phone and try again.'
+        });
+      }
+
+      const recovery = twoFactorService.generateRecoveryCodes();
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.recoveryCodes = recovery.hashes;
+      await user.save();
+
+      auditService.record(req, {
+        action: 'enable-two-factor',
+        entityType: 'user',
+        entityId: user._id,
+        entityLabel: user.email
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { recoveryCodes: recovery.codes }
+      });
+    } catch (error) {
+      logger.error('Enable two-factor error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while enabling two-factor authentication'
+      });
+    }
+  }
+
+  // Turn two-factor authentication off (password required)
+  async disable(req, res) {
+    try {
+      const { password } = req.body;
+
+      const user = await findCurrentUser(req);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!password || !await bcrypt.compare(password, user.password)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+
+      const { requireTwoFactor } = await Role.getAccess(user.role);
+      if (requireTwoFactor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your role requires two-factor authentication'
+        });
+      }
+
+      user.twoFactor.enabled = false;
+      ['enabledAt', 'secret', 'pendingSecret', 'lastUsedStep', 'recoveryCodes', 'emailCodeHash', 'emailCodeExpires', 'emailCodeAttempts']
+        .forEach(field => { user.twoFactor[field] = undefined; });
+      await user.save();
+
+      auditService.record(req, {
+        action: 'disable-two-factor',
+        entityType: 'user',
+        entityId: user._id,
+        entityLabel: user.email
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      logger.error('Disable two-factor error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while disabling two-factor authentication'
+      });
+    }
+  }
+
+  // Replace all recovery codes (password required); returns the new codes once
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { password } = req.body;
+
+      const user = await findCurrentUser(req);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!password || !await bcrypt.compare(password, user.password)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+
+      const recovery = twoFactorService.generateRecoveryCodes();
+      user.twoFactor.recoveryCodes = recovery.hashes;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated',
+        data: { recoveryCodes: recovery.codes }
+      });
+    } catch (error) {
+      logger.error('Regenerate recovery codes error', { error });
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating recovery codes'
+      });
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
@@ -1,5 +1,23 @@
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
 const bcrypt = require('bcryptjs');
+const escapeRegex = require('../utils/escapeRegex');
+const auditService = require('../auditService');
+const { SUPER_ADMIN_ROLE } = require('../config/permissions');
+const logger = require('../logger');
+
+// Roles that open the admin panel (any role holding at least one permission)
+const getStaffRoleNames = () => Role.find({
+  $or: [{ permissions: { $ne: [] } }, { name: SUPER_ADMIN_ROLE }]
+}).distinct('name');
+
+// The last super admin can't be demoted or deleted, or nobody could manage admins
+const isLastSuperAdmin = async (user) => {
+  if (user.role !== SUPER_ADMIN_ROLE) return false;
+  const superAdmins = await User.countDocuments({ role: SUPER_ADMIN_ROLE });
+  return superAdmins <= 1;
+};
 
 class UserController {
   // Get all users (admin only)
@@ -16,9 +34,10 @@ class UserController {
       }
       
       if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
         query.$or = [
-          { name: { $regex: search, $options: 'i' } },
-          { email: { $regex: search, $options: 'i' } }
+          { name: pattern },
+          { email: pattern }
         ];
       }
 
@@ -44,7 +63,7 @@ class UserController {
         }
       });
     } catch (error) {
-      console.error('Get all users error:', error);
+      logger.error('Get all users error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching users' 
@@ -71,7 +90,7 @@ class UserController {
         data: { user }
       });
     } catch (error) {
-      console.error('Get user by ID error:', error);
+      logger.error('Get user by ID error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching user' 
@@ -79,10 +98,10 @@ class UserController {
     }
   }
 
-  // Create new user (admin only)
+  // Create new user (admin only). Accounts created from the admin panel are admins unless a role is given.
   async createUser(req, res) {
     try {
-      const { name, email, password, role = 'user' } = req.body;
+      const { name, email, password, role = 'admin' } = req.body;
 
       if (!name || !email || !password) {
         return res.status(400).json({ 
@@ -91,12 +110,26 @@ class UserController {
         });
       }
 
+      if (password.length < 8) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Password must be at least 8 characters long' 
+        });
+      }
+
+      if (!(await Role.exists({ name: role }))) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid role' 
+        });
+      }
+
       // Check if user already exists
-      const existingUser = await User.findOne({ email });
+      const existingUser = await User.findByEmail(email);
       if (existingUser) {
         return res.status(400).json({ 
           success: false, 
-          message: 'User with this email already exists' 
+          message: 'An account with this email already exists' 
         });
       }
 
@@ -105,21 +138,29 @@ class UserController {
       const hashedPassword = await bcrypt.hash(password, saltRounds);
 
       const user = new User({
-        name,
-        email,
+        name: name.trim(),
+        email: email.trim().toLowerCase(),
         password: hashedPassword,
         role
       });
 
       await user.save();
 
+      auditService.record(req, {
+        action: 'create',
+        entityType: 'user',
+        entityId: user._id,
+        entityLabel: user.email,
+        after: user
+      });
+
       res.status(201).json({
         success: true,
         message: 'User created successfully',
-        data: { user: user.toSafeObject() }
+        user: user.profile
       });
     } catch (error) {
-      console.error('Create user error:', error);
+      logger.error('Create user error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while creating user' 
@@ -141,20 +182,46 @@ class UserController {
         });
       }
 
+      const before = auditService.snapshot(user);
+
       // Check if email is being changed and if it's already taken
-      if (email && email !== user.email) {
-        const existingUser = await User.findOne({ email });
+      if (email && email.trim().toLowerCase() !== user.email) {
+        const existingUser = await User.findByEmail(email);
         if (existingUser) {
           return res.status(400).json({ 
             success: false, 
             message: 'Email is already taken' 
           });
         }
-        user.email = email;
+        user.email = email.trim().toLowerCase();
       }
 
       if (name) user.name = name;
-      if (role) user.role = role;
+
+      if (role && role !== user.role) {
+        if (id === req.user.userId) {
+          return res.status(400).json({ 
+            success: false, 
+            message: 'You cannot change your own role' 
+          });
+        }
+
+        if (!(await Role.exists({ name: role }))) {
+          return res.status(400).json({ 
+            success: false, 
+            message: 'Invalid role' 
+          });
+        }
+
+        if (await isLastSuperAdmin(user)) {
+          return res.status(400).json({ 
+            success: false, 
+            message: 'At least one super admin is required' 
+          });
+        }
+
+        user.role = role;
+      }
 
       // Update password if provided
       if (password) {
@@ -164,13 +231,31 @@ class UserController {
 
       await user.save();
 
+      // A new password signs the account out of every device
+      if (password) {
+        await Session.revokeForUser(user._id);
+      }
+
+      // Password hashes are never logged, so note that the password changed
+      const after = auditService.snapshot(user);
+      if (password) after.passwordChanged = true;
+
+      auditService.record(req, {
+        action: 'update',
+        entityType: 'user',
+        entityId: user._id,
+        entityLabel: user.email,
+        before,
+        after
+      });
+
       res.json({
         success: true,
         message: 'User updated successfully',
         data: { user: user.toSafeObject() }
       });
     } catch (error) {
-      console.error('Update user error:', error);
+      logger.error('Update user error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while updating user' 
@@ -199,14 +284,30 @@ class UserController {
         });
       }
 
+      if (await isLastSuperAdmin(user)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'At least one super admin is required' 
+        });
+      }
+
       await User.findByIdAndDelete(id);
+      await Session.deleteMany({ user: id });
+
+      auditService.record(req, {
+        action: 'delete',
+        entityType: 'user',
+        entityId: id,
+        entityLabel: user.email,
+        before: user
+      });
 
       res.json({
         success: true,
         message: 'User deleted successfully'
       });
     } catch (error) {
-      console.error('Delete user error:', error);
+      logger.error('Delete user error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while deleting user' 
@@ -221,7 +322,7 @@ class UserController {
       const { page = 1, limit = 10 } = req.query;
       const skip = (page - 1) * limit;
 
-      if (!['user', 'admin'].includes(role)) {
+      if (!(await Role.exists({ name: role }))) {
         return res.status(400).json({ 
           success: false, 
           message: 'Invalid role' 
@@ -251,7 +352,7 @@ class UserController {
         }
       });
     } catch (error) {
-      console.error('Get users by role error:', error);
+      logger.error('Get users by role error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching users by role' 
@@ -259,20 +360,19 @@ class UserController {
     }
   }
 
-  // Get all admins
+  // Get all staff accounts (every role with admin panel access)
   async getAllAdmins(req, res) {
     try {
-      const admins = await User.find({ role: 'admin' })
+      const staffRoles = await getStaffRoleNames();
+      const admins = await User.find({ role: { $in: staffRoles } })
         .select('-password -resetPasswordToken -resetPasswordExpires')
         .sort({ createdAt: -1 })
         .lean();
 
-      res.json({
-        success: true,
-        data: { admins }
-      });
+      // The admin panel expects a plain array
+      res.json(admins);
     } catch (error) {
-      console.error('Get all admins error:', error);
+      logger.error('Get all admins error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching admins' 
@@ -284,7 +384,8 @@ class UserController {
   async getUserStats(req, res) {
     try {
       const totalUsers = await User.countDocuments();
-      const totalAdmins = await User.countDocuments({ role: 'admin' });
+      const staffRoles = await getStaffRoleNames();
+      const totalAdmins = await User.countDocuments({ role: { $in: staffRoles } });
       const totalRegularUsers = await User.countDocuments({ role: 'user' });
 
       // Get users created in the last 30 days
@@ -329,7 +430,7 @@ class UserController {
         }
       });
     } catch (error) {
-      console.error('Get user stats error:', error);
+      logger.error('Get user stats error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while fetching user statistics' 
@@ -358,23 +459,99 @@ class UserController {
         });
       }
 
-      // Toggle isActive status (assuming we add this field to the schema)
+      // Toggle isActive status
+      const before = auditService.snapshot(user);
       user.isActive = !user.isActive;
       await user.save();
 
+      if (!user.isActive) {
+        await Session.revokeForUser(user._id);
+      }
+
+      auditService.record(req, {
+        action: user.isActive ? 'activate' : 'deactivate',
+        entityType: 'user',
+        entityId: user._id,
+        entityLabel: user.email,
+        before,
+        after: user
+      });
+
       res.json({
         success: true,
         message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
         data: { user: user.toSafeObject() }
       });
     } catch (error) {
-      console.error('Toggle user status error:', error);
+      logger.error('Toggle user status error', { error });
       res.status(500).json({ 
         success: false, 
         message: 'Server error while toggling user status' 
       });
     }
   }
+
+  // Turn off two-factor authentication for an account that lost its authenticator.
+  // If the role requires it, the account sets it up again at the next sign-in.
+  async resetTwoFactor(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (id === req.user.userId) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Manage your own two-factor authentication from Admin Settings' 
+        });
+      }
+
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'User not found' 
+        });
+      }
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Two-factor authentication is not enabled for this account' 
+        });
+      }
+
+      await User.updateOne({ _id: user._id }, {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.emailCodeHash': 1,
+          'twoFactor.emailCodeExpires': 1,
+          'twoFactor.emailCodeAttempts': 1
+        }
+      });
+
+      auditService.record(req, {
+        action: 'reset-two-factor',
+        entityType: 'user',
+        entityId: user._id,
+        entityLabel: user.email
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset successfully'
+      });
+    } catch (error) {
+      logger.error('Reset two-factor error', { error });
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while resetting two-factor authentication' 
+      });
+    }
+  }
 }
 
 module.exports = new UserController();
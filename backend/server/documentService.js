@@ -0,0 +1,169 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { PDFParse } = require('pdf-parse');
+const storageService = require('./storageService');
+const logger = require('./logger');
+
+// Extracted text kept on the record; enough for search on any real notice
+const MAX_TEXT_LENGTH = 100000;
+
+// Length of the excerpt shown with the file
+const EXCERPT_LENGTH = 300;
+
+// First-page preview image
+const THUMBNAIL_WIDTH = 480;
+const THUMBNAIL_QUALITY = 75;
+
+// PDF info keys copied to the record
+const METADATA_KEYS = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  creator: 'Creator',
+  producer: 'Producer'
+};
+
+const cleanText = (text) =>
+  String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+
+// Start of the text on one line, cut at a word boundary
+const toExcerpt = (text) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= EXCERPT_LENGTH) return flat;
+
+  const space = flat.lastIndexOf(' ', EXCERPT_LENGTH);
+  return `${flat.slice(0, space > EXCERPT_LENGTH / 2 ? space : EXCERPT_LENGTH)} …`;
+};
+
+const toMetadata = ({ info = {} }, dates = {}) => {
+  const metadata = {};
+  Object.entries(METADATA_KEYS).forEach(([field, key]) => {
+    if (typeof info[key] === 'string' && info[key].trim()) {
+      metadata[field] = info[key].trim();
+    }
+  });
+  if (dates.CreationDate instanceof Date && !Number.isNaN(dates.CreationDate.getTime())) {
+    metadata.createdAt = dates.CreationDate;
+  }
+  return metadata;
+};
+
+// Stores the PDFs attached to notices and form submissions together with
+// what can be read from them: text (for search and an excerpt), page count,
+// document metadata and a first-page thumbnail. Other attachment types are
+// stored as they are.
+class DocumentService {
+  // Read a PDF file. Resolves to { text, excerpt, pageCount, metadata, image }
+  // where image is a WebP of the first page, or to null when the file can't
+  // be read (damaged or password-protected PDFs are still accepted).
+  async extract(filePath) {
+    let parser;
+    try {
+      parser = new PDFParse({ data: await fs.promises.readFile(filePath) });
+
+      const { text, total } = await parser.getText({ pageJoiner: '' });
+      const info = await parser.getInfo();
+      const cleaned = cleanText(text);
+
+      let image = null;
+      try {
+        const screenshot = await parser.getScreenshot({
+          partial: [1],
+          desiredWidth: THUMBNAIL_WIDTH,
+          imageDataUrl: false
+        });
+        const [page] = screenshot.pages;
+        if (page) {
+          image = await sharp(Buffer.from(page.data)).webp({ quality: THUMBNAIL_QUALITY }).toBuffer();
+        }
+      } catch (error) {
+        // The text is still worth keeping without a preview
+        logger.error('PDF thumbnail creation failed', { error });
+      }
+
+      return {
+        text: cleaned,
+        excerpt: toExcerpt(cleaned),
+        pageCount: total,
+        metadata: toMetadata(info, info.getDateNode ? info.getDateNode() : {}),
+        image
+      };
+    } catch (error) {
+      logger.error('PDF text extraction failed', { path: filePath, error });
+      return null;
+    } finally {
+      if (parser) await parser.destroy().catch(() => {});
+    }
+  }
+
+  // Store a multer file. Resolves to the record's pdfFile: { storage,
+  // publicId, originalName, url, size, mimetype } plus, for PDFs, the
+  // details from describe().
+  async upload(file, { folder } = {}) {
+    const isPdf = file.mimetype === 'application/pdf';
+    // The temporary copy of a PDF is kept until it has been read
+    const stored = await storageService.upload(file, { folder, keepFile: isPdf });
+    const pdfFile = {
+      ...stored,
+      originalName: file.originalname,
+      mimetype: file.mimetype
+    };
+    if (!isPdf) return pdfFile;
+
+    try {
+      return { ...pdfFile, ...(await this.describe(file.path, { folder })) };
+    } finally {
+      fs.unlink(file.path, () => {});
+    }
+  }
+
+  // Read a PDF and store its thumbnail. Resolves to { text, excerpt,
+  // pageCount, metadata, thumbnail, extractedAt } for saving on the pdfFile,
+  // with only extractedAt when the file couldn't be read.
+  async describe(filePath, { folder } = {}) {
+    const details = await this.extract(filePath);
+    if (!details) return { extractedAt: new Date() };
+
+    const { image, ...extracted } = details;
+    return {
+      ...extracted,
+      thumbnail: image ? await this.storeThumbnail(image, `${filePath}-thumb.webp`, folder) : undefined,
+      extractedAt: new Date()
+    };
+  }
+
+  // Save a rendered first page. A failure leaves the file without a preview
+  // rather than failing the upload.
+  async storeThumbnail(image, tempPath, folder) {
+    try {
+      await fs.promises.writeFile(tempPath, image);
+      const { width, height } = await sharp(image).metadata();
+      const stored = await storageService.upload(
+        { path: tempPath, mimetype: 'image/webp' },
+        { folder, resourceType: 'image' }
+      );
+      return { storage: stored.storage, publicId: stored.publicId, url: stored.url, width, height };
+    } catch (error) {
+      logger.error('PDF thumbnail upload failed', { error });
+      fs.unlink(tempPath, () => {});
+      return undefined;
+    }
+  }
+
+  // Delete a stored attachment and its thumbnail (failures are logged and ignored)
+  async delete(pdfFile) {
+    if (!pdfFile) return;
+    await storageService.delete(pdfFile.publicId, pdfFile.storage);
+    if (pdfFile.thumbnail && pdfFile.thumbnail.publicId) {
+      await storageService.delete(pdfFile.thumbnail.publicId, pdfFile.thumbnail.storage, { resourceType: 'image' });
+    }
+  }
+}
+
+module.exports = new DocumentService();
@@ -1,5 +1,46 @@
 const nodemailer = require("nodemailer");
 const https = require("https");
+const { formatBanglaDate } = require("./utils/banglaDate");
+const { emailsSent } = require("./metrics");
+const logger = require("./logger");
+
+// Escape user-provided text before placing it in an HTML email
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// "14 April 2025 (১ বৈশাখ ১৪৩২)"
+const formatDate = (date) =>
+  `${new Date(date).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "Asia/Dhaka",
+  })} (${formatBanglaDate(date)})`;
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+    timeZone: "Asia/Dhaka",
+  });
+
+// Date, time, venue and fee block shared by the event emails
+const eventDetailsHtml = (event) => `
+        <div style="background-color: #f8f9fa; padding: 20px; margin: 20px 0;">
+          <h3 style="color: #2c3e50; margin: 0 0 10px;">${escapeHtml(event.title)}</h3>
+          <p style="margin: 4px 0;"><strong>When:</strong> ${formatDateTime(event.startsAt)} – ${formatDateTime(event.endsAt)}</p>
+          <p style="margin: 4px 0;"><strong>বাংলা তারিখ:</strong> ${formatBanglaDate(event.startsAt, { weekday: true })}</p>
+          <p style="margin: 4px 0;"><strong>Where:</strong> ${escapeHtml(event.venue)}</p>
+          ${event.fee > 0 ? `<p style="margin: 4px 0;"><strong>Fee:</strong> BDT ${Number(event.fee).toLocaleString("en-US")}, payable at the venue</p>` : ""}
+        </div>`;
 
 class EmailService {
   constructor() {
@@ -11,12 +52,22 @@ class EmailService {
     if (process.env.BREVO_API_KEY) {
       this.brevoEnabled = true;
       this.brevoApiKey = process.env.BREVO_API_KEY;
-      console.log("✅ Brevo email service initialized");
+      logger.info("Brevo email service initialized");
     } else {
-      console.log("⚠️ BREVO_API_KEY not found, email service disabled");
+      logger.warn("BREVO_API_KEY not found, email service disabled");
     }
   }
 
+  // Report which delivery services are configured
+  getServiceStatus() {
+    return {
+      brevo: {
+        enabled: !!this.brevoEnabled,
+        configured: !!process.env.BREVO_API_KEY,
+      },
+    };
+  }
+
   // Send email using Brevo API
   async sendEmailBrevo(to, subject, htmlContent, textContent = "") {
     if (!this.brevoEnabled) {
@@ -57,17 +108,17 @@ class EmailService {
 
         res.on("end", () => {
           if (res.statusCode >= 200 && res.statusCode < 300) {
-            console.log("✅ Email sent successfully via Brevo");
+            logger.info("Email sent via Brevo", { subject });
             resolve({ success: true, messageId: JSON.parse(data).messageId });
           } else {
-            console.error("❌ Brevo API error:", res.statusCode, data);
+            logger.error("Brevo API error", { status: res.statusCode, response: data });
             reject(new Error(`Brevo API error: ${res.statusCode} - ${data}`));
           }
         });
       });
 
       req.on("error", (error) => {
-        console.error("❌ Brevo request error:", error);
+        logger.error("Brevo request error", { error });
         reject(error);
       });
 
@@ -80,12 +131,15 @@ class EmailService {
   async sendEmail(to, subject, htmlContent, textContent = "") {
     try {
       if (this.brevoEnabled) {
-        return await this.sendEmailBrevo(to, subject, htmlContent, textContent);
+        const result = await this.sendEmailBrevo(to, subject, htmlContent, textContent);
+        emailsSent.inc({ provider: "brevo", result: "success" });
+        return result;
       } else {
         throw new Error("No email service available");
       }
     } catch (error) {
-      console.error("❌ Email sending failed:", error);
+      emailsSent.inc({ provider: this.brevoEnabled ? "brevo" : "none", result: "failure" });
+      logger.error("Email sending failed", { error });
       throw error;
     }
   }
@@ -166,6 +220,167 @@ class EmailService {
 
     return await this.sendEmail(email, subject, htmlContent, textContent);
   }
+
+  // Send membership approval email with the assigned membership number
+  async sendMembershipApprovedEmail(email, { companyName, membershipNumber, membershipExpiry }) {
+    const subject = "Membership Approved - Jamalpur Chamber of Commerce";
+    const dueLine = membershipExpiry
+      ? `Your annual dues are next due on <strong>${formatDate(membershipExpiry)}</strong>.`
+      : "Your membership does not require annual renewal.";
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">Membership Approved</h2>
+        <p>Dear ${escapeHtml(companyName)},</p>
+        <p>Your application to the Jamalpur Chamber of Commerce & Industry has been approved.</p>
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; margin: 20px 0;">
+          <p style="margin: 0;">Membership Number</p>
+          <h1 style="color: #2c3e50; font-size: 28px; margin: 8px 0 0;">${escapeHtml(membershipNumber)}</h1>
+        </div>
+        <p>${dueLine}</p>
+        <hr style="margin: 30px 0;">
+        <p style="color: #7f8c8d; font-size: 12px;">
+          Jamalpur Chamber of Commerce & Industry<br>
+          Accelerating the Trillion Dollar Journey
+        </p>
+      </div>
+    `;
+
+    const textContent = `Your membership for ${companyName} has been approved. Membership number: ${membershipNumber}.`;
+
+    return await this.sendEmail(email, subject, htmlContent, textContent);
+  }
+
+  // Send a membership renewal reminder.
+  // kind is 'upcoming' (before the due date), 'grace' (past due) or 'lapsed'.
+  async sendMembershipReminderEmail(email, { companyName, membershipNumber, kind, dueDate, graceEndsAt, amount }) {
+    const messages = {
+      upcoming: {
+        subject: "Membership Renewal Reminder - Jamalpur Chamber of Commerce",
+        body: `Your annual membership dues are due on <strong>${formatDate(dueDate)}</strong>.`,
+      },
+      grace: {
+        subject: "Membership Dues Overdue - Jamalpur Chamber of Commerce",
+        body: `Your annual membership dues were due on <strong>${formatDate(dueDate)}</strong>. Please renew before <strong>${formatDate(graceEndsAt)}</strong> to keep your membership active.`,
+      },
+      lapsed: {
+        subject: "Membership Lapsed - Jamalpur Chamber of Commerce",
+        body: `Your membership lapsed on <strong>${formatDate(graceEndsAt)}</strong> because the annual dues were not paid. Your business has been removed from the member directory until the membership is renewed.`,
+      },
+    };
+    const { subject, body } = messages[kind];
+
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">Membership Renewal</h2>
+        <p>Dear ${escapeHtml(companyName)},</p>
+        <p>${body}</p>
+        <p>Membership number: <strong>${escapeHtml(membershipNumber)}</strong><br>
+        Annual dues: <strong>BDT ${Number(amount).toLocaleString("en-US")}</strong></p>
+        <p>Dues can be paid in cash at the chamber office, by bank transfer or by mobile banking. Please quote your membership number with the payment.</p>
+        <hr style="margin: 30px 0;">
+        <p style="color: #7f8c8d; font-size: 12px;">
+          Jamalpur Chamber of Commerce & Industry<br>
+          Accelerating the Trillion Dollar Journey
+        </p>
+      </div>
+    `;
+
+    const textContent = `${body.replace(/<[^>]+>/g, "")} Membership number: ${membershipNumber}. Annual dues: BDT ${amount}.`;
+
+    return await this.sendEmail(email, subject, htmlContent, textContent);
+  }
+
+  // Confirm an event registration.
+  // status is 'confirmed', 'waitlisted' or 'promoted' (moved off the waitlist).
+  async sendEventRegistrationEmail(email, { name, event, status }) {
+    const eventUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${event._id}`;
+    const messages = {
+      confirmed: {
+        subject: "Registration Confirmed",
+        body: "Your place is confirmed. We look forward to seeing you.",
+      },
+      waitlisted: {
+        subject: "You're on the Waitlist",
+        body: "The event is full, so you have been added to the waitlist. We will email you if a place becomes free.",
+      },
+      promoted: {
+        subject: "A Place Is Now Available",
+        body: "A place has become free and your registration is now confirmed. If you can no longer attend, please cancel so someone else can go.",
+      },
+    };
+    const { subject, body } = messages[status];
+
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">${subject}</h2>
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>${body}</p>
+        ${eventDetailsHtml(event)}
+        <p>You can view or cancel your registration on the <a href="${eventUrl}">event page</a>.</p>
+        <hr style="margin: 30px 0;">
+        <p style="color: #7f8c8d; font-size: 12px;">
+          Jamalpur Chamber of Commerce & Industry<br>
+          Accelerating the Trillion Dollar Journey
+        </p>
+      </div>
+    `;
+
+    const textContent = `${body} ${event.title}, ${formatDateTime(event.startsAt)} at ${event.venue}. ${eventUrl}`;
+
+    return await this.sendEmail(email, `${subject}: ${event.title}`, htmlContent, textContent);
+  }
+
+  // Remind a confirmed attendee shortly before an event
+  async sendEventReminderEmail(email, { name, event }) {
+    const eventUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${event._id}`;
+    const subject = `Reminder: ${event.title}`;
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">Event Reminder</h2>
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>This is a reminder that you are registered for the following event:</p>
+        ${eventDetailsHtml(event)}
+        <p>If you can no longer attend, please <a href="${eventUrl}">cancel your registration</a> so someone on the waitlist can take your place.</p>
+        <hr style="margin: 30px 0;">
+        <p style="color: #7f8c8d; font-size: 12px;">
+          Jamalpur Chamber of Commerce & Industry<br>
+          Accelerating the Trillion Dollar Journey
+        </p>
+      </div>
+    `;
+
+    const textContent = `Reminder: ${event.title}, ${formatDateTime(event.startsAt)} at ${event.venue}. ${eventUrl}`;
+
+    return await this.sendEmail(email, subject, htmlContent, textContent);
+  }
+
+  // Tell an account owner their account was locked after repeated failed sign-ins
+  async sendAccountLockedEmail(email, { name, lockedUntil, ip }) {
+    const forgotUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+    const minutes = Math.max(1, Math.round((new Date(lockedUntil).getTime() - Date.now()) / 60000));
+    const subject = "Account Temporarily Locked - Jamalpur Chamber of Commerce";
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">Account Temporarily Locked</h2>
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>There were several failed attempts to sign in to your Jamalpur Chamber of Commerce account${ip ? ` from the address <strong>${escapeHtml(ip)}</strong>` : ""}, so sign-in has been locked for <strong>${minutes} minutes</strong>.</p>
+        <p>If this was you, wait until the lock ends or reset your password to unlock the account now:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${forgotUrl}" style="background-color: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Reset Password</a>
+        </div>
+        <p>If it wasn't you, someone may be trying to guess your password. Your account is safe while it is locked; we recommend choosing a strong password you don't use elsewhere.</p>
+        <hr style="margin: 30px 0;">
+        <p style="color: #7f8c8d; font-size: 12px;">
+          Jamalpur Chamber of Commerce & Industry<br>
+          Accelerating the Trillion Dollar Journey
+        </p>
+      </div>
+    `;
+
+    const textContent = `Your Jamalpur Chamber of Commerce account was locked for ${minutes} minutes after several failed sign-in attempts. If this wasn't you, reset your password: ${forgotUrl}`;
+
+    return await this.sendEmail(email, subject, htmlContent, textContent);
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,95 @@
+// Hourly job that emails confirmed attendees shortly before an event starts
+const Event = require("./models/Event");
+const EventRegistration = require("./models/EventRegistration");
+const emailService = require("./emailService");
+const eventsConfig = require("./config/events");
+const logger = require("./logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class EventReminderService {
+  constructor() {
+    this.interval = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    logger.info("Starting event reminder service");
+
+    this.interval = setInterval(() => {
+      this.sendReminders();
+    }, eventsConfig.reminderCheckIntervalMs);
+
+    this.isRunning = true;
+    logger.info("Event reminder service started");
+
+    // Run once on startup so a restart never skips an event
+    this.sendReminders();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    logger.info("Event reminder service stopped");
+  }
+
+  // Each confirmed registration gets one reminder; reminderSentAt is cleared
+  // when someone registers again after cancelling
+  async sendReminders() {
+    if (!emailService.getServiceStatus().brevo.enabled) {
+      logger.warn("Email service disabled, skipping event reminders");
+      return { sent: 0, failed: 0 };
+    }
+
+    const now = new Date();
+    const horizon = new Date(now.getTime() + eventsConfig.reminderHoursBefore * HOUR_MS);
+    let sent = 0;
+    let failed = 0;
+
+    try {
+      const events = await Event.find({
+        isPublished: true,
+        startsAt: { $gt: now, $lte: horizon },
+      });
+
+      for (const event of events) {
+        const registrations = await EventRegistration.find({
+          event: event._id,
+          status: "confirmed",
+          reminderSentAt: null,
+        });
+
+        for (const registration of registrations) {
+          try {
+            await emailService.sendEventReminderEmail(registration.email, {
+              name: registration.name,
+              event,
+            });
+
+            registration.reminderSentAt = now;
+            await registration.save();
+            sent++;
+          } catch (error) {
+            logger.error("Failed to send event reminder", { registrationId: registration._id, error });
+            failed++;
+          }
+        }
+      }
+
+      if (sent || failed) {
+        logger.info("Event reminders sent", { sent, failed });
+      }
+    } catch (error) {
+      logger.error("Event reminder check failed", { error });
+    }
+
+    return { sent, failed };
+  }
+}
+
+module.exports = new EventReminderService();
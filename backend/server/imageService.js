@@ -0,0 +1,77 @@
+const fs = require('fs');
+const storageService = require('./storageService');
+const { imageOptimizer } = require('./middleware/imageOptimizer');
+const logger = require('./logger');
+
+// Animated GIFs would lose their animation when resized
+const RESIZABLE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+// Stores uploaded images for responsive delivery: the optimized original,
+// resized WebP/AVIF/original-format copies for srcset and an inline blurred
+// placeholder. The copies go to the same storage as the original.
+class ImageService {
+  // Store a multer image file. Resolves to { storage, publicId, url, size,
+  // width, height, placeholder, variants } where each variant is
+  // { width, height, format, url, publicId, size }.
+  async upload(file, { folder }) {
+    let generated = { variants: [] };
+    let placeholder;
+
+    if (RESIZABLE_TYPES.includes(file.mimetype)) {
+      await imageOptimizer.optimizeImage(file.path);
+      try {
+        generated = await imageOptimizer.createVariants(file.path);
+        placeholder = await imageOptimizer.createPlaceholder(file.path);
+      } catch (error) {
+        // The original still works on its own
+        logger.error('Image variant creation failed', { error });
+        generated.variants.forEach(variant => fs.unlink(variant.path, () => {}));
+        generated = { variants: [] };
+      }
+    }
+
+    const variants = [];
+    let stored;
+    try {
+      stored = await storageService.upload(file, { folder, resourceType: 'image' });
+
+      for (const variant of generated.variants) {
+        const storedVariant = await storageService.upload(variant, { folder, resourceType: 'image' });
+        variants.push({
+          width: variant.width,
+          height: variant.height,
+          format: variant.format,
+          url: storedVariant.url,
+          publicId: storedVariant.publicId,
+          size: storedVariant.size
+        });
+      }
+    } catch (error) {
+      // Don't leave half an image set behind
+      if (stored) {
+        await this.delete({ storage: stored.storage, publicId: stored.publicId, variants });
+      }
+      throw error;
+    } finally {
+      generated.variants.forEach(variant => fs.unlink(variant.path, () => {}));
+    }
+
+    return {
+      ...stored,
+      width: generated.width,
+      height: generated.height,
+      placeholder,
+      variants
+    };
+  }
+
+  // Delete a stored image and its variants (failures are logged and ignored)
+  async delete({ storage, publicId, variants = [] }) {
+    await storageService.delete(publicId, storage, { resourceType: 'image' });
+    for (const variant of variants) {
+      await storageService.delete(variant.publicId, storage, { resourceType: 'image' });
+    }
+  }
+}
+
+module.exports = new ImageService();
@@ -1,5 +1,6 @@
 // Keepalive service to prevent Render from sleeping
 const https = require("https");
+const logger = require("./logger");
 
 class KeepAliveService {
   constructor() {
@@ -10,7 +11,7 @@ class KeepAliveService {
   start() {
     if (this.isRunning) return;
 
-    console.log("🔄 Starting keepalive service...");
+    logger.info("Starting keepalive service");
 
     // Ping every 10 minutes (600000 ms)
     this.interval = setInterval(() => {
@@ -18,7 +19,7 @@ class KeepAliveService {
     }, 600000); // 10 minutes
 
     this.isRunning = true;
-    console.log("✅ Keepalive service started");
+    logger.info("Keepalive service started");
   }
 
   stop() {
@@ -27,7 +28,7 @@ class KeepAliveService {
       this.interval = null;
     }
     this.isRunning = false;
-    console.log("⏹️ Keepalive service stopped");
+    logger.info("Keepalive service stopped");
   }
 
   pingSelf() {
@@ -44,16 +45,16 @@ class KeepAliveService {
     };
 
     const req = https.request(options, (res) => {
-      console.log(`🔄 Keepalive ping: ${res.statusCode}`);
+      logger.debug("Keepalive ping", { status: res.statusCode });
     });
 
     req.on("error", (error) => {
-      console.log("⚠️ Keepalive ping failed:", error.message);
+      logger.warn("Keepalive ping failed", { error });
     });
 
     req.on("timeout", () => {
       req.destroy();
-      console.log("⚠️ Keepalive ping timeout");
+      logger.warn("Keepalive ping timeout");
     });
 
     req.end();
@@ -0,0 +1,172 @@
+const LoginThrottle = require('./models/LoginThrottle');
+const emailService = require('./emailService');
+const config = require('./config/loginProtection');
+const logger = require('./logger');
+
+const MINUTE = 60 * 1000;
+// Throttles are kept this long after their last failure or lockout, so
+// repeated lockouts on the same day keep getting longer
+const RETENTION_MS = 24 * 60 * MINUTE;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Failed sign-in tracking per account and per client address, with
+// progressive delays, temporary lockouts and an email to the account owner
+class LockoutService {
+  // Resolves to null when a sign-in may be attempted, otherwise to
+  // { reason, retryAfter (seconds), message }
+  async check({ email, ip }) {
+    const conditions = [];
+    if (normalizeEmail(email)) conditions.push({ kind: 'account', key: normalizeEmail(email) });
+    if (ip) conditions.push({ kind: 'ip', key: ip });
+    if (conditions.length === 0) return null;
+
+    const now = Date.now();
+    const throttles = await LoginThrottle.find({ $or: conditions });
+
+    for (const throttle of throttles) {
+      if (throttle.isLocked()) {
+        const retryAfter = Math.ceil((throttle.lockedUntil.getTime() - now) / 1000);
+        const minutes = Math.ceil(retryAfter / 60);
+        return {
+          reason: throttle.kind === 'account' ? 'account-locked' : 'ip-blocked',
+          retryAfter,
+          message: throttle.kind === 'account'
+            ? `This account is temporarily locked after too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`
+            : `Too many failed sign-in attempts from your network. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+        };
+      }
+
+      if (throttle.nextAttemptAt && throttle.nextAttemptAt.getTime() > now) {
+        const retryAfter = Math.ceil((throttle.nextAttemptAt.getTime() - now) / 1000);
+        return {
+          reason: 'delay',
+          retryAfter,
+          message: `Too many failed attempts. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} and try again.`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Count a failed password or second-factor check. `user` is the account
+  // the email belongs to, if any; it receives an email when it gets locked.
+  async recordFailure({ email, ip, user }) {
+    const key = normalizeEmail(email);
+
+    if (key) {
+      const locked = await this.bump('account', key, config.account, {
+        lastIp: ip,
+        ...(user ? { user: user._id } : {})
+      });
+
+      if (locked && user) {
+        emailService.sendAccountLockedEmail(user.email, {
+          name: user.name,
+          lockedUntil: locked.lockedUntil,
+          ip
+        }).catch(error => logger.error('Account locked email error', { error }));
+      }
+    }
+
+    if (ip) {
+      await this.bump('ip', ip, config.ip);
+    }
+  }
+
+  // Forget an account's failures and lockouts, after a successful sign-in
+  // or once the owner has reset their password
+  async clearAccount(email) {
+    const key = normalizeEmail(email);
+    if (key) {
+      await LoginThrottle.deleteOne({ kind: 'account', key });
+    }
+  }
+
+  // Add one failure to a throttle and apply delays or a lockout.
+  // Resolves to the throttle when this failure locked it, otherwise null.
+  async bump(kind, key, limits, fields = {}) {
+    const now = new Date();
+
+    // Start a new window once the old one has passed
+    await LoginThrottle.updateOne(
+      { kind, key, windowStartedAt: { $lt: new Date(now.getTime() - config.windowMinutes * MINUTE) } },
+      { $set: { failures: 0, windowStartedAt: now }, $unset: { nextAttemptAt: 1 } }
+    );
+
+    const update = {
+      $inc: { failures: 1 },
+      $set: { ...fields, lastFailureAt: now },
+      $max: { expiresAt: new Date(now.getTime() + RETENTION_MS) },
+      $setOnInsert: { windowStartedAt: now }
+    };
+
+    let throttle;
+    try {
+      throttle = await LoginThrottle.findOneAndUpdate({ kind, key }, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two first failures at once: the other request created it
+      if (error.code !== 11000) throw error;
+      throttle = await LoginThrottle.findOneAndUpdate({ kind, key }, update, { new: true });
+    }
+
+    if (throttle.failures >= limits.maxFailures) {
+      const minutes = Math.min(
+        limits.lockMinutes * 2 ** throttle.lockouts,
+        limits.maxLockMinutes || limits.lockMinutes
+      );
+      const lockedUntil = new Date(now.getTime() + minutes * MINUTE);
+
+      // Conditional so concurrent failures lock (and notify) only once
+      const result = await LoginThrottle.updateOne(
+        { _id: throttle._id, failures: { $gte: limits.maxFailures } },
+        {
+          $set: { failures: 0, windowStartedAt: now, lockedUntil },
+          $unset: { nextAttemptAt: 1 },
+          $inc: { lockouts: 1 },
+          $max: { expiresAt: new Date(lockedUntil.getTime() + RETENTION_MS) }
+        }
+      );
+      if (result.modifiedCount === 1) {
+        logger.warn('Sign-in locked', { kind, key, lockedUntil });
+        throttle.lockedUntil = lockedUntil;
+        return throttle;
+      }
+      return null;
+    }
+
+    if (limits.freeAttempts && throttle.failures >= limits.freeAttempts) {
+      const seconds = Math.min(
+        config.delay.baseSeconds * 2 ** (throttle.failures - limits.freeAttempts),
+        config.delay.maxSeconds
+      );
+      await LoginThrottle.updateOne(
+        { _id: throttle._id },
+        { $set: { nextAttemptAt: new Date(now.getTime() + seconds * 1000) } }
+      );
+    }
+
+    return null;
+  }
+
+  // Locked accounts and addresses, and ones with recent failures, for the admin view
+  async list() {
+    const now = new Date();
+    return LoginThrottle.find({
+      $or: [
+        { lockedUntil: { $gt: now } },
+        { failures: { $gt: 0 }, windowStartedAt: { $gt: new Date(now.getTime() - config.windowMinutes * MINUTE) } }
+      ]
+    })
+      .populate('user', 'name email')
+      .sort({ lockedUntil: -1, lastFailureAt: -1 });
+  }
+
+  // Lift a lockout and forget its failures. Resolves to the removed throttle, or null.
+  async unlock(id) {
+    return LoginThrottle.findByIdAndDelete(id);
+  }
+}
+
+module.exports = new LockoutService();
@@ -0,0 +1,128 @@
+const loggingConfig = require('./config/logging');
+const requestContext = require('./utils/requestContext');
+
+// Secrets that can turn up inside text such as error messages and URLs
+const BEARER_PATTERN = /\b(Bearer\s+)[\w.~+/=-]+/gi;
+const JWT_PATTERN = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+
+const redactText = (text) => text
+  .replace(BEARER_PATTERN, `$1${loggingConfig.redactedValue}`)
+  .replace(JWT_PATTERN, loggingConfig.redactedValue);
+
+// Turn a value into plain JSON data with secrets replaced: errors keep their
+// stack, documents and IDs use their JSON form, and circular or very deep
+// structures are cut short
+const serialize = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return redactText(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (value === null || typeof value !== 'object') return value;
+
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= loggingConfig.maxDepth) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return serialize({
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.statusCode !== undefined && { statusCode: value.statusCode }),
+      stack: value.stack,
+      ...(value.cause !== undefined && { cause: value.cause })
+    }, depth, seen);
+  }
+
+  if (typeof value.toJSON === 'function') {
+    const json = value.toJSON();
+    if (json !== value) return serialize(json, depth + 1, seen);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => serialize(item, depth + 1, seen));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    loggingConfig.redactKeys.test(key) && item != null && item !== ''
+      ? loggingConfig.redactedValue
+      : serialize(item, depth + 1, seen)
+  ]));
+};
+
+// "12:30:05.123 INFO  Message [request id] key=value", then any stack
+const formatPretty = ({ time, level, message, requestId, ...fields }) => {
+  const stacks = [];
+  const pairs = Object.entries(fields).filter(([, value]) => value !== undefined).map(([key, value]) => {
+    if (value && typeof value === 'object' && value.stack) {
+      const { stack, ...rest } = value;
+      stacks.push(stack);
+      return `${key}=${JSON.stringify(rest)}`;
+    }
+    return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+  });
+
+  return [
+    [time.slice(11, 23), level.toUpperCase().padEnd(5), message, requestId && `[${requestId}]`, ...pairs]
+      .filter(Boolean)
+      .join(' '),
+    ...stacks.map(stack => stack.replace(/^/gm, '    '))
+  ].join('\n');
+};
+
+// Structured logger: each entry has a time, level, message, the ID of the
+// request being handled (if any) and the given fields. Errors and warnings
+// go to stderr, the rest to stdout.
+//   logger.info('Storage initialized', { driver: 'local' })
+//   logger.error('Get notices error', { error })
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  // A logger that adds the given fields to every entry
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  isEnabled(level) {
+    return loggingConfig.levels.indexOf(level) <= loggingConfig.levels.indexOf(loggingConfig.level);
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = serialize({
+      time: new Date().toISOString(),
+      level,
+      message,
+      requestId: requestContext.getRequestId() || undefined,
+      ...this.fields,
+      ...fields
+    });
+
+    const line = loggingConfig.format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,113 @@
+// Daily job that emails members whose annual dues are coming up or overdue
+const Member = require("./models/Member");
+const emailService = require("./emailService");
+const membershipConfig = require("./config/membership");
+const logger = require("./logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MembershipReminderService {
+  constructor() {
+    this.interval = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    logger.info("Starting membership reminder service");
+
+    this.interval = setInterval(() => {
+      this.checkRenewals();
+    }, membershipConfig.reminderCheckIntervalMs);
+
+    this.isRunning = true;
+    logger.info("Membership reminder service started");
+
+    // Run once on startup so a restart never skips a day
+    this.checkRenewals();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    logger.info("Membership reminder service stopped");
+  }
+
+  // Pick the reminder that applies to a member today, or null if none is due.
+  // Reminder kinds are keyed by the due date so each goes out once per renewal cycle.
+  getReminderKind(member, now = new Date()) {
+    const state = Member.getMembershipState(member, now);
+    if (state === "lapsed") return "lapsed";
+    if (state === "grace") return "grace";
+
+    const daysLeft = Math.ceil((new Date(member.membershipExpiry) - now) / DAY_MS);
+    const thresholds = [...membershipConfig.reminderDaysBefore].sort((a, b) => a - b);
+    const threshold = thresholds.find(days => daysLeft <= days);
+    return threshold === undefined ? null : `due-${threshold}`;
+  }
+
+  async checkRenewals() {
+    if (!emailService.getServiceStatus().brevo.enabled) {
+      logger.warn("Email service disabled, skipping membership reminders");
+      return { sent: 0, failed: 0 };
+    }
+
+    const now = new Date();
+    const horizon = new Date(now.getTime() + Math.max(...membershipConfig.reminderDaysBefore) * DAY_MS);
+    let sent = 0;
+    let failed = 0;
+
+    try {
+      const members = await Member.find({
+        status: "approved",
+        membershipExpiry: { $ne: null, $lte: horizon },
+      }).populate("user", "email");
+
+      for (const member of members) {
+        const kind = this.getReminderKind(member, now);
+        if (!kind) continue;
+
+        const dueTime = member.membershipExpiry.getTime();
+        const alreadySent = member.remindersSent.some(
+          reminder => reminder.kind === kind && reminder.dueDate && reminder.dueDate.getTime() === dueTime
+        );
+        if (alreadySent) continue;
+
+        const email = member.contactPerson.email || (member.user && member.user.email);
+        if (!email) continue;
+
+        try {
+          await emailService.sendMembershipReminderEmail(email, {
+            companyName: member.companyName,
+            membershipNumber: member.membershipNumber,
+            kind: kind.startsWith("due-") ? "upcoming" : kind,
+            dueDate: member.membershipExpiry,
+            graceEndsAt: Member.getGraceEndsAt(member.membershipExpiry),
+            amount: membershipConfig.annualDues[member.membershipTier] || 0,
+          });
+
+          member.remindersSent.push({ kind, dueDate: member.membershipExpiry, sentAt: now });
+          await member.save();
+          sent++;
+        } catch (error) {
+          logger.error("Failed to send membership reminder", { memberId: member._id, error });
+          failed++;
+        }
+      }
+
+      if (sent || failed) {
+        logger.info("Membership reminders sent", { sent, failed });
+      }
+    } catch (error) {
+      logger.error("Membership reminder check failed", { error });
+    }
+
+    return { sent, failed };
+  }
+}
+
+module.exports = new MembershipReminderService();
@@ -0,0 +1,129 @@
+const client = require('prom-client');
+const mongoose = require('mongoose');
+
+// Prometheus metrics served on /metrics (see routes/metricsRoutes). Counters
+// and histograms are updated where things happen; gauges that describe the
+// current state (sockets, database pool) are read when scraped.
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register, prefix: 'jcci_' });
+
+// Request durations range from cached reads to file uploads
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Uploads are capped at 10 MB by multer
+const SIZE_BUCKETS = [10e3, 50e3, 100e3, 250e3, 500e3, 1e6, 2.5e6, 5e6, 10e6];
+
+const SOCKET_ROOMS = ['admin', 'user'];
+
+const httpRequests = new client.Counter({
+  name: 'jcci_http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'jcci_http_request_duration_seconds',
+  help: 'HTTP request duration by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+const uploadSize = new client.Histogram({
+  name: 'jcci_upload_size_bytes',
+  help: 'Size of files stored, by storage driver and folder',
+  labelNames: ['driver', 'folder'],
+  buckets: SIZE_BUCKETS,
+  registers: [register]
+});
+
+const uploadDuration = new client.Histogram({
+  name: 'jcci_upload_duration_seconds',
+  help: 'Time taken to store a file, by storage driver, folder and result',
+  labelNames: ['driver', 'folder', 'result'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+const emailsSent = new client.Counter({
+  name: 'jcci_emails_sent_total',
+  help: 'Emails sent, by provider and result (success or failure)',
+  labelNames: ['provider', 'result'],
+  registers: [register]
+});
+
+// Sources for the gauges below, registered by the modules that own them
+const sources = {
+  io: null
+};
+
+new client.Gauge({
+  name: 'jcci_socket_clients',
+  help: 'Connected Socket.IO clients, in total (room="all") and per room',
+  labelNames: ['room'],
+  registers: [register],
+  collect() {
+    const { io } = sources;
+    if (!io) return;
+    this.set({ room: 'all' }, io.engine.clientsCount);
+    SOCKET_ROOMS.forEach(room => {
+      const members = io.of('/').adapter.rooms.get(room);
+      this.set({ room }, members ? members.size : 0);
+    });
+  }
+});
+
+// MongoDB connection pools (one per server), read from the driver's pool
+// objects when scraped
+const POOL_STATES = {
+  open: 'totalConnectionCount',
+  in_use: 'currentCheckedOutCount',
+  available: 'availableConnectionCount',
+  pending: 'pendingConnectionCount',
+  waiting: 'waitQueueSize'
+};
+
+new client.Gauge({
+  name: 'jcci_mongodb_pool_connections',
+  help: 'MongoDB pool connections by state (open, in_use, available, pending, waiting requests and max)',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    const mongoClient = mongoose.connection.getClient();
+    const topology = mongoClient && mongoClient.topology;
+    const servers = topology && topology.s ? [...topology.s.servers.values()] : [];
+
+    Object.entries(POOL_STATES).forEach(([state, property]) => {
+      this.set({ state }, servers.reduce((sum, server) => sum + (server.pool ? server.pool[property] : 0), 0));
+    });
+    this.set({ state: 'max' }, mongoClient ? mongoClient.options.maxPoolSize || 0 : 0);
+  }
+});
+
+// Time a file being stored. Resolves or rejects like `store`.
+const timeUpload = async ({ driver, folder }, store) => {
+  const end = uploadDuration.startTimer({ driver, folder });
+  try {
+    const result = await store();
+    end({ result: 'success' });
+    if (typeof result.size === 'number') {
+      uploadSize.observe({ driver, folder }, result.size);
+    }
+    return result;
+  } catch (error) {
+    end({ result: 'failure' });
+    throw error;
+  }
+};
+
+module.exports = {
+  register,
+  httpRequests,
+  httpDuration,
+  emailsSent,
+  timeUpload,
+  // Report Socket.IO clients from this server
+  observeSockets: (io) => { sources.io = io; }
+};
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const logger = require('../logger');
 
 // Middleware to authenticate JWT token
 const authenticateToken = async (req, res, next) => {
@@ -26,16 +29,29 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user info to request
+    // Tokens stop working as soon as their session is signed out
+    const session = await Session.findActive(decoded.sid, user._id);
+    if (!session) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session expired' 
+      });
+    }
+
+    // Add user info to request (from the database, so renamed or demoted
+    // accounts take effect without waiting for the token to expire)
     req.user = {
-      userId: decoded.userId,
-      email: decoded.email,
-      role: decoded.role
+      userId: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      ...await Role.getUserAccess(user),
+      sessionId: session.id
     };
 
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
+    logger.error('Authentication error', { error });
     
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ 
@@ -58,9 +74,9 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to require admin role
+// Middleware to require staff access: any role holding at least one permission
 const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+  if (!req.user.permissions || req.user.permissions.length === 0) {
     return res.status(403).json({ 
       success: false, 
       message: 'Admin access required' 
@@ -69,9 +85,23 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-// Middleware to require user role (user or admin)
+// Middleware factory to require every listed permission, e.g. requirePermission('notice:write')
+const requirePermission = (...permissions) => (req, res, next) => {
+  const granted = req.user.permissions || [];
+  const missing = permissions.filter(permission => !granted.includes(permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({ 
+      success: false, 
+      message: `Permission required: ${missing.join(', ')}` 
+    });
+  }
+  next();
+};
+
+// Middleware to require a signed-in account of any role
 const requireUser = (req, res, next) => {
-  if (!['user', 'admin'].includes(req.user.role)) {
+  if (!req.user) {
     return res.status(403).json({ 
       success: false, 
       message: 'User access required' 
@@ -89,12 +119,16 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId);
+      const session = user && await Session.findActive(decoded.sid, user._id);
       
-      if (user) {
+      if (session) {
         req.user = {
-          userId: decoded.userId,
-          email: decoded.email,
-          role: decoded.role
+          userId: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          ...await Role.getUserAccess(user),
+          sessionId: session.id
         };
       }
     }
@@ -109,6 +143,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireAdmin,
+  requirePermission,
   requireUser,
   optionalAuth
 };
@@ -1,3 +1,5 @@
+const logger = require('../logger');
+
 // Simple in-memory cache for API responses
 const cache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
@@ -13,7 +15,7 @@ const cacheMiddleware = (duration = CACHE_DURATION) => {
     const cached = cache.get(key);
 
     if (cached && Date.now() - cached.timestamp < duration) {
-      console.log(`📦 Cache hit for: ${key}`);
+      logger.debug('Cache hit', { key });
       return res.json(cached.data);
     }
 
@@ -49,7 +51,7 @@ const clearCache = (pattern) => {
   for (const key of cache.keys()) {
     if (key.includes(pattern)) {
       cache.delete(key);
-      console.log(`🗑️ Cache cleared for: ${key}`);
+      logger.debug('Cache cleared', { key });
     }
   }
 };
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HealthMonitor = require('../utils/healthMonitor');
+const storageService = require('../storageService');
+const storageConfig = require('../config/storage');
+const monitoringConfig = require('../config/monitoring');
+
+// Health of file storage. Named after Cloudinary, the original provider; it
+// checks whichever driver storageService uses (see STORAGE_DRIVER).
+class CloudinaryMonitor extends HealthMonitor {
+  constructor() {
+    super('Storage', { slowMs: monitoringConfig.slowMs.storage });
+  }
+
+  async probe() {
+    await storageService.ping();
+  }
+
+  // Upload, download and delete a small file, timing each step. The file
+  // goes to the default folder, so the storage cleanup removes it if the
+  // delete step fails.
+  async testCloudinaryOperations() {
+    const filePath = path.join(os.tmpdir(), `health-check-${Date.now()}.txt`);
+    let stored;
+
+    const result = await this.runOperations([
+      ['ping', () => this.probe()],
+      ['write', async () => {
+        await fs.promises.writeFile(filePath, `Storage health check ${new Date().toISOString()}\n`);
+        stored = await storageService.upload(
+          { path: filePath, mimetype: 'text/plain' },
+          { folder: storageConfig.folders.default, resourceType: 'raw' }
+        );
+      }],
+      ['read', async () => {
+        const response = await fetch(stored.url);
+        if (!response.ok) {
+          throw new Error(`Download failed with HTTP ${response.status}`);
+        }
+        await response.arrayBuffer();
+      }],
+      ['delete', () => storageService.getDriver(stored.storage).delete(stored.publicId, { resourceType: 'raw' })]
+    ]);
+
+    // Don't leave the test file behind when a later step failed
+    if (stored && !result.success) {
+      await storageService.delete(stored.publicId, stored.storage, { resourceType: 'raw' });
+    }
+    fs.unlink(filePath, () => {});
+    return result;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      driver: storageService.getServiceStatus().driver
+    };
+  }
+}
+
+module.exports = new CloudinaryMonitor();
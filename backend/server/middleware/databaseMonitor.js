@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const HealthMonitor = require('../utils/healthMonitor');
+const monitoringConfig = require('../config/monitoring');
+
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Scratch collection used by testDatabaseOperations
+const TEST_COLLECTION = 'healthchecks';
+
+// Health of the MongoDB connection: a ping every check interval, plus the
+// driver's connection events so drops and reconnects show up straight away
+class DatabaseMonitor extends HealthMonitor {
+  constructor() {
+    super('Database', { slowMs: monitoringConfig.slowMs.database });
+    this.watchConnection();
+  }
+
+  getConnectionState() {
+    return DB_STATES[mongoose.connection.readyState] || 'unknown';
+  }
+
+  async probe() {
+    const state = this.getConnectionState();
+    if (state !== 'connected') {
+      throw new Error(`MongoDB is ${state}`);
+    }
+    await mongoose.connection.db.admin().ping();
+  }
+
+  watchConnection() {
+    const { connection } = mongoose;
+    connection.on('disconnected', () => {
+      // Expected while shutting down
+      if (this.isRunning) this.recordFailure(new Error('MongoDB disconnected'));
+    });
+    connection.on('error', error => {
+      if (this.isRunning) this.recordFailure(error);
+    });
+    connection.on('reconnected', () => {
+      if (this.isRunning) this.check();
+    });
+  }
+
+  // Write, read and delete a document, timing each step
+  async testDatabaseOperations() {
+    const collection = () => mongoose.connection.db.collection(TEST_COLLECTION);
+    let id;
+
+    return this.runOperations([
+      ['ping', () => this.probe()],
+      ['write', async () => {
+        ({ insertedId: id } = await collection().insertOne({ createdAt: new Date() }));
+      }],
+      ['read', async () => {
+        if (!await collection().findOne({ _id: id })) {
+          throw new Error('Test document not found after writing it');
+        }
+      }],
+      ['delete', () => collection().deleteOne({ _id: id })]
+    ]);
+  }
+
+  getStatus() {
+    const { host, name } = mongoose.connection;
+    return {
+      ...super.getStatus(),
+      connectionState: this.getConnectionState(),
+      host: host || null,
+      database: name || null
+    };
+  }
+}
+
+module.exports = new DatabaseMonitor();
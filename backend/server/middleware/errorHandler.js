@@ -1,6 +1,8 @@
+const logger = require('../logger');
+
 // Global error handling middleware
 const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err);
+  logger.error('Unhandled request error', { error: err, method: req.method });
 
   // Default error
   let error = {
@@ -86,6 +88,8 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode).json({
     success: error.success,
     message: error.message,
+    // Quoted by users reporting a problem, to find it in the logs
+    requestId: req.id,
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -1,6 +1,7 @@
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
+const logger = require('../logger');
 
 /**
  * Advanced Image Optimization Middleware
@@ -39,7 +40,17 @@ class ImageOptimizer {
       
       // Smart optimization
       smartResize: true,     // Smart resizing algorithm
-      maintainQuality: true  // Prioritize quality over size
+      maintainQuality: true, // Prioritize quality over size
+
+      // Responsive variants (see createVariants)
+      variantWidths: [320, 640, 960, 1280],
+      variantFormats: ['avif', 'webp'],
+      variantQuality: { jpeg: 80, png: 80, webp: 75, avif: 50 },
+      // AVIF encoding is slow; low effort keeps uploads quick at a small size cost
+      avifEffort: 2,
+
+      // Width of the blurred preview shown while the image loads
+      placeholderWidth: 24
     };
   }
 
@@ -51,7 +62,7 @@ class ImageOptimizer {
    */
   async optimizeImage(inputPath, outputPath = null) {
     try {
-      console.log(`🖼️ Optimizing image: ${inputPath}`);
+      logger.debug('Optimizing image', { path: inputPath });
       
       // Use same path if output not specified
       if (!outputPath) {
@@ -64,8 +75,7 @@ class ImageOptimizer {
 
       // Get image metadata
       const metadata = await sharp(inputPath).metadata();
-      console.log(`📏 Original dimensions: ${metadata.width}x${metadata.height}`);
-      console.log(`📦 Original size: ${this._formatBytes(originalSize)}`);
+      logger.debug('Original image', { width: metadata.width, height: metadata.height, size: this._formatBytes(originalSize) });
 
       // Calculate new dimensions (maintain aspect ratio)
       const dimensions = this._calculateDimensions(
@@ -75,7 +85,7 @@ class ImageOptimizer {
         this.config.maxHeight
       );
 
-      console.log(`📐 New dimensions: ${dimensions.width}x${dimensions.height}`);
+      logger.debug('Resizing image', { width: dimensions.width, height: dimensions.height });
 
       // Optimize based on format
       let sharpInstance = sharp(inputPath)
@@ -150,8 +160,7 @@ class ImageOptimizer {
       const savedBytes = originalSize - optimizedSize;
       const savedPercent = ((savedBytes / originalSize) * 100).toFixed(1);
 
-      console.log(`✅ Optimized size: ${this._formatBytes(optimizedSize)}`);
-      console.log(`💾 Saved: ${this._formatBytes(savedBytes)} (${savedPercent}%)`);
+      logger.debug('Image optimized', { size: this._formatBytes(optimizedSize), saved: this._formatBytes(savedBytes), savedPercent });
 
       return {
         success: true,
@@ -166,7 +175,7 @@ class ImageOptimizer {
       };
 
     } catch (error) {
-      console.error('❌ Image optimization error:', error);
+      logger.error('Image optimization error', { error });
       return {
         success: false,
         error: error.message
@@ -194,14 +203,76 @@ class ImageOptimizer {
         })
         .toFile(outputPath);
 
-      console.log(`✅ Thumbnail created: ${outputPath}`);
+      logger.debug('Thumbnail created', { path: outputPath });
       return true;
     } catch (error) {
-      console.error('❌ Thumbnail creation error:', error);
+      logger.error('Thumbnail creation error', { error });
       return false;
     }
   }
 
+  /**
+   * Create resized copies for srcset: every configured width smaller than the
+   * image in its own format, plus every width and the full size in the modern
+   * formats. Files are written next to the input.
+   * @param {string} inputPath - Optimized image
+   * @returns {Object} { width, height, variants: [{ path, width, height, format, mimetype }] }
+   */
+  async createVariants(inputPath) {
+    const metadata = await sharp(inputPath).metadata();
+    const { width, height } = metadata;
+    // PNGs with transparency keep it in the fallback format
+    const fallbackFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+
+    const widths = this.config.variantWidths.filter(variantWidth => variantWidth < width);
+    const jobs = [
+      ...widths.map(variantWidth => ({ width: variantWidth, format: fallbackFormat })),
+      ...[...widths, width].flatMap(variantWidth =>
+        this.config.variantFormats.map(format => ({ width: variantWidth, format }))
+      )
+    ];
+
+    const { dir, name } = path.parse(inputPath);
+    const variants = [];
+
+    for (const job of jobs) {
+      const extension = job.format === 'jpeg' ? 'jpg' : job.format;
+      const outputPath = path.join(dir, `${name}-${job.width}w.${extension}`);
+      const info = await sharp(inputPath)
+        .resize({ width: job.width, kernel: 'lanczos3' })
+        .toFormat(job.format, {
+          quality: this.config.variantQuality[job.format],
+          ...(job.format === 'avif' && { effort: this.config.avifEffort })
+        })
+        .toFile(outputPath);
+
+      variants.push({
+        path: outputPath,
+        width: info.width,
+        height: info.height,
+        format: job.format,
+        mimetype: `image/${job.format}`
+      });
+    }
+
+    return { width, height, variants };
+  }
+
+  /**
+   * Tiny blurred copy as a data URL, shown while the real image loads
+   * @param {string} inputPath - Image file path
+   * @returns {string} data:image/webp;base64,...
+   */
+  async createPlaceholder(inputPath) {
+    const buffer = await sharp(inputPath)
+      .resize({ width: this.config.placeholderWidth })
+      .blur()
+      .webp({ quality: 40 })
+      .toBuffer();
+
+    return `data:image/webp;base64,${buffer.toString('base64')}`;
+  }
+
   /**
    * Calculate optimal dimensions maintaining aspect ratio
    * @private
@@ -268,7 +339,7 @@ const optimizeUploadedImage = async (req, res, next) => {
   }
 
   try {
-    console.log(`\n🎨 Optimizing uploaded image: ${req.file.filename}`);
+    logger.debug('Optimizing uploaded image', { filename: req.file.filename });
     
     const result = await imageOptimizer.optimizeImage(req.file.path);
     
@@ -278,14 +349,14 @@ const optimizeUploadedImage = async (req, res, next) => {
       req.file.optimized = true;
       req.file.originalDimensions = result.dimensions;
       
-      console.log(`✅ Image optimization complete!\n`);
+      logger.debug('Image optimization complete', { filename: req.file.filename });
     } else {
-      console.warn(`⚠️ Image optimization failed, using original: ${result.error}\n`);
+      logger.warn('Image optimization failed, using original', { filename: req.file.filename, error: result.error });
     }
     
     next();
   } catch (error) {
-    console.error('Image optimization middleware error:', error);
+    logger.error('Image optimization middleware error', { error });
     // Continue even if optimization fails
     next();
   }
@@ -0,0 +1,33 @@
+const { httpRequests, httpDuration } = require('../metrics');
+
+// Route label for a finished request: the matched route pattern (such as
+// /api/notices/:id) so IDs don't create a series each, "static" for files,
+// and "unmatched" for anything no route handled
+const routeLabel = (req) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}`;
+  }
+  if (/^\/(?:api\/files|uploads)\//.test(req.originalUrl)) {
+    return 'static';
+  }
+  return 'unmatched';
+};
+
+// Count and time every request for /metrics
+const requestMetrics = (req, res, next) => {
+  const end = httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: routeLabel(req),
+      status: String(res.statusCode)
+    };
+    end(labels);
+    httpRequests.inc(labels);
+  });
+
+  next();
+};
+
+module.exports = { requestMetrics };
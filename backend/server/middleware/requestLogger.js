@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const logger = require('../logger');
+const loggingConfig = require('../config/logging');
+const requestContext = require('../utils/requestContext');
+
+// IDs sent by the frontend are used as they are when they look sane
+const REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
+
+// Requests logged at debug level only: file downloads and metric scrapes
+const QUIET_PATHS = /^\/(?:api\/files|uploads|metrics)(?:\/|$)/;
+
+// The URL with secrets taken out: query parameters with sensitive names and
+// route parameters such as the reset token in /reset-password/:token
+const redactUrl = (req) => {
+  const [pathname, query] = req.originalUrl.split('?');
+  let path = pathname;
+
+  Object.entries(req.params || {}).forEach(([name, value]) => {
+    if (loggingConfig.redactKeys.test(name) && value) {
+      path = path.split(`/${encodeURIComponent(value)}`).join(`/${loggingConfig.redactedValue}`);
+    }
+  });
+
+  if (!query) return path;
+
+  const params = [...new URLSearchParams(query)].map(([name, value]) => {
+    const shown = loggingConfig.redactKeys.test(name) ? loggingConfig.redactedValue : encodeURIComponent(value);
+    return `${encodeURIComponent(name)}=${shown}`;
+  });
+  return `${path}?${params.join('&')}`;
+};
+
+// Give each request an ID (the frontend's X-Request-Id, or a new one),
+// return it in the response, make it available to everything the request
+// runs (see utils/requestContext) and log the request once it completes
+const requestLogger = (req, res, next) => {
+  const incoming = req.get(loggingConfig.requestIdHeader);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(loggingConfig.requestIdHeader, requestId);
+
+  res.on('finish', () => {
+    const { statusCode } = res;
+    let level = 'info';
+    if (statusCode >= 500) level = 'error';
+    else if (statusCode >= 400) level = 'warn';
+    else if (QUIET_PATHS.test(req.originalUrl)) level = 'debug';
+
+    logger.log(level, 'Request completed', {
+      requestId,
+      method: req.method,
+      path: redactUrl(req),
+      status: statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      ip: req.ip,
+      ...(req.user && { userId: req.user.userId })
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+};
+
+module.exports = { requestLogger };
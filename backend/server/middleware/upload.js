@@ -0,0 +1,48 @@
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs");
+
+// Multer keeps uploads in a temporary folder; controllers hand them to
+// storageService, which moves them to the configured storage and removes
+// the temporary copy
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const tempDir = path.join(__dirname, "../temp");
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+    cb(null, tempDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    cb(null, `${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname)}`);
+  },
+});
+
+// Create multer upload middleware
+const upload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    // Allow PDF files and images
+    const allowedMimes = [
+      "application/pdf",
+      "image/jpeg",
+      "image/jpg", 
+      "image/png",
+      "image/gif"
+    ];
+    
+    if (allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error("Only PDF and image files are allowed");
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+});
+
+module.exports = { upload };
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Kinds of event an album can cover (the gallery form's "Event Type" options)
+const EVENT_TYPES = [
+  'business-meeting',
+  'conference',
+  'seminar',
+  'workshop',
+  'networking',
+  'trade-show',
+  'award-ceremony',
+  'annual-meeting',
+  'other'
+];
+
+// A meeting or event with its photos. Images belong to an album through
+// GalleryImage.album and are shown in GalleryImage.order.
+const albumSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  eventDate: { type: Date },
+  eventType: {
+    type: String,
+    enum: EVENT_TYPES,
+    default: 'business-meeting'
+  },
+  eventLocation: { type: String, default: '' },
+  organizer: { type: String, default: '' },
+  // Shown on album cards; the first image is used when none is chosen
+  coverImage: { type: mongoose.Schema.Types.ObjectId, ref: 'GalleryImage', default: null },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+albumSchema.index({ isActive: 1, eventDate: -1 });
+
+albumSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const Album = mongoose.model('Album', albumSchema);
+Album.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = Album;
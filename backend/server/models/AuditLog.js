@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Kinds of records the audit trail covers, with labels for the admin panel
+const ENTITY_TYPES = {
+  notice: 'Notice',
+  news: 'News Article',
+  'gallery-image': 'Gallery Image',
+  submission: 'Form Submission',
+  user: 'Admin Account',
+  role: 'Role',
+  member: 'Member',
+  payment: 'Dues Payment',
+  lockout: 'Sign-in Lockout',
+  storage: 'File Storage',
+  album: 'Gallery Album',
+  event: 'Event'
+};
+
+// One admin action. Actor details are copied so entries still read
+// correctly after the account is renamed or deleted.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorName: { type: String },
+  actorEmail: { type: String },
+  // e.g. create, update, delete, approve, reject, reorder
+  action: { type: String, required: true },
+  entityType: { type: String, required: true, enum: Object.keys(ENTITY_TYPES) },
+  entityId: { type: String },
+  // Human-readable name of the record, such as a notice title
+  entityLabel: { type: String },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  }],
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Indexes for the activity filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+AuditLog.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = AuditLog;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Membership certificate issued for one membership term.
+// Member details are copied at issue time so the certificate reads the same later.
+const certificateSchema = new mongoose.Schema({
+  certificateNumber: { type: String, required: true, unique: true },
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', required: true },
+  membershipNumber: { type: String, required: true },
+  companyName: { type: String, required: true },
+  membershipTier: { type: String, required: true },
+  issuedAt: { type: Date, default: Date.now },
+  // Empty for life members
+  validUntil: { type: Date },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+});
+
+// Indexes for better performance
+certificateSchema.index({ member: 1, issuedAt: -1 });
+
+// Details that are safe to show on the public verification page
+certificateSchema.methods.toVerificationObject = function() {
+  return {
+    certificateNumber: this.certificateNumber,
+    membershipNumber: this.membershipNumber,
+    companyName: this.companyName,
+    membershipTier: this.membershipTier,
+    issuedAt: this.issuedAt,
+    validUntil: this.validUntil,
+  };
+};
+
+module.exports = mongoose.model('Certificate', certificateSchema);
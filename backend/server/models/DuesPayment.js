@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_METHODS = ["cash", "bank", "mobile-banking"];
+
+const duesPaymentSchema = new mongoose.Schema({
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', required: true },
+  receiptNumber: { type: String, required: true, unique: true },
+  amount: { type: Number, required: true, min: 0 },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true,
+  },
+  // Bank transaction ID or bKash/Nagad/Rocket reference; not needed for cash
+  reference: {
+    type: String,
+    trim: true,
+    default: "",
+    validate: {
+      validator: function(value) {
+        return this.method === "cash" || !!value;
+      },
+      message: "A transaction reference is required for bank and mobile banking payments",
+    },
+  },
+  membershipTier: { type: String },
+  periodStart: { type: Date },
+  periodEnd: { type: Date },
+  paidAt: { type: Date, default: Date.now },
+  notes: { type: String, default: "", maxlength: 500 },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Indexes for better performance
+duesPaymentSchema.index({ member: 1, paidAt: -1 });
+
+const DuesPayment = mongoose.model('DuesPayment', duesPaymentSchema);
+
+DuesPayment.PAYMENT_METHODS = PAYMENT_METHODS;
+
+module.exports = DuesPayment;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A chamber event people can register for. Registrations are kept in
+// EventRegistration; confirmedCount is the number of confirmed seats and is
+// only changed atomically (see eventController) so an event can't be overbooked.
+const eventSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  venue: { type: String, required: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  // Confirmed seats; 0 means unlimited. Later registrations join the waitlist.
+  capacity: { type: Number, default: 0, min: 0 },
+  // Registration fee in BDT, paid at the venue; 0 for free events
+  fee: { type: Number, default: 0, min: 0 },
+  // Registrations close at this time, or when the event starts if not set
+  registrationDeadline: { type: Date },
+  // Only approved members in good standing can register
+  membersOnly: { type: Boolean, default: false },
+  isPublished: { type: Boolean, default: true },
+  confirmedCount: { type: Number, default: 0 },
+  createdBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+eventSchema.index({ isPublished: 1, startsAt: 1 });
+eventSchema.index({ endsAt: 1 });
+
+eventSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Whether new registrations are accepted. Accepts plain objects too.
+const isRegistrationOpen = (event, now = new Date()) => {
+  const closesAt = new Date(event.registrationDeadline || event.startsAt);
+  return Boolean(event.isPublished) && now < closesAt && now < new Date(event.endsAt);
+};
+
+// Seats left, or null for unlimited events
+const getSpotsLeft = (event) =>
+  event.capacity > 0 ? Math.max(0, event.capacity - event.confirmedCount) : null;
+
+const Event = mongoose.model('Event', eventSchema);
+
+Event.isRegistrationOpen = isRegistrationOpen;
+Event.getSpotsLeft = getSpotsLeft;
+
+module.exports = Event;
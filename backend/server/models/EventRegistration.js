@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const REGISTRATION_STATUSES = ['confirmed', 'waitlisted', 'cancelled'];
+
+// One account's registration for an event. Contact details are copied from
+// the account (and member profile) at registration time for the attendee list.
+const eventRegistrationSchema = new mongoose.Schema({
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', default: null },
+  name: { type: String, required: true },
+  email: { type: String, required: true },
+  phone: { type: String },
+  companyName: { type: String },
+  membershipNumber: { type: String },
+  status: {
+    type: String,
+    enum: REGISTRATION_STATUSES,
+    required: true
+  },
+  registeredAt: { type: Date, default: Date.now },
+  // Set when the seat was confirmed, either at once or from the waitlist
+  confirmedAt: { type: Date },
+  cancelledAt: { type: Date },
+  reminderSentAt: { type: Date }
+});
+
+eventRegistrationSchema.index({ event: 1, user: 1 }, { unique: true });
+// Waitlist order
+eventRegistrationSchema.index({ event: 1, status: 1, registeredAt: 1 });
+eventRegistrationSchema.index({ user: 1, registeredAt: -1 });
+
+const EventRegistration = mongoose.model('EventRegistration', eventRegistrationSchema);
+
+EventRegistration.REGISTRATION_STATUSES = REGISTRATION_STATUSES;
+
+module.exports = EventRegistration;
@@ -8,11 +8,35 @@ const formSubmissionSchema = new mongoose.Schema({
   category: { type: String, default: "general" },
   address: { type: String, default: "" },
   pdfFile: {
-    publicId: { type: String }, // Cloudinary public ID
+    storage: { type: String }, // Storage driver; missing on older Cloudinary uploads
+    publicId: { type: String }, // Storage key
     originalName: { type: String },
-    url: { type: String }, // Cloudinary URL
+    url: { type: String }, // Public URL of the file
     size: { type: Number },
     mimetype: { type: String },
+    // Read from PDFs on upload (see documentService). The full text is left
+    // out of query results; the admin submission search still matches it.
+    text: { type: String, select: false },
+    excerpt: { type: String },
+    pageCount: { type: Number },
+    metadata: {
+      title: { type: String },
+      author: { type: String },
+      subject: { type: String },
+      creator: { type: String },
+      producer: { type: String },
+      createdAt: { type: Date },
+    },
+    // First page as an image
+    thumbnail: {
+      storage: { type: String },
+      publicId: { type: String },
+      url: { type: String },
+      width: { type: Number },
+      height: { type: Number },
+    },
+    // When the PDF was read, even if nothing could be taken from it
+    extractedAt: { type: Date },
   },
   submittedAt: { type: Date, default: Date.now },
   status: { 
@@ -1,15 +1,35 @@
 const mongoose = require('mongoose');
 
+// Resized copy of the image for srcset (see imageService)
+const imageVariantSchema = new mongoose.Schema({
+  width: { type: Number },
+  height: { type: Number },
+  format: { type: String }, // avif, webp, jpeg or png
+  url: { type: String },
+  publicId: { type: String },
+  size: { type: Number }
+}, { _id: false });
+
 const galleryImageSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String, required: true },
   imageUrl: { type: String, required: true },
+  publicId: { type: String },
+  // Storage driver holding the image (see storageService)
+  storage: { type: String },
+  width: { type: Number },
+  height: { type: Number },
+  // Tiny blurred preview as a data URL, shown while the image loads
+  placeholder: { type: String },
+  variants: [imageVariantSchema],
   altText: { type: String, required: true },
   category: {
     type: String,
     enum: ["meeting", "event", "conference"],
     default: "meeting",
   },
+  // Meeting or event the image was taken at (see Album)
+  album: { type: mongoose.Schema.Types.ObjectId, ref: 'Album', default: null },
   isActive: { type: Boolean, default: true },
   uploadedBy: { type: String, required: true },
   uploadedAt: { type: Date, default: Date.now },
@@ -24,6 +44,7 @@ galleryImageSchema.index({ category: 1 });
 galleryImageSchema.index({ isActive: 1 });
 galleryImageSchema.index({ order: 1 });
 galleryImageSchema.index({ tags: 1 });
+galleryImageSchema.index({ album: 1, order: 1 });
 
 // Virtual for image summary
 galleryImageSchema.virtual('summary').get(function() {
@@ -38,6 +59,27 @@ galleryImageSchema.virtual('summary').get(function() {
   };
 });
 
+// Shape broadcast to clients when a gallery image changes
+galleryImageSchema.methods.toEvent = function() {
+  return {
+    id: this._id,
+    title: this.title,
+    description: this.description,
+    imageUrl: this.imageUrl,
+    width: this.width,
+    height: this.height,
+    placeholder: this.placeholder,
+    variants: this.variants,
+    altText: this.altText,
+    category: this.category,
+    album: this.album,
+    uploadedBy: this.uploadedBy,
+    order: this.order,
+    isActive: this.isActive,
+    uploadedAt: this.uploadedAt
+  };
+};
+
 // Method to increment view count
 galleryImageSchema.methods.incrementViewCount = function() {
   this.viewCount += 1;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Failed sign-in counter for one email address ('account') or client address ('ip')
+const loginThrottleSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['account', 'ip'], required: true },
+  // Lower-cased email address or IP address
+  key: { type: String, required: true },
+  // Account the email belongs to, when there is one
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  failures: { type: Number, default: 0 },
+  windowStartedAt: { type: Date, default: Date.now },
+  lastFailureAt: { type: Date },
+  // Address of the last failed attempt (accounts only)
+  lastIp: { type: String },
+  // Progressive delay: no attempt is checked before this time
+  nextAttemptAt: { type: Date },
+  lockedUntil: { type: Date },
+  // Lockouts since the last successful sign-in; each one lasts longer
+  lockouts: { type: Number, default: 0 },
+  // Removed by MongoDB once nothing about it matters any more
+  expiresAt: { type: Date, required: true },
+});
+
+loginThrottleSchema.index({ kind: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginThrottleSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const membershipConfig = require('../config/membership');
+
+const BUSINESS_CATEGORIES = [
+  "trade",
+  "manufacturing",
+  "services",
+  "agriculture",
+  "import-export",
+  "construction",
+  "finance",
+  "other",
+];
+
+const MEMBERSHIP_TIERS = ["general", "associate", "life"];
+
+const JAMALPUR_UPAZILAS = [
+  "Jamalpur Sadar",
+  "Melandaha",
+  "Islampur",
+  "Dewanganj",
+  "Madarganj",
+  "Sarishabari",
+  "Bakshiganj",
+];
+
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  companyName: { type: String, required: true, trim: true },
+  tradeLicenseNumber: { type: String, required: true, trim: true, unique: true },
+  businessCategory: {
+    type: String,
+    enum: BUSINESS_CATEGORIES,
+    default: "other",
+  },
+  description: { type: String, default: "", maxlength: 1000 },
+  address: {
+    line: { type: String, required: true, trim: true },
+    upazila: { type: String, enum: JAMALPUR_UPAZILAS, required: true },
+    district: { type: String, default: "Jamalpur" },
+  },
+  contactPerson: {
+    name: { type: String, required: true, trim: true },
+    designation: { type: String, default: "" },
+    phone: { type: String, required: true, trim: true },
+    email: { type: String, default: "", trim: true, lowercase: true },
+  },
+  website: {
+    type: String,
+    default: "",
+    trim: true,
+    match: [/^(https?:\/\/\S+)?$/, "Website must start with http:// or https://"],
+  },
+  membershipTier: {
+    type: String,
+    enum: MEMBERSHIP_TIERS,
+    default: "general",
+  },
+  membershipNumber: { type: String, unique: true, sparse: true },
+  membershipSince: { type: Date },
+  // Next dues date; empty for life members
+  membershipExpiry: { type: Date },
+  // Supporting documents submitted with the application (trade license, TIN, etc.)
+  documents: [
+    {
+      // Storage driver holding the file (see storageService)
+      storage: { type: String },
+      publicId: { type: String },
+      url: { type: String },
+      originalName: { type: String },
+      size: { type: Number },
+      mimetype: { type: String },
+      uploadedAt: { type: Date, default: Date.now },
+    },
+  ],
+  // Renewal reminders already sent, so each one goes out once per due date
+  remindersSent: [
+    {
+      kind: { type: String },
+      dueDate: { type: Date },
+      sentAt: { type: Date, default: Date.now },
+    },
+  ],
+  logo: {
+    storage: { type: String },
+    publicId: { type: String }, // Storage key
+    url: { type: String },
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending",
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  rejectionReason: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Indexes for better performance
+memberSchema.index({ status: 1, companyName: 1 });
+memberSchema.index({ businessCategory: 1 });
+memberSchema.index({ membershipTier: 1 });
+memberSchema.index({ user: 1 });
+memberSchema.index({ createdAt: -1 });
+memberSchema.index({ status: 1, membershipExpiry: 1 });
+
+// Update the updatedAt field before saving
+memberSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Last day a past-due membership stays in good standing
+const getGraceEndsAt = (expiry) => {
+  if (!expiry) return null;
+  const graceEndsAt = new Date(expiry);
+  graceEndsAt.setDate(graceEndsAt.getDate() + membershipConfig.gracePeriodDays);
+  return graceEndsAt;
+};
+
+// Work out where a membership is in its renewal cycle:
+// 'none' until approved, then 'active', 'grace' (past due, within the grace period) or 'lapsed'.
+// Accepts plain objects too, so lean query results can use it.
+const getMembershipState = (member, now = new Date()) => {
+  if (member.status !== 'approved') return 'none';
+  if (!member.membershipExpiry) return 'active';
+
+  const expiry = new Date(member.membershipExpiry);
+  if (expiry > now) return 'active';
+
+  const graceEndsAt = getGraceEndsAt(expiry);
+  return graceEndsAt > now ? 'grace' : 'lapsed';
+};
+
+// Virtual for membership state
+memberSchema.virtual('membershipState').get(function() {
+  return getMembershipState(this);
+});
+
+// Virtual for membership validity (members in their grace period are still in good standing)
+memberSchema.virtual('isMembershipActive').get(function() {
+  return ['active', 'grace'].includes(getMembershipState(this));
+});
+
+// Method to get the fields shown in the public directory
+memberSchema.methods.toPublicObject = function() {
+  return {
+    id: this._id,
+    companyName: this.companyName,
+    tradeLicenseNumber: this.tradeLicenseNumber,
+    businessCategory: this.businessCategory,
+    description: this.description,
+    address: this.address,
+    contactPerson: this.contactPerson,
+    website: this.website,
+    membershipNumber: this.membershipNumber,
+    membershipTier: this.membershipTier,
+    membershipExpiry: this.membershipExpiry,
+    membershipState: this.membershipState,
+    logo: this.logo,
+  };
+};
+
+// Query matching approved members in good standing (not lapsed)
+memberSchema.statics.goodStandingQuery = function(now = new Date()) {
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - membershipConfig.gracePeriodDays);
+  return {
+    status: 'approved',
+    $or: [
+      { membershipExpiry: null },
+      { membershipExpiry: { $gt: cutoff } },
+    ],
+  };
+};
+
+// Static method to get approved members
+memberSchema.statics.getApprovedMembers = function() {
+  return this.find(this.goodStandingQuery()).sort({ companyName: 1 });
+};
+
+// Include virtuals such as membershipState in API responses
+memberSchema.set('toJSON', { virtuals: true });
+
+const Member = mongoose.model('Member', memberSchema);
+
+Member.BUSINESS_CATEGORIES = BUSINESS_CATEGORIES;
+Member.MEMBERSHIP_TIERS = MEMBERSHIP_TIERS;
+Member.JAMALPUR_UPAZILAS = JAMALPUR_UPAZILAS;
+Member.getMembershipState = getMembershipState;
+Member.getGraceEndsAt = getGraceEndsAt;
+
+module.exports = Member;
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A legacy server/uploads file already copied into storage by uploadMigration.js.
+// Lets an interrupted migration resume without uploading the same file twice.
+const migratedUploadSchema = new mongoose.Schema({
+  // File name in server/uploads, e.g. pdfFile-1758526993645-681889379.pdf
+  filename: { type: String, required: true, unique: true },
+  storage: { type: String, required: true },
+  publicId: { type: String, required: true },
+  url: { type: String, required: true },
+  size: { type: Number },
+  migratedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('MigratedUpload', migratedUploadSchema);
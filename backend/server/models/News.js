@@ -1,8 +1,33 @@
 const mongoose = require('mongoose');
+const { visibleFilter, isVisible } = require('../utils/publishWindow');
+const { STATUSES } = require('../utils/newsWorkflow');
+
+// Resized copy of the image for srcset (see imageService)
+const imageVariantSchema = new mongoose.Schema({
+  width: { type: Number },
+  height: { type: Number },
+  format: { type: String }, // avif, webp, jpeg or png
+  url: { type: String },
+  publicId: { type: String },
+  size: { type: Number }
+}, { _id: false });
+
+// Latest trip through review (see utils/newsWorkflow). The note is the
+// reviewer's message when an article is sent back.
+const reviewSchema = new mongoose.Schema({
+  submittedBy: { type: String },
+  submittedAt: { type: Date },
+  reviewedBy: { type: String },
+  reviewedAt: { type: Date },
+  note: { type: String, default: '' }
+}, { _id: false });
 
 const newsSchema = new mongoose.Schema({
   title: { type: String, required: true },
   content: { type: String, required: true },
+  // Bangla version shown when the site is viewed in Bangla; optional
+  titleBn: { type: String, trim: true, default: '' },
+  contentBn: { type: String, trim: true, default: '' },
   category: {
     type: String,
     enum: ["business", "policy", "event", "announcement"],
@@ -10,8 +35,25 @@ const newsSchema = new mongoose.Schema({
   },
   author: { type: String, required: true },
   imageUrl: { type: String, default: "" },
+  // Set when the image was uploaded rather than linked (see storageService)
+  imagePublicId: { type: String },
+  imageStorage: { type: String },
+  imageWidth: { type: Number },
+  imageHeight: { type: Number },
+  // Tiny blurred preview as a data URL, shown while the image loads
+  imagePlaceholder: { type: String },
+  imageVariants: [imageVariantSchema],
   isActive: { type: Boolean, default: true },
   isFeatured: { type: Boolean, default: false },
+  // Editorial state; only published articles go live. Articles saved before
+  // the workflow existed have no status and count as published.
+  status: { type: String, enum: STATUSES, default: 'published' },
+  review: { type: reviewSchema },
+  // Publishing window (see utils/publishWindow): hidden before publishAt and
+  // after expireAt. isScheduled marks items waiting for the publish scheduler.
+  publishAt: { type: Date, default: null },
+  expireAt: { type: Date, default: null },
+  isScheduled: { type: Boolean, default: false },
   publishedAt: { type: Date, default: Date.now },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
@@ -24,7 +66,10 @@ const newsSchema = new mongoose.Schema({
 newsSchema.index({ publishedAt: -1 });
 newsSchema.index({ createdAt: -1 });
 newsSchema.index({ isActive: 1 });
+newsSchema.index({ isScheduled: 1, publishAt: 1 });
+newsSchema.index({ isActive: 1, expireAt: 1 });
 newsSchema.index({ isFeatured: 1 });
+newsSchema.index({ status: 1, updatedAt: -1 });
 newsSchema.index({ category: 1 });
 newsSchema.index({ author: 1 });
 newsSchema.index({ tags: 1 });
@@ -32,6 +77,11 @@ newsSchema.index({ tags: 1 });
 // Update the updatedAt field before saving
 newsSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+
+  // Scheduled articles are dated by when they go live
+  if (this.publishAt && this.isModified('publishAt')) {
+    this.publishedAt = this.publishAt;
+  }
   
   // Auto-generate excerpt if not provided
   if (!this.excerpt && this.content) {
@@ -56,6 +106,34 @@ newsSchema.virtual('summary').get(function() {
   };
 });
 
+// Whether the public can see the article right now
+newsSchema.methods.isVisible = function(now) {
+  return isVisible(this, now);
+};
+
+// Shape broadcast to clients when a news article changes
+newsSchema.methods.toEvent = function() {
+  return {
+    id: this._id,
+    title: this.title,
+    content: this.content,
+    titleBn: this.titleBn,
+    contentBn: this.contentBn,
+    category: this.category,
+    author: this.author,
+    imageUrl: this.imageUrl,
+    imageWidth: this.imageWidth,
+    imageHeight: this.imageHeight,
+    imagePlaceholder: this.imagePlaceholder,
+    imageVariants: this.imageVariants,
+    isActive: this.isActive,
+    isFeatured: this.isFeatured,
+    publishAt: this.publishAt,
+    expireAt: this.expireAt,
+    publishedAt: this.publishedAt
+  };
+};
+
 // Method to increment view count
 newsSchema.methods.incrementViewCount = function() {
   this.viewCount += 1;
@@ -64,17 +142,17 @@ newsSchema.methods.incrementViewCount = function() {
 
 // Static method to get active news
 newsSchema.statics.getActiveNews = function() {
-  return this.find({ isActive: true }).sort({ publishedAt: -1 });
+  return this.find(visibleFilter()).sort({ publishedAt: -1 });
 };
 
 // Static method to get featured news
 newsSchema.statics.getFeaturedNews = function() {
-  return this.find({ isActive: true, isFeatured: true }).sort({ publishedAt: -1 });
+  return this.find({ ...visibleFilter(), isFeatured: true }).sort({ publishedAt: -1 });
 };
 
 // Static method to get news by category
 newsSchema.statics.getByCategory = function(category) {
-  return this.find({ isActive: true, category }).sort({ publishedAt: -1 });
+  return this.find({ ...visibleFilter(), category }).sort({ publishedAt: -1 });
 };
 
 module.exports = mongoose.model('News', newsSchema);
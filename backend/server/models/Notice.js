@@ -1,8 +1,12 @@
 const mongoose = require('mongoose');
+const { visibleFilter, isVisible } = require('../utils/publishWindow');
 
 const noticeSchema = new mongoose.Schema({
   title: { type: String, required: true },
   content: { type: String, required: true },
+  // Bangla version shown when the site is viewed in Bangla; optional
+  titleBn: { type: String, trim: true, default: '' },
+  contentBn: { type: String, trim: true, default: '' },
   author: { type: String, required: true },
   priority: {
     type: String,
@@ -10,15 +14,45 @@ const noticeSchema = new mongoose.Schema({
     default: "normal",
   },
   pdfFile: {
-    publicId: { type: String }, // Cloudinary public ID
+    // Storage driver holding the file (see storageService); older records are on Cloudinary
+    storage: { type: String },
+    publicId: { type: String }, // Storage key (the public ID on Cloudinary)
     originalName: { type: String },
-    url: { type: String }, // Cloudinary URL
+    url: { type: String }, // Public URL of the file
     mimetype: { type: String },
     size: { type: Number },
+    // Read from PDFs on upload (see documentService). The full text is only
+    // loaded where it's needed, such as search.
+    text: { type: String, select: false },
+    excerpt: { type: String },
+    pageCount: { type: Number },
+    metadata: {
+      title: { type: String },
+      author: { type: String },
+      subject: { type: String },
+      creator: { type: String },
+      producer: { type: String },
+      createdAt: { type: Date },
+    },
+    // First page as an image
+    thumbnail: {
+      storage: { type: String },
+      publicId: { type: String },
+      url: { type: String },
+      width: { type: Number },
+      height: { type: Number },
+    },
+    // When the PDF was read, even if nothing could be taken from it
+    extractedAt: { type: Date },
   },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   isActive: { type: Boolean, default: true },
+  // Publishing window (see utils/publishWindow): hidden before publishAt and
+  // after expireAt. isScheduled marks items waiting for the publish scheduler.
+  publishAt: { type: Date, default: null },
+  expireAt: { type: Date, default: null },
+  isScheduled: { type: Boolean, default: false },
   tags: [{ type: String }],
   viewCount: { type: Number, default: 0 }
 });
@@ -26,6 +60,8 @@ const noticeSchema = new mongoose.Schema({
 // Indexes for better performance
 noticeSchema.index({ createdAt: -1 });
 noticeSchema.index({ isActive: 1 });
+noticeSchema.index({ isScheduled: 1, publishAt: 1 });
+noticeSchema.index({ isActive: 1, expireAt: 1 });
 noticeSchema.index({ priority: 1 });
 noticeSchema.index({ author: 1 });
 noticeSchema.index({ tags: 1 });
@@ -50,6 +86,32 @@ noticeSchema.virtual('summary').get(function() {
   };
 });
 
+// Whether the public can see the notice right now
+noticeSchema.methods.isVisible = function(now) {
+  return isVisible(this, now);
+};
+
+// Shape broadcast to clients when a notice changes
+noticeSchema.methods.toEvent = function() {
+  // Clients get the attachment without its full text
+  const { pdfFile } = this.toObject();
+  return {
+    id: this._id,
+    title: this.title,
+    content: this.content,
+    titleBn: this.titleBn,
+    contentBn: this.contentBn,
+    priority: this.priority,
+    pdfFile: pdfFile && { ...pdfFile, text: undefined },
+    author: this.author,
+    isActive: this.isActive,
+    publishAt: this.publishAt,
+    expireAt: this.expireAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
 // Method to check if notice has PDF file
 noticeSchema.methods.hasFile = function() {
   return !!(this.pdfFile && this.pdfFile.url);
@@ -74,12 +136,12 @@ noticeSchema.methods.incrementViewCount = function() {
 
 // Static method to get active notices
 noticeSchema.statics.getActiveNotices = function() {
-  return this.find({ isActive: true }).sort({ createdAt: -1 });
+  return this.find(visibleFilter()).sort({ createdAt: -1 });
 };
 
 // Static method to get notices by priority
 noticeSchema.statics.getByPriority = function(priority) {
-  return this.find({ isActive: true, priority }).sort({ createdAt: -1 });
+  return this.find({ ...visibleFilter(), priority }).sort({ createdAt: -1 });
 };
 
 module.exports = mongoose.model('Notice', noticeSchema);
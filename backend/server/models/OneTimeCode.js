@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { otp: otpConfig } = require('../config/sms');
+
+const PURPOSES = ['verify-phone', 'reset-password'];
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code || '').trim()).digest('hex');
+
+// A short numeric code sent by SMS. Only a hash is stored; each code allows a
+// few guesses, and issuing a new one retires the previous code.
+const oneTimeCodeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: PURPOSES, required: true },
+  // Number the code was sent to (for phone verification, the number being added)
+  phoneNumber: { type: String, required: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  // Set when the code is used or replaced by a newer one
+  consumedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+oneTimeCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// Kept for a day so the hourly sending limit can count them
+oneTimeCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Create a code unless one was sent too recently or too often.
+// Resolves to { code } or { retryAfter } (seconds).
+oneTimeCodeSchema.statics.issue = async function({ user, purpose, phoneNumber }) {
+  const now = Date.now();
+  const recent = await this.find({
+    user,
+    purpose,
+    createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 });
+
+  const cooldownMs = otpConfig.resendCooldownSeconds * 1000;
+  if (recent.length > 0 && now - recent[0].createdAt.getTime() < cooldownMs) {
+    return { retryAfter: Math.ceil((recent[0].createdAt.getTime() + cooldownMs - now) / 1000) };
+  }
+  if (recent.length >= otpConfig.maxPerHour) {
+    const oldest = recent[recent.length - 1].createdAt.getTime();
+    return { retryAfter: Math.ceil((oldest + 60 * 60 * 1000 - now) / 1000) };
+  }
+
+  await this.updateMany({ user, purpose, consumedAt: null }, { consumedAt: new Date() });
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  await this.create({
+    user,
+    purpose,
+    phoneNumber,
+    codeHash: hashCode(code),
+    expiresAt: new Date(now + otpConfig.ttlMinutes * 60 * 1000)
+  });
+
+  return { code };
+};
+
+// Check and use up the current code. Resolves to { record } on success, or
+// { error } where error is 'expired', 'invalid' (with attemptsLeft) or 'locked'.
+oneTimeCodeSchema.statics.verify = async function({ user, purpose, code }) {
+  const record = await this.findOne({
+    user,
+    purpose,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+
+  if (!record) {
+    return { error: 'expired' };
+  }
+  if (record.attempts >= otpConfig.maxAttempts) {
+    return { error: 'locked' };
+  }
+
+  if (hashCode(code) !== record.codeHash) {
+    record.attempts += 1;
+    await record.save();
+
+    const attemptsLeft = otpConfig.maxAttempts - record.attempts;
+    return attemptsLeft > 0 ? { error: 'invalid', attemptsLeft } : { error: 'locked' };
+  }
+
+  record.consumedAt = new Date();
+  await record.save();
+  return { record };
+};
+
+// User-facing explanation of a failed verify()
+oneTimeCodeSchema.statics.errorMessage = function({ error, attemptsLeft }) {
+  if (error === 'locked') {
+    return 'Too many incorrect attempts. Please request a new code.';
+  }
+  if (error === 'invalid') {
+    return `Incorrect code. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`;
+  }
+  return 'This code has expired. Please request a new one.';
+};
+
+const OneTimeCode = mongoose.model('OneTimeCode', oneTimeCodeSchema);
+
+OneTimeCode.PURPOSES = PURPOSES;
+
+module.exports = OneTimeCode;
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A stored file no record pointed to when assetCollector.js last looked.
+// It is deleted once it has stayed unreferenced for the quarantine period.
+const quarantinedAssetSchema = new mongoose.Schema({
+  // Storage driver and key of the file
+  storage: { type: String, required: true },
+  key: { type: String, required: true },
+  // Cloudinary needs it to delete the asset
+  resourceType: { type: String },
+  size: { type: Number },
+  quarantinedAt: { type: Date, default: Date.now }
+});
+
+quarantinedAssetSchema.index({ storage: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuarantinedAsset', quarantinedAssetSchema);
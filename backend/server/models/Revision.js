@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Content fields kept in each revision, by kind of record. Files (news images,
+// notice PDFs) aren't versioned, so a restore never points at a deleted upload.
+const TRACKED_FIELDS = {
+  notice: ['title', 'content', 'titleBn', 'contentBn', 'priority', 'author', 'tags'],
+  news: ['title', 'content', 'titleBn', 'contentBn', 'category', 'author', 'tags', 'isFeatured']
+};
+
+// One saved version of a notice's or news article's content. Editor details
+// are copied so the history still reads correctly after an account is deleted.
+const revisionSchema = new mongoose.Schema({
+  entityType: { type: String, required: true, enum: Object.keys(TRACKED_FIELDS) },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // 1 for the first saved version, counting up
+  version: { type: Number, required: true },
+  // create, update, restore, or original for content saved before history was kept
+  action: { type: String, required: true },
+  // Version copied by a restore
+  restoredFrom: { type: Number },
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  editor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  editorName: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+revisionSchema.index({ entityType: 1, entityId: 1, version: -1 }, { unique: true });
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+Revision.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = Revision;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const {
+  PERMISSIONS,
+  SUPER_ADMIN_ROLE,
+  DEFAULT_ROLES
+} = require('../config/permissions');
+
+// Every authenticated request resolves the user's role, so permissions are
+// cached briefly. Changes made through this process clear the cache at once.
+const CACHE_TTL_MS = 30 * 1000;
+const permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema({
+  // Stored on users as their `role`, e.g. "editor"
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,39}$/, 'Role name may only contain lowercase letters, numbers and dashes']
+  },
+  label: { type: String, required: true, trim: true, maxlength: 60 },
+  description: { type: String, trim: true, maxlength: 200, default: '' },
+  permissions: {
+    type: [{ type: String, enum: Object.keys(PERMISSIONS) }],
+    default: []
+  },
+  // Accounts with this role must set up two-factor authentication before
+  // their permissions take effect
+  requireTwoFactor: { type: Boolean, default: false },
+  // System roles (super admin and regular users) can't be edited or deleted
+  isSystem: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+roleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+roleSchema.post('save', () => permissionCache.clear());
+roleSchema.post('findOneAndDelete', () => permissionCache.clear());
+
+// Permissions granted to a role name, and whether it requires two-factor
+// authentication. Unknown roles get nothing; the super admin always gets the
+// full list so new permissions apply without a migration.
+roleSchema.statics.getAccess = async function(name) {
+  const cached = permissionCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.access;
+  }
+
+  const role = await this.findOne({ name }).lean();
+  const access = {
+    permissions: name === SUPER_ADMIN_ROLE ? Object.keys(PERMISSIONS) : (role ? role.permissions : []),
+    requireTwoFactor: Boolean(role && role.requireTwoFactor)
+  };
+  permissionCache.set(name, { access, expiresAt: Date.now() + CACHE_TTL_MS });
+  return access;
+};
+
+roleSchema.statics.getPermissions = async function(name) {
+  const { permissions } = await this.getAccess(name);
+  return permissions;
+};
+
+// What a signed-in account may do. Staff whose role requires two-factor
+// authentication get no permissions until they have set it up.
+roleSchema.statics.getUserAccess = async function(user) {
+  const { permissions, requireTwoFactor } = await this.getAccess(user.role);
+  const twoFactorSetupRequired = requireTwoFactor &&
+    permissions.length > 0 &&
+    !(user.twoFactor && user.twoFactor.enabled);
+
+  return {
+    permissions: twoFactorSetupRequired ? [] : permissions,
+    twoFactorSetupRequired
+  };
+};
+
+// Create any default roles that are missing, leaving edited ones alone
+roleSchema.statics.ensureDefaults = async function() {
+  await Promise.all(DEFAULT_ROLES.map(role =>
+    this.updateOne({ name: role.name }, { $setOnInsert: role }, { upsert: true })
+  ));
+  permissionCache.clear();
+};
+
+module.exports = mongoose.model('Role', roleSchema);
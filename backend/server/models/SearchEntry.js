@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Kinds of public content covered by site search
+const SEARCH_TYPES = ['notice', 'news', 'gallery'];
+
+// A notice, news article or gallery image as site search sees it (see
+// searchService). Kept in step with the record by the controllers and the
+// publish scheduler; `npm run search:rebuild` recreates the whole index.
+const searchEntrySchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: SEARCH_TYPES },
+  refId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  title: { type: String, default: '' },
+  titleBn: { type: String, default: '' },
+  body: { type: String, default: '' },
+  bodyBn: { type: String, default: '' },
+  // Text of a notice's attached PDF
+  document: { type: String, default: '' },
+  // News or gallery category; notices have none
+  category: { type: String, default: null },
+  // Date shown on results and used for the year facet
+  date: { type: Date },
+  imageUrl: { type: String, default: '' },
+  // Gallery album the image belongs to, for linking to it
+  album: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // Copied from the record so results respect its publishing window
+  isActive: { type: Boolean, default: true },
+  publishAt: { type: Date, default: null },
+  expireAt: { type: Date, default: null },
+  // Normalised words of the titles (titleTerms) and of everything (terms)
+  titleTerms: [{ type: String }],
+  terms: [{ type: String }],
+  updatedAt: { type: Date, default: Date.now }
+});
+
+searchEntrySchema.index({ type: 1, refId: 1 }, { unique: true });
+searchEntrySchema.index({ terms: 1 });
+
+const SearchEntry = mongoose.model('SearchEntry', searchEntrySchema);
+
+SearchEntry.SEARCH_TYPES = SEARCH_TYPES;
+
+module.exports = SearchEntry;
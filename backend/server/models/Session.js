@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The refresh token cookie is `<session id>.<secret>`;
+// only a hash of the secret is stored, and it changes on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true },
+  // The hash replaced by the last refresh, used to spot a stolen token being replayed
+  previousTokenHash: { type: String },
+  rotatedAt: { type: Date },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Session behind an access token, if it hasn't been revoked or expired
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Sign a user out everywhere, optionally keeping one session (the current device)
+sessionSchema.statics.revokeForUser = function(userId, { except } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+  return this.updateMany(query, { revokedAt: new Date() });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
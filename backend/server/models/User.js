@@ -1,18 +1,48 @@
 const mongoose = require('mongoose');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Interface languages of the website
+const LANGUAGES = ['en', 'bn'];
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ["user", "admin"], default: "user" },
+  // Name of a Role document; see config/permissions.js for the defaults
+  role: { type: String, default: "user", trim: true, lowercase: true },
+  // Interface language the account last picked on the website
+  language: { type: String, enum: LANGUAGES, default: 'en' },
   resetPasswordToken: { type: String },
   resetPasswordExpires: { type: Date },
+  isActive: { type: Boolean, default: true },
+  // E.164 number (see utils/phone.js), only set once confirmed with an SMS code
+  phoneNumber: { type: String },
+  phoneVerifiedAt: { type: Date },
+  // Authenticator-app two-factor authentication. Secrets and codes are only
+  // loaded when explicitly selected (see twoFactorService).
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    // Secret waiting to be confirmed with a first code during enrollment
+    pendingSecret: { type: String, select: false },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: { type: Number, select: false },
+    // Hashes of unused recovery codes
+    recoveryCodes: { type: [String], select: false },
+    // Email fallback code sent during sign-in
+    emailCodeHash: { type: String, select: false },
+    emailCodeExpires: { type: Date, select: false },
+    emailCodeAttempts: { type: Number, select: false }
+  },
   createdAt: { type: Date, default: Date.now },
 });
 
 // Indexes for better performance
 userSchema.index({ email: 1 });
+userSchema.index({ role: 1 });
 userSchema.index({ resetPasswordToken: 1 });
+userSchema.index({ phoneNumber: 1 }, { unique: true, sparse: true });
 userSchema.index({ createdAt: -1 });
 
 // Virtual for user's full profile
@@ -22,22 +52,44 @@ userSchema.virtual('profile').get(function() {
     name: this.name,
     email: this.email,
     role: this.role,
+    phoneNumber: this.phoneNumber || null,
+    language: this.language || 'en',
+    twoFactorEnabled: Boolean(this.twoFactor && this.twoFactor.enabled),
     createdAt: this.createdAt
   };
 });
 
-// Method to check if user is admin
-userSchema.methods.isAdmin = function() {
-  return this.role === 'admin';
+// Static method to find a user by email, ignoring case and surrounding whitespace
+userSchema.statics.findByEmail = function(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return this.findOne({ email: new RegExp(`^${escapeRegex(normalized)}$`, 'i') });
 };
 
+// Two-factor fields that are hidden by default
+userSchema.statics.TWO_FACTOR_SECRETS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.lastUsedStep',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.emailCodeHash',
+  '+twoFactor.emailCodeExpires',
+  '+twoFactor.emailCodeAttempts'
+].join(' ');
+
 // Method to get safe user data (without password)
 userSchema.methods.toSafeObject = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpires;
+  // Only the status of two-factor authentication, never its secrets
+  userObject.twoFactor = {
+    enabled: Boolean(this.twoFactor && this.twoFactor.enabled),
+    enabledAt: this.twoFactor && this.twoFactor.enabledAt
+  };
   return userObject;
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+userSchema.statics.LANGUAGES = LANGUAGES;
+
+module.exports = mongoose.model('User', userSchema);
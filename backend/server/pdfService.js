@@ -0,0 +1,245 @@
+// Official chamber documents (membership certificates and dues receipts) rendered as PDF
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const path = require("path");
+
+const LOGO_PATH = path.join(__dirname, "assets", "chamber-logo.png");
+
+const CHAMBER = {
+  name: "THE JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY",
+  address: "New Bus Terminal Road, BASIC Area, Jamalpur",
+  contact: "jamalpurchamber@gmail.com  |  +8801922348844",
+};
+
+const COLORS = {
+  gold: "#d4af37",
+  navy: "#1a1a2e",
+  grey: "#666666",
+};
+
+const PAYMENT_METHOD_LABELS = {
+  cash: "Cash",
+  bank: "Bank Transfer",
+  "mobile-banking": "Mobile Banking",
+};
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      })
+    : "N/A";
+
+const formatLabel = (value) =>
+  String(value || "")
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+class PdfService {
+  // Public page where a certificate can be checked
+  getVerificationUrl(certificateNumber) {
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+    return `${frontendUrl}/verify/${encodeURIComponent(certificateNumber)}`;
+  }
+
+  // Finish a PDFKit document and collect it into a Buffer
+  toBuffer(doc) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+      doc.end();
+    });
+  }
+
+  // Chamber logo, name and address centred at the top of the page
+  drawLetterhead(doc, top) {
+    const pageWidth = doc.page.width;
+    const logoSize = 70;
+
+    doc.image(LOGO_PATH, (pageWidth - logoSize) / 2, top, {
+      width: logoSize,
+      height: logoSize,
+    });
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(15)
+      .fillColor(COLORS.navy)
+      .text(CHAMBER.name, 0, top + logoSize + 10, { width: pageWidth, align: "center" });
+
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor(COLORS.grey)
+      .text(`${CHAMBER.address}  |  ${CHAMBER.contact}`, 0, doc.y + 4, {
+        width: pageWidth,
+        align: "center",
+      });
+
+    return doc.y;
+  }
+
+  // Membership certificate with a QR code linking to the verification page
+  async buildCertificate(certificate) {
+    const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 0 });
+    const pageWidth = doc.page.width;
+    const pageHeight = doc.page.height;
+    const verificationUrl = this.getVerificationUrl(certificate.certificateNumber);
+
+    doc.info.Title = `Membership Certificate ${certificate.certificateNumber}`;
+    doc.info.Author = CHAMBER.name;
+
+    // Double gold border
+    doc.lineWidth(4).strokeColor(COLORS.gold).rect(20, 20, pageWidth - 40, pageHeight - 40).stroke();
+    doc.lineWidth(1).rect(30, 30, pageWidth - 60, pageHeight - 60).stroke();
+
+    let y = this.drawLetterhead(doc, 50) + 25;
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(28)
+      .fillColor(COLORS.gold)
+      .text("CERTIFICATE OF MEMBERSHIP", 0, y, { width: pageWidth, align: "center" });
+
+    y = doc.y + 15;
+    doc
+      .font("Helvetica")
+      .fontSize(13)
+      .fillColor(COLORS.navy)
+      .text("This is to certify that", 0, y, { width: pageWidth, align: "center" });
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(24)
+      .text(certificate.companyName, 80, doc.y + 10, { width: pageWidth - 160, align: "center" });
+
+    doc
+      .font("Helvetica")
+      .fontSize(13)
+      .text(
+        `is a registered ${formatLabel(certificate.membershipTier)} Member of the Jamalpur Chamber of Commerce & Industry.`,
+        80,
+        doc.y + 10,
+        { width: pageWidth - 160, align: "center" }
+      );
+
+    // Certificate details
+    const details = [
+      ["Membership No", certificate.membershipNumber],
+      ["Certificate No", certificate.certificateNumber],
+      ["Issued On", formatDate(certificate.issuedAt)],
+      ["Valid Until", certificate.validUntil ? formatDate(certificate.validUntil) : "Life Membership"],
+    ];
+
+    y = doc.y + 25;
+    details.forEach(([label, value]) => {
+      doc.font("Helvetica").fontSize(11).fillColor(COLORS.grey).text(`${label}:`, 90, y, { width: 110 });
+      doc.font("Helvetica-Bold").fillColor(COLORS.navy).text(value, 200, y, { width: 250 });
+      y += 18;
+    });
+
+    // Signature line
+    const signatureY = pageHeight - 95;
+    doc.lineWidth(1).strokeColor(COLORS.navy).moveTo(90, signatureY).lineTo(270, signatureY).stroke();
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .fillColor(COLORS.navy)
+      .text("Secretary General", 90, signatureY + 6, { width: 180, align: "center" });
+
+    // QR code for verification
+    const qrSize = 110;
+    const qrX = pageWidth - qrSize - 80;
+    const qrY = pageHeight - qrSize - 85;
+    const qrImage = await QRCode.toBuffer(verificationUrl, { margin: 1, width: qrSize * 2 });
+    doc.image(qrImage, qrX, qrY, { width: qrSize, height: qrSize });
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor(COLORS.grey)
+      .text("Scan to verify this certificate", qrX - 30, qrY + qrSize + 4, {
+        width: qrSize + 60,
+        align: "center",
+      });
+
+    return this.toBuffer(doc);
+  }
+
+  // Money receipt for a membership dues payment
+  async buildReceipt(member, payment) {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const pageWidth = doc.page.width;
+
+    doc.info.Title = `Receipt ${payment.receiptNumber}`;
+    doc.info.Author = CHAMBER.name;
+
+    let y = this.drawLetterhead(doc, 40) + 12;
+    doc.lineWidth(2).strokeColor(COLORS.gold).moveTo(50, y).lineTo(pageWidth - 50, y).stroke();
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(18)
+      .fillColor(COLORS.navy)
+      .text("MONEY RECEIPT", 0, y + 20, { width: pageWidth, align: "center" });
+
+    const details = [
+      ["Receipt No", payment.receiptNumber],
+      ["Date of Payment", formatDate(payment.paidAt)],
+      ["Received From", member.companyName],
+      ["Membership No", member.membershipNumber || "N/A"],
+      ["Membership Tier", formatLabel(payment.membershipTier || member.membershipTier)],
+      ["Purpose", "Annual membership dues"],
+      ["Amount", `BDT ${Number(payment.amount).toLocaleString("en-US")}`],
+      ["Payment Method", PAYMENT_METHOD_LABELS[payment.method] || formatLabel(payment.method)],
+      ["Reference", payment.reference || "N/A"],
+    ];
+
+    if (payment.periodStart && payment.periodEnd) {
+      details.push([
+        "Membership Period",
+        `${formatDate(payment.periodStart)} to ${formatDate(payment.periodEnd)}`,
+      ]);
+    }
+
+    if (payment.notes) {
+      details.push(["Notes", payment.notes]);
+    }
+
+    y = doc.y + 25;
+    details.forEach(([label, value], index) => {
+      if (index % 2 === 0) {
+        doc.rect(50, y - 6, pageWidth - 100, 24).fill("#f8fafc");
+      }
+      doc.font("Helvetica").fontSize(11).fillColor(COLORS.grey).text(label, 65, y, { width: 150 });
+      doc.font("Helvetica-Bold").fillColor(COLORS.navy).text(String(value), 220, y, { width: pageWidth - 285 });
+      y = Math.max(doc.y, y + 12) + 12;
+    });
+
+    y += 50;
+    doc.lineWidth(1).strokeColor(COLORS.navy).moveTo(pageWidth - 230, y).lineTo(pageWidth - 50, y).stroke();
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .fillColor(COLORS.navy)
+      .text("Received By", pageWidth - 230, y + 6, { width: 180, align: "center" });
+
+    doc
+      .fontSize(8)
+      .fillColor(COLORS.grey)
+      .text(
+        "This receipt was generated by the chamber's membership system.",
+        50,
+        doc.page.height - 70,
+        { width: pageWidth - 100, align: "center" }
+      );
+
+    return this.toBuffer(doc);
+  }
+}
+
+module.exports = new PdfService();
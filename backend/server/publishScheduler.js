@@ -0,0 +1,105 @@
+// Publishes scheduled notices and news when their publishAt arrives and
+// deactivates them once past expireAt, telling clients through Socket.IO
+const Notice = require("./models/Notice");
+const News = require("./models/News");
+const { broadcast } = require("./socket");
+const searchService = require("./searchService");
+const publishingConfig = require("./config/publishing");
+const logger = require("./logger");
+
+// Socket event prefix for each model, matching the controllers' events
+const CONTENT_TYPES = [
+  { Model: Notice, name: "notice" },
+  { Model: News, name: "news" },
+];
+
+class PublishSchedulerService {
+  constructor() {
+    this.interval = null;
+    this.isRunning = false;
+    this.io = null;
+  }
+
+  start(io) {
+    if (this.isRunning) return;
+
+    logger.info("Starting publish scheduler");
+
+    this.io = io;
+    this.interval = setInterval(() => {
+      this.runChecks();
+    }, publishingConfig.checkIntervalMs);
+
+    this.isRunning = true;
+    logger.info("Publish scheduler started");
+
+    // Catch up on anything that fell due while the server was down
+    this.runChecks();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    logger.info("Publish scheduler stopped");
+  }
+
+  async runChecks() {
+    const now = new Date();
+    let published = 0;
+    let expired = 0;
+
+    try {
+      for (const { Model, name } of CONTENT_TYPES) {
+        published += await this.publishDue(Model, name, now);
+        expired += await this.expireDue(Model, name, now);
+      }
+
+      if (published || expired) {
+        logger.info("Scheduled content updated", { published, expired });
+      }
+    } catch (error) {
+      logger.error("Publish scheduler check failed", { error });
+    }
+
+    return { published, expired };
+  }
+
+  // Activate scheduled items whose publish time has passed and announce
+  // them the same way as a newly created one
+  async publishDue(Model, name, now) {
+    const items = await Model.find({ isScheduled: true, publishAt: { $lte: now } });
+
+    for (const item of items) {
+      item.isScheduled = false;
+      item.isActive = true;
+      await item.save();
+      await searchService.index(name, item);
+
+      // Items that expired before they could be published stay hidden
+      if (item.isVisible(now)) {
+        broadcast(this.io, `${name}-created`, item.toEvent(), "user");
+      }
+    }
+
+    return items.length;
+  }
+
+  // Deactivate expired items and drop them from clients' lists
+  async expireDue(Model, name, now) {
+    const items = await Model.find({ isActive: true, expireAt: { $lte: now } });
+
+    for (const item of items) {
+      item.isActive = false;
+      await item.save();
+      await searchService.index(name, item);
+      broadcast(this.io, `${name}-deleted`, { id: item._id }, "user");
+    }
+
+    return items.length;
+  }
+}
+
+module.exports = new PublishSchedulerService();
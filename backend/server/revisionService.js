@@ -0,0 +1,111 @@
+const Revision = require('./models/Revision');
+const { diffLines } = require('./utils/textDiff');
+const logger = require('./logger');
+
+// Fields compared line by line; the rest are shown as before/after values
+const TEXT_FIELDS = new Set(['title', 'content', 'titleBn', 'contentBn']);
+
+class RevisionService {
+  // Tracked content of a notice or news article (document or plain snapshot)
+  contentOf(entityType, doc) {
+    const data = {};
+    Revision.TRACKED_FIELDS[entityType].forEach(field => {
+      const value = doc[field];
+      data[field] = Array.isArray(value) ? [...value] : (value === undefined ? null : value);
+    });
+    return data;
+  }
+
+  // Save the document's content as its next version, unless nothing tracked
+  // changed since the latest one. Pass the pre-edit snapshot as `before` so
+  // records created before history was kept get their original content saved
+  // first. Never throws: like the audit log, history must not fail the save.
+  async record(req, entityType, doc, { action = 'update', before, restoredFrom } = {}) {
+    try {
+      const data = this.contentOf(entityType, doc);
+      const latest = await Revision.findOne({ entityType, entityId: doc._id }).sort({ version: -1 });
+      let version = latest ? latest.version : 0;
+
+      if (latest && action !== 'restore' && this.isSame(latest.data, data)) {
+        return latest;
+      }
+
+      if (!latest && before) {
+        const original = this.contentOf(entityType, before);
+        if (!this.isSame(original, data)) {
+          version += 1;
+          await Revision.create({ entityType, entityId: doc._id, version, action: 'original', data: original });
+        }
+      }
+
+      const actor = (req && req.user) || {};
+      return await Revision.create({
+        entityType,
+        entityId: doc._id,
+        version: version + 1,
+        action,
+        restoredFrom,
+        data,
+        editor: actor.userId,
+        editorName: actor.name
+      });
+    } catch (error) {
+      logger.error('Revision history error', { error });
+      return null;
+    }
+  }
+
+  isSame(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // Versions of a record, newest first, without their content
+  list(entityType, entityId) {
+    return Revision.find({ entityType, entityId })
+      .sort({ version: -1 })
+      .select('-data')
+      .lean();
+  }
+
+  // The version before `revision`, or null for the first one
+  previous(revision) {
+    return Revision.findOne({
+      entityType: revision.entityType,
+      entityId: revision.entityId,
+      version: { $lt: revision.version }
+    })
+      .sort({ version: -1 })
+      .lean();
+  }
+
+  // Tracked fields that differ between two content snapshots. Text fields
+  // come with a line diff.
+  compare(entityType, before, after) {
+    const changes = [];
+
+    Revision.TRACKED_FIELDS[entityType].forEach(field => {
+      const beforeValue = before ? before[field] : null;
+      const afterValue = after ? after[field] : null;
+      if (this.isSame(beforeValue ?? null, afterValue ?? null)) return;
+
+      const change = { field, before: beforeValue ?? null, after: afterValue ?? null };
+      if (TEXT_FIELDS.has(field)) {
+        change.lines = diffLines(beforeValue, afterValue);
+      }
+      changes.push(change);
+    });
+
+    return changes;
+  }
+
+  // Drop the history of a deleted record
+  async remove(entityType, entityId) {
+    try {
+      await Revision.deleteMany({ entityType, entityId });
+    } catch (error) {
+      logger.error('Revision cleanup error', { error });
+    }
+  }
+}
+
+module.exports = new RevisionService();
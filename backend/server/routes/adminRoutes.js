@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// Admin account routes
+router.put('/profile', authenticateToken, requireAdmin, authController.updateProfile);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const albumController = require('../controllers/albumController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
+
+// Most images a single bulk upload accepts
+const MAX_BULK_IMAGES = 20;
+
+// Public routes
+router.get('/', albumController.getAlbums);
+
+// Admin routes (static paths are registered before /:id so they are not shadowed)
+router.get('/admin', authenticateToken, requirePermission('gallery:write'), albumController.getAlbumsAdmin);
+router.get('/admin/:id', authenticateToken, requirePermission('gallery:write'), albumController.getAlbumAdmin);
+router.post('/', authenticateToken, requirePermission('gallery:write'), albumController.createAlbum);
+router.put('/:id', authenticateToken, requirePermission('gallery:write'), albumController.updateAlbum);
+router.delete('/:id', authenticateToken, requirePermission('gallery:write'), albumController.deleteAlbum);
+router.post('/:id/images', authenticateToken, requirePermission('gallery:write'), upload.array('images', MAX_BULK_IMAGES), albumController.uploadImages);
+router.put('/:id/reorder', authenticateToken, requirePermission('gallery:write'), albumController.reorderImages);
+
+// Public single-album route
+router.get('/:id', albumController.getAlbumById);
+
+module.exports = router;
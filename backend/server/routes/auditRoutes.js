@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Activity log of admin actions
+router.get('/', authenticateToken, requirePermission('audit:view'), auditController.getEntries);
+router.get('/options', authenticateToken, requirePermission('audit:view'), auditController.getOptions);
+router.get('/export', authenticateToken, requirePermission('audit:view'), auditController.exportEntries);
+
+module.exports = router;
@@ -1,18 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+const phoneController = require('../controllers/phoneController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
 
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
-router.post('/request-password-reset', authController.requestPasswordReset);
+router.post('/login/2fa', authController.verifyTwoFactorLogin);
+router.post('/login/2fa/email', authController.sendTwoFactorEmailCode);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/request-password-reset', authController.forgotPassword);
+router.get('/verify-reset-token/:token', authController.verifyResetToken);
+router.post('/reset-password/:token', authController.resetPassword);
 router.post('/reset-password', authController.resetPassword);
+router.post('/send-sms-otp', authController.sendSmsOtp);
+router.post('/verify-sms-otp', authController.verifySmsOtp);
+
+// Session routes (authenticated by the refresh token cookie)
+router.post('/refresh', authController.refresh);
+router.post('/logout', optionalAuth, authController.logout);
 
 // Protected routes
 router.get('/profile', authenticateToken, authController.getProfile);
 router.put('/profile', authenticateToken, authController.updateProfile);
+router.put('/preferences', authenticateToken, authController.updatePreferences);
+router.post('/change-password', authenticateToken, authController.changePassword);
 router.put('/change-password', authenticateToken, authController.changePassword);
-router.post('/logout', authenticateToken, authController.logout);
+router.post('/logout-all', authenticateToken, authController.logoutAll);
+router.get('/sessions', authenticateToken, authController.getSessions);
+router.delete('/sessions/:id', authenticateToken, authController.revokeSession);
+
+// Two-factor authentication for the signed-in account
+router.get('/2fa', authenticateToken, twoFactorController.getStatus);
+router.post('/2fa/setup', authenticateToken, twoFactorController.setup);
+router.post('/2fa/enable', authenticateToken, twoFactorController.enable);
+router.post('/2fa/disable', authenticateToken, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorController.regenerateRecoveryCodes);
+
+// Phone number of the signed-in account
+router.post('/phone', authenticateToken, phoneController.requestVerification);
+router.post('/phone/verify', authenticateToken, phoneController.verify);
+router.delete('/phone', authenticateToken, phoneController.remove);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const clientErrorController = require('../controllers/clientErrorController');
+const { optionalAuth } = require('../middleware/auth');
+const loggingConfig = require('../config/logging');
+
+// A page stuck in an error loop shouldn't flood the logs
+const reportLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: loggingConfig.clientErrors.maxPerWindow,
+  message: {
+    success: false,
+    message: 'Too many error reports, please try again later.'
+  }
+});
+
+// Errors reported by the frontend
+router.post('/', reportLimiter, optionalAuth, clientErrorController.report);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+
+// Public routes
+router.get('/', eventController.getEvents);
+
+// Signed-in accounts (static paths are registered before /:id so they are not shadowed)
+router.get('/mine', authenticateToken, eventController.getMyRegistrations);
+
+// Admin routes
+router.get('/admin', authenticateToken, requirePermission('event:manage'), eventController.getEventsAdmin);
+router.post('/', authenticateToken, requirePermission('event:manage'), eventController.createEvent);
+router.put('/:id', authenticateToken, requirePermission('event:manage'), eventController.updateEvent);
+router.delete('/:id', authenticateToken, requirePermission('event:manage'), eventController.deleteEvent);
+router.get('/:id/registrations', authenticateToken, requirePermission('event:manage'), eventController.getRegistrations);
+router.get('/:id/registrations/export', authenticateToken, requirePermission('event:manage'), eventController.exportRegistrations);
+
+// Registration for the signed-in account
+router.post('/:id/registration', authenticateToken, eventController.register);
+router.delete('/:id/registration', authenticateToken, eventController.cancelRegistration);
+
+// Public single-event route (shows the caller's registration when signed in)
+router.get('/:id', optionalAuth, eventController.getEventById);
+
+module.exports = router;
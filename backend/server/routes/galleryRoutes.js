@@ -1,19 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const galleryController = require('../controllers/galleryController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { upload } = require('../middleware/cloudinaryUpload');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
 
 // Public routes
 router.get('/', galleryController.getAllImages);
 router.get('/category/:category', galleryController.getImagesByCategory);
-router.get('/:id', galleryController.getImageById);
 
-// Admin routes
-router.post('/upload', authenticateToken, requireAdmin, upload.single('image'), galleryController.uploadImage);
-router.put('/:id', authenticateToken, requireAdmin, galleryController.updateImage);
-router.put('/reorder', authenticateToken, requireAdmin, galleryController.reorderImages);
-router.get('/admin/stats', authenticateToken, requireAdmin, galleryController.getGalleryStats);
-router.delete('/:id', authenticateToken, requireAdmin, galleryController.deleteImage);
+// Admin routes (static paths are registered before /:id so they are not shadowed)
+router.get('/admin', authenticateToken, requirePermission('gallery:write'), galleryController.getAllImagesAdmin);
+router.get('/admin/stats', authenticateToken, requirePermission('gallery:write'), galleryController.getGalleryStats);
+router.post('/upload', authenticateToken, requirePermission('gallery:write'), upload.single('image'), galleryController.uploadImage);
+router.put('/reorder', authenticateToken, requirePermission('gallery:write'), galleryController.reorderImages);
+router.put('/:id', authenticateToken, requirePermission('gallery:write'), galleryController.updateImage);
+router.delete('/:id', authenticateToken, requirePermission('gallery:write'), galleryController.deleteImage);
+
+// Public single-image route
+router.get('/:id', galleryController.getImageById);
 
 module.exports = router;
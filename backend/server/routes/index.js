@@ -6,8 +6,23 @@ const authRoutes = require('./authRoutes');
 const noticeRoutes = require('./noticeRoutes');
 const formRoutes = require('./formRoutes');
 const userRoutes = require('./userRoutes');
+const roleRoutes = require('./roleRoutes');
+const auditRoutes = require('./auditRoutes');
+const lockoutRoutes = require('./lockoutRoutes');
+const storageRoutes = require('./storageRoutes');
 const galleryRoutes = require('./galleryRoutes');
+const albumRoutes = require('./albumRoutes');
+const eventRoutes = require('./eventRoutes');
 const newsRoutes = require('./newsRoutes');
+const revisionRoutes = require('./revisionRoutes');
+const searchRoutes = require('./searchRoutes');
+const memberRoutes = require('./memberRoutes');
+const verifyRoutes = require('./verifyRoutes');
+const adminRoutes = require('./adminRoutes');
+const systemRoutes = require('./systemRoutes');
+const metricsRoutes = require('./metricsRoutes');
+const clientErrorRoutes = require('./clientErrorRoutes');
+const monitoringConfig = require('../config/monitoring');
 
 // API version prefix
 const API_VERSION = '/api';
@@ -17,8 +32,26 @@ router.use(`${API_VERSION}/auth`, authRoutes);
 router.use(`${API_VERSION}/notices`, noticeRoutes);
 router.use(`${API_VERSION}/forms`, formRoutes);
 router.use(`${API_VERSION}/admin/users`, userRoutes);
+router.use(`${API_VERSION}/admin/roles`, roleRoutes);
+router.use(`${API_VERSION}/admin/audit`, auditRoutes);
+router.use(`${API_VERSION}/admin/lockouts`, lockoutRoutes);
+router.use(`${API_VERSION}/admin/storage`, storageRoutes);
+router.use(`${API_VERSION}/admin`, adminRoutes);
 router.use(`${API_VERSION}/gallery`, galleryRoutes);
+router.use(`${API_VERSION}/albums`, albumRoutes);
+router.use(`${API_VERSION}/events`, eventRoutes);
 router.use(`${API_VERSION}/news`, newsRoutes);
+router.use(`${API_VERSION}/revisions`, revisionRoutes);
+router.use(`${API_VERSION}/search`, searchRoutes);
+router.use(`${API_VERSION}/members`, memberRoutes);
+router.use(`${API_VERSION}/verify`, verifyRoutes);
+router.use(`${API_VERSION}/client-errors`, clientErrorRoutes);
+router.use(API_VERSION, systemRoutes);
+
+// Prometheus metrics, outside /api so scrapes aren't rate limited
+if (monitoringConfig.metrics.enabled) {
+  router.use('/metrics', metricsRoutes);
+}
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -41,8 +74,22 @@ router.get('/api', (req, res) => {
       notices: '/api/notices',
       forms: '/api/forms',
       users: '/api/admin/users',
+      roles: '/api/admin/roles',
+      audit: '/api/admin/audit',
+      lockouts: '/api/admin/lockouts',
+      storage: '/api/admin/storage',
+      admin: '/api/admin',
       gallery: '/api/gallery',
-      news: '/api/news'
+      albums: '/api/albums',
+      events: '/api/events',
+      news: '/api/news',
+      revisions: '/api/revisions',
+      search: '/api/search',
+      members: '/api/members',
+      verify: '/api/verify/:certificateNo',
+      clientErrors: '/api/client-errors',
+      health: '/api/health',
+      metrics: '/metrics'
     },
     documentation: 'https://github.com/shamsozzuha-shihab/jamapur_backend_2'
   });
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const lockoutController = require('../controllers/lockoutController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Sign-in lockouts
+router.get('/', authenticateToken, requirePermission('admin:manage'), lockoutController.getLockouts);
+router.delete('/:id', authenticateToken, requirePermission('admin:manage'), lockoutController.unlock);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const memberController = require('../controllers/memberController');
+const documentController = require('../controllers/documentController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
+
+// Logo plus up to five supporting documents per request
+const memberUploads = upload.fields([
+  { name: 'logo', maxCount: 1 },
+  { name: 'documents', maxCount: 5 }
+]);
+
+// Public routes
+router.get('/', memberController.getDirectory);
+router.get('/options', memberController.getOptions);
+
+// Signed-in user's own business profile and membership application
+router.get('/me', authenticateToken, memberController.getMyProfile);
+router.put('/me', authenticateToken, memberUploads, memberController.saveMyProfile);
+router.delete('/me/documents/:documentId', authenticateToken, memberController.deleteMyDocument);
+router.get('/me/payments', authenticateToken, memberController.getMyPayments);
+router.get('/me/payments/:paymentId/receipt', authenticateToken, documentController.getMyPaymentReceipt);
+router.get('/me/certificate', authenticateToken, documentController.getMyCertificate);
+
+// Admin routes (static paths are registered before /:id so they are not shadowed)
+router.get('/admin', authenticateToken, requirePermission('member:manage'), memberController.getAllMembers);
+router.post('/', authenticateToken, requirePermission('member:manage'), memberUploads, memberController.createMember);
+router.put('/:id/approve', authenticateToken, requirePermission('member:manage'), memberController.approveMember);
+router.put('/:id/reject', authenticateToken, requirePermission('member:manage'), memberController.rejectMember);
+router.get('/:id/payments', authenticateToken, requirePermission('member:manage'), memberController.getMemberPayments);
+router.post('/:id/payments', authenticateToken, requirePermission('member:manage'), memberController.recordPayment);
+router.get('/:id/payments/export', authenticateToken, requirePermission('member:manage'), memberController.exportPayments);
+router.get('/:id/payments/:paymentId/receipt', authenticateToken, requirePermission('member:manage'), documentController.getPaymentReceipt);
+router.get('/:id/certificate', authenticateToken, requirePermission('member:manage'), documentController.getMemberCertificate);
+router.put('/:id', authenticateToken, requirePermission('member:manage'), memberUploads, memberController.updateMember);
+router.delete('/:id', authenticateToken, requirePermission('member:manage'), memberController.deleteMember);
+
+// Public single-member route
+router.get('/:id', memberController.getMemberById);
+
+module.exports = router;
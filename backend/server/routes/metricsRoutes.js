@@ -0,0 +1,33 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { register } = require('../metrics');
+const monitoringConfig = require('../config/monitoring');
+const logger = require('../logger');
+
+// Constant-time comparison of the scraper's bearer token
+const hasValidToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return false;
+
+  const expected = Buffer.from(monitoringConfig.metrics.token);
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Prometheus scrape endpoint
+router.get('/', async (req, res) => {
+  if (monitoringConfig.metrics.token && !hasValidToken(req)) {
+    return res.status(401).json({ success: false, message: 'Invalid metrics token' });
+  }
+
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    logger.error('Metrics error', { error });
+    res.status(500).json({ success: false, message: 'Server error while collecting metrics' });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const newsController = require('../controllers/newsController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
 
 // Public routes
 router.get('/', newsController.getAllNews);
 router.get('/search', newsController.searchNews);
 router.get('/featured', newsController.getFeaturedNews);
 router.get('/category/:category', newsController.getNewsByCategory);
-router.get('/:id', newsController.getNewsById);
+router.get('/preview/:token', newsController.getNewsPreview);
+
+// Admin routes (static paths are registered before /:id so they are not shadowed)
+router.get('/admin', authenticateToken, requirePermission('news:write'), newsController.getAllNewsAdmin);
+router.get('/admin/scheduled', authenticateToken, requirePermission('news:write'), newsController.getScheduledNews);
+router.get('/admin/stats', authenticateToken, requirePermission('news:write'), newsController.getNewsStats);
+router.post('/', authenticateToken, requirePermission('news:write'), upload.single('image'), newsController.createNews);
+router.put('/:id', authenticateToken, requirePermission('news:write'), upload.single('image'), newsController.updateNews);
+router.delete('/:id', authenticateToken, requirePermission('news:write'), newsController.deleteNews);
+// Workflow moves check their own permission (news:write or news:publish)
+router.post('/:id/status', authenticateToken, requirePermission('news:write'), newsController.changeNewsStatus);
+router.post('/:id/preview', authenticateToken, requirePermission('news:write'), newsController.createNewsPreview);
 
-// Admin routes
-router.post('/', authenticateToken, requireAdmin, newsController.createNews);
-router.put('/:id', authenticateToken, requireAdmin, newsController.updateNews);
-router.delete('/:id', authenticateToken, requireAdmin, newsController.deleteNews);
-router.get('/admin/stats', authenticateToken, requireAdmin, newsController.getNewsStats);
+// Public single-article route
+router.get('/:id', newsController.getNewsById);
 
 module.exports = router;
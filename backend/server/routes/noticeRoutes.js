@@ -1,19 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const noticeController = require('../controllers/noticeController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { upload } = require('../middleware/cloudinaryUpload');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
 
 // Public routes
 router.get('/', noticeController.getAllNotices);
 router.get('/search', noticeController.searchNotices);
 router.get('/priority/:priority', noticeController.getNoticesByPriority);
 router.get('/high-priority', noticeController.getHighPriorityNotices);
-router.get('/:id', noticeController.getNoticeById);
 
-// Admin routes
-router.post('/', authenticateToken, requireAdmin, upload.single('pdfFile'), noticeController.createNotice);
-router.put('/:id', authenticateToken, requireAdmin, upload.single('pdfFile'), noticeController.updateNotice);
-router.delete('/:id', authenticateToken, requireAdmin, noticeController.deleteNotice);
+// Admin routes (static paths are registered before /:id so they are not shadowed)
+router.get('/scheduled', authenticateToken, requirePermission('notice:write'), noticeController.getScheduledNotices);
+router.post('/', authenticateToken, requirePermission('notice:write'), upload.single('pdfFile'), noticeController.createNotice);
+router.put('/:id', authenticateToken, requirePermission('notice:write'), upload.single('pdfFile'), noticeController.updateNotice);
+router.delete('/:id', authenticateToken, requirePermission('notice:write'), noticeController.deleteNotice);
+
+// Public single-notice route
+router.get('/:id', noticeController.getNoticeById);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const revisionController = require('../controllers/revisionController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Notice history needs notice:write, news history news:write
+const ENTITY_PERMISSIONS = {
+  notice: 'notice:write',
+  news: 'news:write'
+};
+
+const requireEntityPermission = (req, res, next) => {
+  const permission = ENTITY_PERMISSIONS[req.params.entityType];
+  if (!permission) {
+    return res.status(404).json({ success: false, message: 'Record not found' });
+  }
+  return requirePermission(permission)(req, res, next);
+};
+
+// Revision history of notices and news articles
+router.get('/:entityType/:entityId', authenticateToken, requireEntityPermission, revisionController.getRevisions);
+router.get('/:entityType/:entityId/:revisionId', authenticateToken, requireEntityPermission, revisionController.getRevision);
+router.post('/:entityType/:entityId/:revisionId/restore', authenticateToken, requireEntityPermission, revisionController.restoreRevision);
+
+module.exports = router;
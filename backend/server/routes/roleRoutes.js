@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Role management (super admin by default)
+router.get('/', authenticateToken, requirePermission('admin:manage'), roleController.getRoles);
+router.post('/', authenticateToken, requirePermission('admin:manage'), roleController.createRole);
+router.put('/:name', authenticateToken, requirePermission('admin:manage'), roleController.updateRole);
+router.delete('/:name', authenticateToken, requirePermission('admin:manage'), roleController.deleteRole);
+
+module.exports = router;
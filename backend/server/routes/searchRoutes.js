@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+
+// Site-wide search (public): ?q=&type=&category=&year=&page=&limit=
+router.get('/', searchController.search);
+
+module.exports = router;
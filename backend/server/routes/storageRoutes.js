@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const storageController = require('../controllers/storageController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Legacy upload migration
+router.get('/migration', authenticateToken, requirePermission('admin:manage'), storageController.getMigration);
+router.post('/migration', authenticateToken, requirePermission('admin:manage'), storageController.startMigration);
+
+// Orphaned-file cleanup
+router.post('/cleanup', authenticateToken, requirePermission('admin:manage'), storageController.startCleanup);
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const cloudinary = require('../config/cloudinary');
+const emailService = require('../emailService');
+const smsService = require('../smsService');
+const storageService = require('../storageService');
+const assetCollectorService = require('../assetCollector');
+const databaseMonitor = require('../middleware/databaseMonitor');
+const cloudinaryMonitor = require('../middleware/cloudinaryMonitor');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const logger = require('../logger');
+
+// 'healthy', 'degraded' (a service is slow or storage is failing) or
+// 'unhealthy' (no database)
+const getOverallStatus = (statuses) => {
+  if (databaseMonitor.getConnectionState() !== 'connected') return 'unhealthy';
+  return statuses.every(status => status === 'up' || status === 'unknown') ? 'healthy' : 'degraded';
+};
+
+// Test endpoint for frontend-backend connection
+router.get('/test', (req, res) => {
+  res.json({
+    status: 'success',
+    message: 'Backend is working!',
+    timestamp: new Date().toISOString(),
+    frontend_url: req.headers.origin || 'No origin header',
+    cors_working: true,
+    version: '2.0.0'
+  });
+});
+
+// Test Cloudinary connection (admin only)
+router.get('/test/cloudinary', authenticateToken, requirePermission('system:view'), async (req, res) => {
+  try {
+    const result = await cloudinary.api.ping();
+    res.json({
+      status: 'success',
+      message: 'Cloudinary connection working',
+      cloudinary_status: result.status,
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Cloudinary test failed', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Cloudinary connection failed',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Test the active storage driver (admin only)
+router.get('/test/storage', authenticateToken, requirePermission('system:view'), async (req, res) => {
+  const { driver } = storageService.getServiceStatus();
+  try {
+    await storageService.ping();
+    res.json({
+      status: 'success',
+      message: 'Storage connection working',
+      driver,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Storage test failed', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Storage connection failed',
+      driver,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Quick health check (no authentication required)
+router.get('/health', (req, res) => {
+  const services = {
+    database: databaseMonitor.getSummary(),
+    storage: cloudinaryMonitor.getSummary()
+  };
+  const status = getOverallStatus(Object.values(services).map(service => service.status));
+
+  res.status(status === 'unhealthy' ? 503 : 200).json({
+    status,
+    timestamp: new Date().toISOString(),
+    database: databaseMonitor.getConnectionState(),
+    services
+  });
+});
+
+// Detailed system health check (admin only). Runs a write/read/delete test
+// against the database and storage on each request.
+router.get('/health/detailed', authenticateToken, requirePermission('system:view'), async (req, res) => {
+  const [databaseTest, storageTest] = await Promise.all([
+    databaseMonitor.testDatabaseOperations(),
+    cloudinaryMonitor.testCloudinaryOperations()
+  ]);
+  const database = databaseMonitor.getStatus();
+  const storage = cloudinaryMonitor.getStatus();
+  const status = getOverallStatus([database.status, storage.status]);
+  const testsPassed = databaseTest.success && storageTest.success;
+  const overallStatus = status === 'healthy' && !testsPassed ? 'degraded' : status;
+
+  res.status(overallStatus === 'unhealthy' ? 503 : 200).json({
+    timestamp: new Date().toISOString(),
+    server: {
+      status: 'healthy',
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      nodeVersion: process.version
+    },
+    database: {
+      connectionStatus: database.connectionState,
+      ...database,
+      history: databaseMonitor.getHistory()
+    },
+    environment: {
+      nodeEnv: process.env.NODE_ENV,
+      port: process.env.PORT,
+      hasMongoUri: !!process.env.MONGODB_URI,
+      hasCloudinaryConfig: !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET)
+    },
+    storage: {
+      ...storageService.getServiceStatus(),
+      ...storage,
+      history: cloudinaryMonitor.getHistory()
+    },
+    storageCleanup: assetCollectorService.getStatus(),
+    overallStatus
+  });
+});
+
+// Service status endpoint
+router.get('/services/status', (req, res) => {
+  res.json({
+    emailServices: emailService.getServiceStatus(),
+    smsService: smsService.getServiceStatus(),
+    storage: storageService.getServiceStatus(),
+    message: 'Service status retrieved successfully'
+  });
+});
+
+module.exports = router;
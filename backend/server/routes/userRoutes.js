@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // Admin routes only
-router.get('/', authenticateToken, requireAdmin, userController.getAllUsers);
-router.get('/stats', authenticateToken, requireAdmin, userController.getUserStats);
-router.get('/admins', authenticateToken, requireAdmin, userController.getAllAdmins);
-router.get('/role/:role', authenticateToken, requireAdmin, userController.getUsersByRole);
-router.get('/:id', authenticateToken, requireAdmin, userController.getUserById);
-router.post('/', authenticateToken, requireAdmin, userController.createUser);
-router.put('/:id', authenticateToken, requireAdmin, userController.updateUser);
-router.put('/:id/toggle-status', authenticateToken, requireAdmin, userController.toggleUserStatus);
-router.delete('/:id', authenticateToken, requireAdmin, userController.deleteUser);
+router.get('/', authenticateToken, requirePermission('admin:manage'), userController.getAllAdmins);
+router.get('/all', authenticateToken, requirePermission('admin:manage'), userController.getAllUsers);
+router.get('/stats', authenticateToken, requirePermission('admin:manage'), userController.getUserStats);
+router.get('/admins', authenticateToken, requirePermission('admin:manage'), userController.getAllAdmins);
+router.get('/role/:role', authenticateToken, requirePermission('admin:manage'), userController.getUsersByRole);
+router.get('/:id', authenticateToken, requirePermission('admin:manage'), userController.getUserById);
+router.post('/', authenticateToken, requirePermission('admin:manage'), userController.createUser);
+router.put('/:id', authenticateToken, requirePermission('admin:manage'), userController.updateUser);
+router.put('/:id/toggle-status', authenticateToken, requirePermission('admin:manage'), userController.toggleUserStatus);
+router.post('/:id/reset-2fa', authenticateToken, requirePermission('admin:manage'), userController.resetTwoFactor);
+router.delete('/:id', authenticateToken, requirePermission('admin:manage'), userController.deleteUser);
 
 module.exports = router;
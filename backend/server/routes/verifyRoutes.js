@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const documentController = require('../controllers/documentController');
+
+// Public certificate verification (linked from the QR code on each certificate)
+router.get('/:certificateNo', documentController.verifyCertificate);
+
+module.exports = router;
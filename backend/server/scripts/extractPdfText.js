@@ -0,0 +1,83 @@
+// Read the text, page count, metadata and first-page thumbnail of PDFs that
+// were attached to notices and form submissions before uploads were read.
+//
+//   npm run pdf:extract
+//
+// Each PDF is downloaded from its URL, so the files must be reachable (with
+// local storage, keep the server running). Records already read are skipped;
+// run it again to retry files that failed to download.
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Notice = require('../models/Notice');
+const FormSubmission = require('../models/FormSubmission');
+const documentService = require('../documentService');
+const searchService = require('../searchService');
+
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+
+const SOURCES = [
+  { name: 'notice', Model: Notice },
+  { name: 'submission', Model: FormSubmission }
+];
+
+const download = async (url, target) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  await fs.promises.writeFile(target, Buffer.from(await response.arrayBuffer()));
+};
+
+const main = async () => {
+  await connectDB();
+  let total = 0;
+  let failed = 0;
+
+  for (const { name, Model } of SOURCES) {
+    const records = await Model.find({
+      'pdfFile.url': { $exists: true },
+      'pdfFile.mimetype': 'application/pdf',
+      'pdfFile.extractedAt': null
+    }).select('pdfFile');
+
+    for (const record of records) {
+      const target = path.join(os.tmpdir(), `pdf-extract-${record._id}.pdf`);
+      try {
+        await download(record.pdfFile.url, target);
+        const details = await documentService.describe(target);
+        const update = Object.fromEntries(
+          Object.entries(details)
+            .filter(([, value]) => value !== undefined)
+            .map(([field, value]) => [`pdfFile.${field}`, value])
+        );
+        await Model.updateOne({ _id: record._id }, { $set: update });
+        if (name === 'notice') {
+          await searchService.index('notice', record);
+        }
+
+        total += 1;
+        console.log(`${name} ${record._id}: ${details.pageCount ? `${details.pageCount} page(s)` : 'no text'}`);
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ ${name} ${record._id}: ${error.message}`);
+      } finally {
+        fs.unlink(target, () => {});
+      }
+    }
+  }
+
+  console.log(`\nRead ${total} PDF(s)${failed ? `, ${failed} failed` : ''}`);
+  if (failed) process.exitCode = 1;
+};
+
+main()
+  .catch(error => {
+    console.error('❌ PDF extraction failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
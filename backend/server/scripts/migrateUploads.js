@@ -0,0 +1,42 @@
+// Move legacy server/uploads files into the configured storage.
+//
+//   npm run migrate:uploads              migrate and rewrite the records
+//   npm run migrate:uploads -- --dry-run report what would change
+//
+// Safe to run again: files copied by an earlier run are not uploaded twice.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const uploadMigration = require('../uploadMigration');
+
+const printList = (title, items, format) => {
+  if (items.length === 0) return;
+  console.log(`\n${title} (${items.length}):`);
+  items.forEach(item => console.log(`  - ${format(item)}`));
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+  const report = await uploadMigration.run({ dryRun, log: message => console.log(message) });
+
+  console.log(`\n${dryRun ? 'Dry run' : 'Migration'} finished (storage: ${report.storage || 'none'})`);
+  console.log(`${dryRun ? 'To migrate' : 'Migrated'}: ${report.migrated.length}`);
+  printList('Missing files', report.missing, item => `${item.filename} (${item.collection} ${item.id}, "${item.label}")`);
+  printList('Failed', report.failed, item => `${item.filename} (${item.collection} ${item.id}): ${item.error}`);
+  printList('Orphaned files', report.orphans, filename => filename);
+
+  return report.failed.length === 0;
+};
+
+main()
+  .then(ok => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch(error => {
+    console.error('❌ Upload migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,28 @@
+// Recreate the site search index from the notices, news and gallery images.
+//
+//   npm run search:rebuild
+//
+// The server keeps the index up to date and builds it on its first start;
+// run this after restoring a database backup or editing records directly.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const searchService = require('../searchService');
+
+const main = async () => {
+  await connectDB();
+  const counts = await searchService.rebuild({ log: message => console.log(message) });
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  console.log(`\nSearch index rebuilt: ${total} record(s)`);
+};
+
+main()
+  .then(() => {
+    process.exitCode = 0;
+  })
+  .catch(error => {
+    console.error('❌ Search index rebuild failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,236 @@
+const SearchEntry = require('./models/SearchEntry');
+const Notice = require('./models/Notice');
+const News = require('./models/News');
+const GalleryImage = require('./models/GalleryImage');
+const escapeRegex = require('./utils/escapeRegex');
+const { visibleFilter } = require('./utils/publishWindow');
+const { tokenize, queryTerms, highlight } = require('./utils/searchText');
+const logger = require('./logger');
+
+// Matching entries ranked per search, newest first; facets count within them
+const MAX_CANDIDATES = 500;
+
+// Length of the body excerpt around the first match
+const EXCERPT_LENGTH = 240;
+
+// How each kind of record becomes a search entry. `extra` is searchable but
+// not shown; `select` adds fields that queries leave out by default.
+const SOURCES = {
+  notice: {
+    Model: Notice,
+    select: '+pdfFile.text',
+    toEntry: notice => ({
+      title: notice.title,
+      titleBn: notice.titleBn,
+      body: notice.content,
+      bodyBn: notice.contentBn,
+      document: notice.pdfFile && notice.pdfFile.text,
+      extra: [notice.author, ...(notice.tags || []), notice.pdfFile && notice.pdfFile.originalName],
+      category: null,
+      date: notice.publishAt || notice.createdAt,
+      imageUrl: (notice.pdfFile && notice.pdfFile.thumbnail && notice.pdfFile.thumbnail.url) || '',
+      isActive: notice.isActive,
+      publishAt: notice.publishAt,
+      expireAt: notice.expireAt
+    })
+  },
+  news: {
+    Model: News,
+    toEntry: news => ({
+      title: news.title,
+      titleBn: news.titleBn,
+      body: news.content,
+      bodyBn: news.contentBn,
+      extra: [news.author, ...(news.tags || [])],
+      category: news.category,
+      date: news.publishedAt || news.createdAt,
+      imageUrl: news.imageUrl,
+      isActive: news.isActive,
+      publishAt: news.publishAt,
+      expireAt: news.expireAt
+    })
+  },
+  gallery: {
+    Model: GalleryImage,
+    toEntry: image => ({
+      title: image.title,
+      body: image.description,
+      extra: [image.altText, ...(image.tags || [])],
+      category: image.category,
+      date: image.uploadedAt,
+      imageUrl: image.imageUrl,
+      album: image.album,
+      isActive: image.isActive
+    })
+  }
+};
+
+const yearOf = (entry) => (entry.date ? new Date(entry.date).getFullYear() : null);
+
+// Facet values with their counts, most common first
+const countBy = (entries, key) => {
+  const counts = new Map();
+  entries.forEach(entry => {
+    const value = key(entry);
+    if (value === null || value === undefined) return;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(b.value).localeCompare(String(a.value)));
+};
+
+class SearchService {
+  // Add or refresh the search entry of a notice, news article or gallery
+  // image. Never throws: like revision history, search must not fail a save.
+  async index(type, doc) {
+    try {
+      const { Model, select } = SOURCES[type];
+      const record = select ? await Model.findById(doc._id).select(select) : doc;
+      if (record) await this.save(type, record);
+    } catch (error) {
+      logger.error('Search index error', { error });
+    }
+  }
+
+  // Write the search entry of a record loaded with its source's fields
+  async save(type, record) {
+    const { extra = [], ...fields } = SOURCES[type].toEntry(record);
+    const entry = {
+      ...fields,
+      document: fields.document || '',
+      titleTerms: tokenize(`${fields.title || ''} ${fields.titleBn || ''}`),
+      terms: tokenize([fields.title, fields.titleBn, fields.body, fields.bodyBn, fields.document, ...extra]
+        .filter(Boolean)
+        .join(' ')),
+      updatedAt: new Date()
+    };
+
+    await SearchEntry.updateOne({ type, refId: record._id }, { $set: entry }, { upsert: true });
+  }
+
+  // Drop a deleted record from search
+  async remove(type, refId) {
+    try {
+      await SearchEntry.deleteOne({ type, refId });
+    } catch (error) {
+      logger.error('Search cleanup error', { error });
+    }
+  }
+
+  // Gallery images whose album was deleted
+  async detachAlbum(albumId) {
+    try {
+      await SearchEntry.updateMany({ type: 'gallery', album: albumId }, { album: null });
+    } catch (error) {
+      logger.error('Search cleanup error', { error });
+    }
+  }
+
+  // Recreate the whole index from the records. Returns counts per type.
+  async rebuild({ log = () => {} } = {}) {
+    const counts = {};
+
+    for (const [type, { Model, select }] of Object.entries(SOURCES)) {
+      await SearchEntry.deleteMany({ type });
+      counts[type] = 0;
+
+      for await (const record of Model.find().select(select || '').cursor()) {
+        await this.save(type, record);
+        counts[type] += 1;
+      }
+      log(`Indexed ${counts[type]} ${type} record(s)`);
+    }
+
+    return counts;
+  }
+
+  // Build the index on the first start after search was added
+  async ensureIndex() {
+    try {
+      if (await SearchEntry.estimatedDocumentCount() > 0) return;
+
+      const counts = await this.rebuild();
+      logger.info('Search index built', { counts });
+    } catch (error) {
+      logger.error('Error building search index', { error });
+    }
+  }
+
+  // Public search. Every query word must match the start of a word in the
+  // entry; title matches rank first. Filters narrow the results, and each
+  // facet counts the matches under the other filters.
+  async search({ q, type, category, year, page = 1, limit = 10 }) {
+    const terms = queryTerms(q);
+    const empty = { terms, results: [], total: 0, facets: { types: [], categories: [], years: [] } };
+    if (terms.length === 0) return empty;
+
+    const candidates = await SearchEntry.find({
+      ...visibleFilter(),
+      terms: { $all: terms.map(term => new RegExp(`^${escapeRegex(term)}`)) }
+    })
+      .sort({ date: -1 })
+      .limit(MAX_CANDIDATES)
+      .select('-terms -document')
+      .lean();
+
+    const filters = {
+      type: entry => !type || entry.type === type,
+      category: entry => !category || entry.category === category,
+      year: entry => !year || yearOf(entry) === year
+    };
+    const matching = (...skip) => candidates.filter(entry =>
+      Object.entries(filters).every(([name, test]) => skip.includes(name) || test(entry))
+    );
+
+    const facets = {
+      types: countBy(matching('type'), entry => entry.type),
+      categories: countBy(matching('category'), entry => entry.category),
+      years: countBy(matching('year'), yearOf).sort((a, b) => b.value - a.value)
+    };
+
+    const score = (entry) => terms.reduce((total, term) => {
+      const inTitle = entry.titleTerms.some(word => word.startsWith(term));
+      const exact = entry.titleTerms.includes(term);
+      return total + (inTitle ? 3 : 1) + (exact ? 2 : 0);
+    }, 0);
+
+    const ranked = matching()
+      .map(entry => ({ entry, score: score(entry) }))
+      .sort((a, b) => b.score - a.score || new Date(b.entry.date) - new Date(a.entry.date));
+
+    const pageEntries = ranked.slice((page - 1) * limit, page * limit).map(({ entry }) => entry);
+
+    // Attached PDF text is only read for the results shown, as it can be long
+    const withDocuments = await SearchEntry.find({
+      _id: { $in: pageEntries.map(entry => entry._id) },
+      document: { $gt: '' }
+    })
+      .select('document')
+      .lean();
+    const documents = new Map(withDocuments.map(entry => [String(entry._id), entry.document]));
+
+    const results = pageEntries
+      .map(entry => ({
+        type: entry.type,
+        id: entry.refId,
+        title: entry.title,
+        titleBn: entry.titleBn,
+        category: entry.category,
+        date: entry.date,
+        imageUrl: entry.imageUrl,
+        album: entry.album,
+        highlights: {
+          title: highlight(entry.title, terms, Infinity),
+          titleBn: highlight(entry.titleBn, terms, Infinity),
+          body: highlight(entry.body, terms, EXCERPT_LENGTH),
+          bodyBn: highlight(entry.bodyBn, terms, EXCERPT_LENGTH),
+          document: highlight(documents.get(String(entry._id)), terms, EXCERPT_LENGTH)
+        }
+      }));
+
+    return { terms, results, total: ranked.length, facets };
+  }
+}
+
+module.exports = new SearchService();
@@ -1,18 +1,163 @@
-const app = require('./app');
+// Load environment variables FIRST
+require('dotenv').config();
+
+const http = require('http');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const createApp = require('./app');
+const connectDB = require('./config/database');
+const { createSocketServer } = require('./socket');
+const keepAliveService = require('./keepalive');
+const membershipReminderService = require('./membershipReminders');
+const eventReminderService = require('./eventReminders');
+const publishSchedulerService = require('./publishScheduler');
+const storageService = require('./storageService');
+const assetCollectorService = require('./assetCollector');
+const searchService = require('./searchService');
+const databaseMonitor = require('./middleware/databaseMonitor');
+const cloudinaryMonitor = require('./middleware/cloudinaryMonitor');
+const User = require('./models/User');
+const Role = require('./models/Role');
+const { SUPER_ADMIN_ROLE } = require('./config/permissions');
+const logger = require('./logger');
+
+// Validate required environment variables
+const requiredEnvVars = [
+  'MONGODB_URI',
+  'JWT_SECRET'
+];
+
+const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
+
+if (missingEnvVars.length > 0) {
+  logger.error('Missing required environment variables', { variables: missingEnvVars });
+  process.exit(1);
+}
+
+// Uploads need a working storage driver (Cloudinary, S3 or local disk)
+if (!storageService.getServiceStatus().enabled) {
+  logger.error('No file storage available, check STORAGE_DRIVER and its settings');
+  process.exit(1);
+}
+
+logger.info('Environment variables validated');
 
 const PORT = process.env.PORT || 5000;
 
-// Start server
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📊 API Documentation: http://localhost:${PORT}/api`);
-  console.log(`❤️  Health Check: http://localhost:${PORT}/health`);
-});
+// Wire the app, HTTP server and Socket.IO together
+const app = createApp();
+const server = http.createServer(app);
+const io = createSocketServer(server);
+app.set('io', io);
+
+// Create the default roles. Before roles existed every admin had full access,
+// so on the first start they all become super admins.
+const initializeRoles = async () => {
+  try {
+    await Role.ensureDefaults();
+
+    const hasSuperAdmin = await User.exists({ role: SUPER_ADMIN_ROLE });
+    if (!hasSuperAdmin) {
+      const result = await User.updateMany({ role: 'admin' }, { role: SUPER_ADMIN_ROLE });
+      if (result.modifiedCount > 0) {
+        logger.info('Promoted existing admins to super admin', { count: result.modifiedCount });
+      }
+    }
+  } catch (error) {
+    logger.error('Error initializing roles', { error });
+  }
+};
+
+// Initialize default admin user
+const initializeDefaultAdmin = async () => {
+  try {
+    const adminExists = await User.findByEmail('admin@admin.com');
+
+    if (!adminExists) {
+      // Only create admin if it doesn't exist
+      const hashedPassword = await bcrypt.hash('admin123', 10);
+      const adminUser = new User({
+        name: 'Admin',
+        email: 'admin@admin.com',
+        password: hashedPassword,
+        role: SUPER_ADMIN_ROLE
+      });
+      await adminUser.save();
+      logger.info('Default admin user created', { email: 'admin@admin.com' });
+    } else {
+      logger.info('Admin user already exists', { email: 'admin@admin.com' });
+    }
+  } catch (error) {
+    logger.error('Error creating default admin', { error });
+  }
+};
+
+// Start server once the database is reachable
+connectDB()
+  .then(() => {
+    server.listen(PORT, async () => {
+      logger.info('Server running', {
+        port: PORT,
+        environment: process.env.NODE_ENV || 'development',
+        apiUrl: `http://localhost:${PORT}/api`
+      });
+
+      // Initialize roles and the default admin after server starts
+      await initializeRoles();
+      await initializeDefaultAdmin();
+
+      // Build the site search index if it doesn't exist yet
+      await searchService.ensureIndex();
+
+      // Start keepalive service to prevent Render from sleeping
+      keepAliveService.start();
+
+      // Start daily membership renewal reminders
+      membershipReminderService.start();
+
+      // Start hourly reminders for upcoming events
+      eventReminderService.start();
+
+      // Start publishing scheduled notices and news, and retiring expired ones
+      publishSchedulerService.start(io);
+
+      // Start removing unreferenced stored files and leftover temp uploads
+      assetCollectorService.start();
+
+      // Start the database and storage health checks behind /api/health
+      databaseMonitor.start();
+      cloudinaryMonitor.start();
+    });
+  })
+  .catch((error) => {
+    logger.error('MongoDB Connection Error', { error });
+    process.exit(1);
+  });
+
+// Graceful shutdown
+const shutdown = (signal) => {
+  logger.info('Shutting down gracefully', { signal });
+  keepAliveService.stop();
+  membershipReminderService.stop();
+  eventReminderService.stop();
+  publishSchedulerService.stop();
+  assetCollectorService.stop();
+  databaseMonitor.stop();
+  cloudinaryMonitor.stop();
+  io.close();
+  server.close(async () => {
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+    process.exit(0);
+  });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle unhandled promise rejections
-process.on('unhandledRejection', (err, promise) => {
-  console.log('Unhandled Promise Rejection:', err.message);
+process.on('unhandledRejection', (err) => {
+  logger.error('Unhandled promise rejection', { error: err });
   // Close server & exit process
   server.close(() => {
     process.exit(1);
@@ -21,7 +166,7 @@ process.on('unhandledRejection', (err, promise) => {
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  console.log('Uncaught Exception:', err.message);
+  logger.error('Uncaught exception', { error: err });
   process.exit(1);
 });
 
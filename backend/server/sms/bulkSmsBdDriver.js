@@ -0,0 +1,32 @@
+const { postForm } = require('./request');
+
+// BulkSMSBD, a Bangladeshi SMS gateway. Success is reported as
+// response_code 202 in the body, whatever the HTTP status.
+const createBulkSmsBdDriver = ({ apiUrl, apiKey, senderId }) => {
+  if (!apiKey || !senderId) {
+    throw new Error('BULKSMSBD_API_KEY and BULKSMSBD_SENDER_ID are required');
+  }
+
+  return {
+    name: 'bulksmsbd',
+
+    async send(to, message) {
+      const { statusCode, body } = await postForm(apiUrl, {
+        api_key: apiKey,
+        type: 'text',
+        // The gateway expects the number without the leading +
+        number: to.replace(/^\+/, ''),
+        senderid: senderId,
+        message
+      });
+
+      if (statusCode !== 200 || !body || Number(body.response_code) !== 202) {
+        const detail = body && body.error_message ? body.error_message : JSON.stringify(body);
+        throw new Error(`BulkSMSBD API error: ${statusCode} - ${detail}`);
+      }
+      return { messageId: body.message_id || null };
+    }
+  };
+};
+
+module.exports = createBulkSmsBdDriver;
@@ -0,0 +1,28 @@
+// Development and test driver: prints messages instead of sending them and
+// keeps the most recent ones in memory so tests can read the codes
+const OUTBOX_SIZE = 50;
+
+const createConsoleDriver = () => {
+  const outbox = [];
+  let counter = 0;
+
+  return {
+    name: 'console',
+    outbox,
+
+    async send(to, message) {
+      counter += 1;
+      const messageId = `console-${Date.now()}-${counter}`;
+
+      outbox.push({ to, message, messageId, sentAt: new Date() });
+      if (outbox.length > OUTBOX_SIZE) {
+        outbox.shift();
+      }
+
+      console.log(`📱 SMS to ${to}: ${message}`);
+      return { messageId };
+    }
+  };
+};
+
+module.exports = createConsoleDriver;
@@ -0,0 +1,41 @@
+const https = require('https');
+const http = require('http');
+
+// POST a form-encoded body and resolve with the status code and parsed JSON
+// (or raw text) of the response. Shared by the HTTP SMS drivers.
+const postForm = (url, fields, headers = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const body = new URLSearchParams(fields).toString();
+  const client = target.protocol === 'http:' ? http : https;
+
+  const req = client.request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(body),
+      ...headers
+    },
+    timeout: 15000
+  }, (res) => {
+    let data = '';
+    res.on('data', (chunk) => {
+      data += chunk;
+    });
+    res.on('end', () => {
+      let parsed = data;
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        // Some gateways answer with plain text
+      }
+      resolve({ statusCode: res.statusCode, body: parsed });
+    });
+  });
+
+  req.on('timeout', () => req.destroy(new Error('SMS gateway request timed out')));
+  req.on('error', reject);
+  req.write(body);
+  req.end();
+});
+
+module.exports = { postForm };
@@ -0,0 +1,30 @@
+const { postForm } = require('./request');
+
+// Twilio Programmable Messaging
+const createTwilioDriver = ({ accountSid, authToken, from }) => {
+  if (!accountSid || !authToken || !from) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER are required');
+  }
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    name: 'twilio',
+
+    async send(to, message) {
+      const { statusCode, body } = await postForm(
+        url,
+        { To: to, From: from, Body: message },
+        { Authorization: authorization }
+      );
+
+      if (statusCode < 200 || statusCode >= 300) {
+        throw new Error(`Twilio API error: ${statusCode} - ${body.message || JSON.stringify(body)}`);
+      }
+      return { messageId: body.sid };
+    }
+  };
+};
+
+module.exports = createTwilioDriver;
@@ -0,0 +1,79 @@
+const smsConfig = require('./config/sms');
+const createConsoleDriver = require('./sms/consoleDriver');
+const createTwilioDriver = require('./sms/twilioDriver');
+const createBulkSmsBdDriver = require('./sms/bulkSmsBdDriver');
+const logger = require('./logger');
+
+// SMS delivery through a pluggable gateway driver. A driver is an object with
+// a name and send(to, message) resolving to { messageId }.
+class SmsService {
+  constructor() {
+    this.factories = {
+      console: createConsoleDriver,
+      twilio: createTwilioDriver,
+      bulksmsbd: createBulkSmsBdDriver
+    };
+    this.driver = null;
+    this.initializeDriver(smsConfig.driver);
+  }
+
+  // Add a gateway, e.g. smsService.registerDriver('acme', options => ({ name: 'acme', send }))
+  registerDriver(name, factory) {
+    this.factories[name] = factory;
+  }
+
+  // Switch to a registered driver (used at startup and by tests)
+  initializeDriver(name, options = smsConfig.drivers[name] || {}) {
+    this.driver = null;
+
+    if (!name) {
+      logger.warn('SMS_DRIVER not set, SMS service disabled');
+      return null;
+    }
+
+    const factory = this.factories[name];
+    if (!factory) {
+      logger.error('Unknown SMS driver, SMS service disabled', { driver: name });
+      return null;
+    }
+
+    try {
+      this.driver = factory(options);
+      logger.info('SMS service initialized', { driver: name });
+    } catch (error) {
+      logger.error('SMS driver could not start', { driver: name, error });
+    }
+    return this.driver;
+  }
+
+  // Report which gateway is in use
+  getServiceStatus() {
+    return {
+      enabled: !!this.driver,
+      driver: this.driver ? this.driver.name : null
+    };
+  }
+
+  async send(to, message) {
+    if (!this.driver) {
+      throw new Error('No SMS service available');
+    }
+
+    try {
+      const result = await this.driver.send(to, message);
+      return { success: true, driver: this.driver.name, messageId: result.messageId };
+    } catch (error) {
+      logger.error('SMS sending failed', { error });
+      throw error;
+    }
+  }
+
+  // Send a one-time code
+  async sendOTPSMS(phoneNumber, otp) {
+    const message = `Your Jamalpur Chamber of Commerce verification code is ${otp}. ` +
+      `It expires in ${smsConfig.otp.ttlMinutes} minutes. Do not share it with anyone.`;
+    return this.send(phoneNumber, message);
+  }
+}
+
+module.exports = new SmsService();
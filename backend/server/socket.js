@@ -0,0 +1,67 @@
+const { Server } = require('socket.io');
+const { observeSockets } = require('./metrics');
+const logger = require('./logger');
+const requestContext = require('./utils/requestContext');
+
+// Create the Socket.IO server and register room handlers
+const createSocketServer = (httpServer) => {
+  const io = new Server(httpServer, {
+    cors: {
+      origin: '*',
+      methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH']
+    }
+  });
+
+  io.on('connection', (socket) => {
+    logger.debug('Socket client connected', { socketId: socket.id });
+
+    // Join admin room for real-time updates
+    socket.on('join-admin', () => {
+      socket.join('admin');
+      logger.debug('Socket client joined room', { socketId: socket.id, room: 'admin' });
+    });
+
+    // Join user room for general updates
+    socket.on('join-user', () => {
+      socket.join('user');
+      logger.debug('Socket client joined room', { socketId: socket.id, room: 'user' });
+    });
+
+    socket.on('disconnect', () => {
+      logger.debug('Socket client disconnected', { socketId: socket.id });
+    });
+  });
+
+  observeSockets(io);
+
+  return io;
+};
+
+// Emit an event to a room, or to every connected client without one.
+// Background jobs started without a socket server skip the emit. Events
+// caused by a request carry its ID as a second argument, { requestId }, so
+// clients can match them to the request's logs.
+const broadcast = (io, event, payload, room) => {
+  if (!io) return;
+
+  const target = room ? io.to(room) : io;
+  const requestId = requestContext.getRequestId();
+  if (requestId) {
+    target.emit(event, payload, { requestId });
+  } else {
+    target.emit(event, payload);
+  }
+  logger.debug('Socket event sent', { event, room: room || 'all' });
+};
+
+// Emit an event through the io instance attached to the Express app. Apps
+// created without a socket server (e.g. in tests) silently skip the emit.
+const emitEvent = (req, event, payload, room) => {
+  broadcast(req.app.get('io'), event, payload, room);
+};
+
+module.exports = {
+  createSocketServer,
+  broadcast,
+  emitEvent
+};
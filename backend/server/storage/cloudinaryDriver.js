@@ -0,0 +1,78 @@
+const cloudinary = require('cloudinary').v2;
+
+// Cloudinary. Keys are Cloudinary public IDs.
+const createCloudinaryDriver = ({ cloudName, apiKey, apiSecret }) => {
+  if (!cloudName || !apiKey || !apiSecret) {
+    throw new Error('CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required');
+  }
+
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret
+  });
+
+  return {
+    name: 'cloudinary',
+
+    async upload(filePath, { folder, resourceType = 'auto' }) {
+      const options = {
+        folder,
+        resource_type: resourceType,
+        type: 'upload',
+        // Files must be publicly readable or the site gets 401s
+        access_mode: 'public'
+      };
+
+      // Image-specific options don't apply to raw files (PDFs)
+      if (resourceType !== 'raw') {
+        options.quality = 'auto';
+        options.fetch_format = 'auto';
+      }
+
+      const result = await cloudinary.uploader.upload(filePath, options);
+      return { key: result.public_id, url: result.secure_url, size: result.bytes };
+    },
+
+    async delete(key, { resourceType } = {}) {
+      await cloudinary.uploader.destroy(key, resourceType ? { resource_type: resourceType } : {});
+    },
+
+    // Every asset under a folder, as { key, size, lastModified, resourceType }.
+    // PDFs may be stored as image or raw depending on how they were uploaded.
+    async list(folder) {
+      const assets = [];
+
+      for (const resourceType of ['image', 'raw', 'video']) {
+        let nextCursor;
+        do {
+          const result = await cloudinary.api.resources({
+            type: 'upload',
+            resource_type: resourceType,
+            prefix: `${folder}/`,
+            max_results: 500,
+            next_cursor: nextCursor
+          });
+
+          result.resources.forEach(resource => {
+            assets.push({
+              key: resource.public_id,
+              size: resource.bytes,
+              lastModified: new Date(resource.created_at),
+              resourceType
+            });
+          });
+          nextCursor = result.next_cursor;
+        } while (nextCursor);
+      }
+
+      return assets;
+    },
+
+    async ping() {
+      await cloudinary.api.ping();
+    }
+  };
+};
+
+module.exports = createCloudinaryDriver;
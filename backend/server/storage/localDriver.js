@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files on the server's disk, served by the app under /api/files.
+// Meant for development, tests and single-server installs.
+const createLocalDriver = ({ directory, publicUrl }) => {
+  if (!directory || !publicUrl) {
+    throw new Error('STORAGE_LOCAL_DIR and STORAGE_PUBLIC_URL are required');
+  }
+
+  const root = path.resolve(directory);
+  const baseUrl = publicUrl.replace(/\/+$/, '');
+
+  // Absolute path of a key, refusing keys that point outside the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async upload(filePath, { folder, filename }) {
+      const key = `${folder}/${filename}`;
+      const target = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(filePath, target);
+      const { size } = await fs.promises.stat(target);
+
+      return { key, url: `${baseUrl}/${key}`, size };
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    // Every file under a folder, as { key, size, lastModified }
+    async list(folder) {
+      const files = [];
+      const walk = async (relativeDir) => {
+        const entries = await fs.promises.readdir(resolveKey(relativeDir), { withFileTypes: true });
+        for (const entry of entries) {
+          const key = `${relativeDir}/${entry.name}`;
+          if (entry.isDirectory()) {
+            await walk(key);
+          } else if (entry.isFile()) {
+            const { size, mtime } = await fs.promises.stat(resolveKey(key));
+            files.push({ key, size, lastModified: mtime });
+          }
+        }
+      };
+
+      if (fs.existsSync(resolveKey(folder))) {
+        await walk(folder);
+      }
+      return files;
+    },
+
+    async ping() {
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.access(root, fs.constants.W_OK);
+    }
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// S3 wants RFC 3986 encoding
+const encodeValue = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeValue).join('/');
+
+// Query string in the canonical form signatures need: encoded and sorted by name
+const toQueryString = (params) => Object.keys(params)
+  .sort()
+  .map(name => `${encodeValue(name)}=${encodeValue(params[name])}`)
+  .join('&');
+
+// Text of each <tag> element in an XML response
+const readTags = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1]);
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// AWS Signature Version 4. query is a canonical query string (see toQueryString).
+// Returns the headers to send, including Authorization.
+const signRequest = ({ method, host, path, query = '', headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signed = {
+    ...headers,
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const lookup = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = names.map(name => `${name}:${String(lookup[name]).trim()}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [method, path, query, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+// AWS S3 or an S3-compatible service (MinIO, DigitalOcean Spaces, Cloudflare R2).
+// Objects must be publicly readable through the bucket policy or S3_PUBLIC_URL.
+const createS3Driver = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, publicUrl }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required');
+  }
+
+  // Custom endpoints use path-style URLs (http://minio:9000/bucket/key);
+  // AWS uses the bucket's own host name
+  const base = endpoint
+    ? new URL(`${endpoint.replace(/\/+$/, '')}/${bucket}`)
+    : new URL(`https://${bucket}.s3.${region}.amazonaws.com`);
+  const basePath = base.pathname.replace(/\/+$/, '');
+  const fileBaseUrl = (publicUrl || `${base.origin}${basePath}`).replace(/\/+$/, '');
+
+  const send = (method, path, { query = {}, headers = {}, body, payloadHash = EMPTY_HASH } = {}) => new Promise((resolve, reject) => {
+    const client = base.protocol === 'http:' ? http : https;
+    const queryString = toQueryString(query);
+    const req = client.request({
+      protocol: base.protocol,
+      hostname: base.hostname,
+      port: base.port,
+      method,
+      path: queryString ? `${path}?${queryString}` : path,
+      headers: signRequest({ method, host: base.host, path, query: queryString, headers, payloadHash, region, accessKeyId, secretAccessKey }),
+      timeout: 60000
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(data);
+        } else {
+          const code = (data.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+          reject(new Error(`S3 ${method} failed: ${res.statusCode}${code ? ` ${code}` : ''}`));
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('S3 request timed out')));
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+
+  return {
+    name: 's3',
+
+    async upload(filePath, { folder, filename, mimetype }) {
+      const key = `${folder}/${filename}`;
+      const body = await fs.promises.readFile(filePath);
+
+      await send('PUT', `${basePath}/${encodeKey(key)}`, {
+        headers: {
+          'content-type': mimetype || 'application/octet-stream',
+          'content-length': body.length
+        },
+        body,
+        payloadHash: sha256(body)
+      });
+
+      return { key, url: `${fileBaseUrl}/${encodeKey(key)}`, size: body.length };
+    },
+
+    async delete(key) {
+      await send('DELETE', `${basePath}/${encodeKey(key)}`);
+    },
+
+    // Every object under a folder, as { key, size, lastModified }
+    async list(folder) {
+      const objects = [];
+      let continuationToken;
+
+      do {
+        const query = { 'list-type': '2', prefix: `${folder}/` };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+
+        const xml = await send('GET', `${basePath}/`, { query });
+        readTags(xml, 'Contents').forEach(contents => {
+          objects.push({
+            key: decodeXml(readTags(contents, 'Key')[0]),
+            size: parseInt(readTags(contents, 'Size')[0], 10),
+            lastModified: new Date(readTags(contents, 'LastModified')[0])
+          });
+        });
+
+        continuationToken = readTags(xml, 'IsTruncated')[0] === 'true'
+          ? decodeXml(readTags(xml, 'NextContinuationToken')[0])
+          : null;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    async ping() {
+      await send('HEAD', `${basePath}/`);
+    }
+  };
+};
+
+createS3Driver.signRequest = signRequest;
+
+module.exports = createS3Driver;
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const storageConfig = require('./config/storage');
+const { timeUpload } = require('./metrics');
+const logger = require('./logger');
+const createLocalDriver = require('./storage/localDriver');
+const createS3Driver = require('./storage/s3Driver');
+const createCloudinaryDriver = require('./storage/cloudinaryDriver');
+
+// Files saved before drivers existed were all on Cloudinary
+const LEGACY_DRIVER = 'cloudinary';
+
+// File storage through a pluggable driver. A driver is an object with a name,
+// upload(filePath, { folder, filename, mimetype, resourceType }) resolving to
+// { key, url, size }, delete(key, { resourceType }) and optionally ping() and
+// list(folder) resolving to [{ key, size, lastModified, resourceType }].
+// Records keep the driver name next to the key, so files stay deletable
+// after switching providers.
+class StorageService {
+  constructor() {
+    this.factories = {
+      local: createLocalDriver,
+      s3: createS3Driver,
+      cloudinary: createCloudinaryDriver
+    };
+    // Drivers started so far, by name
+    this.drivers = {};
+    this.driver = null;
+    this.initializeDriver(storageConfig.driver);
+  }
+
+  // Add a provider, e.g. storageService.registerDriver('gcs', options => ({ name: 'gcs', upload, delete }))
+  registerDriver(name, factory) {
+    this.factories[name] = factory;
+  }
+
+  // Switch new uploads to a registered driver (used at startup and by tests)
+  initializeDriver(name, options) {
+    this.driver = null;
+
+    try {
+      this.driver = this.getDriver(name, options);
+      logger.info('Storage initialized', { driver: name });
+    } catch (error) {
+      logger.error('Storage driver could not start', { driver: name, error });
+    }
+    return this.driver;
+  }
+
+  // A started driver by name, starting it from config on first use
+  getDriver(name, options = storageConfig.drivers[name] || {}) {
+    if (!this.drivers[name]) {
+      const factory = this.factories[name];
+      if (!factory) {
+        throw new Error(`Unknown storage driver "${name}"`);
+      }
+      this.drivers[name] = factory(options);
+    }
+    return this.drivers[name];
+  }
+
+  // Report which provider new uploads go to
+  getServiceStatus() {
+    return {
+      enabled: !!this.driver,
+      driver: this.driver ? this.driver.name : null
+    };
+  }
+
+  // Store a multer file and remove its temporary copy (unless keepFile is set).
+  // Resolves to { storage, publicId, url, size } for saving on the record.
+  async upload(file, { folder = storageConfig.folders.default, resourceType, keepFile = false } = {}) {
+    try {
+      if (!this.driver) {
+        throw new Error('No storage driver available');
+      }
+
+      const result = await timeUpload({ driver: this.driver.name, folder }, () => this.driver.upload(file.path, {
+        folder,
+        filename: path.basename(file.path),
+        mimetype: file.mimetype,
+        resourceType
+      }));
+
+      return {
+        storage: this.driver.name,
+        publicId: result.key,
+        url: result.url,
+        size: result.size
+      };
+    } finally {
+      if (!keepFile) {
+        fs.unlink(file.path, () => {});
+      }
+    }
+  }
+
+  // Name of the driver holding a record's file
+  driverFor(storage) {
+    return storage || LEGACY_DRIVER;
+  }
+
+  // Delete a stored file. Failures are logged and ignored so a missing file
+  // never blocks removing the record that pointed to it.
+  async delete(publicId, storage, options = {}) {
+    if (!publicId) return;
+
+    const driverName = this.driverFor(storage);
+    try {
+      await this.getDriver(driverName).delete(publicId, options);
+      logger.info('Deleted stored file', { driver: driverName, publicId });
+    } catch (error) {
+      logger.error('Error deleting stored file', { driver: driverName, publicId, error });
+    }
+  }
+
+  // Check that the active provider is reachable
+  async ping() {
+    if (!this.driver) {
+      throw new Error('No storage driver available');
+    }
+    if (this.driver.ping) {
+      await this.driver.ping();
+    }
+    return this.getServiceStatus();
+  }
+}
+
+module.exports = new StorageService();
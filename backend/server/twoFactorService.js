@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// Authenticator apps show this name next to the account
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Jamalpur Chamber';
+
+// RFC 6238 defaults understood by every authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code as well, to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP value for one time step (RFC 4226)
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are compared without dashes or case
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+class TwoFactorService {
+  // New base32 secret for an authenticator app
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  // otpauth:// link encoded in the enrollment QR code
+  getOtpauthUrl(email, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // QR code image (data URL) for the enrollment screen
+  getQrCode(otpauthUrl) {
+    return QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+  }
+
+  // Time step the code belongs to, or null if it doesn't match. Steps at or
+  // before lastUsedStep are rejected so a code can't be used twice.
+  verifyCode(secret, code, lastUsedStep = -1) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!secret || !/^\d{6}$/.test(token)) return null;
+
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+      if (step <= lastUsedStep) continue;
+
+      const expected = codeForStep(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // Fresh set of one-time recovery codes: the plain codes to show once,
+  // and the hashes to store
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return {
+      codes,
+      hashes: codes.map(code => hashCode(normalizeRecoveryCode(code)))
+    };
+  }
+
+  // Index of the matching stored recovery code hash, or -1
+  findRecoveryCode(hashes, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return -1;
+    return (hashes || []).indexOf(hashCode(normalized));
+  }
+
+  // Six-digit code for the email fallback
+  generateEmailCode() {
+    return crypto.randomInt(0, 10 ** DIGITS).toString().padStart(DIGITS, '0');
+  }
+
+  hashCode(code) {
+    return hashCode(String(code || '').trim());
+  }
+}
+
+module.exports = new TwoFactorService();
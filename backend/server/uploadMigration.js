@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const Notice = require('./models/Notice');
+const FormSubmission = require('./models/FormSubmission');
+const GalleryImage = require('./models/GalleryImage');
+const News = require('./models/News');
+const MigratedUpload = require('./models/MigratedUpload');
+const storageService = require('./storageService');
+const storageConfig = require('./config/storage');
+
+// Files saved by the old multer disk storage, served by the /api/files fallback
+const LEGACY_DIR = path.join(__dirname, 'uploads');
+
+// Legacy names look like <field>-<timestamp>-<random>.<ext>
+const LEGACY_FILENAME = /^[a-zA-Z]+-\d+-\d+\.[a-zA-Z0-9]+$/;
+
+// Links to legacy files went through the /api/files or /uploads static routes
+const LEGACY_URL = /\/(?:api\/files|uploads)\/([^/?#]+)(?:[?#].*)?$/;
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+// Name of the legacy file a record points to, or null when it is stored elsewhere
+const getLegacyFilename = (url, filename) => {
+  const match = url && url.match(LEGACY_URL);
+  const name = match ? match[1] : filename;
+  return name && LEGACY_FILENAME.test(name) ? name : null;
+};
+
+// Rewritten PDF attachment. Very old records only kept filename/fileId, which
+// are dropped because pdfFile is replaced as a whole.
+const toPdfFile = (pdfFile, filename, stored) => ({
+  storage: stored.storage,
+  publicId: stored.publicId,
+  url: stored.url,
+  size: stored.size || pdfFile.size,
+  originalName: pdfFile.originalName || filename,
+  mimetype: pdfFile.mimetype || MIME_TYPES[path.extname(filename).toLowerCase()]
+});
+
+// Collections that can reference legacy files and how to rewrite them
+const SOURCES = [
+  {
+    name: 'notices',
+    model: Notice,
+    query: { pdfFile: { $ne: null }, 'pdfFile.storage': null },
+    label: doc => doc.title,
+    folder: storageConfig.folders.default,
+    getFilename: doc => getLegacyFilename(doc.pdfFile.url, doc.pdfFile.filename || doc.pdfFile.fileId),
+    toUpdate: (doc, filename, stored) => ({ pdfFile: toPdfFile(doc.pdfFile, filename, stored) })
+  },
+  {
+    name: 'formSubmissions',
+    model: FormSubmission,
+    query: { pdfFile: { $ne: null }, 'pdfFile.storage': null },
+    label: doc => doc.name,
+    folder: storageConfig.folders.default,
+    getFilename: doc => getLegacyFilename(doc.pdfFile.url, doc.pdfFile.filename || doc.pdfFile.fileId),
+    toUpdate: (doc, filename, stored) => ({ pdfFile: toPdfFile(doc.pdfFile, filename, stored) })
+  },
+  {
+    name: 'galleryImages',
+    model: GalleryImage,
+    query: { storage: null },
+    label: doc => doc.title,
+    folder: storageConfig.folders.gallery,
+    resourceType: 'image',
+    getFilename: doc => getLegacyFilename(doc.imageUrl),
+    toUpdate: (doc, filename, stored) => ({
+      imageUrl: stored.url,
+      publicId: stored.publicId,
+      storage: stored.storage
+    })
+  },
+  {
+    name: 'news',
+    model: News,
+    query: { imageUrl: { $nin: [null, ''] }, imageStorage: null },
+    label: doc => doc.title,
+    folder: storageConfig.folders.news,
+    resourceType: 'image',
+    getFilename: doc => getLegacyFilename(doc.imageUrl),
+    toUpdate: (doc, filename, stored) => ({
+      imageUrl: stored.url,
+      imagePublicId: stored.publicId,
+      imageStorage: stored.storage
+    })
+  }
+];
+
+// Moves files from server/uploads into the configured storage and points the
+// records at their new location. Runs from the CLI (scripts/migrateUploads.js)
+// or as an admin job. Every copied file is journalled in MigratedUpload and
+// every record is rewritten as soon as its file is stored, so running it
+// again resumes where an interrupted run stopped. The local files are kept.
+class UploadMigration {
+  constructor() {
+    this.running = false;
+    this.report = null;
+  }
+
+  // State of the current or last run
+  getStatus() {
+    return {
+      running: this.running,
+      report: this.report
+    };
+  }
+
+  // Legacy files on disk (top level only; the local storage driver uses subfolders)
+  listLegacyFiles() {
+    if (!fs.existsSync(LEGACY_DIR)) return [];
+    return fs.readdirSync(LEGACY_DIR, { withFileTypes: true })
+      .filter(entry => entry.isFile() && LEGACY_FILENAME.test(entry.name))
+      .map(entry => entry.name);
+  }
+
+  // Copy one legacy file into storage, or reuse the copy from an earlier run
+  async copyToStorage(filename, source) {
+    const existing = await MigratedUpload.findOne({ filename }).lean();
+    if (existing) return existing;
+
+    const stored = await storageService.upload({
+      path: path.join(LEGACY_DIR, filename),
+      mimetype: MIME_TYPES[path.extname(filename).toLowerCase()]
+    }, {
+      folder: source.folder,
+      resourceType: source.resourceType,
+      keepFile: true
+    });
+
+    await MigratedUpload.create({ filename, ...stored });
+    return stored;
+  }
+
+  // Scan every source and migrate what it references. With dryRun nothing is
+  // uploaded or written; the report lists what would be migrated.
+  async run({ dryRun = false, log = () => {} } = {}) {
+    if (this.running) {
+      const error = new Error('An upload migration is already running');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    this.running = true;
+    const report = {
+      dryRun,
+      storage: storageService.getServiceStatus().driver,
+      startedAt: new Date(),
+      finishedAt: null,
+      migrated: [],
+      missing: [],
+      failed: [],
+      orphans: [],
+      error: null
+    };
+    this.report = report;
+
+    try {
+      if (!dryRun && !report.storage) {
+        throw new Error('No storage driver available');
+      }
+
+      const journalled = new Set(await MigratedUpload.distinct('filename'));
+      const referenced = new Set();
+
+      for (const source of SOURCES) {
+        const docs = await source.model.find(source.query).lean();
+
+        for (const doc of docs) {
+          const filename = source.getFilename(doc);
+          if (!filename) continue;
+
+          referenced.add(filename);
+          const entry = { collection: source.name, id: String(doc._id), label: source.label(doc), filename };
+
+          if (!journalled.has(filename) && !fs.existsSync(path.join(LEGACY_DIR, filename))) {
+            report.missing.push(entry);
+            log(`⚠️ Missing ${filename} (${source.name} ${entry.id})`);
+            continue;
+          }
+
+          if (dryRun) {
+            report.migrated.push(entry);
+            log(`🔎 Would migrate ${filename} (${source.name} ${entry.id})`);
+            continue;
+          }
+
+          try {
+            const stored = await this.copyToStorage(filename, source);
+            journalled.add(filename);
+            await source.model.updateOne({ _id: doc._id }, { $set: source.toUpdate(doc, filename, stored) });
+
+            report.migrated.push({ ...entry, url: stored.url });
+            log(`✅ Migrated ${filename} (${source.name} ${entry.id})`);
+          } catch (error) {
+            report.failed.push({ ...entry, error: error.message });
+            log(`❌ Failed ${filename} (${source.name} ${entry.id}): ${error.message}`);
+          }
+        }
+      }
+
+      // Files no record points to and that were never migrated
+      report.orphans = this.listLegacyFiles()
+        .filter(filename => !referenced.has(filename) && !journalled.has(filename));
+    } catch (error) {
+      report.error = error.message;
+      throw error;
+    } finally {
+      report.finishedAt = new Date();
+      this.running = false;
+    }
+
+    return report;
+  }
+}
+
+module.exports = new UploadMigration();
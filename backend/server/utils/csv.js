@@ -0,0 +1,20 @@
+// Quote a value for CSV output when it contains separators, quotes or newlines
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheet apps from treating user-entered text as a formula
+  // (numbers are left alone so negative values stay numeric)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows using [{ header, value: row => ... }] columns
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  });
+  return lines.join('\r\n');
+};
+
+module.exports = { toCsv, escapeCsvValue };
@@ -0,0 +1,232 @@
+const monitoringConfig = require('../config/monitoring');
+const logger = require('../logger');
+
+// Status of a monitored service, from best to worst
+const STATUSES = ['up', 'degraded', 'down'];
+
+const worst = (a, b) => (STATUSES.indexOf(a) >= STATUSES.indexOf(b) ? a : b);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Nearest-rank percentile of sorted numbers
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No response within ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Periodic checks of one external service. Subclasses implement probe(),
+// which resolves when the service works and throws when it doesn't. Keeps
+// the current status ('unknown' before the first check, then 'up',
+// 'degraded' when checks are slow, or 'down'), its changes, check latencies,
+// failures and a bucketed history for uptime over the last day.
+class HealthMonitor {
+  constructor(name, { slowMs }) {
+    this.name = name;
+    this.slowMs = slowMs;
+    this.status = 'unknown';
+    this.since = new Date();
+    this.checkedAt = null;
+    this.latencies = [];
+    this.checks = 0;
+    this.errorCount = 0;
+    this.consecutiveFailures = 0;
+    this.lastFailure = null;
+    this.transitions = [];
+    this.buckets = [];
+    this.lastTest = null;
+    this.interval = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.interval = setInterval(() => this.check(), monitoringConfig.checkIntervalMs);
+    this.isRunning = true;
+    logger.info('Health monitor started', { service: this.name });
+    this.check();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    logger.info('Health monitor stopped', { service: this.name });
+  }
+
+  // Check the service once. Never throws.
+  async check() {
+    const started = Date.now();
+    try {
+      await withTimeout(this.probe(), monitoringConfig.checkTimeoutMs);
+      this.recordSuccess(Date.now() - started);
+    } catch (error) {
+      this.recordFailure(error);
+    }
+    return this.status;
+  }
+
+  recordSuccess(latencyMs) {
+    this.latencies.push(latencyMs);
+    if (this.latencies.length > monitoringConfig.latencySamples) {
+      this.latencies.shift();
+    }
+
+    const slow = latencyMs > this.slowMs;
+    this.checks += 1;
+    this.consecutiveFailures = 0;
+    this.checkedAt = new Date();
+    this.addToHistory(slow ? 'degraded' : 'up');
+    this.setStatus(slow ? 'degraded' : 'up', slow ? `Check took ${latencyMs} ms` : 'Check passed');
+  }
+
+  // A failed check, or a failure noticed some other way (such as a dropped
+  // connection)
+  recordFailure(error) {
+    this.checks += 1;
+    this.errorCount += 1;
+    this.consecutiveFailures += 1;
+    this.checkedAt = new Date();
+    this.lastFailure = {
+      at: this.checkedAt,
+      message: error.message,
+      code: error.code || error.codeName || null
+    };
+    this.addToHistory('down');
+    this.setStatus('down', error.message);
+  }
+
+  setStatus(status, reason) {
+    if (status === this.status) return;
+
+    const at = new Date();
+    this.transitions.push({ from: this.status, to: status, at, reason });
+    if (this.transitions.length > monitoringConfig.transitionsKept) {
+      this.transitions.shift();
+    }
+    if (status === 'down') {
+      logger.error('Service is down', { service: this.name, reason });
+    } else if (this.status !== 'unknown') {
+      logger.log(status === 'up' ? 'info' : 'warn', `Service is ${status}`, { service: this.name, previous: this.status, reason });
+    }
+    this.status = status;
+    this.since = at;
+  }
+
+  // Count a check in its history bucket and drop buckets older than the window
+  addToHistory(status) {
+    const bucketMs = monitoringConfig.bucketMinutes * 60 * 1000;
+    const start = Math.floor(Date.now() / bucketMs) * bucketMs;
+
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, checks: 0, failures: 0, slow: 0, status: 'up' };
+      this.buckets.push(bucket);
+    }
+    bucket.checks += 1;
+    if (status === 'down') bucket.failures += 1;
+    if (status === 'degraded') bucket.slow += 1;
+    bucket.status = worst(bucket.status, status);
+
+    const oldest = start - monitoringConfig.historyHours * 60 * 60 * 1000;
+    while (this.buckets.length && this.buckets[0].start <= oldest) {
+      this.buckets.shift();
+    }
+  }
+
+  // Run [name, fn] steps in order, timing each and stopping at the first
+  // failure. Resolves to { success, testedAt, durationMs, operations } where
+  // each operation is { name, success, latencyMs, error }; never throws.
+  async runOperations(steps) {
+    const testedAt = new Date();
+    const operations = [];
+
+    for (const [name, fn] of steps) {
+      const started = Date.now();
+      try {
+        await withTimeout(fn(), monitoringConfig.checkTimeoutMs);
+        operations.push({ name, success: true, latencyMs: Date.now() - started });
+      } catch (error) {
+        operations.push({ name, success: false, latencyMs: Date.now() - started, error: error.message });
+        break;
+      }
+    }
+
+    this.lastTest = {
+      success: operations.length === steps.length && operations.every(operation => operation.success),
+      testedAt,
+      durationMs: Date.now() - testedAt.getTime(),
+      operations
+    };
+    return this.lastTest;
+  }
+
+  // Share of checks in the history window that passed, as a percentage
+  getUptime() {
+    const checks = this.buckets.reduce((sum, bucket) => sum + bucket.checks, 0);
+    if (checks === 0) return null;
+    const failures = this.buckets.reduce((sum, bucket) => sum + bucket.failures, 0);
+    return Math.round(((checks - failures) / checks) * 10000) / 100;
+  }
+
+  getLatency() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    return {
+      last: this.latencies.length ? this.latencies[this.latencies.length - 1] : null,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99),
+      average: sorted.length ? round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+      samples: sorted.length
+    };
+  }
+
+  // Buckets of the last historyHours, oldest first: { start, checks,
+  // failures, slow, status } where status is the worst seen in the bucket
+  getHistory() {
+    return {
+      bucketMinutes: monitoringConfig.bucketMinutes,
+      hours: monitoringConfig.historyHours,
+      uptime: this.getUptime(),
+      buckets: this.buckets.map(bucket => ({ ...bucket, start: new Date(bucket.start) }))
+    };
+  }
+
+  // Enough for a public health check
+  getSummary() {
+    return {
+      status: this.status,
+      since: this.since,
+      uptime24h: this.getUptime()
+    };
+  }
+
+  getStatus() {
+    return {
+      ...this.getSummary(),
+      monitoring: this.isRunning,
+      checkedAt: this.checkedAt,
+      checks: this.checks,
+      errorCount: this.errorCount,
+      consecutiveFailures: this.consecutiveFailures,
+      lastFailure: this.lastFailure,
+      latency: this.getLatency(),
+      slowThresholdMs: this.slowMs,
+      lastTest: this.lastTest,
+      // Newest first
+      transitions: [...this.transitions].reverse()
+    };
+  }
+}
+
+module.exports = HealthMonitor;
@@ -0,0 +1,77 @@
+// Editorial workflow for news articles: draft -> in review -> published ->
+// archived. Only published articles are ever visible, and then only inside
+// their publishing window (see utils/publishWindow).
+const STATUSES = ['draft', 'in_review', 'published', 'archived'];
+
+// Moves allowed from each status, with the permission each one needs.
+// Writers submit, withdraw and reopen; reviewers approve, send back and archive.
+const TRANSITIONS = {
+  draft: { in_review: 'news:write', published: 'news:publish', archived: 'news:publish' },
+  in_review: { draft: 'news:write', published: 'news:publish' },
+  published: { draft: 'news:publish', archived: 'news:publish' },
+  archived: { draft: 'news:write' }
+};
+
+// Articles saved before the workflow existed have no status and count as published
+const statusOf = (news) => news.status || 'published';
+
+// Permission needed to move an article to `status`, or null if the move isn't allowed
+const transitionPermission = (news, status) => {
+  const moves = TRANSITIONS[statusOf(news)] || {};
+  return moves[status] || null;
+};
+
+// Permission needed to change an article's content. A published article is
+// live, so editing it needs a reviewer; writers send it back to draft first.
+const editPermission = (news) => (statusOf(news) === 'published' ? 'news:publish' : 'news:write');
+
+// Unpublished articles stay inactive and unscheduled whatever their dates say.
+// Call after applying isActive and the publishing window to an article.
+const hideUnpublished = (news) => {
+  if (statusOf(news) === 'published') return news;
+  news.isActive = false;
+  news.isScheduled = false;
+  return news;
+};
+
+// Move an article to `status` and record who did it. Publishing makes it live
+// now, or schedules it when publishAt is still ahead.
+const applyStatus = (news, status, { user, note } = {}, now = new Date()) => {
+  const previous = statusOf(news);
+  news.status = status;
+
+  if (status === 'in_review') {
+    news.review = {
+      submittedBy: user && user.name,
+      submittedAt: now,
+      note: ''
+    };
+  } else if (previous === 'in_review') {
+    // Leaving review: an approval, a send-back or the writer withdrawing it
+    const review = news.review || {};
+    news.review = {
+      submittedBy: review.submittedBy,
+      submittedAt: review.submittedAt,
+      reviewedBy: user && user.name,
+      reviewedAt: now,
+      note: note || ''
+    };
+  }
+
+  if (status === 'published') {
+    if (news.publishAt && news.publishAt > now) {
+      news.isActive = false;
+      news.isScheduled = true;
+    } else {
+      news.isActive = true;
+      news.isScheduled = false;
+      news.publishedAt = news.publishAt || now;
+      // Published again after being archived: drop an expiry that has passed
+      if (news.expireAt && news.expireAt <= now) news.expireAt = null;
+    }
+  }
+
+  return hideUnpublished(news);
+};
+
+module.exports = { STATUSES, TRANSITIONS, statusOf, transitionPermission, editPermission, hideUnpublished, applyStatus };
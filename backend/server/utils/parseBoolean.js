@@ -0,0 +1,9 @@
+// Multipart forms send booleans as strings; undefined when the value is neither
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+module.exports = parseBoolean;
@@ -0,0 +1,30 @@
+const { defaultCountryCode } = require('../config/sms');
+
+// Normalise a phone number to E.164 (+8801712345678), or return null if it
+// doesn't look like one. Local Bangladeshi numbers (01712345678) get the
+// default country code.
+const normalizePhone = (value) => {
+  const raw = String(value || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+
+  let international;
+  if (raw.startsWith('+')) {
+    international = digits;
+  } else if (raw.startsWith('00')) {
+    international = digits.slice(2);
+  } else if (digits.startsWith(defaultCountryCode)) {
+    international = digits;
+  } else {
+    international = `${defaultCountryCode}${digits.replace(/^0/, '')}`;
+  }
+
+  return /^[1-9]\d{7,14}$/.test(international) ? `+${international}` : null;
+};
+
+// "+88017•••••678", for messages that shouldn't reveal the whole number
+const maskPhone = (phoneNumber) => phoneNumber.replace(/^(\+\d{5})\d+(\d{3})$/, (match, start, end) =>
+  `${start}${'•'.repeat(phoneNumber.length - start.length - end.length)}${end}`
+);
+
+module.exports = { normalizePhone, maskPhone };
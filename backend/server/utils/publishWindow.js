@@ -0,0 +1,66 @@
+const parseBoolean = require('./parseBoolean');
+
+// Publishing window shared by notices and news. An item with a future
+// publishAt is kept inactive and marked isScheduled until the publish
+// scheduler activates it; once past expireAt it is hidden, and the scheduler
+// deactivates it.
+
+// Query matching the items the public may see at `now`
+const visibleFilter = (now = new Date()) => ({
+  isActive: true,
+  $and: [
+    { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+    { $or: [{ expireAt: null }, { expireAt: { $gt: now } }] }
+  ]
+});
+
+const isVisible = (item, now = new Date()) =>
+  Boolean(item.isActive) &&
+  (!item.publishAt || item.publishAt <= now) &&
+  (!item.expireAt || item.expireAt > now);
+
+// Copy publishAt/expireAt from a request body onto a notice or news document
+// and update its scheduled state. Call after isActive has been applied. Empty
+// values clear a date. Throws with statusCode 400 on invalid dates.
+const applyPublishWindow = (item, body, now = new Date()) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  ['publishAt', 'expireAt'].forEach(field => {
+    if (body[field] === undefined) return;
+    const date = body[field] ? new Date(body[field]) : null;
+    if (date && Number.isNaN(date.getTime())) fail(`Invalid ${field}`);
+    item[field] = date;
+  });
+
+  if (item.publishAt && item.expireAt && item.expireAt <= item.publishAt) {
+    fail('The expiry time must be after the publish time');
+  }
+
+  const activeChoice = parseBoolean(body.isActive);
+
+  if (body.publishAt !== undefined && item.publishAt && item.publishAt > now) {
+    item.isScheduled = true;
+    item.isActive = false;
+  } else if (item.isScheduled && activeChoice === false) {
+    // Deactivating a scheduled item cancels its publication
+    item.isScheduled = false;
+  } else if (item.isScheduled && (body.publishAt !== undefined || activeChoice === true)) {
+    // Publish time removed or moved to the past, or activated by hand: publish now
+    item.isScheduled = false;
+    item.isActive = true;
+    if (!item.publishAt || item.publishAt > now) item.publishAt = now;
+  }
+
+  // Activating an expired item by hand removes its expiry
+  if (activeChoice === true && body.expireAt === undefined && item.expireAt && item.expireAt <= now) {
+    item.expireAt = null;
+  }
+
+  return item;
+};
+
+module.exports = { visibleFilter, isVisible, applyPublishWindow };
@@ -0,0 +1,18 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request values (the request ID) available anywhere down the call
+// chain of a request, so logs and socket events can carry them without
+// passing req around
+const storage = new AsyncLocalStorage();
+
+// Run fn with the given context, e.g. run({ requestId }, next)
+const run = (context, fn) => storage.run(context, fn);
+
+const get = () => storage.getStore() || null;
+
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+};
+
+module.exports = { run, get, getRequestId };
@@ -0,0 +1,110 @@
+// Text handling for site search (see searchService). Bangla and English text
+// are normalised the same way when indexing and when searching, so that
+// Bangla digits, joiner characters and case don't affect matches.
+
+const BANGLA_DIGITS = '০১২৩৪৫৬৭৮৯';
+
+// Zero-width joiners and soft hyphens that keyboards insert inconsistently
+const INVISIBLE_CHARS = /[\u00ad\u200b-\u200d\ufeff]/g;
+
+// A word: letters with their combining vowel signs, and digits
+const WORD = /[\p{L}\p{M}\p{N}\u200c\u200d]+/gu;
+
+const BANGLA_SCRIPT = /[\u0980-\u09ff]/;
+
+// Common Bangla inflections (plural, case and classifier endings), longest
+// first. Stripped from search words so "সভা" also finds "সভার" and "সভায়".
+const BANGLA_SUFFIXES = [
+  'গুলোকে', 'গুলোর', 'গুলিতে', 'গুলো', 'গুলি', 'দেরকে', 'দের',
+  'টিকে', 'টির', 'টাকে', 'টার', 'টিতে', 'টি', 'টা',
+  'েরা', 'ের', 'কে', 'তে', 'য\u09bc', 'রা', 'র', 'ে'
+];
+
+// Shortest stem (in characters) left after removing a suffix
+const MIN_STEM_LENGTH = 2;
+
+const normalize = (text) =>
+  String(text || '')
+    .normalize('NFC')
+    .replace(INVISIBLE_CHARS, '')
+    .replace(/[\u09e6-\u09ef]/g, digit => String(BANGLA_DIGITS.indexOf(digit)))
+    .toLowerCase();
+
+// Distinct normalised words of a text, as stored in the index
+const tokenize = (text) => {
+  const words = normalize(text).match(WORD) || [];
+  return [...new Set(words)];
+};
+
+// Bangla word without its inflection; other words are returned as they are
+const stem = (word) => {
+  if (!BANGLA_SCRIPT.test(word)) return word;
+
+  const suffix = BANGLA_SUFFIXES.find(ending =>
+    word.endsWith(ending) && [...word.slice(0, -ending.length)].length >= MIN_STEM_LENGTH
+  );
+  return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+// Words of a search query, stemmed. Each one matches indexed words that
+// start with it. Single letters are dropped unless they are all there is.
+const queryTerms = (query) => {
+  const terms = [...new Set(tokenize(query).map(stem))];
+  const useful = terms.filter(term => [...term].length > 1 || /^\d$/.test(term));
+  return useful.length ? useful : terms;
+};
+
+// Whether a word of the original text matches one of the query terms
+const matchesTerm = (word, terms) => {
+  const normalized = normalize(word);
+  return terms.some(term => normalized.startsWith(term));
+};
+
+// Part of `text` around the first matching word, split into segments with
+// the matches flagged: [{ text, match }]. Returned as segments rather than
+// markup so clients never render stored text as HTML.
+const highlight = (text, terms, maxLength = 240) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!source) return [];
+
+  const words = [...source.matchAll(WORD)];
+  const first = words.find(word => matchesTerm(word[0], terms));
+
+  let start = 0;
+  if (first && source.length > maxLength) {
+    start = Math.max(0, first.index - Math.floor(maxLength / 4));
+    // Begin on a word boundary
+    const space = source.lastIndexOf(' ', start);
+    start = space > 0 && start - space < 20 ? space + 1 : start;
+  }
+  let end = Math.min(source.length, start + maxLength);
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const segments = [];
+  const push = (value, match) => {
+    if (!value) return;
+    const last = segments[segments.length - 1];
+    if (last && last.match === match) last.text += value;
+    else segments.push({ text: value, match });
+  };
+
+  if (start > 0) push('… ', false);
+  let position = start;
+  words
+    .filter(word => word.index >= start && word.index + word[0].length <= end)
+    .forEach(word => {
+      if (!matchesTerm(word[0], terms)) return;
+      push(source.slice(position, word.index), false);
+      push(word[0], true);
+      position = word.index + word[0].length;
+    });
+  push(source.slice(position, end), false);
+  if (end < source.length) push(' …', false);
+
+  return segments;
+};
+
+module.exports = { normalize, tokenize, stem, queryTerms, highlight };
@@ -0,0 +1,65 @@
+// Line-by-line diff of two texts for the revision history, based on the
+// longest common subsequence of their lines.
+// Returns [{ type: 'same' | 'added' | 'removed', text }].
+
+// Above this many line pairs the texts are shown as fully replaced instead,
+// keeping the comparison table small
+const MAX_TABLE_SIZE = 4000000;
+
+const toLines = (text) => (text === undefined || text === null || text === '' ? [] : String(text).split(/\r?\n/));
+
+const diffLines = (before, after) => {
+  const a = toLines(before);
+  const b = toLines(after);
+
+  // Lines shared at the start and end need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const removed = a.slice(start, endA);
+  const added = b.slice(start, endB);
+  const lines = a.slice(0, start).map(text => ({ type: 'same', text }));
+
+  if (removed.length * added.length > MAX_TABLE_SIZE) {
+    removed.forEach(text => lines.push({ type: 'removed', text }));
+    added.forEach(text => lines.push({ type: 'added', text }));
+  } else {
+    // lcs[i * cols + j]: common lines between removed[i..] and added[j..]
+    const cols = added.length + 1;
+    const lcs = new Uint32Array((removed.length + 1) * cols);
+    for (let i = removed.length - 1; i >= 0; i--) {
+      for (let j = added.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = removed[i] === added[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < removed.length && j < added.length) {
+      if (removed[i] === added[j]) {
+        lines.push({ type: 'same', text: removed[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        lines.push({ type: 'removed', text: removed[i++] });
+      } else {
+        lines.push({ type: 'added', text: added[j++] });
+      }
+    }
+    while (i < removed.length) lines.push({ type: 'removed', text: removed[i++] });
+    while (j < added.length) lines.push({ type: 'added', text: added[j++] });
+  }
+
+  a.slice(endA).forEach(text => lines.push({ type: 'same', text }));
+  return lines;
+};
+
+module.exports = { diffLines };
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BANGLA_MONTHS,
+  toBanglaDigits,
+  isBanglaLeapYear,
+  getBanglaMonthLength,
+  fromGregorian,
+  toBanglaDate,
+  formatBanglaDate
+} = require('../server/utils/banglaDate');
+
+// 0-based Bangla months used below
+const POUSH = 8;
+const FALGUN = 10;
+const CHAITRA = 11;
+
+const YEARS = [2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026, 2027, 2028, 2029, 2030];
+const LEAP_YEARS = [2020, 2024, 2028];
+
+test('the year starts on 14 April and 13 April is the last day of Chaitra', () => {
+  YEARS.forEach(year => {
+    assert.deepEqual(fromGregorian(year, 3, 14), { year: year - 593, month: 0, day: 1 }, `14 April ${year}`);
+    assert.deepEqual(fromGregorian(year, 3, 13), { year: year - 594, month: CHAITRA, day: 30 }, `13 April ${year}`);
+  });
+});
+
+test('16 December is 1 Poush and 21 February is 8 Falgun every year', () => {
+  YEARS.forEach(year => {
+    assert.deepEqual(fromGregorian(year, 11, 16), { year: year - 593, month: POUSH, day: 1 }, `16 December ${year}`);
+    assert.deepEqual(fromGregorian(year, 1, 21), { year: year - 594, month: FALGUN, day: 8 }, `21 February ${year}`);
+  });
+});
+
+test('Falgun has 30 days in Gregorian leap years and 29 otherwise', () => {
+  YEARS.forEach(year => {
+    const leap = LEAP_YEARS.includes(year);
+    const banglaYear = year - 594;
+
+    assert.equal(isBanglaLeapYear(banglaYear), leap, `Bangla year ${banglaYear}`);
+    assert.equal(getBanglaMonthLength(banglaYear, FALGUN), leap ? 30 : 29);
+    assert.deepEqual(fromGregorian(year, 2, 14), { year: banglaYear, month: FALGUN, day: leap ? 30 : 29 }, `14 March ${year}`);
+    assert.deepEqual(fromGregorian(year, 2, 15), { year: banglaYear, month: CHAITRA, day: 1 }, `15 March ${year}`);
+  });
+
+  assert.deepEqual(fromGregorian(2024, 1, 29), { year: 1430, month: FALGUN, day: 16 });
+  // 2100 is not a Gregorian leap year
+  assert.equal(isBanglaLeapYear(1506), false);
+  assert.equal(isBanglaLeapYear(1406), true);
+});
+
+test('every day from 2019 to 2031 follows the one before it', () => {
+  const date = new Date(Date.UTC(2019, 3, 14));
+  let previous = fromGregorian(2019, 3, 14);
+  let days = 0;
+
+  while (date.getUTCFullYear() < 2031 || date.getUTCMonth() < 3 || date.getUTCDate() < 14) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    const current = fromGregorian(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const label = date.toISOString().slice(0, 10);
+
+    if (current.day > 1) {
+      assert.deepEqual(current, { ...previous, day: previous.day + 1 }, label);
+    } else if (current.month > 0) {
+      assert.equal(previous.day, getBanglaMonthLength(previous.year, previous.month), label);
+      assert.deepEqual(current, { year: previous.year, month: previous.month + 1, day: 1 }, label);
+    } else {
+      assert.deepEqual(previous, { year: current.year - 1, month: CHAITRA, day: 30 }, label);
+    }
+    previous = current;
+    days += 1;
+  }
+
+  // 12 years, three of them with 366 days
+  assert.equal(days, 12 * 365 + 3);
+});
+
+test('dates change at midnight in Dhaka, not UTC', () => {
+  assert.equal(formatBanglaDate('2025-04-13T17:59:59Z'), '৩০ চৈত্র ১৪৩১');
+  assert.equal(formatBanglaDate('2025-04-13T18:00:00Z'), '১ বৈশাখ ১৪৩২');
+  assert.equal(formatBanglaDate('2024-12-15T17:59:59Z'), '৩০ অগ্রহায়ণ ১৪৩১');
+  assert.equal(formatBanglaDate('2024-12-15T18:00:00Z'), '১ পৌষ ১৪৩১');
+  assert.equal(toBanglaDate(new Date('2026-02-20T18:30:00Z')).day, 8);
+});
+
+test('formats with Bangla digits and an optional weekday', () => {
+  assert.equal(toBanglaDigits(2025), '২০২৫');
+  assert.equal(formatBanglaDate('2025-04-14T06:00:00Z'), `১ ${BANGLA_MONTHS[0]} ১৪৩২`);
+  assert.equal(formatBanglaDate('2025-04-14T06:00:00Z', { weekday: true }), 'সোমবার, ১ বৈশাখ ১৪৩২');
+  assert.equal(formatBanglaDate('2024-02-21T06:00:00Z', { weekday: true }), 'বুধবার, ৮ ফাল্গুন ১৪৩০');
+});
+
+test('missing or invalid dates format as an empty string', () => {
+  assert.equal(formatBanglaDate(null), '');
+  assert.equal(formatBanglaDate(''), '');
+  assert.equal(formatBanglaDate('not a date'), '');
+  assert.equal(formatBanglaDate(new Date(NaN)), '');
+});
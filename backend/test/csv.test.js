@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, escapeCsvValue } = require('../server/utils/csv');
+
+test('plain values are written as they are', () => {
+  assert.equal(escapeCsvValue('Dhaka'), 'Dhaka');
+  assert.equal(escapeCsvValue(42), '42');
+  assert.equal(escapeCsvValue(false), 'false');
+  assert.equal(escapeCsvValue(null), '');
+  assert.equal(escapeCsvValue(undefined), '');
+  assert.equal(escapeCsvValue(new Date('2026-03-01T12:00:00Z')), '2026-03-01T12:00:00.000Z');
+});
+
+test('separators, quotes and newlines are quoted', () => {
+  assert.equal(escapeCsvValue('Rahman, Karim'), '"Rahman, Karim"');
+  assert.equal(escapeCsvValue('The "Annual" Meeting'), '"The ""Annual"" Meeting"');
+  assert.equal(escapeCsvValue('first\nsecond'), '"first\nsecond"');
+  assert.equal(escapeCsvValue('first\r\nsecond'), '"first\r\nsecond"');
+});
+
+test('text that a spreadsheet would run as a formula is prefixed with a quote', () => {
+  ['=SUM(A1:A9)', '+8801700000000', '-2+3', '@SUM(A1)', '\t=1+1'].forEach(text => {
+    assert.equal(escapeCsvValue(text), `'${text}`, JSON.stringify(text));
+  });
+  assert.equal(escapeCsvValue('\r=1+1'), '"\'\r=1+1"');
+  assert.equal(escapeCsvValue('=HYPERLINK("http://x","y")'), '"\'=HYPERLINK(""http://x"",""y"")"');
+  // Only the first character matters
+  assert.equal(escapeCsvValue('a=b'), 'a=b');
+});
+
+test('numbers keep their sign', () => {
+  assert.equal(escapeCsvValue(-5), '-5');
+  assert.equal(escapeCsvValue(-0.25), '-0.25');
+});
+
+test('toCsv writes a header row and one row per item with CRLF line breaks', () => {
+  const rows = [
+    { name: 'Karim', amount: 1500 },
+    { name: '=cmd', amount: -20 }
+  ];
+  const csv = toCsv(rows, [
+    { header: 'Name', value: row => row.name },
+    { header: 'Amount, BDT', value: row => row.amount }
+  ]);
+
+  assert.equal(csv, 'Name,"Amount, BDT"\r\nKarim,1500\r\n\'=cmd,-20');
+});
+
+test('toCsv with no rows is just the header', () => {
+  assert.equal(toCsv([], [{ header: 'Name', value: row => row.name }]), 'Name');
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STATUSES,
+  TRANSITIONS,
+  statusOf,
+  transitionPermission,
+  editPermission,
+  applyStatus
+} = require('../server/utils/newsWorkflow');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const minutes = (count) => new Date(NOW.getTime() + count * 60 * 1000);
+
+const WRITER = { name: 'Writer' };
+const REVIEWER = { name: 'Reviewer' };
+
+test('articles saved before the workflow count as published', () => {
+  assert.equal(statusOf({}), 'published');
+  assert.equal(statusOf({ status: 'draft' }), 'draft');
+});
+
+test('writers submit, withdraw and reopen; reviewers approve, send back and archive', () => {
+  const allowed = {
+    'draft -> in_review': 'news:write',
+    'draft -> published': 'news:publish',
+    'draft -> archived': 'news:publish',
+    'in_review -> draft': 'news:write',
+    'in_review -> published': 'news:publish',
+    'published -> draft': 'news:publish',
+    'published -> archived': 'news:publish',
+    'archived -> draft': 'news:write'
+  };
+
+  STATUSES.forEach(from => {
+    STATUSES.forEach(to => {
+      const move = `${from} -> ${to}`;
+      assert.equal(transitionPermission({ status: from }, to), allowed[move] || null, move);
+    });
+  });
+
+  const moves = Object.entries(TRANSITIONS).flatMap(([from, targets]) => Object.keys(targets).map(to => `${from} -> ${to}`));
+  assert.deepEqual(moves.sort(), Object.keys(allowed).sort());
+});
+
+test('moves that are not in the workflow are refused', () => {
+  assert.equal(transitionPermission({ status: 'in_review' }, 'archived'), null);
+  assert.equal(transitionPermission({ status: 'archived' }, 'published'), null);
+  assert.equal(transitionPermission({ status: 'published' }, 'in_review'), null);
+  assert.equal(transitionPermission({ status: 'draft' }, 'deleted'), null);
+  assert.equal(transitionPermission({ status: 'unknown' }, 'draft'), null);
+  // Legacy articles move like published ones
+  assert.equal(transitionPermission({}, 'archived'), 'news:publish');
+});
+
+test('only published articles need news:publish to be edited', () => {
+  assert.equal(editPermission({ status: 'draft' }), 'news:write');
+  assert.equal(editPermission({ status: 'in_review' }), 'news:write');
+  assert.equal(editPermission({ status: 'archived' }), 'news:write');
+  assert.equal(editPermission({ status: 'published' }), 'news:publish');
+  assert.equal(editPermission({}), 'news:publish');
+});
+
+test('submitting for review records the writer and keeps the article hidden', () => {
+  const news = applyStatus({ status: 'draft', isActive: true }, 'in_review', { user: WRITER }, NOW);
+
+  assert.equal(news.status, 'in_review');
+  assert.deepEqual(news.review, { submittedBy: 'Writer', submittedAt: NOW, note: '' });
+  assert.equal(news.isActive, false);
+  assert.equal(news.isScheduled, false);
+});
+
+test('sending an article back keeps the submission and adds the note', () => {
+  const news = applyStatus(
+    { status: 'in_review', review: { submittedBy: 'Writer', submittedAt: minutes(-60) } },
+    'draft',
+    { user: REVIEWER, note: 'Add a source' },
+    NOW
+  );
+
+  assert.equal(news.status, 'draft');
+  assert.deepEqual(news.review, {
+    submittedBy: 'Writer',
+    submittedAt: minutes(-60),
+    reviewedBy: 'Reviewer',
+    reviewedAt: NOW,
+    note: 'Add a source'
+  });
+  assert.equal(news.isActive, false);
+});
+
+test('approving makes the article live now', () => {
+  const news = applyStatus({ status: 'in_review', isActive: false }, 'published', { user: REVIEWER }, NOW);
+
+  assert.equal(news.status, 'published');
+  assert.equal(news.isActive, true);
+  assert.equal(news.isScheduled, false);
+  assert.deepEqual(news.publishedAt, NOW);
+  assert.equal(news.review.reviewedBy, 'Reviewer');
+});
+
+test('publishing with a future publishAt schedules the article', () => {
+  const news = applyStatus({ status: 'draft', publishAt: minutes(30) }, 'published', { user: REVIEWER }, NOW);
+
+  assert.equal(news.isActive, false);
+  assert.equal(news.isScheduled, true);
+  assert.equal(news.publishedAt, undefined);
+});
+
+test('publishing with a past publishAt keeps it as the publication time', () => {
+  const news = applyStatus({ status: 'draft', publishAt: minutes(-30) }, 'published', {}, NOW);
+
+  assert.equal(news.isActive, true);
+  assert.deepEqual(news.publishedAt, minutes(-30));
+});
+
+test('publishing again drops an expiry that has passed', () => {
+  const expired = applyStatus({ status: 'draft', expireAt: minutes(-1) }, 'published', {}, NOW);
+  assert.equal(expired.expireAt, null);
+
+  const upcoming = applyStatus({ status: 'draft', expireAt: minutes(60) }, 'published', {}, NOW);
+  assert.deepEqual(upcoming.expireAt, minutes(60));
+});
+
+test('archiving or unpublishing hides the article and cancels its schedule', () => {
+  ['archived', 'draft'].forEach(status => {
+    const news = applyStatus({ status: 'published', isActive: true, isScheduled: true }, status, { user: REVIEWER }, NOW);
+
+    assert.equal(news.status, status);
+    assert.equal(news.isActive, false, status);
+    assert.equal(news.isScheduled, false, status);
+  });
+});
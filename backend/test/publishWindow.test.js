@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { visibleFilter, isVisible, applyPublishWindow } = require('../server/utils/publishWindow');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const minutes = (count) => new Date(NOW.getTime() + count * 60 * 1000);
+
+test('visibleFilter matches active items inside their window', () => {
+  assert.deepEqual(visibleFilter(NOW), {
+    isActive: true,
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: NOW } }] },
+      { $or: [{ expireAt: null }, { expireAt: { $gt: NOW } }] }
+    ]
+  });
+});
+
+test('items are visible from publishAt until just before expireAt', () => {
+  assert.equal(isVisible({ isActive: true }, NOW), true);
+  assert.equal(isVisible({ isActive: false }, NOW), false);
+
+  assert.equal(isVisible({ isActive: true, publishAt: minutes(1) }, NOW), false);
+  assert.equal(isVisible({ isActive: true, publishAt: NOW }, NOW), true);
+  assert.equal(isVisible({ isActive: true, publishAt: minutes(-1) }, NOW), true);
+
+  assert.equal(isVisible({ isActive: true, expireAt: minutes(1) }, NOW), true);
+  assert.equal(isVisible({ isActive: true, expireAt: NOW }, NOW), false);
+  assert.equal(isVisible({ isActive: true, expireAt: minutes(-1) }, NOW), false);
+});
+
+test('a future publishAt schedules the item and keeps it inactive', () => {
+  const item = applyPublishWindow({ isActive: true }, { publishAt: minutes(30).toISOString() }, NOW);
+
+  assert.deepEqual(item.publishAt, minutes(30));
+  assert.equal(item.isScheduled, true);
+  assert.equal(item.isActive, false);
+  assert.equal(isVisible(item, minutes(29)), false);
+});
+
+test('a publishAt that has passed leaves the item as it is', () => {
+  const item = applyPublishWindow({ isActive: true }, { publishAt: minutes(-30).toISOString() }, NOW);
+
+  assert.equal(item.isActive, true);
+  assert.equal(item.isScheduled, undefined);
+  assert.equal(isVisible(item, NOW), true);
+});
+
+test('moving or clearing the publish time of a scheduled item publishes it now', () => {
+  const earlier = applyPublishWindow(
+    { isActive: false, isScheduled: true, publishAt: minutes(30) },
+    { publishAt: minutes(-5).toISOString() },
+    NOW
+  );
+  assert.equal(earlier.isActive, true);
+  assert.equal(earlier.isScheduled, false);
+  assert.deepEqual(earlier.publishAt, minutes(-5));
+
+  const cleared = applyPublishWindow({ isActive: false, isScheduled: true, publishAt: minutes(30) }, { publishAt: '' }, NOW);
+  assert.equal(cleared.isActive, true);
+  assert.equal(cleared.isScheduled, false);
+  assert.deepEqual(cleared.publishAt, NOW);
+});
+
+test('activating a scheduled item publishes it, deactivating it cancels', () => {
+  const activated = applyPublishWindow(
+    { isActive: true, isScheduled: true, publishAt: minutes(30) },
+    { isActive: 'true' },
+    NOW
+  );
+  assert.equal(activated.isScheduled, false);
+  assert.equal(activated.isActive, true);
+  assert.deepEqual(activated.publishAt, NOW);
+
+  const cancelled = applyPublishWindow(
+    { isActive: false, isScheduled: true, publishAt: minutes(30) },
+    { isActive: 'false' },
+    NOW
+  );
+  assert.equal(cancelled.isScheduled, false);
+  assert.equal(cancelled.isActive, false);
+  assert.deepEqual(cancelled.publishAt, minutes(30));
+});
+
+test('activating an expired item by hand removes its expiry', () => {
+  const item = applyPublishWindow({ isActive: true, expireAt: minutes(-1) }, { isActive: 'true' }, NOW);
+  assert.equal(item.expireAt, null);
+  assert.equal(isVisible(item, NOW), true);
+
+  // Unless a new expiry is sent with it
+  const renewed = applyPublishWindow(
+    { isActive: true, expireAt: minutes(-1) },
+    { isActive: 'true', expireAt: minutes(60).toISOString() },
+    NOW
+  );
+  assert.deepEqual(renewed.expireAt, minutes(60));
+
+  // An expiry still ahead is kept
+  const upcoming = applyPublishWindow({ isActive: true, expireAt: minutes(1) }, { isActive: 'true' }, NOW);
+  assert.deepEqual(upcoming.expireAt, minutes(1));
+});
+
+test('dates that are missing from the body are left alone, empty ones are cleared', () => {
+  const item = { isActive: true, publishAt: minutes(-60), expireAt: minutes(60) };
+
+  applyPublishWindow(item, {}, NOW);
+  assert.deepEqual(item.publishAt, minutes(-60));
+  assert.deepEqual(item.expireAt, minutes(60));
+
+  applyPublishWindow(item, { expireAt: '' }, NOW);
+  assert.equal(item.expireAt, null);
+});
+
+test('invalid dates and an expiry before the publish time are rejected with 400', () => {
+  assert.throws(
+    () => applyPublishWindow({}, { publishAt: 'soon' }, NOW),
+    { statusCode: 400, message: 'Invalid publishAt' }
+  );
+  assert.throws(
+    () => applyPublishWindow({}, { expireAt: 'never' }, NOW),
+    { statusCode: 400, message: 'Invalid expireAt' }
+  );
+  assert.throws(
+    () => applyPublishWindow({}, { publishAt: minutes(30).toISOString(), expireAt: minutes(30).toISOString() }, NOW),
+    { statusCode: 400, message: 'The expiry time must be after the publish time' }
+  );
+  assert.throws(
+    () => applyPublishWindow({ publishAt: minutes(30) }, { expireAt: minutes(10).toISOString() }, NOW),
+    { statusCode: 400 }
+  );
+});
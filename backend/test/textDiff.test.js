@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines } = require('../server/utils/textDiff');
+
+const same = (text) => ({ type: 'same', text });
+const added = (text) => ({ type: 'added', text });
+const removed = (text) => ({ type: 'removed', text });
+
+test('identical texts are all unchanged lines', () => {
+  assert.deepEqual(diffLines('one\ntwo', 'one\ntwo'), [same('one'), same('two')]);
+});
+
+test('empty and missing texts have no lines', () => {
+  assert.deepEqual(diffLines('', ''), []);
+  assert.deepEqual(diffLines(null, undefined), []);
+  assert.deepEqual(diffLines(undefined, 'new'), [added('new')]);
+  assert.deepEqual(diffLines('old', ''), [removed('old')]);
+});
+
+test('added, removed and changed lines keep the shared lines around them', () => {
+  assert.deepEqual(diffLines('a\nc', 'a\nb\nc'), [same('a'), added('b'), same('c')]);
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nc'), [same('a'), removed('b'), same('c')]);
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nB\nc'), [same('a'), removed('b'), added('B'), same('c')]);
+});
+
+test('lines shared in the middle of a change are kept', () => {
+  assert.deepEqual(diffLines('x\nkeep\ny', 'p\nkeep\nq'), [
+    removed('x'),
+    added('p'),
+    same('keep'),
+    removed('y'),
+    added('q')
+  ]);
+});
+
+test('Windows and Unix line endings compare equal', () => {
+  assert.deepEqual(diffLines('one\r\ntwo', 'one\ntwo'), [same('one'), same('two')]);
+});
+
+test('values that are not strings are compared as text', () => {
+  assert.deepEqual(diffLines(1, 2), [removed('1'), added('2')]);
+  assert.deepEqual(diffLines(true, 'true'), [same('true')]);
+});
+
+test('very large changes are shown as fully replaced', () => {
+  const before = Array.from({ length: 2001 }, (_, i) => `old ${i}`);
+  const after = Array.from({ length: 2001 }, (_, i) => `new ${i}`);
+  const lines = diffLines(['top', ...before].join('\n'), ['top', ...after].join('\n'));
+
+  assert.equal(lines.length, 1 + 2001 * 2);
+  assert.deepEqual(lines[0], same('top'));
+  assert.deepEqual(lines[1], removed('old 0'));
+  assert.deepEqual(lines[2001], removed('old 2000'));
+  assert.deepEqual(lines[2002], added('new 0'));
+});
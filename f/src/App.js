@@ -5,16 +5,27 @@ import { NoticeProvider } from './contexts/NoticeContext';
 import { SocketProvider } from './contexts/SocketContext';
 import { GalleryProvider } from './contexts/GalleryContext';
 import { NewsProvider } from './contexts/NewsContext';
+import { LanguageProvider } from './contexts/LanguageContext';
 import Navbar from './components/Navbar';
 import Footer from './components/Footer';
 import ProtectedRoute from './components/ProtectedRoute';
 import AdminRoute from './components/AdminRoute';
+import ErrorBoundary from './components/ErrorBoundary';
 import './App.css';
 
 // Lazy load pages for better performance
 const Home = lazy(() => import('./pages/Home'));
 const About = lazy(() => import('./pages/About'));
 const Notice = lazy(() => import('./pages/Notice'));
+const Members = lazy(() => import('./pages/Members'));
+const Albums = lazy(() => import('./pages/Albums'));
+const Album = lazy(() => import('./pages/Album'));
+const Events = lazy(() => import('./pages/Events'));
+const EventDetail = lazy(() => import('./pages/EventDetail'));
+const NewsPreview = lazy(() => import('./pages/NewsPreview'));
+const Search = lazy(() => import('./pages/Search'));
+const MemberProfile = lazy(() => import('./pages/MemberProfile'));
+const VerifyCertificate = lazy(() => import('./pages/VerifyCertificate'));
 const Login = lazy(() => import('./pages/Login'));
 const Registration = lazy(() => import('./pages/Registration'));
 const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
@@ -48,6 +59,7 @@ const PageLoader = () => (
 function App() {
   return (
     <AuthProvider>
+      <LanguageProvider>
       <SocketProvider>
         <NoticeProvider>
           <GalleryProvider>
@@ -56,11 +68,21 @@ function App() {
           <div className="App">
             <Navbar />
             <main className="main-content">
+              <ErrorBoundary>
               <Suspense fallback={<PageLoader />}>
                 <Routes>
                   <Route path="/" element={<Home />} />
                   <Route path="/about" element={<About />} />
                   <Route path="/notice" element={<Notice />} />
+                  <Route path="/members" element={<Members />} />
+                  <Route path="/gallery" element={<Albums />} />
+                  <Route path="/gallery/albums/:albumId" element={<Album />} />
+                  <Route path="/events" element={<Events />} />
+                  <Route path="/events/:eventId" element={<EventDetail />} />
+                  <Route path="/news/preview/:token" element={<NewsPreview />} />
+                  <Route path="/search" element={<Search />} />
+                  <Route path="/verify" element={<VerifyCertificate />} />
+                  <Route path="/verify/:certificateNo" element={<VerifyCertificate />} />
                   <Route path="/login" element={<Login />} />
                   <Route path="/register" element={<Registration />} />
                   <Route path="/forgot-password" element={<ForgotPassword />} />
@@ -73,6 +95,14 @@ function App() {
                       </ProtectedRoute>
                     }
                   />
+                  <Route
+                    path="/member/profile"
+                    element={
+                      <ProtectedRoute>
+                        <MemberProfile />
+                      </ProtectedRoute>
+                    }
+                  />
                   <Route
                     path="/admin"
                     element={
@@ -84,13 +114,14 @@ function App() {
                   <Route
                     path="/admin/settings"
                     element={
-                      <AdminRoute>
+                      <AdminRoute allowTwoFactorSetup>
                         <AdminSettings />
                       </AdminRoute>
                     }
                   />
                 </Routes>
               </Suspense>
+              </ErrorBoundary>
             </main>
             <Footer />
           </div>
@@ -99,6 +130,7 @@ function App() {
           </GalleryProvider>
         </NoticeProvider>
       </SocketProvider>
+      </LanguageProvider>
     </AuthProvider>
   );
 }
@@ -2,8 +2,10 @@ import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
-const AdminRoute = ({ children }) => {
-  const { user, isAdmin, loading } = useAuth();
+// allowTwoFactorSetup lets staff who still have to set up two-factor
+// authentication through (Admin Settings is where they enroll)
+const AdminRoute = ({ children, allowTwoFactorSetup = false }) => {
+  const { user, isAdmin, needsTwoFactorSetup, loading } = useAuth();
 
   if (loading) {
     return (
@@ -18,6 +20,10 @@ const AdminRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
+  if (needsTwoFactorSetup()) {
+    return allowTwoFactorSetup ? children : <Navigate to="/admin/settings" replace />;
+  }
+
   if (!isAdmin()) {
     return <Navigate to="/" replace />;
   }
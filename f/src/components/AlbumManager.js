@@ -0,0 +1,511 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  FaPlus,
+  FaEdit,
+  FaTrash,
+  FaSave,
+  FaTimes,
+  FaUpload,
+  FaStar,
+  FaRegStar,
+  FaGripVertical,
+  FaExternalLinkAlt,
+  FaArrowLeft,
+  FaImages,
+  FaExclamationTriangle,
+  FaCheckCircle
+} from 'react-icons/fa';
+import apiService from '../services/api';
+import LazyImage from './LazyImage';
+import { EVENT_TYPE_OPTIONS, formatEventType, formatEventDate, toDateInputValue } from '../utils/albums';
+import './AlbumManager.css';
+
+const EMPTY_ALBUM = {
+  title: '',
+  description: '',
+  eventDate: '',
+  eventType: 'business-meeting',
+  eventLocation: '',
+  organizer: '',
+  isActive: true
+};
+
+const toFormData = (album) => ({
+  title: album.title,
+  description: album.description || '',
+  eventDate: toDateInputValue(album.eventDate),
+  eventType: album.eventType || 'business-meeting',
+  eventLocation: album.eventLocation || '',
+  organizer: album.organizer || '',
+  isActive: album.isActive
+});
+
+// Albums tab: meetings and events with their photos. Opening an album shows
+// its images, which can be added in bulk, dragged into order and picked as cover.
+const AlbumManager = () => {
+  const [albums, setAlbums] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [formData, setFormData] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // The open album and its images in their current (possibly unsaved) order
+  const [openAlbum, setOpenAlbum] = useState(null);
+  const [images, setImages] = useState([]);
+  const [orderChanged, setOrderChanged] = useState(false);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [uploading, setUploading] = useState(false);
+
+  const showResult = (message, isError) => {
+    setError(isError ? message : '');
+    setSuccess(isError ? '' : message);
+  };
+
+  const loadAlbums = useCallback(async () => {
+    try {
+      setLoading(true);
+      setAlbums(await apiService.getAdminAlbums());
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load albums.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlbums();
+  }, [loadAlbums]);
+
+  const openAlbumById = async (albumId) => {
+    try {
+      const data = await apiService.getAdminAlbum(albumId);
+      setOpenAlbum(data.album);
+      setImages(data.images);
+      setOrderChanged(false);
+      setFormData(null);
+    } catch (err) {
+      showResult(err.message || 'Failed to load the album.', true);
+    }
+  };
+
+  const closeAlbum = () => {
+    if (orderChanged && !window.confirm('Discard the new image order?')) return;
+    setOpenAlbum(null);
+    setImages([]);
+    setOrderChanged(false);
+    setFormData(null);
+    loadAlbums();
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      if (openAlbum) {
+        const result = await apiService.updateAlbum(openAlbum._id, formData);
+        setOpenAlbum({ ...openAlbum, ...result.album });
+        setFormData(null);
+        showResult('Album updated successfully!');
+      } else {
+        const result = await apiService.createAlbum(formData);
+        showResult('Album created. Add photos to it below.');
+        await openAlbumById(result.album._id);
+      }
+    } catch (err) {
+      showResult(err.message || 'Failed to save the album.', true);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the album "${openAlbum.title}"? Its photos stay in the gallery.`)) {
+      return;
+    }
+
+    try {
+      const result = await apiService.deleteAlbum(openAlbum._id);
+      showResult(result.message);
+      setOrderChanged(false);
+      setOpenAlbum(null);
+      setImages([]);
+      loadAlbums();
+    } catch (err) {
+      showResult(err.message || 'Failed to delete the album.', true);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+
+    setUploading(true);
+    try {
+      const result = await apiService.uploadAlbumImages(openAlbum._id, files);
+      const failedNames = result.failed.map(item => item.filename).join(', ');
+      showResult(failedNames ? `${result.message}. Failed: ${failedNames}` : result.message, result.failed.length > 0);
+      await openAlbumById(openAlbum._id);
+    } catch (err) {
+      showResult(err.message || 'Failed to upload the photos.', true);
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleSetCover = async (image) => {
+    try {
+      await apiService.updateAlbum(openAlbum._id, { coverImage: image._id });
+      setOpenAlbum({ ...openAlbum, coverImage: image._id });
+      showResult('Cover image updated.');
+    } catch (err) {
+      showResult(err.message || 'Failed to set the cover image.', true);
+    }
+  };
+
+  const handleDragStart = (index) => {
+    setDraggedIndex(index);
+  };
+
+  // Move the dragged image into the slot it is dragged over
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    if (draggedIndex === null || draggedIndex === index) return;
+
+    const reordered = [...images];
+    const [moved] = reordered.splice(draggedIndex, 1);
+    reordered.splice(index, 0, moved);
+    setImages(reordered);
+    setDraggedIndex(index);
+    setOrderChanged(true);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedIndex(null);
+  };
+
+  const handleSaveOrder = async () => {
+    try {
+      await apiService.reorderAlbumImages(openAlbum._id, images.map(image => image._id));
+      setOrderChanged(false);
+      showResult('Image order saved.');
+    } catch (err) {
+      showResult(err.message || 'Failed to save the image order.', true);
+    }
+  };
+
+  const renderForm = () => (
+    <form className="album-form" onSubmit={handleSave}>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="album-title" className="form-label">Title *</label>
+          <input
+            id="album-title"
+            name="title"
+            className="form-input"
+            value={formData.title}
+            onChange={handleInputChange}
+            placeholder="e.g., Annual General Meeting 2025"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="album-eventDate" className="form-label">Event Date</label>
+          <input
+            type="date"
+            id="album-eventDate"
+            name="eventDate"
+            className="form-input"
+            value={formData.eventDate}
+            onChange={handleInputChange}
+          />
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="album-eventType" className="form-label">Event Type</label>
+          <select
+            id="album-eventType"
+            name="eventType"
+            className="form-select"
+            value={formData.eventType}
+            onChange={handleInputChange}
+          >
+            {EVENT_TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="album-eventLocation" className="form-label">Event Location</label>
+          <input
+            id="album-eventLocation"
+            name="eventLocation"
+            className="form-input"
+            value={formData.eventLocation}
+            onChange={handleInputChange}
+            placeholder="e.g., Hotel Grand Palace, Dhaka"
+          />
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="album-organizer" className="form-label">Event Organizer</label>
+          <input
+            id="album-organizer"
+            name="organizer"
+            className="form-input"
+            value={formData.organizer}
+            onChange={handleInputChange}
+            placeholder="e.g., JCCI Executive Committee"
+          />
+        </div>
+        <div className="form-group album-form-publish">
+          <label>
+            <input
+              type="checkbox"
+              name="isActive"
+              checked={formData.isActive}
+              onChange={handleInputChange}
+            />
+            Published on the website
+          </label>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="album-description" className="form-label">Description</label>
+        <textarea
+          id="album-description"
+          name="description"
+          className="form-textarea"
+          rows="3"
+          value={formData.description}
+          onChange={handleInputChange}
+          placeholder="What happened at the meeting or event"
+        />
+      </div>
+
+      <div className="album-form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          <FaSave />
+          {saving ? 'Saving...' : 'Save Album'}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => setFormData(null)}>
+          <FaTimes />
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderMessages = () => (
+    <>
+      {error && (
+        <div className="albums-message error">
+          <FaExclamationTriangle />
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="albums-message success">
+          <FaCheckCircle />
+          {success}
+        </div>
+      )}
+    </>
+  );
+
+  if (openAlbum) {
+    const coverId = openAlbum.coverImage || images[0]?._id;
+
+    return (
+      <div className="albums">
+        <div className="albums-header">
+          <button className="btn btn-secondary" onClick={closeAlbum}>
+            <FaArrowLeft />
+            All Albums
+          </button>
+          <div className="albums-header-actions">
+            {openAlbum.isActive && (
+              <Link to={`/gallery/albums/${openAlbum._id}`} className="btn btn-secondary" target="_blank">
+                <FaExternalLinkAlt />
+                View Page
+              </Link>
+            )}
+            <button className="btn btn-secondary" onClick={() => setFormData(toFormData(openAlbum))}>
+              <FaEdit />
+              Edit Details
+            </button>
+            <button className="btn album-delete" onClick={handleDelete}>
+              <FaTrash />
+              Delete
+            </button>
+          </div>
+        </div>
+
+        {renderMessages()}
+
+        {formData ? renderForm() : (
+          <div className="album-summary">
+            <h3>
+              {openAlbum.title}
+              {!openAlbum.isActive && <span className="album-status">Draft</span>}
+            </h3>
+            <p className="album-meta">
+              {[
+                formatEventType(openAlbum.eventType),
+                formatEventDate(openAlbum.eventDate),
+                openAlbum.eventLocation,
+                openAlbum.organizer
+              ].filter(Boolean).join(' · ')}
+            </p>
+            {openAlbum.description && <p>{openAlbum.description}</p>}
+          </div>
+        )}
+
+        <div className="album-images-toolbar">
+          <label className={`btn btn-primary album-upload ${uploading ? 'disabled' : ''}`}>
+            <FaUpload />
+            {uploading ? 'Uploading...' : 'Add Photos'}
+            <input type="file" accept="image/*" multiple onChange={handleUpload} disabled={uploading} />
+          </label>
+          {orderChanged && (
+            <button className="btn btn-primary" onClick={handleSaveOrder}>
+              <FaSave />
+              Save Order
+            </button>
+          )}
+          <span className="album-images-hint">
+            Up to 20 photos at a time. Drag photos to change their order.
+          </span>
+        </div>
+
+        {images.length === 0 ? (
+          <div className="empty-state">
+            <FaImages className="empty-icon" />
+            <h3>No photos yet</h3>
+            <p>Add photos taken at this event.</p>
+          </div>
+        ) : (
+          <div className="album-images">
+            {images.map((image, index) => (
+              <div
+                key={image._id}
+                className={`album-image ${draggedIndex === index ? 'dragging' : ''}`}
+                draggable
+                onDragStart={() => handleDragStart(index)}
+                onDragOver={(e) => handleDragOver(e, index)}
+                onDragEnd={handleDragEnd}
+              >
+                <LazyImage
+                  src={image.imageUrl}
+                  alt={image.altText}
+                  variants={image.variants}
+                  srcWidth={image.width}
+                  width={image.width}
+                  height={image.height}
+                  placeholder={image.placeholder}
+                  sizes="200px"
+                  className="album-image-preview"
+                />
+                <FaGripVertical className="album-image-handle" />
+                {!image.isActive && <span className="album-status">Hidden</span>}
+                <button
+                  type="button"
+                  className={`album-cover-button ${coverId === image._id ? 'is-cover' : ''}`}
+                  onClick={() => handleSetCover(image)}
+                  disabled={coverId === image._id}
+                  title={coverId === image._id ? 'Cover image' : 'Use as cover'}
+                >
+                  {coverId === image._id ? <FaStar /> : <FaRegStar />}
+                  {coverId === image._id ? 'Cover' : 'Set cover'}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="albums">
+      <div className="albums-header">
+        <p>
+          Group photos by the meeting or event they were taken at. Published albums
+          appear on the website's gallery pages.
+        </p>
+        {!formData && (
+          <button className="btn btn-primary" onClick={() => setFormData({ ...EMPTY_ALBUM })}>
+            <FaPlus />
+            New Album
+          </button>
+        )}
+      </div>
+
+      {renderMessages()}
+
+      {formData && renderForm()}
+
+      {loading ? (
+        <p className="albums-empty">Loading albums...</p>
+      ) : albums.length === 0 ? (
+        <div className="empty-state">
+          <FaImages className="empty-icon" />
+          <h3>No albums yet</h3>
+          <p>Create an album for a meeting or event, then add its photos.</p>
+        </div>
+      ) : (
+        <div className="albums-grid">
+          {albums.map(album => (
+            <button
+              key={album._id}
+              type="button"
+              className="album-card"
+              onClick={() => openAlbumById(album._id)}
+            >
+              <div className="album-card-cover">
+                {album.cover ? (
+                  <LazyImage
+                    src={album.cover.imageUrl}
+                    alt={album.cover.altText}
+                    variants={album.cover.variants}
+                    srcWidth={album.cover.width}
+                    width={album.cover.width}
+                    height={album.cover.height}
+                    placeholder={album.cover.placeholder}
+                    sizes="280px"
+                  />
+                ) : (
+                  <FaImages />
+                )}
+              </div>
+              <div className="album-card-body">
+                <h4>
+                  {album.title}
+                  {!album.isActive && <span className="album-status">Draft</span>}
+                </h4>
+                <span>{formatEventDate(album.eventDate) || formatEventType(album.eventType)}</span>
+                <span>{album.imageCount} photo{album.imageCount === 1 ? '' : 's'}</span>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlbumManager;
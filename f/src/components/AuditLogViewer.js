@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaFileCsv, FaExclamationTriangle, FaHistory } from 'react-icons/fa';
+import apiService from '../services/api';
+import { saveBlob } from '../utils/download';
+import { formatOptionLabel } from '../utils/format';
+import logger from '../utils/logger';
+import './AuditLogViewer.css';
+
+const PAGE_SIZE = 25;
+
+const emptyFilters = {
+  actor: '',
+  entityType: '',
+  from: '',
+  to: ''
+};
+
+// Drop blank filters so they aren't sent as empty query parameters
+const toParams = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value !== '')
+);
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Activity tab: who changed what and when, with filters and CSV export
+const AuditLogViewer = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [options, setOptions] = useState({ actors: [], entityTypes: [] });
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiService.getAuditOptions()
+      .then(setOptions)
+      .catch(err => logger.error('Error loading activity filters:', err));
+  }, []);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await apiService.getAuditLog({
+        ...toParams(filters),
+        page,
+        limit: PAGE_SIZE
+      });
+      setEntries(data.entries);
+      setPagination(data.pagination);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load activity.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleFilterChange = (e) => {
+    setFilters({
+      ...filters,
+      [e.target.name]: e.target.value
+    });
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await apiService.exportAuditLog(toParams(filters));
+      saveBlob(blob, `activity-${new Date().toISOString().split('T')[0]}.csv`);
+    } catch (err) {
+      setError(err.message || 'Failed to export activity.');
+    }
+  };
+
+  const getEntityTypeLabel = (value) => {
+    const type = options.entityTypes.find(option => option.value === value);
+    return type ? type.label : formatOptionLabel(value);
+  };
+
+  return (
+    <div className="audit-log">
+      <div className="audit-log-filters">
+        <div className="form-group">
+          <label htmlFor="audit-actor">Actor</label>
+          <select id="audit-actor" name="actor" value={filters.actor} onChange={handleFilterChange}>
+            <option value="">Everyone</option>
+            {options.actors.map(actor => (
+              <option key={actor.id} value={actor.id}>
+                {actor.name || actor.email}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-entity">Entity</label>
+          <select id="audit-entity" name="entityType" value={filters.entityType} onChange={handleFilterChange}>
+            <option value="">All entities</option>
+            {options.entityTypes.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-from">From</label>
+          <input id="audit-from" type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-to">To</label>
+          <input id="audit-to" type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+        </div>
+        <div className="audit-log-filter-actions">
+          <button
+            className="btn btn-secondary"
+            onClick={() => {
+              setFilters(emptyFilters);
+              setPage(1);
+            }}
+          >
+            Clear
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleExport}
+            disabled={pagination.total === 0}
+          >
+            <FaFileCsv />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="audit-log-error">
+          <FaExclamationTriangle />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="audit-log-empty">Loading activity...</p>
+      ) : entries.length === 0 ? (
+        <div className="empty-state">
+          <FaHistory className="empty-icon" />
+          <h3>No activity found</h3>
+          <p>Admin actions matching these filters will appear here.</p>
+        </div>
+      ) : (
+        <>
+          <div className="audit-log-table-wrapper">
+            <table className="audit-log-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Actor</th>
+                  <th>Action</th>
+                  <th>Entity</th>
+                  <th>Changes</th>
+                  <th>IP</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry._id}>
+                    <td>{new Date(entry.createdAt).toLocaleString('en-GB')}</td>
+                    <td>
+                      {entry.actorName || 'Unknown'}
+                      <span>{entry.actorEmail}</span>
+                    </td>
+                    <td>
+                      <span className={`audit-action action-${entry.action}`}>
+                        {formatOptionLabel(entry.action)}
+                      </span>
+                    </td>
+                    <td>
+                      {getEntityTypeLabel(entry.entityType)}
+                      <span>{entry.entityLabel || entry.entityId}</span>
+                    </td>
+                    <td>
+                      {entry.changes.length === 0 ? (
+                        '—'
+                      ) : (
+                        <details>
+                          <summary>
+                            {entry.changes.length} field{entry.changes.length === 1 ? '' : 's'}
+                          </summary>
+                          <ul className="audit-changes">
+                            {entry.changes.map(change => (
+                              <li key={change.field}>
+                                <strong>{change.field}</strong>
+                                <span className="audit-before">{formatValue(change.before)}</span>
+                                {' → '}
+                                <span className="audit-after">{formatValue(change.after)}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </details>
+                      )}
+                    </td>
+                    <td>{entry.ip || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {pagination.pages > 1 && (
+            <div className="audit-log-pagination">
+              <button
+                className="btn btn-secondary"
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+              >
+                Previous
+              </button>
+              <span>
+                Page {pagination.current} of {pagination.pages} ({pagination.total} entries)
+              </span>
+              <button
+                className="btn btn-secondary"
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogViewer;
@@ -0,0 +1,69 @@
+import React, { Component } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import { useLanguage } from '../contexts/LanguageContext';
+import logger from '../utils/logger';
+import './ErrorBoundary.css';
+
+const ErrorFallback = ({ onRetry }) => {
+  const { t } = useLanguage();
+
+  return (
+    <div className="error-boundary" role="alert">
+      <FaExclamationTriangle className="error-boundary-icon" />
+      <h2>{t('errorBoundary.title')}</h2>
+      <p>{t('errorBoundary.message')}</p>
+      <div className="error-boundary-actions">
+        <button type="button" className="btn btn-primary" onClick={onRetry}>
+          {t('errorBoundary.retry')}
+        </button>
+        <Link to="/" className="btn btn-secondary">
+          {t('errorBoundary.home')}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+// Catches render errors in a page, reports them to the server and shows a
+// fallback instead of a blank screen
+class Boundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { hasError: true };
+  }
+
+  componentDidCatch(error, info) {
+    logger.report({
+      source: 'boundary',
+      message: error.message || 'Render error',
+      error,
+      componentStack: info.componentStack
+    });
+  }
+
+  componentDidUpdate(prevProps) {
+    // Navigating elsewhere gives the new page a fresh start
+    if (this.state.hasError && prevProps.resetKey !== this.props.resetKey) {
+      this.setState({ hasError: false });
+    }
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return <ErrorFallback onRetry={() => this.setState({ hasError: false })} />;
+    }
+    return this.props.children;
+  }
+}
+
+const ErrorBoundary = ({ children }) => {
+  const { pathname } = useLocation();
+  return <Boundary resetKey={pathname}>{children}</Boundary>;
+};
+
+export default ErrorBoundary;
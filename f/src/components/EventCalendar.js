@@ -0,0 +1,206 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  FaChevronLeft,
+  FaChevronRight,
+  FaCalendarAlt,
+  FaListUl,
+  FaMapMarkerAlt
+} from 'react-icons/fa';
+import { formatEventTime, formatSpotsLeft, toDayKey } from '../utils/events';
+import './EventCalendar.css';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Every day key an event covers, so multi-day events mark each of their days
+const eventDayKeys = (event) => {
+  const keys = [];
+  const day = new Date(event.startsAt);
+  day.setHours(0, 0, 0, 0);
+  const end = new Date(event.endsAt);
+
+  while (day <= end) {
+    keys.push(toDayKey(day));
+    day.setDate(day.getDate() + 1);
+  }
+  return keys;
+};
+
+// The six weeks shown for a month, starting on the Sunday before the 1st
+const monthGrid = (month) => {
+  const start = new Date(month.getFullYear(), month.getMonth(), 1);
+  start.setDate(start.getDate() - start.getDay());
+
+  return Array.from({ length: 42 }, (_, index) => {
+    const day = new Date(start);
+    day.setDate(start.getDate() + index);
+    return day;
+  });
+};
+
+// Month or agenda view of events. The parent loads the events for `month`
+// and is told through onMonthChange when the visitor moves to another month.
+const EventCalendar = ({ month, events, loading, onMonthChange }) => {
+  const [view, setView] = useState('month');
+  const [selectedDay, setSelectedDay] = useState(null);
+
+  const eventsByDay = useMemo(() => {
+    const byDay = new Map();
+    events.forEach(event => {
+      eventDayKeys(event).forEach(key => {
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(event);
+      });
+    });
+    return byDay;
+  }, [events]);
+
+  const todayKey = toDayKey(new Date());
+  const monthLabel = month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  const changeMonth = (step) => {
+    setSelectedDay(null);
+    onMonthChange(new Date(month.getFullYear(), month.getMonth() + step, 1));
+  };
+
+  const renderEventLink = (event) => (
+    <Link key={event._id} to={`/events/${event._id}`} className="event-calendar-item">
+      <span className="event-calendar-item-time">{formatEventTime(event.startsAt)}</span>
+      <span className="event-calendar-item-title">{event.title}</span>
+      <span className="event-calendar-item-meta">
+        <FaMapMarkerAlt />
+        {event.venue}
+        {' · '}
+        {formatSpotsLeft(event)}
+      </span>
+    </Link>
+  );
+
+  const renderMonth = () => {
+    const selectedEvents = selectedDay ? eventsByDay.get(selectedDay) || [] : [];
+
+    return (
+      <>
+        <div className="event-calendar-grid">
+          {WEEKDAYS.map(weekday => (
+            <div key={weekday} className="event-calendar-weekday">{weekday}</div>
+          ))}
+          {monthGrid(month).map(day => {
+            const key = toDayKey(day);
+            const dayEvents = eventsByDay.get(key) || [];
+            const classes = [
+              'event-calendar-day',
+              day.getMonth() !== month.getMonth() && 'outside',
+              key === todayKey && 'today',
+              dayEvents.length > 0 && 'has-events',
+              key === selectedDay && 'selected'
+            ].filter(Boolean).join(' ');
+
+            return (
+              <button
+                key={key}
+                type="button"
+                className={classes}
+                onClick={() => setSelectedDay(key === selectedDay ? null : key)}
+                disabled={dayEvents.length === 0}
+                aria-label={`${day.toDateString()}: ${dayEvents.length} event${dayEvents.length === 1 ? '' : 's'}`}
+              >
+                <span className="event-calendar-date">{day.getDate()}</span>
+                {dayEvents.length > 0 && (
+                  <span className="event-calendar-dots">
+                    {dayEvents.slice(0, 3).map(event => <span key={event._id} />)}
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+
+        {selectedDay && (
+          <div className="event-calendar-day-list">
+            <h4>
+              {new Date(`${selectedDay}T00:00`).toLocaleDateString('en-US', {
+                weekday: 'long',
+                month: 'long',
+                day: 'numeric'
+              })}
+            </h4>
+            {selectedEvents.map(renderEventLink)}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  const renderAgenda = () => {
+    if (events.length === 0) {
+      return <p className="event-calendar-empty">No events this month.</p>;
+    }
+
+    // Events grouped under the day they start
+    const days = [];
+    events.forEach(event => {
+      const key = toDayKey(event.startsAt);
+      const last = days[days.length - 1];
+      if (last && last.key === key) {
+        last.events.push(event);
+      } else {
+        days.push({ key, date: new Date(event.startsAt), events: [event] });
+      }
+    });
+
+    return (
+      <div className="event-calendar-agenda">
+        {days.map(day => (
+          <div key={day.key} className={`event-calendar-agenda-day ${day.key === todayKey ? 'today' : ''}`}>
+            <div className="event-calendar-agenda-date">
+              <span>{day.date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+              <strong>{day.date.getDate()}</strong>
+            </div>
+            <div className="event-calendar-agenda-events">
+              {day.events.map(renderEventLink)}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="event-calendar">
+      <div className="event-calendar-header">
+        <button type="button" className="event-calendar-nav" onClick={() => changeMonth(-1)} aria-label="Previous month">
+          <FaChevronLeft />
+        </button>
+        <h3>{monthLabel}</h3>
+        <button type="button" className="event-calendar-nav" onClick={() => changeMonth(1)} aria-label="Next month">
+          <FaChevronRight />
+        </button>
+        <div className="event-calendar-views">
+          <button
+            type="button"
+            className={view === 'month' ? 'active' : ''}
+            onClick={() => setView('month')}
+          >
+            <FaCalendarAlt />
+            Month
+          </button>
+          <button
+            type="button"
+            className={view === 'agenda' ? 'active' : ''}
+            onClick={() => setView('agenda')}
+          >
+            <FaListUl />
+            Agenda
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="event-calendar-empty">Loading events...</p>
+      ) : view === 'month' ? renderMonth() : renderAgenda()}
+    </div>
+  );
+};
+
+export default EventCalendar;
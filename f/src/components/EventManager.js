@@ -0,0 +1,464 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  FaPlus,
+  FaEdit,
+  FaTrash,
+  FaSave,
+  FaTimes,
+  FaArrowLeft,
+  FaUsers,
+  FaDownload,
+  FaExternalLinkAlt,
+  FaCalendarCheck,
+  FaExclamationTriangle,
+  FaCheckCircle
+} from 'react-icons/fa';
+import apiService from '../services/api';
+import { saveBlob } from '../utils/download';
+import { formatDate } from '../utils/format';
+import {
+  formatEventDateTime,
+  formatEventFee,
+  toDateTimeInputValue,
+  REGISTRATION_STATUS_LABELS
+} from '../utils/events';
+import './EventManager.css';
+
+const EMPTY_EVENT = {
+  title: '',
+  description: '',
+  venue: '',
+  startsAt: '',
+  endsAt: '',
+  registrationDeadline: '',
+  capacity: 0,
+  fee: 0,
+  membersOnly: false,
+  isPublished: true
+};
+
+const toFormData = (event) => ({
+  title: event.title,
+  description: event.description || '',
+  venue: event.venue,
+  startsAt: toDateTimeInputValue(event.startsAt),
+  endsAt: toDateTimeInputValue(event.endsAt),
+  registrationDeadline: toDateTimeInputValue(event.registrationDeadline),
+  capacity: event.capacity,
+  fee: event.fee,
+  membersOnly: event.membersOnly,
+  isPublished: event.isPublished
+});
+
+// datetime-local values are in the browser's time zone; send them as ISO dates
+const toRequestBody = (formData) => ({
+  ...formData,
+  startsAt: new Date(formData.startsAt).toISOString(),
+  endsAt: new Date(formData.endsAt).toISOString(),
+  registrationDeadline: formData.registrationDeadline
+    ? new Date(formData.registrationDeadline).toISOString()
+    : null
+});
+
+// Events tab: create and edit events, and see or export who registered
+const EventManager = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  // { event?, values } while the create or edit form is open
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // { event, registrations } while an attendee list is open
+  const [attendees, setAttendees] = useState(null);
+
+  const showResult = (message, isError) => {
+    setError(isError ? message : '');
+    setSuccess(isError ? '' : message);
+  };
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setEvents(await apiService.getAdminEvents());
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load events.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, values: { ...form.values, [name]: type === 'checkbox' ? checked : value } });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const body = toRequestBody(form.values);
+      const result = form.event
+        ? await apiService.updateEvent(form.event._id, body)
+        : await apiService.createEvent(body);
+      showResult(result.message);
+      setForm(null);
+      loadEvents();
+    } catch (err) {
+      showResult(err.message || 'Failed to save the event.', true);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (event) => {
+    const warning = event.confirmedCount > 0
+      ? ` ${event.confirmedCount} registrations will be removed and attendees will not be notified.`
+      : '';
+    if (!window.confirm(`Delete the event "${event.title}"?${warning}`)) return;
+
+    try {
+      const result = await apiService.deleteEvent(event._id);
+      showResult(result.message);
+      loadEvents();
+    } catch (err) {
+      showResult(err.message || 'Failed to delete the event.', true);
+    }
+  };
+
+  const openAttendees = async (event) => {
+    try {
+      setAttendees(await apiService.getEventRegistrations(event._id));
+      setForm(null);
+    } catch (err) {
+      showResult(err.message || 'Failed to load registrations.', true);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const { event } = attendees;
+      const blob = await apiService.exportEventRegistrations(event._id);
+      saveBlob(blob, `attendees-${event.startsAt.split('T')[0]}-${event._id}.csv`);
+    } catch (err) {
+      showResult(err.message || 'Failed to export the attendee list.', true);
+    }
+  };
+
+  const renderMessages = () => (
+    <>
+      {error && (
+        <div className="events-admin-message error">
+          <FaExclamationTriangle />
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="events-admin-message success">
+          <FaCheckCircle />
+          {success}
+        </div>
+      )}
+    </>
+  );
+
+  const renderForm = () => (
+    <form className="event-form" onSubmit={handleSave}>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="event-title" className="form-label">Title *</label>
+          <input
+            id="event-title"
+            name="title"
+            className="form-input"
+            value={form.values.title}
+            onChange={handleInputChange}
+            placeholder="e.g., Export Financing Seminar"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="event-venue" className="form-label">Venue *</label>
+          <input
+            id="event-venue"
+            name="venue"
+            className="form-input"
+            value={form.values.venue}
+            onChange={handleInputChange}
+            placeholder="e.g., Chamber Hall, Jamalpur"
+            required
+          />
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="event-startsAt" className="form-label">Starts *</label>
+          <input
+            type="datetime-local"
+            id="event-startsAt"
+            name="startsAt"
+            className="form-input"
+            value={form.values.startsAt}
+            onChange={handleInputChange}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="event-endsAt" className="form-label">Ends *</label>
+          <input
+            type="datetime-local"
+            id="event-endsAt"
+            name="endsAt"
+            className="form-input"
+            value={form.values.endsAt}
+            onChange={handleInputChange}
+            required
+          />
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="event-capacity" className="form-label">Capacity</label>
+          <input
+            type="number"
+            id="event-capacity"
+            name="capacity"
+            className="form-input"
+            min="0"
+            value={form.values.capacity}
+            onChange={handleInputChange}
+          />
+          <small className="event-form-hint">0 means no limit</small>
+        </div>
+        <div className="form-group">
+          <label htmlFor="event-fee" className="form-label">Fee (BDT)</label>
+          <input
+            type="number"
+            id="event-fee"
+            name="fee"
+            className="form-input"
+            min="0"
+            value={form.values.fee}
+            onChange={handleInputChange}
+          />
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="event-registrationDeadline" className="form-label">Registration Deadline</label>
+          <input
+            type="datetime-local"
+            id="event-registrationDeadline"
+            name="registrationDeadline"
+            className="form-input"
+            value={form.values.registrationDeadline}
+            onChange={handleInputChange}
+          />
+          <small className="event-form-hint">Leave empty to accept registrations until the event starts</small>
+        </div>
+        <div className="form-group event-form-checks">
+          <label>
+            <input
+              type="checkbox"
+              name="membersOnly"
+              checked={form.values.membersOnly}
+              onChange={handleInputChange}
+            />
+            Members only
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              name="isPublished"
+              checked={form.values.isPublished}
+              onChange={handleInputChange}
+            />
+            Published on the website
+          </label>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="event-description" className="form-label">Description</label>
+        <textarea
+          id="event-description"
+          name="description"
+          className="form-textarea"
+          rows="4"
+          value={form.values.description}
+          onChange={handleInputChange}
+          placeholder="Agenda, speakers and anything attendees should know"
+        />
+      </div>
+
+      <div className="event-form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          <FaSave />
+          {saving ? 'Saving...' : 'Save Event'}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>
+          <FaTimes />
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  if (attendees) {
+    const { event, registrations } = attendees;
+    const confirmed = registrations.filter(registration => registration.status === 'confirmed').length;
+    const waitlisted = registrations.filter(registration => registration.status === 'waitlisted').length;
+
+    return (
+      <div className="events-admin">
+        <div className="events-admin-header">
+          <button className="btn btn-secondary" onClick={() => setAttendees(null)}>
+            <FaArrowLeft />
+            All Events
+          </button>
+          <button className="btn btn-primary" onClick={handleExport} disabled={registrations.length === 0}>
+            <FaDownload />
+            Export CSV
+          </button>
+        </div>
+
+        {renderMessages()}
+
+        <div className="event-attendees-summary">
+          <h3>{event.title}</h3>
+          <p>
+            {formatEventDateTime(event.startsAt)} · {event.venue}
+          </p>
+          <p>
+            {confirmed} confirmed
+            {event.capacity > 0 && ` of ${event.capacity}`}
+            {waitlisted > 0 && ` · ${waitlisted} on the waitlist`}
+          </p>
+        </div>
+
+        {registrations.length === 0 ? (
+          <p className="events-admin-empty">Nobody has registered yet.</p>
+        ) : (
+          <div className="event-attendees-table-wrapper">
+            <table className="event-attendees-table">
+              <thead>
+                <tr>
+                  <th>Status</th>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Phone</th>
+                  <th>Company</th>
+                  <th>Registered</th>
+                </tr>
+              </thead>
+              <tbody>
+                {registrations.map(registration => (
+                  <tr key={registration._id} className={registration.status}>
+                    <td>
+                      <span className={`event-attendee-status ${registration.status}`}>
+                        {REGISTRATION_STATUS_LABELS[registration.status]}
+                      </span>
+                    </td>
+                    <td>{registration.name}</td>
+                    <td>{registration.email}</td>
+                    <td>{registration.phone || '—'}</td>
+                    <td>
+                      {registration.companyName || '—'}
+                      {registration.membershipNumber && ` (${registration.membershipNumber})`}
+                    </td>
+                    <td>{formatDate(registration.registeredAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="events-admin">
+      <div className="events-admin-header">
+        <p>
+          Published events appear on the website's events calendar, where members
+          can register. When an event is full, new registrations join a waitlist.
+        </p>
+        {!form && (
+          <button className="btn btn-primary" onClick={() => setForm({ values: { ...EMPTY_EVENT } })}>
+            <FaPlus />
+            New Event
+          </button>
+        )}
+      </div>
+
+      {renderMessages()}
+
+      {form && renderForm()}
+
+      {loading ? (
+        <p className="events-admin-empty">Loading events...</p>
+      ) : events.length === 0 ? (
+        <div className="empty-state">
+          <FaCalendarCheck className="empty-icon" />
+          <h3>No events yet</h3>
+          <p>Create an event to open registrations on the website.</p>
+        </div>
+      ) : (
+        <div className="events-admin-list">
+          {events.map(event => (
+            <div key={event._id} className="event-admin-card">
+              <div className="event-admin-card-body">
+                <h4>
+                  {event.title}
+                  {!event.isPublished && <span className="event-admin-badge">Draft</span>}
+                  {event.membersOnly && <span className="event-admin-badge members">Members only</span>}
+                </h4>
+                <span>{formatEventDateTime(event.startsAt)} · {event.venue}</span>
+                <span>
+                  {formatEventFee(event.fee)}
+                  {' · '}
+                  {event.confirmedCount} registered
+                  {event.capacity > 0 && ` of ${event.capacity}`}
+                  {event.waitlistCount > 0 && ` · ${event.waitlistCount} waiting`}
+                </span>
+              </div>
+              <div className="event-admin-card-actions">
+                <button className="btn btn-secondary" onClick={() => openAttendees(event)}>
+                  <FaUsers />
+                  Attendees
+                </button>
+                {event.isPublished && (
+                  <Link to={`/events/${event._id}`} className="btn btn-secondary" target="_blank">
+                    <FaExternalLinkAlt />
+                  </Link>
+                )}
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setForm({ event, values: toFormData(event) })}
+                >
+                  <FaEdit />
+                </button>
+                <button className="btn event-delete" onClick={() => handleDelete(event)}>
+                  <FaTrash />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventManager;
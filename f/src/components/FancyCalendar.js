@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaCalendarAlt, FaClock, FaGlobe, FaLanguage } from 'react-icons/fa';
+import { BANGLA_MONTHS, BANGLA_WEEKDAYS, toBanglaDate, toBanglaDigits } from '../utils/banglaDate';
 import './FancyCalendar.css';
 
 const FancyCalendar = () => {
@@ -8,17 +9,6 @@ const FancyCalendar = () => {
   const [banglaDate, setBanglaDate] = useState(null);
   const [isVisible, setIsVisible] = useState(false);
 
-  // Bangla month names
-  const banglaMonths = [
-    'বৈশাখ', 'জ্যৈষ্ঠ', 'আষাঢ়', 'শ্রাবণ', 'ভাদ্র', 'আশ্বিন',
-    'কার্তিক', 'অগ্রহায়ণ', 'পৌষ', 'মাঘ', 'ফাল্গুন', 'চৈত্র'
-  ];
-
-  // Bangla day names
-  const banglaDays = [
-    'রবিবার', 'সোমবার', 'মঙ্গলবার', 'বুধবার', 'বৃহস্পতিবার', 'শুক্রবার', 'শনিবার'
-  ];
-
   // English month names
   const englishMonths = [
     'January', 'February', 'March', 'April', 'May', 'June',
@@ -30,47 +20,12 @@ const FancyCalendar = () => {
     'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'
   ];
 
-  // Convert English date to Bangla date (approximate conversion)
-  const convertToBanglaDate = (date) => {
-    const year = date.getFullYear();
-    const month = date.getMonth();
-    const day = date.getDate();
-    const dayOfWeek = date.getDay();
-
-    // Approximate conversion (Bengali calendar starts around April 14-15)
-    let banglaYear = year - 593;
-    let banglaMonth = month - 3;
-    let banglaDay = day - 13;
-
-    // Adjust for month boundaries
-    if (banglaDay <= 0) {
-      banglaMonth--;
-      banglaDay += 30; // Approximate days in Bengali month
-    }
-    if (banglaMonth < 0) {
-      banglaYear--;
-      banglaMonth += 12;
-    }
-    if (banglaMonth >= 12) {
-      banglaYear++;
-      banglaMonth -= 12;
-    }
-
-    return {
-      year: banglaYear,
-      month: banglaMonth,
-      day: banglaDay,
-      dayOfWeek: dayOfWeek
-    };
-  };
-
   useEffect(() => {
     const timer = setInterval(() => {
       setCurrentDate(new Date());
     }, 1000);
 
-    const bangla = convertToBanglaDate(currentDate);
-    setBanglaDate(bangla);
+    setBanglaDate(toBanglaDate(currentDate));
 
     // Show calendar with animation
     const showTimer = setTimeout(() => {
@@ -173,17 +128,17 @@ const FancyCalendar = () => {
               </div>
               <div className="date-content">
                 <div className="day-name">
-                  {banglaDate && banglaDays[banglaDate.dayOfWeek]}
+                  {banglaDate && BANGLA_WEEKDAYS[banglaDate.dayOfWeek]}
                 </div>
                 <div className="date-main">
-                  <span className="day">{banglaDate && banglaDate.day}</span>
+                  <span className="day">{banglaDate && toBanglaDigits(banglaDate.day)}</span>
                   <div className="month-year">
-                    <span className="month">{banglaDate && banglaMonths[banglaDate.month]}</span>
-                    <span className="year">{banglaDate && banglaDate.year}</span>
+                    <span className="month">{banglaDate && BANGLA_MONTHS[banglaDate.month]}</span>
+                    <span className="year">{banglaDate && toBanglaDigits(banglaDate.year)}</span>
                   </div>
                 </div>
                 <div className="date-full">
-                  {banglaDate && `${banglaDate.day} ${banglaMonths[banglaDate.month]}, ${banglaDate.year}`}
+                  {banglaDate && `${toBanglaDigits(banglaDate.day)} ${BANGLA_MONTHS[banglaDate.month]}, ${toBanglaDigits(banglaDate.year)}`}
                 </div>
               </div>
             </motion.div>
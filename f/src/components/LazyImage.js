@@ -1,61 +1,63 @@
 import React, { useState, useEffect, useRef } from 'react';
 import './LazyImage.css';
 
+// Modern formats offered to browsers that support them, best first
+const SOURCE_FORMATS = ['avif', 'webp'];
+
+// "url 320w, url 640w" for the variants in one format
+const toSrcSet = (variants) =>
+  variants.map((variant) => `${variant.url} ${variant.width}w`).join(', ');
+
 /**
  * Optimized lazy-loading image component
  * - Loads images only when visible in viewport
- * - Shows placeholder while loading
+ * - Lets the browser pick a size and format from the responsive variants
+ *   (srcset/sizes), so phones don't download full-size images
+ * - Shows a blurred preview (or spinner) while loading
  * - Handles loading and error states
  * - Uses Intersection Observer API for performance
  */
 const LazyImage = ({
   src,
   alt = '',
-  placeholder = '/placeholder.png',
+  // Resized copies from the API: [{ url, width, format }]
+  variants = [],
+  // Pixel width of src, so it can join the srcset as the largest size
+  srcWidth,
+  sizes = '100vw',
+  // Blurred preview as a data URL, shown until the image has loaded
+  placeholder,
   className = '',
+  imgClassName = '',
   width,
   height,
   style = {},
   onLoad,
   onError
 }) => {
-  const [imageSrc, setImageSrc] = useState(placeholder);
+  const [isVisible, setIsVisible] = useState(false);
   const [imageStatus, setImageStatus] = useState('loading'); // loading, loaded, error
   const imgRef = useRef();
 
+  useEffect(() => {
+    setImageStatus('loading');
+  }, [src]);
+
   useEffect(() => {
     // Check if browser supports Intersection Observer
     if (!('IntersectionObserver' in window)) {
       // Fallback: Load image immediately
-      setImageSrc(src);
+      setIsVisible(true);
       return;
     }
 
     const observer = new IntersectionObserver(
       (entries) => {
-        entries.forEach((entry) => {
-          // When image is in viewport
-          if (entry.isIntersecting) {
-            // Load the actual image
-            const img = new Image();
-            
-            img.onload = () => {
-              setImageSrc(src);
-              setImageStatus('loaded');
-              if (onLoad) onLoad();
-            };
-            
-            img.onerror = () => {
-              setImageStatus('error');
-              if (onError) onError();
-            };
-            
-            img.src = src;
-            
-            // Stop observing once loaded
-            observer.unobserve(entry.target);
-          }
-        });
+        // Load the image once it is about to enter the viewport
+        if (entries.some((entry) => entry.isIntersecting)) {
+          setIsVisible(true);
+          observer.disconnect();
+        }
       },
       {
         // Start loading slightly before image enters viewport
@@ -69,12 +71,26 @@ const LazyImage = ({
     }
 
     // Cleanup
-    return () => {
-      if (imgRef.current) {
-        observer.unobserve(imgRef.current);
-      }
-    };
-  }, [src, onLoad, onError]);
+    return () => observer.disconnect();
+  }, []);
+
+  const handleLoad = () => {
+    setImageStatus('loaded');
+    if (onLoad) onLoad();
+  };
+
+  const handleError = () => {
+    setImageStatus('error');
+    if (onError) onError();
+  };
+
+  // Variants in the original format, plus the original itself
+  const fallbackVariants = variants.filter(
+    (variant) => !SOURCE_FORMATS.includes(variant.format)
+  );
+  const fallbackSrcSet = fallbackVariants.length > 0 && srcWidth
+    ? toSrcSet([...fallbackVariants, { url: src, width: srcWidth }])
+    : undefined;
 
   return (
     <div
@@ -88,25 +104,49 @@ const LazyImage = ({
         ...style
       }}
     >
-      <img
-        src={imageSrc}
-        alt={alt}
-        className={`lazy-image ${imageStatus === 'loaded' ? 'loaded' : ''}`}
-        style={{
-          width: '100%',
-          height: '100%',
-          objectFit: 'cover',
-          transition: 'opacity 0.3s ease-in-out',
-          opacity: imageStatus === 'loaded' ? 1 : 0.5
-        }}
-      />
-      
-      {imageStatus === 'loading' && (
+      {placeholder && imageStatus !== 'loaded' && (
+        <img src={placeholder} alt="" aria-hidden="true" className="lazy-image-blur" />
+      )}
+
+      {isVisible && (
+        <picture>
+          {SOURCE_FORMATS.map((format) => {
+            const formatVariants = variants.filter((variant) => variant.format === format);
+            return formatVariants.length > 0 ? (
+              <source
+                key={format}
+                type={`image/${format}`}
+                srcSet={toSrcSet(formatVariants)}
+                sizes={sizes}
+              />
+            ) : null;
+          })}
+          <img
+            src={src}
+            srcSet={fallbackSrcSet}
+            sizes={fallbackSrcSet ? sizes : undefined}
+            alt={alt}
+            decoding="async"
+            onLoad={handleLoad}
+            onError={handleError}
+            className={`lazy-image ${imageStatus === 'loaded' ? 'loaded' : ''} ${imgClassName}`}
+            style={{
+              width: '100%',
+              height: '100%',
+              objectFit: 'cover',
+              transition: 'opacity 0.3s ease-in-out',
+              opacity: imageStatus === 'loaded' ? 1 : 0
+            }}
+          />
+        </picture>
+      )}
+
+      {imageStatus === 'loading' && !placeholder && (
         <div className="lazy-image-placeholder">
           <div className="lazy-image-spinner"></div>
         </div>
       )}
-      
+
       {imageStatus === 'error' && (
         <div className="lazy-image-error">
           <span>⚠️</span>
@@ -118,4 +158,3 @@ const LazyImage = ({
 };
 
 export default LazyImage;
-
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaLock, FaUnlock, FaSyncAlt, FaExclamationTriangle, FaCheckCircle } from 'react-icons/fa';
+import apiService from '../services/api';
+import './LockoutManager.css';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString('en-GB') : '—');
+
+// Lockouts tab: accounts and addresses blocked after failed sign-ins
+const LockoutManager = () => {
+  const [lockouts, setLockouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadLockouts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setLockouts(await apiService.getLockouts());
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load lockouts.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLockouts();
+  }, [loadLockouts]);
+
+  const handleUnlock = async (lockout) => {
+    const target = lockout.kind === 'account' ? `the account ${lockout.key}` : `the address ${lockout.key}`;
+    if (!window.confirm(`Unlock ${target} and clear its failed sign-in attempts?`)) {
+      return;
+    }
+
+    try {
+      const result = await apiService.unlockLockout(lockout.id);
+      setSuccess(result.message);
+      setError('');
+      setLockouts(lockouts.filter(item => item.id !== lockout.id));
+    } catch (err) {
+      setError(err.message || 'Failed to unlock.');
+      setSuccess('');
+    }
+  };
+
+  return (
+    <div className="lockouts">
+      <div className="lockouts-header">
+        <p>
+          Accounts are locked for a while after repeated failed sign-ins, and addresses
+          that fail against many accounts are blocked. Unlock someone who has confirmed
+          their identity.
+        </p>
+        <button className="btn btn-secondary" onClick={loadLockouts} disabled={loading}>
+          <FaSyncAlt />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="lockouts-message error">
+          <FaExclamationTriangle />
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="lockouts-message success">
+          <FaCheckCircle />
+          {success}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="lockouts-empty">Loading lockouts...</p>
+      ) : lockouts.length === 0 ? (
+        <div className="empty-state">
+          <FaUnlock className="empty-icon" />
+          <h3>No lockouts</h3>
+          <p>Nobody has failed to sign in recently.</p>
+        </div>
+      ) : (
+        <div className="lockouts-table-wrapper">
+          <table className="lockouts-table">
+            <thead>
+              <tr>
+                <th>Account / Address</th>
+                <th>Status</th>
+                <th>Recent failures</th>
+                <th>Last failure</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {lockouts.map(lockout => (
+                <tr key={lockout.id}>
+                  <td>
+                    {lockout.kind === 'account' ? (lockout.user ? lockout.user.name : lockout.key) : lockout.key}
+                    <span>
+                      {lockout.kind === 'account'
+                        ? (lockout.user ? lockout.key : 'No account with this email')
+                        : 'IP address'}
+                    </span>
+                  </td>
+                  <td>
+                    {lockout.lockedUntil ? (
+                      <span className="lockout-status locked">
+                        <FaLock /> Locked until {formatTime(lockout.lockedUntil)}
+                      </span>
+                    ) : (
+                      <span className="lockout-status">Failed attempts</span>
+                    )}
+                  </td>
+                  <td>
+                    {lockout.failures}
+                    {lockout.lockouts > 0 && (
+                      <span>{lockout.lockouts} lockout{lockout.lockouts === 1 ? '' : 's'} today</span>
+                    )}
+                  </td>
+                  <td>
+                    {formatTime(lockout.lastFailureAt)}
+                    {lockout.lastIp && <span>from {lockout.lastIp}</span>}
+                  </td>
+                  <td>
+                    <button className="btn btn-primary" onClick={() => handleUnlock(lockout)}>
+                      <FaUnlock />
+                      Unlock
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LockoutManager;
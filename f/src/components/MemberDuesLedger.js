@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { FaTimes, FaPlus, FaSave, FaFileCsv, FaReceipt, FaExclamationTriangle } from 'react-icons/fa';
+import apiService from '../services/api';
+import { saveBlob } from '../utils/download';
+import { formatDate, formatPaymentMethod, formatTaka } from '../utils/format';
+import './MemberDuesLedger.css';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Dues ledger for one member: payment history, new payments, CSV export and receipts
+const MemberDuesLedger = ({ member, paymentMethods, annualDues, onClose, onPaymentRecorded }) => {
+  const memberId = member._id || member.id;
+  const emptyPayment = {
+    amount: annualDues[member.membershipTier] ?? '',
+    method: 'cash',
+    reference: '',
+    paidAt: today(),
+    notes: ''
+  };
+
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyPayment);
+  const [error, setError] = useState('');
+
+  const loadPayments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await apiService.getMemberPayments(memberId);
+      setPayments(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load dues ledger.');
+    } finally {
+      setLoading(false);
+    }
+  }, [memberId]);
+
+  useEffect(() => {
+    loadPayments();
+  }, [loadPayments]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const result = await apiService.recordMemberPayment(memberId, formData);
+      setPayments([result.data.payment, ...payments]);
+      setFormData(emptyPayment);
+      setShowForm(false);
+      if (onPaymentRecorded) {
+        onPaymentRecorded(result.data.member);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to record payment.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await apiService.exportMemberPayments(memberId);
+      saveBlob(blob, `${member.membershipNumber || memberId}-dues-ledger.csv`);
+    } catch (err) {
+      setError(err.message || 'Failed to export dues ledger.');
+    }
+  };
+
+  const handleReceipt = async (payment) => {
+    try {
+      const blob = await apiService.getPaymentReceipt(memberId, payment._id);
+      saveBlob(blob, `${payment.receiptNumber}.pdf`);
+    } catch (err) {
+      setError(err.message || 'Failed to download receipt.');
+    }
+  };
+
+  const totalPaid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+  return (
+    <motion.div
+      className="dues-ledger"
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+    >
+      <div className="dues-ledger-header">
+        <div>
+          <h3>Dues Ledger: {member.companyName}</h3>
+          <p>
+            {member.membershipNumber || 'No membership number'} · Next due:{' '}
+            {member.membershipExpiry ? formatDate(member.membershipExpiry) : 'Never (life member)'}
+            {' '}· Total paid: {formatTaka(totalPaid)}
+          </p>
+        </div>
+        <button className="btn-close" onClick={onClose} title="Close ledger">
+          <FaTimes />
+        </button>
+      </div>
+
+      {error && (
+        <div className="dues-ledger-error">
+          <FaExclamationTriangle />
+          {error}
+        </div>
+      )}
+
+      <div className="dues-ledger-actions">
+        <button
+          className="btn btn-primary"
+          onClick={() => setShowForm(true)}
+          disabled={showForm || member.status !== 'approved'}
+        >
+          <FaPlus />
+          Record Payment
+        </button>
+        <button
+          className="btn btn-secondary"
+          onClick={handleExport}
+          disabled={payments.length === 0}
+        >
+          <FaFileCsv />
+          Export CSV
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="dues-ledger-form">
+          <div className="form-group">
+            <label htmlFor="dues-amount">Amount (BDT)</label>
+            <input
+              id="dues-amount"
+              type="number"
+              name="amount"
+              min="0"
+              value={formData.amount}
+              onChange={handleChange}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="dues-method">Method</label>
+            <select id="dues-method" name="method" value={formData.method} onChange={handleChange}>
+              {paymentMethods.map(method => (
+                <option key={method} value={method}>{formatPaymentMethod(method)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="dues-reference">
+              {formData.method === 'mobile-banking' ? 'Transaction ID (bKash/Nagad/Rocket)' : 'Reference'}
+            </label>
+            <input
+              id="dues-reference"
+              type="text"
+              name="reference"
+              value={formData.reference}
+              onChange={handleChange}
+              required={formData.method !== 'cash'}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="dues-paid-at">Paid On</label>
+            <input
+              id="dues-paid-at"
+              type="date"
+              name="paidAt"
+              value={formData.paidAt}
+              onChange={handleChange}
+              required
+            />
+          </div>
+          <div className="form-group dues-ledger-notes">
+            <label htmlFor="dues-notes">Notes</label>
+            <input
+              id="dues-notes"
+              type="text"
+              name="notes"
+              maxLength={500}
+              value={formData.notes}
+              onChange={handleChange}
+            />
+          </div>
+          <div className="dues-ledger-form-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              <FaSave />
+              {saving ? 'Saving...' : 'Save Payment'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => {
+                setShowForm(false);
+                setFormData(emptyPayment);
+              }}
+            >
+              <FaTimes />
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="dues-ledger-empty">Loading payments...</p>
+      ) : payments.length === 0 ? (
+        <p className="dues-ledger-empty">No dues payments recorded yet.</p>
+      ) : (
+        <div className="dues-ledger-table-wrapper">
+          <table className="dues-ledger-table">
+            <thead>
+              <tr>
+                <th>Receipt</th>
+                <th>Paid On</th>
+                <th>Amount</th>
+                <th>Method</th>
+                <th>Reference</th>
+                <th>Period</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {payments.map(payment => (
+                <tr key={payment._id}>
+                  <td>{payment.receiptNumber}</td>
+                  <td>{formatDate(payment.paidAt)}</td>
+                  <td>{formatTaka(payment.amount)}</td>
+                  <td>{formatPaymentMethod(payment.method)}</td>
+                  <td>{payment.reference || '-'}</td>
+                  <td>
+                    {payment.periodStart
+                      ? `${formatDate(payment.periodStart)} - ${formatDate(payment.periodEnd)}`
+                      : '-'}
+                  </td>
+                  <td>
+                    <button
+                      className="btn-icon btn-download"
+                      onClick={() => handleReceipt(payment)}
+                      title="Download receipt"
+                    >
+                      <FaReceipt />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default MemberDuesLedger;
@@ -1,13 +1,16 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FaBars, FaTimes, FaUser, FaSignOutAlt, FaUserShield } from 'react-icons/fa';
+import { useLanguage } from '../contexts/LanguageContext';
+import { FaBars, FaTimes, FaUser, FaSignOutAlt, FaUserShield, FaLanguage, FaSearch } from 'react-icons/fa';
 import Logo from './Logo';
 import './Navbar.css';
 
 const Navbar = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
   const { user, logout, isAdmin } = useAuth();
+  const { language, setLanguage, t } = useLanguage();
   const navigate = useNavigate();
 
 
@@ -21,56 +24,100 @@ const Navbar = () => {
     setIsMenuOpen(!isMenuOpen);
   };
 
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const q = searchQuery.trim();
+    if (!q) return;
+    navigate(`/search?${new URLSearchParams({ q })}`);
+    setSearchQuery('');
+    setIsMenuOpen(false);
+  };
+
+  const toggleLanguage = () => {
+    setLanguage(language === 'bn' ? 'en' : 'bn');
+  };
+
   return (
     <nav className="navbar">
       <div className="container">
         <div className="navbar-content">
       <Link to="/" className="navbar-brand">
         <Logo size={95} showText={false} />
-        <span className="brand-text">THE JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY</span>
+        <span className="brand-text">{t('nav.brand')}</span>
       </Link>
 
           <div className={`navbar-menu ${isMenuOpen ? 'active' : ''}`}>
             <Link to="/" className="navbar-link" onClick={() => setIsMenuOpen(false)}>
-              Home
+              {t('nav.home')}
             </Link>
             <Link to="/about" className="navbar-link" onClick={() => setIsMenuOpen(false)}>
-              About
+              {t('nav.about')}
+            </Link>
+            <Link to="/members" className="navbar-link" onClick={() => setIsMenuOpen(false)}>
+              {t('nav.members')}
+            </Link>
+            <Link to="/gallery" className="navbar-link" onClick={() => setIsMenuOpen(false)}>
+              {t('nav.gallery')}
+            </Link>
+            <Link to="/events" className="navbar-link" onClick={() => setIsMenuOpen(false)}>
+              {t('nav.events')}
             </Link>
             <Link to="/notice" className="navbar-link" onClick={() => setIsMenuOpen(false)}>
-              Notice
+              {t('nav.notice')}
             </Link>
+
+            <form className="navbar-search" onSubmit={handleSearch} role="search">
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder={t('nav.searchPlaceholder')}
+                aria-label={t('nav.searchPlaceholder')}
+              />
+              <button type="submit" title={t('search.submit')}>
+                <FaSearch />
+              </button>
+            </form>
             
             {user ? (
               <div className="navbar-user">
                 <Link to="/form" className="navbar-link" onClick={() => setIsMenuOpen(false)}>
-                  Form
+                  {t('nav.form')}
                 </Link>
                 {isAdmin() && (
                   <Link to="/admin" className="navbar-link admin-link" onClick={() => setIsMenuOpen(false)}>
-                    <FaUserShield /> Admin
+                    <FaUserShield /> {t('nav.admin')}
                   </Link>
                 )}
                 <div className="user-menu">
                   <span className="user-name">
                     <FaUser /> {user.name}
-                    {isAdmin() && <span className="admin-badge">Admin</span>}
+                    {isAdmin() && <span className="admin-badge">{t('nav.admin')}</span>}
                   </span>
                   <button onClick={handleLogout} className="logout-btn">
-                    <FaSignOutAlt /> Logout
+                    <FaSignOutAlt /> {t('nav.logout')}
                   </button>
                 </div>
               </div>
             ) : (
               <div className="navbar-auth">
                 <Link to="/login" className="btn btn-outline" onClick={() => setIsMenuOpen(false)}>
-                  Login
+                  {t('nav.login')}
                 </Link>
                 <Link to="/register" className="btn btn-primary" onClick={() => setIsMenuOpen(false)}>
-                  Register
+                  {t('nav.register')}
                 </Link>
               </div>
             )}
+
+            <button
+              className="language-toggle"
+              onClick={toggleLanguage}
+              title={t('nav.switchLanguage')}
+              lang={language === 'bn' ? 'en' : 'bn'}
+            >
+              <FaLanguage /> {t('nav.switchLanguageLabel')}
+            </button>
           </div>
 
           <button className="navbar-toggle" onClick={toggleMenu}>
@@ -0,0 +1,41 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { formatBanglaDate } from "../utils/banglaDate";
+import { useLanguage } from "../contexts/LanguageContext";
+
+// A news article as it appears in the home page's Latest News grid. Shared
+// with the preview page so unpublished articles look exactly as they will
+// live. Styled by Home.css, which both pages load.
+const NewsCard = ({ article, index = 0 }) => {
+  const { t, localize, formatDate, formatTime } = useLanguage();
+
+  return (
+    <motion.div
+      className="news-card"
+      initial={{ opacity: 0, y: 30 }}
+      whileInView={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6, delay: index * 0.1 }}
+      viewport={{ once: true }}
+      whileHover={{ y: -5, scale: 1.02 }}
+    >
+      <div className="news-date">
+        {formatDate(article.createdAt, {
+          month: "short",
+          day: "numeric",
+          year: "numeric",
+        })}{" "}
+        • {formatTime(article.createdAt)}
+      </div>
+      <div className="news-date-bangla">
+        {formatBanglaDate(article.createdAt)}
+      </div>
+      <h3 className="news-title">{localize(article, "title")}</h3>
+      <div className="news-category">{article.category}</div>
+      {article.isFeatured && (
+        <div className="news-featured">{t("common.featured")}</div>
+      )}
+    </motion.div>
+  );
+};
+
+export default NewsCard;
@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { FaFilePdf } from 'react-icons/fa';
+import { useLanguage } from '../contexts/LanguageContext';
+import './PdfThumbnail.css';
+
+// First page of an attached PDF, rendered by the server on upload. Files
+// without a preview (older uploads, unreadable PDFs) show the PDF icon.
+const PdfThumbnail = ({ file, onOpen, iconClassName = '' }) => {
+  const { t } = useLanguage();
+  const [failed, setFailed] = useState(false);
+  const thumbnail = file && file.thumbnail;
+
+  if (!thumbnail || !thumbnail.url || failed) {
+    return <FaFilePdf className={iconClassName} />;
+  }
+
+  return (
+    <button
+      type="button"
+      className="pdf-thumbnail"
+      onClick={onOpen}
+      title={t('notice.viewPdf')}
+      disabled={!onOpen}
+    >
+      <img
+        src={thumbnail.url}
+        width={thumbnail.width}
+        height={thumbnail.height}
+        alt={t('pdf.preview', { name: file.originalName || '' })}
+        loading="lazy"
+        onError={() => setFailed(true)}
+      />
+      {file.pageCount > 1 && (
+        <span className="pdf-thumbnail-pages">{t('pdf.pages', { count: file.pageCount })}</span>
+      )}
+    </button>
+  );
+};
+
+export default PdfThumbnail;
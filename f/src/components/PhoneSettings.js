@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { FaMobileAlt, FaTimes, FaCheckCircle, FaTrash } from 'react-icons/fa';
+import { useAuth } from '../contexts/AuthContext';
+import apiService from '../services/api';
+import './PhoneSettings.css';
+
+// Verified phone number of the signed-in account, used for SMS password resets
+const PhoneSettings = ({ onError, onSuccess }) => {
+  const { user, refreshProfile } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [phoneNumber, setPhoneNumber] = useState('');
+  // Number the verification code was sent to, while waiting for the code
+  const [pendingNumber, setPendingNumber] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const clearMessages = () => {
+    onError('');
+    onSuccess('');
+  };
+
+  const resetForm = () => {
+    setEditing(false);
+    setPhoneNumber('');
+    setPendingNumber(null);
+    setCode('');
+  };
+
+  const handleSendCode = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    clearMessages();
+    try {
+      const data = await apiService.addPhoneNumber(phoneNumber);
+      setPendingNumber(data.phoneNumber);
+      setCode('');
+      onSuccess(`We've texted a verification code to ${data.phoneNumber}.`);
+    } catch (err) {
+      onError(err.message || 'Failed to send verification code.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    clearMessages();
+    try {
+      await apiService.verifyPhoneNumber(code);
+      resetForm();
+      onSuccess('Phone number verified. You can now reset your password by SMS.');
+      await refreshProfile();
+    } catch (err) {
+      onError(err.message || 'Failed to verify phone number.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove this phone number? You will only be able to reset your password by email.')) {
+      return;
+    }
+    setBusy(true);
+    clearMessages();
+    try {
+      await apiService.removePhoneNumber();
+      onSuccess('Phone number removed.');
+      await refreshProfile();
+    } catch (err) {
+      onError(err.message || 'Failed to remove phone number.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="phone-settings">
+      <h3>
+        <FaMobileAlt />
+        Phone Number
+      </h3>
+
+      {pendingNumber ? (
+        <form onSubmit={handleVerify} className="phone-form">
+          <div className="form-group">
+            <label htmlFor="phone-code" className="form-label">
+              Code sent to {pendingNumber}
+            </label>
+            <input
+              id="phone-code"
+              className="form-input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="6-digit code"
+              required
+            />
+          </div>
+          <div className="phone-actions">
+            <button type="submit" className="btn btn-primary" disabled={busy}>
+              <FaCheckCircle />
+              {busy ? 'Verifying...' : 'Verify'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={resetForm}>
+              <FaTimes />
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : editing ? (
+        <form onSubmit={handleSendCode} className="phone-form">
+          <div className="form-group">
+            <label htmlFor="phone-number" className="form-label">
+              New phone number
+            </label>
+            <input
+              id="phone-number"
+              type="tel"
+              className="form-input"
+              value={phoneNumber}
+              onChange={(e) => setPhoneNumber(e.target.value)}
+              autoComplete="tel"
+              placeholder="e.g. 01712345678"
+              required
+            />
+          </div>
+          <div className="phone-actions">
+            <button type="submit" className="btn btn-primary" disabled={busy}>
+              <FaMobileAlt />
+              {busy ? 'Sending...' : 'Send Code'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={resetForm}>
+              <FaTimes />
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <p>
+            {user?.phoneNumber
+              ? <>Verified number: <strong>{user.phoneNumber}</strong></>
+              : 'Add a phone number to reset your password by SMS if you lose access to your email.'}
+          </p>
+          <div className="phone-actions">
+            <button className="btn btn-secondary" onClick={() => setEditing(true)}>
+              <FaMobileAlt />
+              {user?.phoneNumber ? 'Change Number' : 'Add Phone Number'}
+            </button>
+            {user?.phoneNumber && (
+              <button className="btn btn-secondary" onClick={handleRemove} disabled={busy}>
+                <FaTrash />
+                Remove
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PhoneSettings;
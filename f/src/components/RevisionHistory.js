@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { FaTimes, FaHistory, FaUndo, FaExclamationTriangle } from 'react-icons/fa';
+import apiService from '../services/api';
+import { useLanguage } from '../contexts/LanguageContext';
+import './RevisionHistory.css';
+
+const DIFF_PREFIXES = { added: '+ ', removed: '- ', same: '  ' };
+
+// Version history of a notice or news article: every saved version, what it
+// changed, and restoring an earlier one (saved as a new version)
+const RevisionHistory = ({ entityType, entityId, title, onClose, onRestored }) => {
+  const { t, locale } = useLanguage();
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  // 'previous': what the version changed; 'current': what restoring it would change
+  const [against, setAgainst] = useState('previous');
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setRevisions(await apiService.getRevisions(entityType, entityId));
+    } catch (err) {
+      setError(err.message || t('admin.revisions.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, entityId, t]);
+
+  useEffect(() => {
+    setSelected(null);
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const openRevision = useCallback(async (revisionId, compareTo) => {
+    try {
+      setError('');
+      const data = await apiService.getRevision(
+        entityType,
+        entityId,
+        revisionId,
+        compareTo === 'current' ? 'current' : undefined
+      );
+      setSelected(data);
+    } catch (err) {
+      setError(err.message || t('admin.revisions.loadFailed'));
+    }
+  }, [entityType, entityId, t]);
+
+  const handleCompareChange = (e) => {
+    setAgainst(e.target.value);
+    if (selected) openRevision(selected.revision._id, e.target.value);
+  };
+
+  const handleRestore = async () => {
+    const { revision } = selected;
+    if (!window.confirm(t('admin.revisions.confirmRestore', { version: revision.version }))) return;
+
+    setRestoring(true);
+    try {
+      await apiService.restoreRevision(entityType, entityId, revision._id);
+      setSelected(null);
+      await loadRevisions();
+      if (onRestored) onRestored();
+    } catch (err) {
+      setError(err.message || t('admin.revisions.restoreFailed'));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const formatWhen = (date) =>
+    new Date(date).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return t('admin.revisions.empty');
+    if (Array.isArray(value)) return value.length ? value.join(', ') : t('admin.revisions.empty');
+    if (typeof value === 'boolean') return value ? t('admin.revisions.yes') : t('admin.revisions.no');
+    return String(value);
+  };
+
+  const describeAction = (revision) =>
+    revision.action === 'restore'
+      ? t('admin.revisions.actions.restore', { version: revision.restoredFrom })
+      : t(`admin.revisions.actions.${revision.action}`);
+
+  return (
+    <motion.div
+      className="revision-history"
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+    >
+      <div className="revision-history-header">
+        <div>
+          <h3>
+            <FaHistory /> {t('admin.revisions.title', { title })}
+          </h3>
+          <p>{t('admin.revisions.subtitle')}</p>
+        </div>
+        <button className="btn-close" onClick={onClose} title={t('admin.revisions.close')}>
+          <FaTimes />
+        </button>
+      </div>
+
+      {error && (
+        <div className="revision-history-error">
+          <FaExclamationTriangle />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="revision-history-note">{t('admin.revisions.loading')}</p>
+      ) : revisions.length === 0 ? (
+        <p className="revision-history-note">{t('admin.revisions.none')}</p>
+      ) : (
+        <div className="revision-history-body">
+          <ul className="revision-list">
+            {revisions.map((revision) => (
+              <li key={revision._id}>
+                <button
+                  className={`revision-list-item ${
+                    selected && selected.revision._id === revision._id ? 'active' : ''
+                  }`}
+                  onClick={() => openRevision(revision._id, against)}
+                >
+                  <strong>{t('admin.revisions.version', { version: revision.version })}</strong>
+                  <span>{describeAction(revision)}</span>
+                  <small>
+                    {revision.editorName || t('admin.revisions.unknownEditor')} · {formatWhen(revision.createdAt)}
+                  </small>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="revision-detail">
+            {!selected ? (
+              <p className="revision-history-note">{t('admin.revisions.pick')}</p>
+            ) : (
+              <>
+                <div className="revision-detail-toolbar">
+                  <select value={against} onChange={handleCompareChange}>
+                    <option value="previous">{t('admin.revisions.againstPrevious')}</option>
+                    <option value="current">{t('admin.revisions.againstCurrent')}</option>
+                  </select>
+                  <button
+                    className="btn btn-primary"
+                    onClick={handleRestore}
+                    disabled={restoring || selected.revision.version === revisions[0].version}
+                  >
+                    <FaUndo />
+                    {restoring
+                      ? t('admin.revisions.restoring')
+                      : t('admin.revisions.restore', { version: selected.revision.version })}
+                  </button>
+                </div>
+
+                {selected.changes.length === 0 ? (
+                  <p className="revision-history-note">{t('admin.revisions.noChanges')}</p>
+                ) : (
+                  selected.changes.map((change) => (
+                    <div key={change.field} className="revision-change">
+                      <h4>{t(`admin.revisions.fields.${change.field}`)}</h4>
+                      {change.lines ? (
+                        <div className="revision-diff">
+                          {change.lines.map((line, index) => (
+                            <div key={index} className={`revision-diff-line ${line.type}`}>
+                              {DIFF_PREFIXES[line.type]}
+                              {line.text}
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <p className="revision-value-change">
+                          <span className="removed">{formatValue(change.before)}</span>
+                          {' → '}
+                          <span className="added">{formatValue(change.after)}</span>
+                        </p>
+                      )}
+                    </div>
+                  ))
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { FaPlus, FaSave, FaTimes, FaTrash, FaLock, FaUsers, FaShieldAlt } from 'react-icons/fa';
+import apiService from '../services/api';
+import './RoleManager.css';
+
+const emptyRole = {
+  name: '',
+  label: '',
+  description: '',
+  permissions: [],
+  requireTwoFactor: false
+};
+
+// Add or remove one permission from a list
+const togglePermission = (permissions, key) => (
+  permissions.includes(key)
+    ? permissions.filter(permission => permission !== key)
+    : [...permissions, key]
+);
+
+// Roles and their permissions, edited by super admins from Admin Settings
+const RoleManager = ({ onError, onSuccess }) => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingRole, setSavingRole] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyRole);
+
+  const loadRoles = useCallback(async () => {
+    try {
+      const data = await apiService.getRoles();
+      setRoles(data.roles);
+      setPermissions(data.permissions);
+      setDrafts(Object.fromEntries(data.roles.map(role => [role.name, role.permissions])));
+    } catch (err) {
+      onError(err.message || 'Failed to load roles.');
+    } finally {
+      setLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadRoles();
+  }, [loadRoles]);
+
+  const clearMessages = () => {
+    onError('');
+    onSuccess('');
+  };
+
+  const handleToggle = (roleName, key) => {
+    setDrafts({
+      ...drafts,
+      [roleName]: togglePermission(drafts[roleName], key)
+    });
+  };
+
+  const handleSave = async (role) => {
+    setSavingRole(role.name);
+    clearMessages();
+    try {
+      await apiService.updateRole(role.name, { permissions: drafts[role.name] });
+      onSuccess(`${role.label} permissions updated.`);
+      loadRoles();
+    } catch (err) {
+      onError(err.message || 'Failed to update role.');
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  // Saved straight away, including for system roles
+  const handleRequireTwoFactor = async (role, requireTwoFactor) => {
+    clearMessages();
+    try {
+      await apiService.updateRole(role.name, { requireTwoFactor });
+      onSuccess(requireTwoFactor
+        ? `${role.label} accounts must now use two-factor authentication.`
+        : `${role.label} accounts no longer need two-factor authentication.`);
+      loadRoles();
+    } catch (err) {
+      onError(err.message || 'Failed to update role.');
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the "${role.label}" role?`)) return;
+
+    clearMessages();
+    try {
+      await apiService.deleteRole(role.name);
+      onSuccess(`${role.label} role deleted.`);
+      loadRoles();
+    } catch (err) {
+      onError(err.message || 'Failed to delete role.');
+    }
+  };
+
+  const handleFormChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSavingRole('new');
+    clearMessages();
+    try {
+      await apiService.createRole(formData);
+      onSuccess(`${formData.label} role created.`);
+      setFormData(emptyRole);
+      setShowForm(false);
+      loadRoles();
+    } catch (err) {
+      onError(err.message || 'Failed to create role.');
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="role-manager-empty">Loading roles...</p>;
+  }
+
+  return (
+    <div className="role-manager">
+      <div className="role-manager-actions">
+        <button
+          className="btn btn-primary"
+          onClick={() => setShowForm(true)}
+          disabled={showForm}
+        >
+          <FaPlus />
+          New Role
+        </button>
+      </div>
+
+      {showForm && (
+        <motion.form
+          onSubmit={handleCreate}
+          className="role-card role-form"
+          initial={{ opacity: 0, height: 0 }}
+          animate={{ opacity: 1, height: 'auto' }}
+        >
+          <div className="role-form-fields">
+            <div className="form-group">
+              <label htmlFor="role-label" className="form-label">Label</label>
+              <input
+                id="role-label"
+                name="label"
+                className="form-input"
+                value={formData.label}
+                onChange={handleFormChange}
+                placeholder="e.g. Gallery Manager"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="role-name" className="form-label">Name</label>
+              <input
+                id="role-name"
+                name="name"
+                className="form-input"
+                value={formData.name}
+                onChange={handleFormChange}
+                placeholder="e.g. gallery-manager"
+                pattern="[a-z][a-z0-9-]{1,39}"
+                title="Lowercase letters, numbers and dashes"
+                required
+              />
+            </div>
+            <div className="form-group role-form-description">
+              <label htmlFor="role-description" className="form-label">Description</label>
+              <input
+                id="role-description"
+                name="description"
+                className="form-input"
+                value={formData.description}
+                onChange={handleFormChange}
+                maxLength={200}
+              />
+            </div>
+          </div>
+
+          <div className="role-permissions">
+            {permissions.map(permission => (
+              <label key={permission.key} className="role-permission">
+                <input
+                  type="checkbox"
+                  checked={formData.permissions.includes(permission.key)}
+                  onChange={() => setFormData({
+                    ...formData,
+                    permissions: togglePermission(formData.permissions, permission.key)
+                  })}
+                />
+                <span>
+                  <code>{permission.key}</code>
+                  {permission.description}
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <label className="role-two-factor">
+            <input
+              type="checkbox"
+              checked={formData.requireTwoFactor}
+              onChange={(e) => setFormData({ ...formData, requireTwoFactor: e.target.checked })}
+            />
+            <FaShieldAlt />
+            Require two-factor authentication
+          </label>
+
+          <div className="role-card-actions">
+            <button type="submit" className="btn btn-primary" disabled={savingRole === 'new'}>
+              <FaSave />
+              {savingRole === 'new' ? 'Creating...' : 'Create Role'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => {
+                setShowForm(false);
+                setFormData(emptyRole);
+              }}
+            >
+              <FaTimes />
+              Cancel
+            </button>
+          </div>
+        </motion.form>
+      )}
+
+      {roles.map(role => (
+        <div key={role.name} className="role-card">
+          <div className="role-card-header">
+            <div>
+              <h3>
+                {role.label}
+                {role.isSystem && <FaLock className="role-locked" title="System role" />}
+              </h3>
+              <p>{role.description}</p>
+            </div>
+            <span className="role-user-count">
+              <FaUsers />
+              {role.userCount}
+            </span>
+          </div>
+
+          <div className="role-permissions">
+            {permissions.map(permission => (
+              <label key={permission.key} className="role-permission">
+                <input
+                  type="checkbox"
+                  checked={drafts[role.name].includes(permission.key)}
+                  onChange={() => handleToggle(role.name, permission.key)}
+                  disabled={role.isSystem}
+                />
+                <span>
+                  <code>{permission.key}</code>
+                  {permission.description}
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {role.permissions.length > 0 && (
+            <label className="role-two-factor">
+              <input
+                type="checkbox"
+                checked={Boolean(role.requireTwoFactor)}
+                onChange={(e) => handleRequireTwoFactor(role, e.target.checked)}
+              />
+              <FaShieldAlt />
+              Require two-factor authentication
+            </label>
+          )}
+
+          {!role.isSystem && (
+            <div className="role-card-actions">
+              <button
+                className="btn btn-primary"
+                onClick={() => handleSave(role)}
+                disabled={savingRole === role.name}
+              >
+                <FaSave />
+                {savingRole === role.name ? 'Saving...' : 'Save Permissions'}
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => handleDelete(role)}
+                disabled={role.userCount > 0}
+                title={role.userCount > 0 ? 'Reassign its accounts first' : 'Delete role'}
+              >
+                <FaTrash />
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RoleManager;
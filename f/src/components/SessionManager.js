@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaDesktop, FaMobileAlt, FaSignOutAlt } from 'react-icons/fa';
+import { useAuth } from '../contexts/AuthContext';
+import apiService from '../services/api';
+import './SessionManager.css';
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Chrome/', 'Chrome'],
+  ['Firefox/', 'Firefox'],
+  ['Safari/', 'Safari']
+];
+
+const SYSTEMS = [
+  ['Android', 'Android'],
+  ['iPhone', 'iOS'],
+  ['iPad', 'iPadOS'],
+  ['Windows', 'Windows'],
+  ['Mac OS', 'macOS'],
+  ['Linux', 'Linux']
+];
+
+// Short "Chrome on Windows" style name for a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token));
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[1];
+  if (!browser) return system[1];
+  return `${browser[1]} on ${system[1]}`;
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+// Devices signed in to the current account, with per-device and global sign out
+const SessionManager = ({ onError, onSuccess }) => {
+  const { logout, logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await apiService.getSessions());
+    } catch (err) {
+      onError(err.message || 'Failed to load signed-in devices.');
+    } finally {
+      setLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const clearMessages = () => {
+    onError('');
+    onSuccess('');
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      logout();
+      navigate('/login');
+      return;
+    }
+
+    setRevoking(session.id);
+    clearMessages();
+    try {
+      await apiService.revokeSession(session.id);
+      onSuccess(`${describeDevice(session.userAgent)} has been signed out.`);
+      loadSessions();
+    } catch (err) {
+      onError(err.message || 'Failed to sign out device.');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+
+    setRevoking('all');
+    clearMessages();
+    try {
+      await logoutAll();
+      navigate('/login');
+    } catch (err) {
+      onError(err.message || 'Failed to sign out of all devices.');
+      setRevoking(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="session-manager-empty">Loading devices...</p>;
+  }
+
+  return (
+    <div className="session-manager">
+      <ul className="session-list">
+        {sessions.map(session => (
+          <li key={session.id} className={`session-item ${session.current ? 'current' : ''}`}>
+            <div className="session-icon">
+              {isMobile(session.userAgent) ? <FaMobileAlt /> : <FaDesktop />}
+            </div>
+            <div className="session-details">
+              <h3>
+                {describeDevice(session.userAgent)}
+                {session.current && <span className="session-current-badge">This device</span>}
+              </h3>
+              <p>
+                {session.ip || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString('en-GB')}
+              </p>
+              <p>Signed in {new Date(session.createdAt).toLocaleString('en-GB')}</p>
+            </div>
+            <button
+              className="btn btn-secondary"
+              onClick={() => handleRevoke(session)}
+              disabled={revoking !== null}
+            >
+              <FaSignOutAlt />
+              {revoking === session.id ? 'Signing out...' : 'Log out'}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="session-manager-actions">
+        <button
+          className="btn session-logout-all"
+          onClick={handleLogoutAll}
+          disabled={revoking !== null}
+        >
+          <FaSignOutAlt />
+          {revoking === 'all' ? 'Signing out...' : 'Log out of all devices'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SessionManager;
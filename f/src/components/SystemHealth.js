@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaSyncAlt, FaDatabase, FaCloud, FaExclamationTriangle, FaCheckCircle, FaTimesCircle } from 'react-icons/fa';
+import apiService from '../services/api';
+import './SystemHealth.css';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString('en-GB') : '—');
+
+const formatMs = (value) => (value === null || value === undefined ? '—' : `${value} ms`);
+
+const formatUptime = (value) => (value === null || value === undefined ? 'No data' : `${value}%`);
+
+const SERVICES = [
+  { key: 'database', label: 'Database', icon: FaDatabase },
+  { key: 'storage', label: 'File storage', icon: FaCloud }
+];
+
+// Slots of the status strip, oldest first, whether or not a bucket was
+// recorded for them (the server only keeps buckets that had checks)
+const historySlots = ({ buckets, bucketMinutes, hours }) => {
+  const bucketMs = bucketMinutes * 60 * 1000;
+  const count = (hours * 60) / bucketMinutes;
+  const latest = Math.floor(Date.now() / bucketMs) * bucketMs;
+  const byStart = new Map(buckets.map(bucket => [new Date(bucket.start).getTime(), bucket]));
+
+  return Array.from({ length: count }, (_, index) => {
+    const start = latest - (count - 1 - index) * bucketMs;
+    return { start, bucket: byStart.get(start) };
+  });
+};
+
+const slotTitle = ({ start, bucket }) => {
+  const time = formatTime(start);
+  if (!bucket) return `${time}: no checks`;
+  const parts = [`${bucket.checks} check${bucket.checks === 1 ? '' : 's'}`];
+  if (bucket.failures) parts.push(`${bucket.failures} failed`);
+  if (bucket.slow) parts.push(`${bucket.slow} slow`);
+  return `${time}: ${parts.join(', ')}`;
+};
+
+// One monitored service: status, latency, failures, self-test and a
+// 24-hour status strip
+const ServiceCard = ({ label, icon: Icon, service }) => (
+  <div className={`health-card ${service.status}`}>
+    <div className="health-card-header">
+      <h3>
+        <Icon /> {label}
+        {service.driver && <span className="health-card-detail">{service.driver}</span>}
+      </h3>
+      <span className={`health-status ${service.status}`}>{service.status}</span>
+    </div>
+
+    <p className="health-since">
+      Since {formatTime(service.since)}
+      {service.checkedAt && <> · last checked {formatTime(service.checkedAt)}</>}
+    </p>
+
+    <div className="health-stats">
+      <div>
+        <span>Uptime (24h)</span>
+        <strong>{formatUptime(service.history.uptime)}</strong>
+      </div>
+      <div>
+        <span>Latency p50 / p95 / p99</span>
+        <strong>
+          {formatMs(service.latency.p50)} / {formatMs(service.latency.p95)} / {formatMs(service.latency.p99)}
+        </strong>
+      </div>
+      <div>
+        <span>Checks / errors</span>
+        <strong>{service.checks} / {service.errorCount}</strong>
+      </div>
+    </div>
+
+    <div className="health-history">
+      <div className="health-history-strip">
+        {historySlots(service.history).map(slot => (
+          <span
+            key={slot.start}
+            className={`health-slot ${slot.bucket ? slot.bucket.status : 'empty'}`}
+            title={slotTitle(slot)}
+          />
+        ))}
+      </div>
+      <div className="health-history-scale">
+        <span>24 hours ago</span>
+        <span>Now</span>
+      </div>
+    </div>
+
+    {service.lastFailure && (
+      <div className="health-failure">
+        <FaExclamationTriangle />
+        <div>
+          <strong>Last failure {formatTime(service.lastFailure.at)}</strong>
+          <p>
+            {service.lastFailure.message}
+            {service.lastFailure.code && ` (${service.lastFailure.code})`}
+          </p>
+        </div>
+      </div>
+    )}
+
+    {service.lastTest && (
+      <ul className="health-operations">
+        {service.lastTest.operations.map(operation => (
+          <li key={operation.name} className={operation.success ? 'passed' : 'failed'}>
+            {operation.success ? <FaCheckCircle /> : <FaTimesCircle />}
+            <span>{operation.name}</span>
+            <span>{formatMs(operation.latencyMs)}</span>
+            {operation.error && <em>{operation.error}</em>}
+          </li>
+        ))}
+      </ul>
+    )}
+
+    {service.transitions.length > 0 && (
+      <details className="health-transitions">
+        <summary>Status changes ({service.transitions.length})</summary>
+        <ul>
+          {service.transitions.map(transition => (
+            <li key={`${transition.at}-${transition.to}`}>
+              {formatTime(transition.at)}: {transition.from} → <strong>{transition.to}</strong>
+              {transition.reason && <span> — {transition.reason}</span>}
+            </li>
+          ))}
+        </ul>
+      </details>
+    )}
+  </div>
+);
+
+// Health tab: database and storage monitors from /api/health/detailed. Each
+// load also runs a write/read/delete test against both.
+const SystemHealth = () => {
+  const [health, setHealth] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadHealth = useCallback(async () => {
+    try {
+      setLoading(true);
+      setHealth(await apiService.getSystemHealth());
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load system health.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHealth();
+  }, [loadHealth]);
+
+  return (
+    <div className="system-health">
+      <div className="system-health-header">
+        <p>
+          The database and file storage are checked regularly in the background. Checking now also writes,
+          reads and deletes a test record and file to confirm both work end to end.
+        </p>
+        <button className="btn btn-secondary" onClick={loadHealth} disabled={loading}>
+          <FaSyncAlt className={loading ? 'spinning' : ''} />
+          {loading ? 'Checking...' : 'Check now'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="system-health-message">
+          <FaExclamationTriangle />
+          {error}
+        </div>
+      )}
+
+      {health && (
+        <>
+          <div className={`system-health-overall ${health.overallStatus}`}>
+            Overall: <strong>{health.overallStatus}</strong>
+            <span>Checked {formatTime(health.timestamp)}</span>
+          </div>
+          <div className="health-cards">
+            {SERVICES.map(({ key, label, icon }) => (
+              <ServiceCard key={key} label={label} icon={icon} service={health[key]} />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SystemHealth;
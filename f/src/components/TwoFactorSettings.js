@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaShieldAlt, FaDownload, FaKey, FaTimes, FaCheckCircle } from 'react-icons/fa';
+import { useAuth } from '../contexts/AuthContext';
+import apiService from '../services/api';
+import { saveBlob } from '../utils/download';
+import './TwoFactorSettings.css';
+
+// Enrollment and management of authenticator-app two-factor authentication
+const TwoFactorSettings = ({ onError, onSuccess }) => {
+  const { user, refreshProfile } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  // 'disable' or 'regenerate' while asking for the password
+  const [passwordAction, setPasswordAction] = useState(null);
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await apiService.getTwoFactorStatus());
+    } catch (err) {
+      onError(err.message || 'Failed to load two-factor status.');
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const clearMessages = () => {
+    onError('');
+    onSuccess('');
+  };
+
+  const handleStartSetup = async () => {
+    setBusy(true);
+    clearMessages();
+    try {
+      setSetup(await apiService.setupTwoFactor());
+      setCode('');
+    } catch (err) {
+      onError(err.message || 'Failed to start two-factor setup.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    clearMessages();
+    try {
+      const data = await apiService.enableTwoFactor(code);
+      setRecoveryCodes(data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      onSuccess('Two-factor authentication is now on. Save your recovery codes somewhere safe.');
+      await loadStatus();
+      // Permissions held back until enrollment now apply
+      await refreshProfile();
+    } catch (err) {
+      onError(err.message || 'Failed to enable two-factor authentication.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    clearMessages();
+    try {
+      if (passwordAction === 'disable') {
+        await apiService.disableTwoFactor(password);
+        setRecoveryCodes([]);
+        onSuccess('Two-factor authentication has been turned off.');
+        await refreshProfile();
+      } else {
+        const data = await apiService.regenerateRecoveryCodes(password);
+        setRecoveryCodes(data.recoveryCodes);
+        onSuccess('New recovery codes generated. Your old codes no longer work.');
+      }
+      setPasswordAction(null);
+      setPassword('');
+      await loadStatus();
+    } catch (err) {
+      onError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownloadCodes = () => {
+    const text = [
+      `Recovery codes for ${user?.email}`,
+      'Each code can be used once to sign in without your authenticator app.',
+      '',
+      ...recoveryCodes
+    ].join('\n');
+    saveBlob(new Blob([text], { type: 'text/plain' }), 'recovery-codes.txt');
+  };
+
+  if (!status) {
+    return <p className="two-factor-empty">Loading...</p>;
+  }
+
+  return (
+    <div className="two-factor">
+      {recoveryCodes.length > 0 && (
+        <div className="two-factor-card recovery-codes">
+          <h3>
+            <FaKey />
+            Recovery codes
+          </h3>
+          <p>
+            Each code signs you in once if you lose your phone. They won't be shown again.
+          </p>
+          <ul>
+            {recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode}><code>{recoveryCode}</code></li>
+            ))}
+          </ul>
+          <div className="two-factor-actions">
+            <button className="btn btn-primary" onClick={handleDownloadCodes}>
+              <FaDownload />
+              Download
+            </button>
+            <button className="btn btn-secondary" onClick={() => setRecoveryCodes([])}>
+              <FaCheckCircle />
+              I've saved them
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="two-factor-card">
+        <h3>
+          <FaShieldAlt />
+          Status: {status.enabled ? <span className="two-factor-on">On</span> : <span className="two-factor-off">Off</span>}
+        </h3>
+
+        {status.required && !status.enabled && (
+          <p className="two-factor-required">
+            Your role requires two-factor authentication. Set it up to use the admin panel.
+          </p>
+        )}
+
+        {status.enabled ? (
+          <>
+            <p>
+              Enabled on {new Date(status.enabledAt).toLocaleDateString('en-GB')}.
+              {' '}{status.recoveryCodesRemaining} unused recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+            </p>
+
+            {passwordAction ? (
+              <form onSubmit={handlePasswordSubmit} className="two-factor-form">
+                <div className="form-group">
+                  <label htmlFor="two-factor-password" className="form-label">
+                    Confirm your password
+                  </label>
+                  <input
+                    id="two-factor-password"
+                    type="password"
+                    className="form-input"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="current-password"
+                    required
+                  />
+                </div>
+                <div className="two-factor-actions">
+                  <button type="submit" className="btn btn-primary" disabled={busy}>
+                    {passwordAction === 'disable' ? 'Turn Off' : 'Generate New Codes'}
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => {
+                      setPasswordAction(null);
+                      setPassword('');
+                    }}
+                  >
+                    <FaTimes />
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="two-factor-actions">
+                <button className="btn btn-secondary" onClick={() => setPasswordAction('regenerate')}>
+                  <FaKey />
+                  New Recovery Codes
+                </button>
+                {!status.required && (
+                  <button className="btn btn-secondary" onClick={() => setPasswordAction('disable')}>
+                    <FaTimes />
+                    Turn Off
+                  </button>
+                )}
+              </div>
+            )}
+          </>
+        ) : setup ? (
+          <form onSubmit={handleEnable} className="two-factor-setup">
+            <ol>
+              <li>Install an authenticator app such as Google Authenticator, Microsoft Authenticator or Authy.</li>
+              <li>Scan this QR code with the app, or enter the key by hand.</li>
+              <li>Enter the 6-digit code the app shows.</li>
+            </ol>
+            <div className="two-factor-qr">
+              <img src={setup.qrCode} alt="QR code for your authenticator app" />
+              <code>{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+            </div>
+            <div className="form-group">
+              <label htmlFor="two-factor-code" className="form-label">Verification code</label>
+              <input
+                id="two-factor-code"
+                className="form-input"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="6-digit code"
+                required
+              />
+            </div>
+            <div className="two-factor-actions">
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                <FaShieldAlt />
+                {busy ? 'Verifying...' : 'Turn On'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setSetup(null)}>
+                <FaTimes />
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <p>
+              Protect your account with a code from an authenticator app on your phone,
+              in addition to your password.
+            </p>
+            <button className="btn btn-primary" onClick={handleStartSetup} disabled={busy}>
+              <FaShieldAlt />
+              Set Up Two-Factor Authentication
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
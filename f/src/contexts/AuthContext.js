@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import apiService from '../services/api';
+import logger from '../utils/logger';
 
 const AuthContext = createContext();
 
@@ -15,6 +16,29 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  // Pick up role, permission and two-factor changes made since the last login
+  const refreshProfile = useCallback(async () => {
+    const profile = await apiService.getProfile();
+    setUser((current) => {
+      // Signed out while the profile was loading
+      if (!current) return current;
+
+      const refreshedUser = {
+        ...current,
+        name: profile.name,
+        email: profile.email,
+        role: profile.role,
+        phoneNumber: profile.phoneNumber || null,
+        permissions: profile.permissions || [],
+        language: profile.language || 'en',
+        twoFactorEnabled: Boolean(profile.twoFactor && profile.twoFactor.enabled),
+        twoFactorSetupRequired: Boolean(profile.twoFactorSetupRequired)
+      };
+      localStorage.setItem('user', JSON.stringify(refreshedUser));
+      return refreshedUser;
+    });
+  }, []);
+
   useEffect(() => {
     // Check if user is logged in on app start
     const savedUser = localStorage.getItem('user');
@@ -23,8 +47,10 @@ export const AuthProvider = ({ children }) => {
     if (savedUser && savedToken) {
       try {
         setUser(JSON.parse(savedUser));
+        refreshProfile()
+          .catch((error) => logger.error('Error refreshing user profile:', error));
       } catch (error) {
-        console.error('Error parsing user data from localStorage:', error);
+        logger.error('Error parsing user data from localStorage:', error);
         // Clear invalid data
         localStorage.removeItem('user');
         localStorage.removeItem('token');
@@ -32,57 +58,105 @@ export const AuthProvider = ({ children }) => {
       }
     }
     setLoading(false);
+  }, [refreshProfile]);
+
+  // The API client signals when the session can no longer be refreshed
+  useEffect(() => {
+    const handleSessionEnded = () => setUser(null);
+    window.addEventListener('auth:logout', handleSessionEnded);
+    return () => window.removeEventListener('auth:logout', handleSessionEnded);
   }, []);
 
+  // Store the token and user from a successful sign-in
+  const startSession = (response) => {
+    localStorage.setItem('token', response.token);
+    localStorage.setItem('user', JSON.stringify(response.user));
+    setUser(response.user);
+    return response.user;
+  };
+
+  // Resolves to the user, or to { twoFactorRequired, challengeToken } when a
+  // second step is needed (see verifyTwoFactor)
   const login = async (email, password) => {
     try {
       // Use backend API for login
       const response = await apiService.login({ email, password });
-      
-      // Store token and user data
-      localStorage.setItem('token', response.token);
-      localStorage.setItem('user', JSON.stringify(response.user));
-      
-      setUser(response.user);
-      return response.user;
+
+      if (response.twoFactorRequired) {
+        return {
+          twoFactorRequired: true,
+          challengeToken: response.challengeToken
+        };
+      }
+
+      return startSession(response);
     } catch (error) {
       throw new Error(error.message || 'Login failed');
     }
   };
 
+  // Second login step; method is 'totp', 'recovery' or 'email'
+  const verifyTwoFactor = async (challengeToken, code, method) => {
+    const response = await apiService.verifyTwoFactorLogin({ challengeToken, code, method });
+    return startSession(response);
+  };
+
   const register = async (name, email, password) => {
     try {
       // Use backend API for registration
       const response = await apiService.register({ name, email, password });
-      
-      // Store token and user data
-      localStorage.setItem('token', response.token);
-      localStorage.setItem('user', JSON.stringify(response.user));
-      
-      setUser(response.user);
-      return response.user;
+      return startSession(response);
     } catch (error) {
       throw new Error(error.message || 'Registration failed');
     }
   };
 
-  const logout = () => {
+  const clearSession = () => {
     setUser(null);
     localStorage.removeItem('user');
     localStorage.removeItem('token');
   };
 
+  // Sign out this device. The server ends the session in the background.
+  const logout = () => {
+    apiService.logout().catch((error) => logger.error('Error ending session:', error));
+    clearSession();
+  };
+
+  // Sign out every device, including this one
+  const logoutAll = async () => {
+    await apiService.logoutAll();
+    clearSession();
+  };
+
+  // Permission names match the backend, e.g. 'notice:write' or 'admin:manage'
+  const hasPermission = (permission) => {
+    return Boolean(user && user.permissions && user.permissions.includes(permission));
+  };
+
+  // Staff accounts: any role with at least one permission can open the admin panel
   const isAdmin = () => {
-    return user && user.role === 'admin';
+    return Boolean(user && user.permissions && user.permissions.length > 0);
+  };
+
+  // Staff whose role requires two-factor authentication and who haven't set
+  // it up yet; they may only open Admin Settings to enroll
+  const needsTwoFactorSetup = () => {
+    return Boolean(user && user.twoFactorSetupRequired);
   };
 
   const value = {
     user,
     login,
+    verifyTwoFactor,
+    refreshProfile,
     register,
     logout,
+    logoutAll,
     loading,
-    isAdmin
+    isAdmin,
+    hasPermission,
+    needsTwoFactorSetup
   };
 
   return (
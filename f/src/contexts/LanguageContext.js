@@ -0,0 +1,122 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import apiService from '../services/api';
+import en from '../locales/en';
+import bn from '../locales/bn';
+import logger from '../utils/logger';
+
+const LanguageContext = createContext();
+
+const DICTIONARIES = { en, bn };
+const LOCALES = { en: 'en-US', bn: 'bn-BD' };
+const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = Object.keys(DICTIONARIES);
+
+const lookup = (dictionary, key) =>
+  key.split('.').reduce((node, part) => (node == null ? node : node[part]), dictionary);
+
+// Language picked on this browser, used until an account's preference loads
+const getStoredLanguage = () => {
+  const stored = localStorage.getItem('language');
+  return LANGUAGES.includes(stored) ? stored : DEFAULT_LANGUAGE;
+};
+
+export const useLanguage = () => {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useLanguage must be used within a LanguageProvider');
+  }
+  return context;
+};
+
+export const LanguageProvider = ({ children }) => {
+  const { user, refreshProfile } = useAuth();
+  const [language, setLanguageState] = useState(getStoredLanguage);
+  const userLanguage = user ? user.language : null;
+
+  // Signed-in users get the language saved on their account
+  useEffect(() => {
+    if (LANGUAGES.includes(userLanguage)) {
+      setLanguageState(userLanguage);
+      localStorage.setItem('language', userLanguage);
+    }
+  }, [userLanguage]);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = useCallback(async (nextLanguage) => {
+    if (!LANGUAGES.includes(nextLanguage)) return;
+
+    setLanguageState(nextLanguage);
+    localStorage.setItem('language', nextLanguage);
+
+    if (!user) return;
+    try {
+      await apiService.updatePreferences({ language: nextLanguage });
+      await refreshProfile();
+    } catch (error) {
+      // The choice still applies on this browser
+      logger.error('Error saving language preference:', error);
+    }
+  }, [user, refreshProfile]);
+
+  const locale = LOCALES[language];
+
+  const formatNumber = useCallback(
+    (value, options) => new Intl.NumberFormat(locale, options).format(value),
+    [locale]
+  );
+
+  const formatDate = useCallback(
+    (value, options = { year: 'numeric', month: 'long', day: 'numeric' }) =>
+      value ? new Date(value).toLocaleDateString(locale, options) : '',
+    [locale]
+  );
+
+  const formatTime = useCallback(
+    (value, options = { hour: '2-digit', minute: '2-digit' }) =>
+      value ? new Date(value).toLocaleTimeString(locale, options) : '',
+    [locale]
+  );
+
+  // t('notice.by', { author }) - falls back to English, then to the key.
+  // Numbers passed as params are written in the current language's digits.
+  const t = useCallback((key, params = {}) => {
+    const text = lookup(DICTIONARIES[language], key) ?? lookup(en, key);
+    if (typeof text !== 'string') return key;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+  }, [language, formatNumber]);
+
+  // Bangla version of a notice or news field when the site is in Bangla and
+  // one was written, e.g. localize(notice, 'title') reads notice.titleBn
+  const localize = useCallback((item, field) => {
+    if (!item) return '';
+    if (language === 'bn' && item[`${field}Bn`]) return item[`${field}Bn`];
+    return item[field];
+  }, [language]);
+
+  const value = useMemo(() => ({
+    language,
+    locale,
+    setLanguage,
+    t,
+    localize,
+    formatNumber,
+    formatDate,
+    formatTime
+  }), [language, locale, setLanguage, t, localize, formatNumber, formatDate, formatTime]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
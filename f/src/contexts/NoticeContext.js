@@ -94,6 +94,8 @@ export const NoticeProvider = ({ children }) => {
           id: Date.now(),
           title: noticeData.title,
           content: noticeData.content,
+          titleBn: noticeData.titleBn || '',
+          contentBn: noticeData.contentBn || '',
           author: noticeData.author,
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString(),
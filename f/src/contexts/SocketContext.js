@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useEffect, useState } from "react";
 import { io } from "socket.io-client";
 import { useAuth } from "./AuthContext";
+import logger from "../utils/logger";
 
 const SocketContext = createContext();
 
@@ -29,29 +30,36 @@ export const SocketProvider = ({ children }) => {
 
     // Connection event handlers
     newSocket.on("connect", () => {
-      console.log("🔌 Connected to WebSocket server");
+      logger.info("🔌 Connected to WebSocket server");
       setIsConnected(true);
 
       // Join appropriate room based on user role
       if (isAdmin) {
         newSocket.emit("join-admin");
-        console.log("👑 SocketContext: Joined admin room");
+        logger.debug("👑 SocketContext: Joined admin room");
       } else {
         newSocket.emit("join-user");
-        console.log("👤 SocketContext: Joined user room");
+        logger.debug("👤 SocketContext: Joined user room");
       }
     });
 
     newSocket.on("disconnect", () => {
-      console.log("🔌 Disconnected from WebSocket server");
+      logger.info("🔌 Disconnected from WebSocket server");
       setIsConnected(false);
     });
 
     newSocket.on("connect_error", (error) => {
-      console.error("❌ WebSocket connection error:", error);
+      // Network trouble, not a bug: shown but not reported
+      logger.warn("❌ WebSocket connection error:", error);
       setIsConnected(false);
     });
 
+    // Events caused by an API request carry its ID, matching the server logs
+    newSocket.onAny((event, payload, meta) => {
+      const requestId = meta && meta.requestId;
+      logger.debug(requestId ? `📨 ${event} (request ${requestId})` : `📨 ${event}`);
+    });
+
     setSocket(newSocket);
 
     // Cleanup on unmount
@@ -65,10 +73,10 @@ export const SocketProvider = ({ children }) => {
     if (socket && isConnected) {
       if (isAdmin) {
         socket.emit("join-admin");
-        console.log("👑 Rejoined admin room");
+        logger.debug("👑 Rejoined admin room");
       } else {
         socket.emit("join-user");
-        console.log("👤 Rejoined user room");
+        logger.debug("👤 Rejoined user room");
       }
     }
   }, [socket, isConnected, isAdmin]);
@@ -0,0 +1,22 @@
+import { useEffect } from "react";
+import { useLocation } from "react-router-dom";
+
+/**
+ * Scroll-to-hash hook - Brings the element named by the URL hash into view,
+ * e.g. a notice opened from the search results (/notice#notice-<id>)
+ * @param {boolean} ready - Whether the content holding the element has loaded (default: true)
+ */
+const useScrollToHash = (ready = true) => {
+  const { hash } = useLocation();
+
+  useEffect(() => {
+    if (!ready || !hash) return;
+
+    const element = document.getElementById(decodeURIComponent(hash.slice(1)));
+    if (element) {
+      element.scrollIntoView({ behavior: "smooth", block: "center" });
+    }
+  }, [hash, ready]);
+};
+
+export default useScrollToHash;
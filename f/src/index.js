@@ -2,6 +2,10 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import "./index.css";
 import App from "./App";
+import logger from "./utils/logger";
+
+// Send uncaught errors to the server logs
+logger.captureGlobalErrors();
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
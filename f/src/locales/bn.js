@@ -0,0 +1,434 @@
+// Bangla interface strings, keyed like en.js
+const bn = {
+  common: {
+    cancel: "বাতিল",
+    refresh: "রিফ্রেশ",
+    readMore: "আরও পড়ুন",
+    featured: "বিশেষ",
+    updating: "হালনাগাদ হচ্ছে...",
+  },
+  nav: {
+    brand: "জামালপুর চেম্বার অব কমার্স অ্যান্ড ইন্ডাস্ট্রি",
+    home: "হোম",
+    about: "আমাদের সম্পর্কে",
+    members: "সদস্য",
+    gallery: "গ্যালারি",
+    events: "ইভেন্ট",
+    notice: "নোটিশ",
+    form: "ফর্ম",
+    admin: "অ্যাডমিন",
+    logout: "লগআউট",
+    login: "লগইন",
+    register: "নিবন্ধন",
+    switchLanguage: "View in English",
+    switchLanguageLabel: "English",
+    searchPlaceholder: "খুঁজুন...",
+  },
+  home: {
+    heroTitle: "ত্বরান্বিত করছি",
+    heroHighlight: "ট্রিলিয়ন ডলারের অর্থনীতির পথচলা",
+    heroSubtitle: "জামালপুর চেম্বার অব কমার্স অ্যান্ড ইন্ডাস্ট্রি",
+    heroDescription:
+      "জামালপুর চেম্বার অব কমার্স অ্যান্ড ইন্ডাস্ট্রি (জেসিসিআই) বাংলাদেশের শীর্ষ বাণিজ্য সংগঠন, যা পরামর্শক ও উপদেষ্টার ভূমিকায় ব্যবসায়ীদের স্বার্থ রক্ষা করে এবং সারা দেশে অর্থনৈতিক প্রবৃদ্ধিতে অবদান রাখে।",
+    joinNetwork: "আমাদের নেটওয়ার্কে যোগ দিন",
+    learnMore: "আরও জানুন",
+    searchPlaceholder: "সংবাদ, ইভেন্ট ও আরও অনেক কিছু খুঁজুন...",
+    searchResults: "অনুসন্ধানের ফলাফল ({count})",
+    moreResults: "আরও {count}টি ফলাফল...",
+    noResults: "\"{query}\" এর জন্য কোনো ফলাফল পাওয়া যায়নি",
+    noResultsHint: "অন্য শব্দ দিয়ে চেষ্টা করুন বা বানান যাচাই করুন",
+    allResults: "সব ফলাফল দেখুন",
+    growth: "প্রবৃদ্ধি",
+    network: "নেটওয়ার্ক",
+    security: "নিরাপত্তা",
+    introTitle: "জামালপুর চেম্বার অব কমার্স অ্যান্ড ইন্ডাস্ট্রি পরিচিতি",
+    yearsOfExcellence: "বছরের উৎকর্ষ",
+    missionTitle: "আমাদের লক্ষ্য",
+    mission:
+      "চেম্বার ৪.০ টেকসই, আরও দক্ষ ও অংশগ্রহণমূলক কার্যক্রমে মনোযোগী। চতুর্থ শিল্প বিপ্লবের সাথে সামঞ্জস্যপূর্ণ শীর্ষ চেম্বারের চতুর্থ প্রজন্মের নেতৃত্ব হিসেবে আমরা নীতি সহায়তায় উৎকর্ষের লক্ষ্যে ব্যবসায়ী সমাজের সাথে কাজ করি।",
+    visionTitle: "আমাদের রূপকল্প",
+    vision:
+      "সিএমএসএমই থেকে বাংলাদেশের বৃহত্তম খাত পর্যন্ত বাণিজ্য ও বিনিয়োগ সহায়তা সংক্রান্ত সকল বিষয়ে এবং নীতি সহায়তায় উৎকর্ষের কেন্দ্র হয়ে ওঠা।",
+    executiveMeeting: "কার্যনির্বাহী সভা",
+    servicesTitle: "আমাদের কার্যক্রম",
+    servicesSubtitle: "আপনার ব্যবসার প্রবৃদ্ধি ও উন্নয়নে সমন্বিত সেবা",
+    services: {
+      trade: {
+        title: "বাণিজ্য ও অর্থায়ন কার্যক্রম",
+        description:
+          "সদস্য চেম্বার অব কমার্স এবং বাণিজ্য ও শিল্প সমিতিগুলোর স্বার্থ সমন্বয় ও প্রসারের পাশাপাশি জেসিসিআই বাণিজ্য সহজীকরণ ও আর্থিক কার্যক্রমে গুরুত্বপূর্ণ ভূমিকা রাখে।",
+      },
+      policy: {
+        title: "নীতি সহায়তা",
+        description:
+          "ব্যবসা সহজীকরণ ও অর্থনৈতিক প্রবৃদ্ধির লক্ষ্যে জেসিসিআই রাজস্ব, মুদ্রা ও অন্যান্য নীতিগত বিষয়ে নিয়মিতভাবে সরকারের সাথে আলোচনা করে।",
+      },
+      csr: {
+        title: "সামাজিক দায়বদ্ধতা",
+        description:
+          "দেশের সামাজিক ও পরিবেশগত উন্নয়ন এবং কমিউনিটি উন্নয়নে জেসিসিআই বিভিন্ন করপোরেট সামাজিক দায়বদ্ধতা কার্যক্রমে অংশ নেয়।",
+      },
+      research: {
+        title: "গবেষণা ও পরিকল্পনা",
+        description:
+          "উন্নয়ন পরিকল্পনা ও নীতি প্রণয়নে দেশের বাণিজ্য ও শিল্পকে সহায়তা করতে জেসিসিআই পরিসংখ্যান ও প্রয়োজনীয় তথ্য সংগ্রহ করে।",
+      },
+      arbitration: {
+        title: "সালিশ",
+        description:
+          "সালিশ সেবার মাধ্যমে সারা দেশের ব্যবসায়ীদের দেশি ও আন্তর্জাতিক বিরোধ স্বল্প খরচে নিষ্পত্তিতে জেসিসিআই সহায়তা করে।",
+      },
+      delegation: {
+        title: "বাণিজ্য প্রতিনিধিদল বিনিময়",
+        description:
+          "আন্তর্জাতিক ব্যবসায়িক সম্পর্কের জন্য আগত ও বহির্গামী প্রতিনিধিদল সমন্বয় এবং প্রয়োজনীয় সহায়তার ব্যবস্থা করা জেসিসিআই-এর অন্যতম গুরুত্বপূর্ণ দায়িত্ব।",
+      },
+      networking: {
+        title: "কৌশলগত অংশীদারদের সাথে যোগাযোগ",
+        description:
+          "দ্বিপাক্ষিক অংশীদারিত্ব গড়ে তোলার পাশাপাশি জেসিসিআই বিদেশি জাতীয় চেম্বার এবং অন্যান্য বাণিজ্য ও শিল্প সমিতির সাথে ঘনিষ্ঠ যোগাযোগ রাখে।",
+      },
+      seminar: {
+        title: "সেমিনার / সিম্পোজিয়াম",
+        description:
+          "জাতীয় অর্থনীতি সংশ্লিষ্ট গুরুত্বপূর্ণ বিষয়ে জেসিসিআই বিভিন্ন সরকারি ফোরাম ও ব্যবসায়িক সম্মেলনে আলোচনা ও মত বিনিময় করে।",
+      },
+    },
+    stats: {
+      chambers: "চেম্বার",
+      associations: "সমিতি",
+      jointChambers: "যৌথ চেম্বার",
+      gbMembers: "সাধারণ পরিষদ সদস্য",
+    },
+    galleryTitle: "পেশাদার সভা ও ইভেন্ট",
+    gallerySubtitle: "উচ্চ পর্যায়ের আলোচনা ও কৌশলগত অংশীদারিত্ব",
+    allAlbums: "সকল অ্যালবাম",
+    refreshGallery: "গ্যালারি রিফ্রেশ করুন",
+    viewAlbum: "অ্যালবাম দেখুন",
+    newsTitle: "সর্বশেষ সংবাদ",
+    newsSubtitle: "আমাদের সর্বশেষ ঘোষণা ও ইভেন্টের খবর জানুন",
+    loadingNews: "সর্বশেষ সংবাদ লোড হচ্ছে...",
+    noNews: "এই মুহূর্তে কোনো সংবাদ নেই।",
+    contactTitle: "যোগাযোগ",
+    location: "আমাদের ঠিকানা",
+    address: "নতুন বাস টার্মিনাল রোড, বিসিক এলাকা, জামালপুর, ঢাকা",
+    email: "ইমেইল",
+    phone: "ফোন",
+    followUs: "আমাদের অনুসরণ করুন",
+    ctaTitle: "আমাদের নেটওয়ার্কে যোগ দিতে প্রস্তুত?",
+    ctaDescription:
+      "বাংলাদেশের অর্থনৈতিক অগ্রযাত্রায় প্রবৃদ্ধি ও উন্নয়নের জন্য জেসিসিআই-এর উপর আস্থা রাখা হাজারো সফল প্রতিষ্ঠানের সাথে যুক্ত হোন।",
+    becomeMember: "সদস্য হোন",
+    exploreServices: "সেবাসমূহ দেখুন",
+  },
+  notice: {
+    title: "নোটিশ ও ঘোষণা",
+    subtitle: "সর্বশেষ সংবাদ, হালনাগাদ তথ্য ও গুরুত্বপূর্ণ ঘোষণা জানুন।",
+    live: "সরাসরি হালনাগাদ চালু",
+    offline: "অফলাইন মোড",
+    all: "সকল নোটিশ",
+    high: "উচ্চ অগ্রাধিকার",
+    normal: "সাধারণ",
+    low: "নিম্ন অগ্রাধিকার",
+    refreshTitle: "নোটিশ রিফ্রেশ করুন",
+    searchPlaceholder: "নোটিশ খুঁজুন...",
+    loading: "নোটিশ লোড হচ্ছে...",
+    priority: {
+      high: "জরুরি",
+      normal: "সাধারণ",
+      low: "নিম্ন",
+    },
+    view: "দেখুন",
+    viewPdf: "পিডিএফ দেখুন",
+    downloadPdf: "পিডিএফ ডাউনলোড করুন",
+    attachmentHint:
+      "পিডিএফ খুলতে \"দেখুন\" অথবা সংরক্ষণ করতে ডাউনলোড বোতামে ক্লিক করুন",
+    by: "প্রকাশক: {author}",
+    updated: "হালনাগাদ: {date}",
+    emptyTitle: "কোনো নোটিশ পাওয়া যায়নি",
+    emptyText: "এই মুহূর্তে এই বিভাগে কোনো নোটিশ নেই।",
+  },
+  pdf: {
+    preview: "{name}-এর প্রথম পৃষ্ঠা",
+    pages: "{count} পৃষ্ঠা",
+  },
+  errorBoundary: {
+    title: "কিছু একটা সমস্যা হয়েছে",
+    message: "এই পৃষ্ঠাটি দেখানো যায়নি। সমস্যাটি জানানো হয়েছে।",
+    retry: "আবার চেষ্টা করুন",
+    home: "হোম পেজে যান",
+  },
+  form: {
+    title: "পিডিএফ স্ক্যান ব্যবস্থাপনা",
+    subtitle: "পিডিএফ নথি আপলোড, স্ক্যান ও ব্যবস্থাপনা করুন",
+    newScan: "নতুন পিডিএফ স্ক্যান",
+    editScan: "পিডিএফ স্ক্যান সম্পাদনা",
+    cancelEdit: "সম্পাদনা বাতিল",
+    name: "পূর্ণ নাম *",
+    namePlaceholder: "আপনার পূর্ণ নাম লিখুন",
+    email: "ইমেইল ঠিকানা *",
+    emailPlaceholder: "আপনার ইমেইল লিখুন",
+    phone: "ফোন নম্বর",
+    phonePlaceholder: "আপনার ফোন নম্বর লিখুন",
+    scanType: "স্ক্যানের ধরন *",
+    scanTypes: {
+      document: "নথি স্ক্যান",
+      contract: "চুক্তিপত্র স্ক্যান",
+      invoice: "চালান স্ক্যান",
+      certificate: "সনদ স্ক্যান",
+      report: "প্রতিবেদন স্ক্যান",
+      other: "অন্যান্য নথি",
+    },
+    pdf: "পিডিএফ নথি *",
+    choosePdf: "স্ক্যানের জন্য পিডিএফ ফাইল বাছাই করুন",
+    removeFile: "ফাইল সরান",
+    description: "বিবরণ *",
+    descriptionPlaceholder: "কী স্ক্যান করতে চান বা বিশেষ কোনো চাহিদা থাকলে লিখুন",
+    submit: "পিডিএফ স্ক্যান জমা দিন",
+    update: "স্ক্যান হালনাগাদ করুন",
+    errors: {
+      invalidPdf: "একটি সঠিক পিডিএফ ফাইল বাছাই করুন",
+      fileTooLarge: "ফাইলের আকার ১০ এমবির কম হতে হবে",
+      descriptionRequired: "বিবরণ আবশ্যক",
+      descriptionTooShort: "বিবরণ কমপক্ষে ১০ অক্ষরের হতে হবে",
+      fixErrors: "জমা দেওয়ার আগে সব ত্রুটি ঠিক করুন",
+      submitFailed: "পিডিএফ স্ক্যান জমা দেওয়া যায়নি। আবার চেষ্টা করুন।",
+    },
+    submitted: "পিডিএফ স্ক্যান সফলভাবে জমা হয়েছে!",
+    scans: "পিডিএফ স্ক্যান ({count})",
+    adminView: "অ্যাডমিন ভিউ",
+    downloadAll: "সব ডাউনলোড",
+    dataOnly: "শুধু তথ্য",
+    pdfsOnly: "শুধু পিডিএফ",
+    print: "প্রিন্ট",
+    noScans: "এখনো কোনো পিডিএফ স্ক্যান নেই। ব্যবহারকারীরা স্ক্যানের জন্য প্রথম পিডিএফ নথি আপলোড করতে পারেন।",
+    edit: "সম্পাদনা",
+    delete: "মুছুন",
+    submittedAt: "জমা: {date}",
+    restrictedTitle: "অ্যাডমিন প্রবেশাধিকার প্রয়োজন",
+    restrictedMessage:
+      "শুধু অ্যাডমিনরা ফর্মের জমা দেখতে ও ডাউনলোড করতে পারেন। এই সুবিধা পেতে অ্যাডমিন অ্যাকাউন্টে লগইন করুন।",
+    loginAsAdmin: "অ্যাডমিন হিসেবে লগইন",
+  },
+  admin: {
+    title: "অ্যাডমিন প্যানেল",
+    welcome: "স্বাগতম, {name}",
+    tabs: {
+      notices: "নোটিশ",
+      submissions: "জমা",
+      gallery: "গ্যালারি",
+      albums: "অ্যালবাম",
+      events: "ইভেন্ট",
+      news: "সংবাদ",
+      scheduled: "নির্ধারিত",
+      members: "সদস্য",
+      admins: "অ্যাডমিন",
+      activity: "কার্যক্রম",
+      lockouts: "লকআউট",
+      health: "সিস্টেম",
+    },
+    addNotice: "নতুন নোটিশ যোগ করুন",
+    uploadImage: "ছবি আপলোড",
+    addArticle: "নতুন সংবাদ যোগ করুন",
+    addAdmin: "নতুন অ্যাডমিন যোগ করুন",
+    downloadPdfReport: "পিডিএফ প্রতিবেদন ডাউনলোড",
+    downloadJson: "JSON ডাউনলোড",
+    printReport: "প্রতিবেদন প্রিন্ট",
+    settings: "সেটিংস",
+    noticeForm: {
+      addTitle: "নতুন নোটিশ যোগ করুন",
+      editTitle: "নোটিশ সম্পাদনা",
+      title: "শিরোনাম",
+      titlePlaceholder: "নোটিশের শিরোনাম লিখুন",
+      titleBn: "শিরোনাম (বাংলা, ঐচ্ছিক)",
+      titleBnPlaceholder: "বাংলায় নোটিশের শিরোনাম",
+      priority: "অগ্রাধিকার",
+      content: "বিষয়বস্তু",
+      contentPlaceholder: "নোটিশের বিষয়বস্তু লিখুন",
+      contentBn: "বিষয়বস্তু (বাংলা, ঐচ্ছিক)",
+      contentBnPlaceholder: "বাংলায় নোটিশের বিষয়বস্তু",
+      bilingualHint:
+        "বাংলা সংস্করণ দেওয়া থাকলে বাংলায় সাইট দেখা পাঠকেরা সেটিই দেখবেন।",
+      pdf: "পিডিএফ সংযুক্তি (ঐচ্ছিক)",
+      choosePdf: "পিডিএফ ফাইল বাছাই করুন",
+      pdfHint:
+        "এই নোটিশের সাথে একটি পিডিএফ ফাইল সংযুক্ত করুন। ব্যবহারকারীরা এটি ডাউনলোড করতে পারবেন।",
+      adding: "যোগ হচ্ছে...",
+      add: "নোটিশ যোগ করুন",
+      update: "নোটিশ হালনাগাদ করুন",
+    },
+    priority: {
+      low: "নিম্ন",
+      normal: "সাধারণ",
+      high: "উচ্চ",
+    },
+    newsForm: {
+      createTitle: "নতুন সংবাদ তৈরি করুন",
+      editTitle: "সংবাদ সম্পাদনা",
+      title: "সংবাদের শিরোনাম *",
+      titlePlaceholder: "সংবাদের শিরোনাম লিখুন",
+      titleBn: "সংবাদের শিরোনাম (বাংলা, ঐচ্ছিক)",
+      titleBnPlaceholder: "বাংলায় সংবাদের শিরোনাম",
+      content: "সংবাদের বিষয়বস্তু *",
+      contentPlaceholder: "সংবাদের বিষয়বস্তু এখানে লিখুন...",
+      contentBn: "সংবাদের বিষয়বস্তু (বাংলা, ঐচ্ছিক)",
+      contentBnPlaceholder: "বাংলায় সংবাদের বিষয়বস্তু",
+      category: "বিভাগ",
+      imageUrl: "ছবির URL (ঐচ্ছিক)",
+      uploadImage: "ছবি আপলোড (ঐচ্ছিক)",
+      chooseImage: "ছবির ফাইল বাছাই করুন",
+      imageHint: "আপলোড করা ছবি উপরের ছবির URL-এর পরিবর্তে ব্যবহৃত হবে।",
+      featured: "বিশেষ সংবাদ",
+      creating: "তৈরি হচ্ছে...",
+      create: "সংবাদ তৈরি করুন",
+      update: "সংবাদ হালনাগাদ করুন",
+    },
+    publishing: {
+      publishAt: "প্রকাশের সময় (ঐচ্ছিক)",
+      expireAt: "মেয়াদ শেষের সময় (ঐচ্ছিক)",
+      hint:
+        "এখনই প্রকাশ করে রেখে দিতে ফাঁকা রাখুন। ভবিষ্যতের প্রকাশের সময় দিলে সেই সময় পর্যন্ত এটি লুকানো থাকবে।",
+      types: {
+        notice: "নোটিশ",
+        news: "সংবাদ",
+      },
+      scheduled: "নির্ধারিত",
+      live: "প্রকাশিত",
+      publishes: "প্রকাশ হবে {date}",
+      expires: "মেয়াদ শেষ {date}",
+      edit: "সম্পাদনা",
+      delete: "মুছুন",
+      emptyTitle: "কিছু নির্ধারিত নেই",
+      emptyText:
+        "ভবিষ্যতের প্রকাশ বা মেয়াদ শেষের সময়সহ নোটিশ ও সংবাদ এখানে দেখা যাবে।",
+    },
+    headings: {
+      notices: "নোটিশ ব্যবস্থাপনা ({count})",
+      submissions: "ব্যবহারকারীদের জমা ({count})",
+      gallery: "গ্যালারির ছবি ব্যবস্থাপনা ({count})",
+      news: "সংবাদ ব্যবস্থাপনা ({count})",
+      members: "সদস্য প্রোফাইল ({count})",
+      albums: "গ্যালারি অ্যালবাম",
+      events: "ইভেন্ট ও নিবন্ধন",
+      activity: "কার্যক্রম",
+      lockouts: "সাইন-ইন লকআউট",
+      health: "সিস্টেমের অবস্থা",
+      admins: "অ্যাডমিন ব্যবস্থাপনা ({count})",
+      scheduled: "নির্ধারিত প্রকাশনা",
+    },
+    workflow: {
+      all: "সব",
+      status: {
+        draft: "খসড়া",
+        in_review: "পর্যালোচনায়",
+        published: "প্রকাশিত",
+        archived: "আর্কাইভ",
+      },
+      hidden: "লুকানো",
+      actions: {
+        submit: "পর্যালোচনায় পাঠান",
+        publish: "প্রকাশ করুন",
+        approve: "অনুমোদন ও প্রকাশ",
+        backToDraft: "খসড়ায় ফেরত",
+        archive: "আর্কাইভ করুন",
+        reopen: "খসড়া হিসেবে খুলুন",
+      },
+      sendBackPrompt: "লেখকের জন্য মন্তব্য (ঐচ্ছিক):",
+      moved: {
+        draft: "সংবাদটি খসড়ায় ফেরত গেছে।",
+        in_review: "সংবাদটি পর্যালোচনায় পাঠানো হয়েছে।",
+        published: "সংবাদটি প্রকাশিত হয়েছে।",
+        archived: "সংবাদটি আর্কাইভ করা হয়েছে।",
+      },
+      failed: "সংবাদের অবস্থা পরিবর্তন করা যায়নি",
+      preview: "প্রিভিউ",
+      previewLink: "প্রিভিউ লিংক: {url}",
+      previewFailed: "প্রিভিউ লিংক তৈরি করা যায়নি",
+      saveAs: "সংরক্ষণের ধরন",
+      submittedBy: "{name} পর্যালোচনায় পাঠিয়েছেন",
+      sentBack: "{name} ফেরত পাঠিয়েছেন: {note}",
+    },
+    revisions: {
+      open: "ইতিহাস",
+      title: "\"{title}\"-এর ইতিহাস",
+      subtitle: "সংরক্ষিত প্রতিটি সংস্করণ, নতুনটি আগে।",
+      close: "ইতিহাস বন্ধ করুন",
+      loading: "ইতিহাস লোড হচ্ছে...",
+      none: "এখনো কোনো সংস্করণ নেই।",
+      pick: "কী বদলেছে দেখতে একটি সংস্করণ বেছে নিন।",
+      version: "সংস্করণ {version}",
+      unknownEditor: "অজানা সম্পাদক",
+      actions: {
+        original: "ইতিহাস রাখার আগের অবস্থা",
+        create: "তৈরি",
+        update: "সম্পাদিত",
+        restore: "সংস্করণ {version} পুনরুদ্ধার",
+      },
+      againstPrevious: "আগের সংস্করণের সাথে তুলনা",
+      againstCurrent: "বর্তমান লেখার সাথে তুলনা",
+      restore: "সংস্করণ {version} পুনরুদ্ধার করুন",
+      restoring: "পুনরুদ্ধার হচ্ছে...",
+      confirmRestore:
+        "সংস্করণ {version} পুনরুদ্ধার করবেন? বর্তমান লেখা ইতিহাসে থেকে যাবে।",
+      restored: "আগের সংস্করণ পুনরুদ্ধার করা হয়েছে।",
+      noChanges: "কোনো পার্থক্য নেই।",
+      empty: "(ফাঁকা)",
+      yes: "হ্যাঁ",
+      no: "না",
+      loadFailed: "ইতিহাস লোড করা যায়নি",
+      restoreFailed: "এই সংস্করণ পুনরুদ্ধার করা যায়নি",
+      fields: {
+        title: "শিরোনাম",
+        content: "বিষয়বস্তু",
+        titleBn: "শিরোনাম (বাংলা)",
+        contentBn: "বিষয়বস্তু (বাংলা)",
+        priority: "অগ্রাধিকার",
+        author: "লেখক",
+        tags: "ট্যাগ",
+        category: "বিভাগ",
+        isFeatured: "বিশেষ",
+      },
+    },
+  },
+  preview: {
+    banner: "প্রিভিউ — প্রকাশের পর সংবাদটি এভাবে দেখা যাবে",
+    loading: "প্রিভিউ লোড হচ্ছে...",
+    invalid: "এই প্রিভিউ লিংকটি অবৈধ বা মেয়াদোত্তীর্ণ।",
+  },
+  search: {
+    title: "অনুসন্ধান",
+    placeholder: "নোটিশ, সংবাদ ও গ্যালারিতে খুঁজুন...",
+    submit: "খুঁজুন",
+    prompt: "পুরো সাইটে খুঁজতে একটি শব্দ বা বাক্যাংশ লিখুন।",
+    loading: "খোঁজা হচ্ছে...",
+    failed: "এই মুহূর্তে অনুসন্ধান করা যাচ্ছে না। পরে আবার চেষ্টা করুন।",
+    summary: '"{query}"-এর জন্য {count}টি ফলাফল',
+    none: '"{query}"-এর জন্য কিছু পাওয়া যায়নি',
+    noneHint: "কম বা অন্য শব্দ দিয়ে চেষ্টা করুন, অথবা ফিল্টার সরান।",
+    inDocument: "সংযুক্ত পিডিএফে:",
+    any: "সব",
+    previous: "আগের",
+    next: "পরের",
+    page: "পৃষ্ঠা {page} / {pages}",
+    facets: {
+      type: "ধরন",
+      category: "বিভাগ",
+      year: "বছর",
+    },
+    types: {
+      notice: "নোটিশ",
+      news: "সংবাদ",
+      gallery: "গ্যালারি",
+    },
+    categories: {
+      business: "ব্যবসা",
+      policy: "নীতি",
+      event: "অনুষ্ঠান",
+      announcement: "ঘোষণা",
+      meeting: "সভা",
+      conference: "সম্মেলন",
+    },
+  },
+};
+
+export default bn;
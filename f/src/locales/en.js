@@ -0,0 +1,440 @@
+// English interface strings. Keys are grouped by page; bn.js mirrors this
+// file and any key missing there falls back to the English text.
+const en = {
+  common: {
+    cancel: "Cancel",
+    refresh: "Refresh",
+    readMore: "Read More",
+    featured: "Featured",
+    updating: "Updating...",
+  },
+  nav: {
+    brand: "THE JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY",
+    home: "Home",
+    about: "About",
+    members: "Members",
+    gallery: "Gallery",
+    events: "Events",
+    notice: "Notice",
+    form: "Form",
+    admin: "Admin",
+    logout: "Logout",
+    login: "Login",
+    register: "Register",
+    switchLanguage: "বাংলায় দেখুন",
+    switchLanguageLabel: "বাংলা",
+    searchPlaceholder: "Search...",
+  },
+  home: {
+    heroTitle: "Accelerating the",
+    heroHighlight: "Trillion Dollar Journey",
+    heroSubtitle: "THE JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY",
+    heroDescription:
+      "JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY (JCCI) is the apex trade organization of Bangladesh playing a pivotal role in consultative and advisory capacity, safeguarding the interest of businesses and fostering economic growth across the nation.",
+    joinNetwork: "Join Our Network",
+    learnMore: "Learn More",
+    searchPlaceholder: "Search news, events, and more...",
+    searchResults: "Search Results ({count})",
+    moreResults: "And {count} more results...",
+    noResults: 'No results found for "{query}"',
+    noResultsHint: "Try different keywords or check your spelling",
+    allResults: "See all results",
+    growth: "Growth",
+    network: "Network",
+    security: "Security",
+    introTitle: "Introduction to THE JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY",
+    yearsOfExcellence: "Years of Excellence",
+    missionTitle: "Our Mission",
+    mission:
+      "Chamber 4.0 focused on sustainability and more efficient activities that would be more participative. As fourth generation leaders of umbrella chamber aligned with 4RI, we engage with business communication of excellence in policy advocacy.",
+    visionTitle: "Our Vision",
+    vision:
+      "To be the center of excellence in policy advocacy and all matters relevant to trade and investment facilitation from CMSME to the largest sector of Bangladesh.",
+    executiveMeeting: "Executive Meeting",
+    servicesTitle: "What We Do",
+    servicesSubtitle:
+      "Comprehensive services to support your business growth and development",
+    services: {
+      trade: {
+        title: "Trade and Finance Activities",
+        description:
+          "Along with coordinating and promoting the interest of its members- Chambers of Commerce, Trade, and Industrial Association, JCCI also plays a crucial role in trade facilitation and financial activities.",
+      },
+      policy: {
+        title: "Policy Advocacy",
+        description:
+          "JCCI regularly conducts advocacy with the government on different fiscal, monetary and other policy issues for enabling ease of doing business and economic growth.",
+      },
+      csr: {
+        title: "CSR Activity",
+        description:
+          "JCCI takes part in different Corporate Social Responsibilities in order to enhance the social and environmental aspects of the country and community development.",
+      },
+      research: {
+        title: "Research & Planning",
+        description:
+          "JCCI collects statistical and additional necessary data to aid the trade and industry of the country in regard to development planning and policy formulation.",
+      },
+      arbitration: {
+        title: "Arbitration",
+        description:
+          "JCCI provides assistance to the businessmen all over the country to settle their domestic and international disputes at a minimum cost through arbitration services.",
+      },
+      delegation: {
+        title: "Exchange of Business Delegation",
+        description:
+          "It is one of the crucial duties of JCCI to maintain the incoming and outgoing delegations along with arranging all necessary support for international business relations.",
+      },
+      networking: {
+        title: "Networking with Strategic Partners",
+        description:
+          "JCCI maintains close liaison with the foreign National Chambers of Commerce and other Trade and Industrial Associations while initiating bilateral partnerships.",
+      },
+      seminar: {
+        title: "Seminar / Symposiums",
+        description:
+          "JCCI discusses and shares views on the crucial matters relevant to and affecting the national economy in various government forums and business conferences.",
+      },
+    },
+    stats: {
+      chambers: "Chambers",
+      associations: "Associations",
+      jointChambers: "Joint Chambers",
+      gbMembers: "G.B Members",
+    },
+    galleryTitle: "Professional Meetings & Events",
+    gallerySubtitle:
+      "Engaging in high-level discussions and strategic partnerships",
+    allAlbums: "All Albums",
+    refreshGallery: "Refresh gallery",
+    viewAlbum: "View album",
+    newsTitle: "Latest News",
+    newsSubtitle: "Stay updated with our latest announcements and events",
+    loadingNews: "Loading latest news...",
+    noNews: "No news articles available at the moment.",
+    contactTitle: "Contact Us",
+    location: "Our Location",
+    address: "New Bus Terminal Road, BASIC Area, Jamalpur, Dhaka",
+    email: "Email",
+    phone: "Phone",
+    followUs: "Follow Us",
+    ctaTitle: "Ready to Join Our Network?",
+    ctaDescription:
+      "Join thousands of successful businesses that trust JCCI for their growth and development in Bangladesh's economic journey.",
+    becomeMember: "Become a Member",
+    exploreServices: "Explore Services",
+  },
+  notice: {
+    title: "Notices & Announcements",
+    subtitle:
+      "Stay updated with the latest news, updates, and important information about our platform.",
+    live: "Live Updates Active",
+    offline: "Offline Mode",
+    all: "All Notices",
+    high: "High Priority",
+    normal: "Normal",
+    low: "Low Priority",
+    refreshTitle: "Refresh notices",
+    searchPlaceholder: "Search notices...",
+    loading: "Loading notices...",
+    priority: {
+      high: "HIGH",
+      normal: "NORMAL",
+      low: "LOW",
+    },
+    view: "View",
+    viewPdf: "View PDF",
+    downloadPdf: "Download PDF",
+    attachmentHint: 'Click "View" to open PDF or "Download" to save it',
+    by: "By: {author}",
+    updated: "Updated: {date}",
+    emptyTitle: "No notices found",
+    emptyText: "There are no notices in this category at the moment.",
+  },
+  pdf: {
+    preview: "First page of {name}",
+    pages: "{count} pages",
+  },
+  errorBoundary: {
+    title: "Something went wrong",
+    message: "This page could not be shown. The problem has been reported.",
+    retry: "Try again",
+    home: "Go to home page",
+  },
+  form: {
+    title: "PDF Scan Management",
+    subtitle:
+      "Upload, scan, and manage PDF documents with our advanced scanning system",
+    newScan: "New PDF Scan",
+    editScan: "Edit PDF Scan",
+    cancelEdit: "Cancel Edit",
+    name: "Full Name *",
+    namePlaceholder: "Enter your full name",
+    email: "Email Address *",
+    emailPlaceholder: "Enter your email",
+    phone: "Phone Number",
+    phonePlaceholder: "Enter your phone number",
+    scanType: "Scan Type *",
+    scanTypes: {
+      document: "Document Scan",
+      contract: "Contract Scan",
+      invoice: "Invoice Scan",
+      certificate: "Certificate Scan",
+      report: "Report Scan",
+      other: "Other Document",
+    },
+    pdf: "PDF Document *",
+    choosePdf: "Choose PDF file to scan",
+    removeFile: "Remove file",
+    description: "Description *",
+    descriptionPlaceholder:
+      "Describe what you want to scan or any special requirements",
+    submit: "Submit PDF Scan",
+    update: "Update Scan",
+    errors: {
+      invalidPdf: "Please select a valid PDF file",
+      fileTooLarge: "File size must be less than 10MB",
+      descriptionRequired: "Description is required",
+      descriptionTooShort: "Description must be at least 10 characters long",
+      fixErrors: "Please fix all validation errors before submitting",
+      submitFailed: "Error submitting PDF scan. Please try again.",
+    },
+    submitted: "PDF scan submitted successfully!",
+    scans: "PDF Scans ({count})",
+    adminView: "Admin View",
+    downloadAll: "Download All",
+    dataOnly: "Data Only",
+    pdfsOnly: "PDFs Only",
+    print: "Print",
+    noScans:
+      "No PDF scans yet. Users can upload their first PDF document for scanning.",
+    edit: "Edit",
+    delete: "Delete",
+    submittedAt: "Submitted: {date}",
+    restrictedTitle: "Admin Access Required",
+    restrictedMessage:
+      "Only administrators can view and download form submissions. Please log in with an admin account to access this feature.",
+    loginAsAdmin: "Login as Admin",
+  },
+  admin: {
+    title: "Admin Panel",
+    welcome: "Welcome, {name}",
+    tabs: {
+      notices: "Notices",
+      submissions: "Submissions",
+      gallery: "Gallery",
+      albums: "Albums",
+      events: "Events",
+      news: "News",
+      scheduled: "Scheduled",
+      members: "Members",
+      admins: "Admins",
+      activity: "Activity",
+      lockouts: "Lockouts",
+      health: "Health",
+    },
+    addNotice: "Add New Notice",
+    uploadImage: "Upload Image",
+    addArticle: "Add New Article",
+    addAdmin: "Add New Admin",
+    downloadPdfReport: "Download PDF Report",
+    downloadJson: "Download JSON",
+    printReport: "Print Report",
+    settings: "Settings",
+    noticeForm: {
+      addTitle: "Add New Notice",
+      editTitle: "Edit Notice",
+      title: "Title",
+      titlePlaceholder: "Enter notice title",
+      titleBn: "Title (Bangla, optional)",
+      titleBnPlaceholder: "Notice title in Bangla",
+      priority: "Priority",
+      content: "Content",
+      contentPlaceholder: "Enter notice content",
+      contentBn: "Content (Bangla, optional)",
+      contentBnPlaceholder: "Notice content in Bangla",
+      bilingualHint:
+        "Visitors reading the site in Bangla see the Bangla version when one is given.",
+      pdf: "PDF Attachment (Optional)",
+      choosePdf: "Choose PDF file",
+      pdfHint:
+        "Upload a PDF file to attach to this notice. Users will be able to download it.",
+      adding: "Adding...",
+      add: "Add Notice",
+      update: "Update Notice",
+    },
+    priority: {
+      low: "Low",
+      normal: "Normal",
+      high: "High",
+    },
+    newsForm: {
+      createTitle: "Create New Article",
+      editTitle: "Edit News Article",
+      title: "Article Title *",
+      titlePlaceholder: "Enter article title",
+      titleBn: "Article Title (Bangla, optional)",
+      titleBnPlaceholder: "Article title in Bangla",
+      content: "Article Content *",
+      contentPlaceholder: "Write your article content here...",
+      contentBn: "Article Content (Bangla, optional)",
+      contentBnPlaceholder: "Article content in Bangla",
+      category: "Category",
+      imageUrl: "Image URL (Optional)",
+      uploadImage: "Upload Image (Optional)",
+      chooseImage: "Choose image file",
+      imageHint: "An uploaded image replaces the image URL above.",
+      featured: "Featured Article",
+      creating: "Creating...",
+      create: "Create Article",
+      update: "Update Article",
+    },
+    publishing: {
+      publishAt: "Publish at (optional)",
+      expireAt: "Expire at (optional)",
+      hint:
+        "Leave empty to publish now and keep it up. A future publish time keeps it hidden until then.",
+      types: {
+        notice: "Notice",
+        news: "News",
+      },
+      scheduled: "Scheduled",
+      live: "Live",
+      publishes: "Publishes {date}",
+      expires: "Expires {date}",
+      edit: "Edit",
+      delete: "Delete",
+      emptyTitle: "Nothing scheduled",
+      emptyText:
+        "Notices and news with a future publish or expiry time appear here.",
+    },
+    headings: {
+      notices: "Manage Notices ({count})",
+      submissions: "User Submissions ({count})",
+      gallery: "Manage Gallery Images ({count})",
+      news: "Manage News Articles ({count})",
+      members: "Member Profiles ({count})",
+      albums: "Gallery Albums",
+      events: "Events & Registrations",
+      activity: "Activity",
+      lockouts: "Sign-in Lockouts",
+      health: "System Health",
+      admins: "Admin Management ({count})",
+      scheduled: "Scheduled Publishing",
+    },
+    workflow: {
+      all: "All",
+      status: {
+        draft: "Draft",
+        in_review: "In review",
+        published: "Published",
+        archived: "Archived",
+      },
+      hidden: "Hidden",
+      actions: {
+        submit: "Send for review",
+        publish: "Publish",
+        approve: "Approve and publish",
+        backToDraft: "Back to draft",
+        archive: "Archive",
+        reopen: "Reopen as draft",
+      },
+      sendBackPrompt: "Note for the writer (optional):",
+      moved: {
+        draft: "Article moved back to draft.",
+        in_review: "Article sent for review.",
+        published: "Article published.",
+        archived: "Article archived.",
+      },
+      failed: "Failed to update article status",
+      preview: "Preview",
+      previewLink: "Preview link: {url}",
+      previewFailed: "Failed to create a preview link",
+      saveAs: "Save as",
+      submittedBy: "Sent for review by {name}",
+      sentBack: "Sent back by {name}: {note}",
+    },
+    revisions: {
+      open: "History",
+      title: "History of \"{title}\"",
+      subtitle: "Every saved version, newest first.",
+      close: "Close history",
+      loading: "Loading history...",
+      none: "No versions recorded yet.",
+      pick: "Pick a version to see what changed.",
+      version: "Version {version}",
+      unknownEditor: "Unknown editor",
+      actions: {
+        original: "Before history was kept",
+        create: "Created",
+        update: "Edited",
+        restore: "Restored version {version}",
+      },
+      againstPrevious: "Compare with the version before",
+      againstCurrent: "Compare with the current text",
+      restore: "Restore version {version}",
+      restoring: "Restoring...",
+      confirmRestore:
+        "Restore version {version}? The current text is kept in the history.",
+      restored: "Earlier version restored.",
+      noChanges: "No differences.",
+      empty: "(empty)",
+      yes: "Yes",
+      no: "No",
+      loadFailed: "Failed to load the history",
+      restoreFailed: "Failed to restore this version",
+      fields: {
+        title: "Title",
+        content: "Content",
+        titleBn: "Title (Bangla)",
+        contentBn: "Content (Bangla)",
+        priority: "Priority",
+        author: "Author",
+        tags: "Tags",
+        category: "Category",
+        isFeatured: "Featured",
+      },
+    },
+  },
+  preview: {
+    banner: "Preview — this is how the article will look once published",
+    loading: "Loading preview...",
+    invalid: "This preview link is invalid or has expired.",
+  },
+  search: {
+    title: "Search",
+    placeholder: "Search notices, news and gallery...",
+    submit: "Search",
+    prompt: "Type a word or phrase to search the whole site.",
+    loading: "Searching...",
+    failed: "Search is not available right now. Please try again later.",
+    summary: '{count} results for "{query}"',
+    none: 'Nothing found for "{query}"',
+    noneHint: "Try fewer or different words, or clear the filters.",
+    inDocument: "In the attached PDF:",
+    any: "Any",
+    previous: "Previous",
+    next: "Next",
+    page: "Page {page} of {pages}",
+    facets: {
+      type: "Type",
+      category: "Category",
+      year: "Year",
+    },
+    types: {
+      notice: "Notice",
+      news: "News",
+      gallery: "Gallery",
+    },
+    categories: {
+      business: "Business",
+      policy: "Policy",
+      event: "Event",
+      announcement: "Announcement",
+      meeting: "Meeting",
+      conference: "Conference",
+    },
+  },
+};
+
+export default en;
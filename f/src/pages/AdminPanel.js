@@ -5,9 +5,23 @@ import { useAuth } from "../contexts/AuthContext";
 import { useNotice } from "../contexts/NoticeContext";
 import { useNews } from "../contexts/NewsContext";
 import { useGallery } from "../contexts/GalleryContext";
+import { useLanguage } from "../contexts/LanguageContext";
 import apiService from "../services/api";
 import galleryService from "../utils/galleryService";
 import pdfHandler from "../utils/pdfHandler";
+import { formatDate, formatOptionLabel } from "../utils/format";
+import { formatEventDate } from "../utils/albums";
+import { toDateTimeInputValue } from "../utils/events";
+import MemberDuesLedger from "../components/MemberDuesLedger";
+import AuditLogViewer from "../components/AuditLogViewer";
+import LockoutManager from "../components/LockoutManager";
+import SystemHealth from "../components/SystemHealth";
+import AlbumManager from "../components/AlbumManager";
+import EventManager from "../components/EventManager";
+import RevisionHistory from "../components/RevisionHistory";
+import PdfThumbnail from "../components/PdfThumbnail";
+import LazyImage from "../components/LazyImage";
+import { saveBlob } from "../utils/download";
 
 import jsPDF from "jspdf";
 import {
@@ -21,6 +35,7 @@ import {
   FaBullhorn,
   FaUserShield,
   FaCalendarAlt,
+  FaCalendarCheck,
   FaUser,
   FaCog,
   FaFileAlt,
@@ -32,21 +47,119 @@ import {
   FaUpload,
   FaImage,
   FaMapMarkerAlt,
-  FaUsers,
+  FaBuilding,
+  FaCheck,
+  FaBan,
+  FaPhone,
+  FaMoneyBillWave,
+  FaIdCard,
+  FaPaperclip,
+  FaCertificate,
+  FaHistory,
+  FaShieldAlt,
+  FaLock,
+  FaHeartbeat,
+  FaFolderOpen,
+  FaClock,
+  FaPaperPlane,
+  FaUndo,
+  FaArchive,
+  FaExternalLinkAlt,
 } from "react-icons/fa";
+import logger from "../utils/logger";
 import "./AdminPanel.css";
 
+// Filters for the member review tab; "lapsed" is a renewal state rather than a review status
+const MEMBER_FILTERS = [
+  { key: "pending", label: "Pending", params: { status: "pending" } },
+  { key: "approved", label: "Approved", params: { status: "approved" } },
+  { key: "lapsed", label: "Lapsed", params: { state: "lapsed" } },
+  { key: "rejected", label: "Rejected", params: { status: "rejected" } },
+  { key: "all", label: "All", params: {} },
+];
+
+// Filters for the news tab, by editorial status
+const NEWS_STATUS_FILTERS = ["all", "draft", "in_review", "published", "archived"];
+
+// Workflow buttons on a news card for each status: the status it moves to,
+// the permission needed, and its label under admin.workflow.actions
+const NEWS_WORKFLOW_ACTIONS = {
+  draft: [
+    { status: "in_review", permission: "news:write", label: "submit", icon: FaPaperPlane },
+    { status: "published", permission: "news:publish", label: "publish", icon: FaCheck },
+  ],
+  in_review: [
+    { status: "published", permission: "news:publish", label: "approve", icon: FaCheck },
+    { status: "draft", permission: "news:write", label: "backToDraft", icon: FaUndo },
+  ],
+  published: [
+    { status: "archived", permission: "news:publish", label: "archive", icon: FaArchive },
+    { status: "draft", permission: "news:publish", label: "backToDraft", icon: FaUndo },
+  ],
+  archived: [
+    { status: "draft", permission: "news:write", label: "reopen", icon: FaUndo },
+  ],
+};
+
+// Articles saved before the workflow existed have no status and are published
+const newsStatus = (article) => article.status || "published";
+
+// Permission each admin panel tab requires, in display order. A list means
+// any one of them will do.
+const TAB_PERMISSIONS = {
+  notices: "notice:write",
+  submissions: "submission:review",
+  gallery: "gallery:write",
+  albums: "gallery:write",
+  events: "event:manage",
+  news: "news:write",
+  scheduled: ["notice:write", "news:write"],
+  members: "member:manage",
+  admins: "admin:manage",
+  activity: "audit:view",
+  lockouts: "admin:manage",
+  health: "system:view",
+};
+
+const canUseTab = (hasPermission, tab) =>
+  [].concat(TAB_PERMISSIONS[tab]).some((permission) =>
+    hasPermission(permission)
+  );
+
+// First tab the signed-in role is allowed to use
+const getDefaultTab = (hasPermission) =>
+  Object.keys(TAB_PERMISSIONS).find((tab) => canUseTab(hasPermission, tab));
+
+// datetime-local values are in the browser's time zone; send them as ISO
+// dates, or "" to clear the publishing window
+const toPublishWindow = (formData) => ({
+  publishAt: formData.publishAt
+    ? new Date(formData.publishAt).toISOString()
+    : "",
+  expireAt: formData.expireAt ? new Date(formData.expireAt).toISOString() : "",
+});
+
+// Date the scheduled tab sorts by: publication for waiting items, else expiry
+const nextScheduleDate = (item) =>
+  new Date(item.isScheduled ? item.publishAt : item.expireAt);
+
 const AdminPanel = () => {
-  const { user, isAdmin } = useAuth();
-  const { notices, addNotice, updateNotice, deleteNotice } = useNotice();
+  const { user, isAdmin, hasPermission } = useAuth();
+  const { t, locale } = useLanguage();
+  const { notices, addNotice, updateNotice, deleteNotice, refreshNotices } =
+    useNotice();
 
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingNotice, setEditingNotice] = useState(null);
   const [formData, setFormData] = useState({
     title: "",
     content: "",
+    titleBn: "",
+    contentBn: "",
     priority: "normal",
     pdfFile: null,
+    publishAt: "",
+    expireAt: "",
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
@@ -54,7 +167,10 @@ const AdminPanel = () => {
 
   // Form submissions state
   const [submissions, setSubmissions] = useState([]);
-  const [activeTab, setActiveTab] = useState("notices"); // 'notices', 'submissions', 'gallery', 'news', or 'admins'
+  // 'notices', 'submissions', 'gallery', 'news', 'scheduled', 'members', 'admins', 'activity', 'lockouts' or 'health'; starts on the first tab the role can use
+  const [activeTab, setActiveTab] = useState(() =>
+    getDefaultTab(hasPermission)
+  );
   const [showPrintPreview, setShowPrintPreview] = useState(false);
 
   // News management state
@@ -63,20 +179,42 @@ const AdminPanel = () => {
 
   // Admin management state
   const [admins, setAdmins] = useState([]);
+  const [roles, setRoles] = useState([]);
   const [showAdminForm, setShowAdminForm] = useState(false);
   const [adminFormData, setAdminFormData] = useState({
     name: "",
     email: "",
     password: "",
     confirmPassword: "",
+    role: "admin",
+  });
+
+  // Member review state
+  const [members, setMembers] = useState([]);
+  const [memberFilter, setMemberFilter] = useState("pending");
+  const [memberOptions, setMemberOptions] = useState({
+    paymentMethods: [],
+    annualDues: {},
   });
+  const [ledgerMember, setLedgerMember] = useState(null);
+  // All articles for the news tab, whatever their status
+  const [adminNews, setAdminNews] = useState([]);
+  const [newsStatusFilter, setNewsStatusFilter] = useState("all");
+  // Notice or news article whose revision history is open: { entityType, id, title }
+  const [historyTarget, setHistoryTarget] = useState(null);
   const [editingNews, setEditingNews] = useState(null);
   const [newsFormData, setNewsFormData] = useState({
     title: "",
     content: "",
+    titleBn: "",
+    contentBn: "",
     category: "business",
     imageUrl: "",
+    image: null,
     isFeatured: false,
+    publishAt: "",
+    expireAt: "",
+    status: "draft",
   });
 
   // Gallery state
@@ -95,17 +233,35 @@ const AdminPanel = () => {
     category: "meeting",
     order: 0,
     image: null,
-    eventDate: "",
-    eventLocation: "",
-    eventType: "",
-    organizer: "",
+    album: "",
   });
+  // Albums an image can be filed under, for the gallery form and grid
+  const [albumOptions, setAlbumOptions] = useState([]);
+  const albumNames = Object.fromEntries(
+    albumOptions.map((album) => [album._id, album.title])
+  );
 
-  // Load submissions from backend API on component mount
   useEffect(() => {
-    loadSubmissions();
-    loadAdmins();
-  }, []);
+    if (activeTab !== "gallery") return;
+    apiService
+      .getAdminAlbums()
+      .then(setAlbumOptions)
+      .catch((err) => logger.error("Error loading albums:", err));
+  }, [activeTab]);
+
+  // Load submissions and staff accounts from backend API for roles that can see them
+  useEffect(() => {
+    if (hasPermission("submission:review")) {
+      loadSubmissions();
+    }
+    if (hasPermission("admin:manage")) {
+      loadAdmins();
+      apiService
+        .getRoles()
+        .then((data) => setRoles(data.roles))
+        .catch((error) => logger.error("Error loading roles:", error));
+    }
+  }, [hasPermission]);
 
   const loadSubmissions = async () => {
     try {
@@ -113,14 +269,14 @@ const AdminPanel = () => {
       const data = await apiService.getFormSubmissions();
       setSubmissions(data);
     } catch (error) {
-      console.error("Error loading submissions:", error);
+      logger.error("Error loading submissions:", error);
       // Fallback to localStorage if API fails
       const savedSubmissions = localStorage.getItem("formSubmissions");
       if (savedSubmissions) {
         try {
           setSubmissions(JSON.parse(savedSubmissions));
         } catch (error) {
-          console.error("Error parsing submissions from localStorage:", error);
+          logger.error("Error parsing submissions from localStorage:", error);
           // Clear invalid data
           localStorage.removeItem("formSubmissions");
           setSubmissions([]);
@@ -140,11 +296,15 @@ const AdminPanel = () => {
 
       try {
         if (editingNotice) {
-          await updateNotice(editingNotice.id || editingNotice._id, formData);
+          await updateNotice(editingNotice.id || editingNotice._id, {
+            ...formData,
+            ...toPublishWindow(formData),
+          });
           setSuccess("Notice updated successfully!");
         } else {
           const noticeData = {
             ...formData,
+            ...toPublishWindow(formData),
             author: user.name,
           };
           await addNotice(noticeData);
@@ -154,8 +314,12 @@ const AdminPanel = () => {
         setFormData({
           title: "",
           content: "",
+          titleBn: "",
+          contentBn: "",
           priority: "normal",
           pdfFile: null,
+          publishAt: "",
+          expireAt: "",
         });
         setShowAddForm(false);
         setEditingNotice(null);
@@ -196,6 +360,13 @@ const AdminPanel = () => {
     }
   }, []);
 
+  // Move off a tab the role can no longer use (e.g. after a role change)
+  useEffect(() => {
+    if (!canUseTab(hasPermission, activeTab)) {
+      setActiveTab(getDefaultTab(hasPermission));
+    }
+  }, [activeTab, hasPermission]);
+
   // Load gallery images
   useEffect(() => {
     if (activeTab === "gallery") {
@@ -210,6 +381,83 @@ const AdminPanel = () => {
     }
   }, [activeTab, refreshNews]);
 
+  const loadAdminNews = useCallback(async () => {
+    try {
+      const data = await apiService.getNewsAdmin(
+        newsStatusFilter === "all" ? undefined : newsStatusFilter
+      );
+      setAdminNews(data.map((article) => ({ ...article, id: article._id })));
+    } catch (err) {
+      logger.error("Error loading news articles:", err);
+    }
+  }, [newsStatusFilter]);
+
+  useEffect(() => {
+    if (activeTab === "news") {
+      loadAdminNews();
+    }
+  }, [activeTab, loadAdminNews]);
+
+  // Load upcoming publications and expiries; reloads whenever the notice or
+  // news lists change, e.g. after a save or when the scheduler publishes
+  const [scheduledItems, setScheduledItems] = useState([]);
+  useEffect(() => {
+    if (activeTab !== "scheduled") return;
+
+    const load = async (permission, fetchItems, type) => {
+      if (!hasPermission(permission)) return [];
+      const items = await fetchItems();
+      return items.map((item) => ({ ...item, type }));
+    };
+
+    Promise.all([
+      load("notice:write", () => apiService.getScheduledNotices(), "notice"),
+      load("news:write", () => apiService.getScheduledNews(), "news"),
+    ])
+      .then(([scheduledNotices, scheduledNews]) =>
+        setScheduledItems(
+          [...scheduledNotices, ...scheduledNews].sort(
+            (a, b) => nextScheduleDate(a) - nextScheduleDate(b)
+          )
+        )
+      )
+      .catch((err) => logger.error("Error loading scheduled items:", err));
+  }, [activeTab, hasPermission, notices, news]);
+
+  const formatScheduleTime = (date) =>
+    new Date(date).toLocaleString(locale, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+
+  // Load member profiles for review
+  const loadMembers = useCallback(async () => {
+    if (!hasPermission("member:manage")) return;
+
+    try {
+      const filter = MEMBER_FILTERS.find((option) => option.key === memberFilter);
+      const data = await apiService.getAdminMembers(filter.params);
+      setMembers(data);
+    } catch (error) {
+      logger.error("Error loading members:", error);
+      setMembers([]);
+    }
+  }, [memberFilter, hasPermission]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  // Payment methods and annual dues for the dues ledger
+  useEffect(() => {
+    if (!hasPermission("member:manage")) return;
+
+    apiService
+      .getMemberOptions()
+      .then(setMemberOptions)
+      .catch((error) => logger.error("Error loading member options:", error));
+  }, [hasPermission]);
+
   // Redirect if not admin (after all hooks)
   if (!isAdmin()) {
     return (
@@ -243,8 +491,12 @@ const AdminPanel = () => {
     setFormData({
       title: notice.title,
       content: notice.content,
+      titleBn: notice.titleBn || "",
+      contentBn: notice.contentBn || "",
       priority: notice.priority,
       pdfFile: notice.pdfFile || null,
+      publishAt: toDateTimeInputValue(notice.publishAt),
+      expireAt: toDateTimeInputValue(notice.expireAt),
     });
     setShowAddForm(true);
   };
@@ -263,7 +515,16 @@ const AdminPanel = () => {
   const handleCancel = () => {
     setShowAddForm(false);
     setEditingNotice(null);
-    setFormData({ title: "", content: "", priority: "normal", pdfFile: null });
+    setFormData({
+      title: "",
+      content: "",
+      titleBn: "",
+      contentBn: "",
+      priority: "normal",
+      pdfFile: null,
+      publishAt: "",
+      expireAt: "",
+    });
     setError("");
   };
 
@@ -288,7 +549,7 @@ const AdminPanel = () => {
       const adminUsers = await apiService.getAdmins();
       setAdmins(adminUsers);
     } catch (error) {
-      console.error("Error loading admins:", error);
+      logger.error("Error loading admins:", error);
       setAdmins([]);
     }
   };
@@ -326,6 +587,7 @@ const AdminPanel = () => {
         name: adminFormData.name,
         email: adminFormData.email,
         password: adminFormData.password,
+        role: adminFormData.role,
       };
 
       await apiService.createAdmin(newAdminData);
@@ -336,6 +598,7 @@ const AdminPanel = () => {
         email: "",
         password: "",
         confirmPassword: "",
+        role: "admin",
       });
       setShowAdminForm(false);
       loadAdmins();
@@ -363,6 +626,95 @@ const AdminPanel = () => {
     }
   };
 
+  const handleAdminRoleChange = async (adminId, role) => {
+    try {
+      await apiService.updateAdminRole(adminId, role);
+      setSuccess("Role updated successfully!");
+      loadAdmins();
+    } catch (err) {
+      setError(err.message || "Failed to update role.");
+    }
+  };
+
+  const handleResetAdminTwoFactor = async (admin) => {
+    if (
+      !window.confirm(
+        `Turn off two-factor authentication for ${admin.name}? Use this when they have lost their phone and recovery codes.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await apiService.resetAdminTwoFactor(admin._id || admin.id);
+      setSuccess("Two-factor authentication reset successfully!");
+      loadAdmins();
+    } catch (err) {
+      setError(err.message || "Failed to reset two-factor authentication.");
+    }
+  };
+
+  const getRoleLabel = (roleName) => {
+    const role = roles.find((option) => option.name === roleName);
+    return role ? role.label : formatOptionLabel(roleName);
+  };
+
+  // Member review functions
+  const handleApproveMember = async (memberId) => {
+    try {
+      const result = await apiService.approveMember(memberId);
+      setSuccess(
+        `Member approved with membership number ${result.data.member.membershipNumber}.`
+      );
+      loadMembers();
+    } catch (err) {
+      setError(err.message || "Failed to approve member.");
+    }
+  };
+
+  const handleRejectMember = async (memberId) => {
+    const reason = window.prompt("Reason for rejecting this business profile:");
+    if (reason === null) return;
+
+    try {
+      await apiService.rejectMember(memberId, reason);
+      setSuccess("Member profile rejected.");
+      loadMembers();
+    } catch (err) {
+      setError(err.message || "Failed to reject member.");
+    }
+  };
+
+  const handleDeleteMember = async (memberId) => {
+    if (window.confirm("Are you sure you want to delete this member profile?")) {
+      try {
+        await apiService.deleteMember(memberId);
+        if (ledgerMember && ledgerMember._id === memberId) {
+          setLedgerMember(null);
+        }
+        setSuccess("Member profile deleted successfully!");
+        loadMembers();
+      } catch (err) {
+        setError(err.message || "Failed to delete member profile.");
+      }
+    }
+  };
+
+  const handleDownloadCertificate = async (member) => {
+    try {
+      const blob = await apiService.getMemberCertificate(member._id);
+      saveBlob(blob, `${member.membershipNumber}-certificate.pdf`);
+    } catch (err) {
+      setError(err.message || "Failed to generate certificate.");
+    }
+  };
+
+  const handlePaymentRecorded = (updatedMember) => {
+    setSuccess("Payment recorded and membership renewed.");
+    setLedgerMember((current) => ({ ...current, ...updatedMember }));
+    loadMembers();
+  };
+
   const handleCancelAdmin = () => {
     setShowAdminForm(false);
     setAdminFormData({
@@ -370,6 +722,7 @@ const AdminPanel = () => {
       email: "",
       password: "",
       confirmPassword: "",
+      role: "admin",
     });
     setError("");
   };
@@ -405,7 +758,7 @@ const AdminPanel = () => {
         setSuccess("Submission deleted successfully!");
         setTimeout(() => setSuccess(""), 3000);
       } catch (error) {
-        console.error("Error deleting submission:", error);
+        logger.error("Error deleting submission:", error);
         setError("Failed to delete submission");
         setTimeout(() => setError(""), 3000);
       }
@@ -598,6 +951,7 @@ const AdminPanel = () => {
         formData.append("altText", galleryFormData.altText.trim());
         formData.append("category", galleryFormData.category);
         formData.append("order", galleryFormData.order.toString());
+        formData.append("album", galleryFormData.album);
         formData.append("image", galleryFormData.image);
 
         await galleryService.uploadImage(formData);
@@ -607,10 +961,18 @@ const AdminPanel = () => {
 
         // The socket event will handle replacing the optimistic update with real data
       } else {
-        // Editing existing image without new file - not supported yet
-        setError("Please select an image file to upload");
-        setLoading(false);
-        return;
+        // Editing details only; the socket event updates the gallery
+        await galleryService.updateImage(
+          editingGalleryImage._id || editingGalleryImage.id,
+          {
+            title: galleryFormData.title.trim(),
+            description: galleryFormData.description.trim(),
+            altText: galleryFormData.altText.trim(),
+            category: galleryFormData.category,
+            order: galleryFormData.order,
+            album: galleryFormData.album || null,
+          }
+        );
       }
 
       setSuccess(
@@ -625,17 +987,14 @@ const AdminPanel = () => {
         category: "meeting",
         order: 0,
         image: null,
-        eventDate: "",
-        eventLocation: "",
-        eventType: "",
-        organizer: "",
+        album: "",
       });
       setShowGalleryForm(false);
       setEditingGalleryImage(null);
 
       // Note: No need to dispatch galleryUpdated event - socket handles real-time updates
     } catch (error) {
-      console.error("Gallery submit error:", error);
+      logger.error("Gallery submit error:", error);
       setError(`Failed to save image: ${error.message}`);
     } finally {
       setLoading(false);
@@ -651,10 +1010,7 @@ const AdminPanel = () => {
       category: image.category,
       order: image.order,
       image: null,
-      eventDate: image.eventDate || "",
-      eventLocation: image.eventLocation || "",
-      eventType: image.eventType || "",
-      organizer: image.organizer || "",
+      album: image.album || "",
     });
     setShowGalleryForm(true);
   };
@@ -685,13 +1041,13 @@ const AdminPanel = () => {
             setSuccess("Image deleted successfully!");
             // The socket event 'gallery-image-deleted' will update the state automatically
           } catch (apiError) {
-            console.error("❌ API delete failed:", apiError);
+            logger.error("❌ API delete failed:", apiError);
             setError("Failed to delete image. Please try again.");
           }
         }
         // Note: No need to dispatch galleryUpdated event - socket handles real-time updates
       } catch (error) {
-        console.error("Delete gallery image error:", error);
+        logger.error("Delete gallery image error:", error);
         setError("Failed to delete image");
       }
     }
@@ -700,10 +1056,13 @@ const AdminPanel = () => {
   // News management functions
 
   const handleNewsInputChange = (e) => {
-    const { name, value, type, checked } = e.target;
+    const { name, value, type, checked, files } = e.target;
+    let fieldValue = value;
+    if (type === "checkbox") fieldValue = checked;
+    if (type === "file") fieldValue = files[0] || null;
     setNewsFormData({
       ...newsFormData,
-      [name]: type === "checkbox" ? checked : value,
+      [name]: fieldValue,
     });
     setError("");
   };
@@ -733,14 +1092,17 @@ const AdminPanel = () => {
           editingNews.id || editingNews._id,
           newsFormData
         );
-        await apiService.updateNews(
-          editingNews.id || editingNews._id,
-          newsFormData
-        );
+        await apiService.updateNews(editingNews.id || editingNews._id, {
+          ...newsFormData,
+          ...toPublishWindow(newsFormData),
+        });
       } else {
         // Create new news via API
         console.log("📰 Creating news:", newsFormData);
-        const result = await apiService.createNews(newsFormData);
+        const result = await apiService.createNews({
+          ...newsFormData,
+          ...toPublishWindow(newsFormData),
+        });
         console.log("✅ News created result:", result);
       }
 
@@ -752,20 +1114,27 @@ const AdminPanel = () => {
       setNewsFormData({
         title: "",
         content: "",
+        titleBn: "",
+        contentBn: "",
         category: "business",
         imageUrl: "",
+        image: null,
         isFeatured: false,
+        publishAt: "",
+        expireAt: "",
+        status: "draft",
       });
       setShowNewsForm(false);
       setEditingNews(null);
 
       // Refresh news from context
       await refreshNews();
+      await loadAdminNews();
 
       // Dispatch custom event to notify other components
       window.dispatchEvent(new CustomEvent("newsUpdated"));
     } catch (error) {
-      console.error("News submit error:", error);
+      logger.error("News submit error:", error);
       setError("Failed to save news article");
     } finally {
       setLoading(false);
@@ -777,9 +1146,15 @@ const AdminPanel = () => {
     setNewsFormData({
       title: newsItem.title,
       content: newsItem.content,
+      titleBn: newsItem.titleBn || "",
+      contentBn: newsItem.contentBn || "",
       category: newsItem.category,
       imageUrl: newsItem.imageUrl || "",
+      image: null,
       isFeatured: newsItem.isFeatured || false,
+      publishAt: toDateTimeInputValue(newsItem.publishAt),
+      expireAt: toDateTimeInputValue(newsItem.expireAt),
+      status: newsStatus(newsItem),
     });
     setShowNewsForm(true);
   };
@@ -794,35 +1169,74 @@ const AdminPanel = () => {
 
         // Refresh news from context
         await refreshNews();
+        await loadAdminNews();
 
         // Dispatch custom event to notify other components
         window.dispatchEvent(new CustomEvent("newsUpdated"));
       } catch (error) {
-        console.error("Delete news error:", error);
+        logger.error("Delete news error:", error);
         setError("Failed to delete news article");
       }
     }
   };
 
-  const toggleNewsStatus = async (newsId, currentStatus) => {
-    try {
-      // Toggle news status via API
-      await apiService.updateNews(newsId, { isActive: !currentStatus });
+  // Move an article through the editorial workflow. A reviewer sending an
+  // article back to its writer is asked for a note.
+  const handleNewsStatus = async (article, status) => {
+    let note;
+    if (
+      newsStatus(article) === "in_review" &&
+      status === "draft" &&
+      hasPermission("news:publish")
+    ) {
+      note = window.prompt(t("admin.workflow.sendBackPrompt"));
+      if (note === null) return;
+    }
 
-      setSuccess(
-        `News article ${
-          !currentStatus ? "activated" : "deactivated"
-        } successfully!`
-      );
+    try {
+      await apiService.changeNewsStatus(article.id, status, note);
+      setSuccess(t(`admin.workflow.moved.${status}`));
 
       // Refresh news from context
       await refreshNews();
+      await loadAdminNews();
 
       // Dispatch custom event to notify other components
       window.dispatchEvent(new CustomEvent("newsUpdated"));
     } catch (error) {
-      console.error("Toggle news status error:", error);
-      setError("Failed to update news status");
+      logger.error("News status error:", error);
+      setError(error.message || t("admin.workflow.failed"));
+    }
+  };
+
+  // Open the article as the public will see it, even before it is published.
+  // The tab is opened straight away so popup blockers allow it.
+  const handlePreviewNews = async (article) => {
+    const previewWindow = window.open("", "_blank");
+    try {
+      const { token } = await apiService.createNewsPreview(article.id);
+      const url = `${window.location.origin}/news/preview/${token}`;
+      if (previewWindow) {
+        previewWindow.location.href = url;
+      } else {
+        setSuccess(t("admin.workflow.previewLink", { url }));
+      }
+    } catch (error) {
+      if (previewWindow) previewWindow.close();
+      logger.error("News preview error:", error);
+      setError(error.message || t("admin.workflow.previewFailed"));
+    }
+  };
+
+  // Reload whichever list the restored record belongs to
+  const handleRevisionRestored = async () => {
+    setSuccess(t("admin.revisions.restored"));
+    if (historyTarget.entityType === "notice") {
+      await refreshNotices();
+    } else {
+      await refreshNews();
+      await loadAdminNews();
+      window.dispatchEvent(new CustomEvent("newsUpdated"));
     }
   };
 
@@ -831,53 +1245,128 @@ const AdminPanel = () => {
       <div className="admin-header">
         <div className="admin-title">
           <FaUserShield className="admin-icon" />
-          <h1>Admin Panel</h1>
+          <h1>{t("admin.title")}</h1>
         </div>
         <div className="admin-user">
           <FaUser />
-          <span>Welcome, {user.name}</span>
+          <span>{t("admin.welcome", { name: user.name })}</span>
         </div>
       </div>
 
       {/* Tab Navigation */}
       <div className="admin-tabs">
-        <button
-          className={`tab-button ${activeTab === "notices" ? "active" : ""}`}
-          onClick={() => setActiveTab("notices")}
-        >
-          <FaBullhorn />
-          Notices ({notices.length})
-        </button>
-        <button
-          className={`tab-button ${
-            activeTab === "submissions" ? "active" : ""
-          }`}
-          onClick={() => setActiveTab("submissions")}
-        >
-          <FaFileAlt />
-          Submissions ({submissions.length})
-        </button>
-        <button
-          className={`tab-button ${activeTab === "gallery" ? "active" : ""}`}
-          onClick={() => setActiveTab("gallery")}
-        >
-          <FaImages />
-          Gallery ({galleryImages.length})
-        </button>
-        <button
-          className={`tab-button ${activeTab === "news" ? "active" : ""}`}
-          onClick={() => setActiveTab("news")}
-        >
-          <FaFileAlt />
-          News ({news.length})
-        </button>
-        <button
-          className={`tab-button ${activeTab === "admins" ? "active" : ""}`}
-          onClick={() => setActiveTab("admins")}
-        >
-          <FaUserShield />
-          Admins ({admins.length})
-        </button>
+        {hasPermission(TAB_PERMISSIONS.notices) && (
+          <button
+            className={`tab-button ${activeTab === "notices" ? "active" : ""}`}
+            onClick={() => setActiveTab("notices")}
+          >
+            <FaBullhorn />
+            {t("admin.tabs.notices")} ({notices.length})
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.submissions) && (
+          <button
+            className={`tab-button ${
+              activeTab === "submissions" ? "active" : ""
+            }`}
+            onClick={() => setActiveTab("submissions")}
+          >
+            <FaFileAlt />
+            {t("admin.tabs.submissions")} ({submissions.length})
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.gallery) && (
+          <button
+            className={`tab-button ${activeTab === "gallery" ? "active" : ""}`}
+            onClick={() => setActiveTab("gallery")}
+          >
+            <FaImages />
+            {t("admin.tabs.gallery")} ({galleryImages.length})
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.albums) && (
+          <button
+            className={`tab-button ${activeTab === "albums" ? "active" : ""}`}
+            onClick={() => setActiveTab("albums")}
+          >
+            <FaFolderOpen />
+            {t("admin.tabs.albums")}
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.events) && (
+          <button
+            className={`tab-button ${activeTab === "events" ? "active" : ""}`}
+            onClick={() => setActiveTab("events")}
+          >
+            <FaCalendarCheck />
+            {t("admin.tabs.events")}
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.news) && (
+          <button
+            className={`tab-button ${activeTab === "news" ? "active" : ""}`}
+            onClick={() => setActiveTab("news")}
+          >
+            <FaFileAlt />
+            {t("admin.tabs.news")} ({news.length})
+          </button>
+        )}
+        {canUseTab(hasPermission, "scheduled") && (
+          <button
+            className={`tab-button ${
+              activeTab === "scheduled" ? "active" : ""
+            }`}
+            onClick={() => setActiveTab("scheduled")}
+          >
+            <FaClock />
+            {t("admin.tabs.scheduled")}
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.members) && (
+          <button
+            className={`tab-button ${activeTab === "members" ? "active" : ""}`}
+            onClick={() => setActiveTab("members")}
+          >
+            <FaBuilding />
+            {t("admin.tabs.members")} ({members.length})
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.admins) && (
+          <button
+            className={`tab-button ${activeTab === "admins" ? "active" : ""}`}
+            onClick={() => setActiveTab("admins")}
+          >
+            <FaUserShield />
+            {t("admin.tabs.admins")} ({admins.length})
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.activity) && (
+          <button
+            className={`tab-button ${activeTab === "activity" ? "active" : ""}`}
+            onClick={() => setActiveTab("activity")}
+          >
+            <FaHistory />
+            {t("admin.tabs.activity")}
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.lockouts) && (
+          <button
+            className={`tab-button ${activeTab === "lockouts" ? "active" : ""}`}
+            onClick={() => setActiveTab("lockouts")}
+          >
+            <FaLock />
+            {t("admin.tabs.lockouts")}
+          </button>
+        )}
+        {hasPermission(TAB_PERMISSIONS.health) && (
+          <button
+            className={`tab-button ${activeTab === "health" ? "active" : ""}`}
+            onClick={() => setActiveTab("health")}
+          >
+            <FaHeartbeat />
+            {t("admin.tabs.health")}
+          </button>
+        )}
       </div>
 
       <div className="admin-content">
@@ -889,7 +1378,7 @@ const AdminPanel = () => {
               disabled={showAddForm}
             >
               <FaPlus />
-              Add New Notice
+              {t("admin.addNotice")}
             </button>
           )}
           {activeTab === "gallery" && (
@@ -899,7 +1388,7 @@ const AdminPanel = () => {
               disabled={showGalleryForm}
             >
               <FaUpload />
-              Upload Image
+              {t("admin.uploadImage")}
             </button>
           )}
           {activeTab === "news" && (
@@ -909,7 +1398,7 @@ const AdminPanel = () => {
               disabled={showNewsForm}
             >
               <FaPlus />
-              Add New Article
+              {t("admin.addArticle")}
             </button>
           )}
           {activeTab === "admins" && (
@@ -919,7 +1408,7 @@ const AdminPanel = () => {
               disabled={showAdminForm}
             >
               <FaPlus />
-              Add New Admin
+              {t("admin.addAdmin")}
             </button>
           )}
           {activeTab === "submissions" && (
@@ -930,7 +1419,7 @@ const AdminPanel = () => {
                 disabled={submissions.length === 0}
               >
                 <FaFilePdf />
-                Download PDF Report
+                {t("admin.downloadPdfReport")}
               </button>
               <button
                 className="btn btn-secondary"
@@ -938,7 +1427,7 @@ const AdminPanel = () => {
                 disabled={submissions.length === 0}
               >
                 <FaDownload />
-                Download JSON
+                {t("admin.downloadJson")}
               </button>
               <button
                 className="btn btn-secondary"
@@ -946,13 +1435,13 @@ const AdminPanel = () => {
                 disabled={submissions.length === 0}
               >
                 <FaPrint />
-                Print Report
+                {t("admin.printReport")}
               </button>
             </>
           )}
           <Link to="/admin/settings" className="btn btn-secondary">
             <FaCog />
-            Settings
+            {t("admin.settings")}
           </Link>
         </div>
 
@@ -988,7 +1477,11 @@ const AdminPanel = () => {
             >
               <form onSubmit={handleSubmit} className="notice-form">
                 <div className="form-header">
-                  <h3>{editingNotice ? "Edit Notice" : "Add New Notice"}</h3>
+                  <h3>
+                    {editingNotice
+                      ? t("admin.noticeForm.editTitle")
+                      : t("admin.noticeForm.addTitle")}
+                  </h3>
                   <button
                     type="button"
                     className="btn-close"
@@ -999,7 +1492,7 @@ const AdminPanel = () => {
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="title">Title</label>
+                  <label htmlFor="title">{t("admin.noticeForm.title")}</label>
                   <input
                     type="text"
                     id="title"
@@ -1007,13 +1500,29 @@ const AdminPanel = () => {
                     value={formData.title}
                     onChange={handleInputChange}
                     className="form-input"
-                    placeholder="Enter notice title"
+                    placeholder={t("admin.noticeForm.titlePlaceholder")}
                     required
                   />
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="priority">Priority</label>
+                  <label htmlFor="titleBn">{t("admin.noticeForm.titleBn")}</label>
+                  <input
+                    type="text"
+                    id="titleBn"
+                    name="titleBn"
+                    lang="bn"
+                    value={formData.titleBn}
+                    onChange={handleInputChange}
+                    className="form-input"
+                    placeholder={t("admin.noticeForm.titleBnPlaceholder")}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="priority">
+                    {t("admin.noticeForm.priority")}
+                  </label>
                   <select
                     id="priority"
                     name="priority"
@@ -1021,28 +1530,79 @@ const AdminPanel = () => {
                     onChange={handleInputChange}
                     className="form-select"
                   >
-                    <option value="low">Low</option>
-                    <option value="normal">Normal</option>
-                    <option value="high">High</option>
+                    <option value="low">{t("admin.priority.low")}</option>
+                    <option value="normal">{t("admin.priority.normal")}</option>
+                    <option value="high">{t("admin.priority.high")}</option>
                   </select>
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="content">Content</label>
+                  <label htmlFor="content">{t("admin.noticeForm.content")}</label>
                   <textarea
                     id="content"
                     name="content"
                     value={formData.content}
                     onChange={handleInputChange}
                     className="form-textarea"
-                    placeholder="Enter notice content"
+                    placeholder={t("admin.noticeForm.contentPlaceholder")}
                     rows="4"
                     required
                   />
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="pdfFile">PDF Attachment (Optional)</label>
+                  <label htmlFor="contentBn">
+                    {t("admin.noticeForm.contentBn")}
+                  </label>
+                  <textarea
+                    id="contentBn"
+                    name="contentBn"
+                    lang="bn"
+                    value={formData.contentBn}
+                    onChange={handleInputChange}
+                    className="form-textarea"
+                    placeholder={t("admin.noticeForm.contentBnPlaceholder")}
+                    rows="4"
+                  />
+                  <small className="file-help-text">
+                    {t("admin.noticeForm.bilingualHint")}
+                  </small>
+                </div>
+
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="noticePublishAt">
+                      {t("admin.publishing.publishAt")}
+                    </label>
+                    <input
+                      type="datetime-local"
+                      id="noticePublishAt"
+                      name="publishAt"
+                      value={formData.publishAt}
+                      onChange={handleInputChange}
+                      className="form-input"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="noticeExpireAt">
+                      {t("admin.publishing.expireAt")}
+                    </label>
+                    <input
+                      type="datetime-local"
+                      id="noticeExpireAt"
+                      name="expireAt"
+                      value={formData.expireAt}
+                      onChange={handleInputChange}
+                      className="form-input"
+                    />
+                  </div>
+                </div>
+                <small className="file-help-text">
+                  {t("admin.publishing.hint")}
+                </small>
+
+                <div className="form-group">
+                  <label htmlFor="pdfFile">{t("admin.noticeForm.pdf")}</label>
                   <div className="file-upload-container">
                     <input
                       type="file"
@@ -1056,7 +1616,7 @@ const AdminPanel = () => {
                       <FaUpload className="upload-icon" />
                       {formData.pdfFile
                         ? formData.pdfFile.name
-                        : "Choose PDF file"}
+                        : t("admin.noticeForm.choosePdf")}
                     </label>
                     {formData.pdfFile && (
                       <div className="file-info">
@@ -1075,8 +1635,7 @@ const AdminPanel = () => {
                     )}
                   </div>
                   <small className="file-help-text">
-                    Upload a PDF file to attach to this notice. Users will be
-                    able to download it.
+                    {t("admin.noticeForm.pdfHint")}
                   </small>
                 </div>
 
@@ -1087,7 +1646,7 @@ const AdminPanel = () => {
                     onClick={handleCancel}
                   >
                     <FaTimes />
-                    Cancel
+                    {t("common.cancel")}
                   </button>
                   <button
                     type="submit"
@@ -1097,12 +1656,16 @@ const AdminPanel = () => {
                     {loading ? (
                       <>
                         <div className="spinner-small"></div>
-                        {editingNotice ? "Updating..." : "Adding..."}
+                        {editingNotice
+                          ? t("common.updating")
+                          : t("admin.noticeForm.adding")}
                       </>
                     ) : (
                       <>
                         <FaSave />
-                        {editingNotice ? "Update Notice" : "Add Notice"}
+                        {editingNotice
+                          ? t("admin.noticeForm.update")
+                          : t("admin.noticeForm.add")}
                       </>
                     )}
                   </button>
@@ -1115,7 +1678,20 @@ const AdminPanel = () => {
         {/* Notices Tab Content */}
         {activeTab === "notices" && (
           <div className="notices-list">
-            <h2>Manage Notices ({notices.length})</h2>
+            <h2>{t("admin.headings.notices", { count: notices.length })}</h2>
+
+            <AnimatePresence>
+              {historyTarget && historyTarget.entityType === "notice" && (
+                <RevisionHistory
+                  key={historyTarget.id}
+                  entityType="notice"
+                  entityId={historyTarget.id}
+                  title={historyTarget.title}
+                  onClose={() => setHistoryTarget(null)}
+                  onRestored={handleRevisionRestored}
+                />
+              )}
+            </AnimatePresence>
 
             {notices.length === 0 ? (
               <div className="empty-state">
@@ -1147,6 +1723,19 @@ const AdminPanel = () => {
                         >
                           <FaEdit />
                         </button>
+                        <button
+                          className="btn-icon btn-history"
+                          onClick={() =>
+                            setHistoryTarget({
+                              entityType: "notice",
+                              id: notice.id || notice._id,
+                              title: notice.title,
+                            })
+                          }
+                          title={t("admin.revisions.open")}
+                        >
+                          <FaHistory />
+                        </button>
                         <button
                           className="btn-icon btn-delete"
                           onClick={() => handleDelete(notice.id || notice._id)}
@@ -1161,7 +1750,11 @@ const AdminPanel = () => {
                       <p>{notice.content}</p>
                       {notice.pdfFile && (
                         <div className="admin-pdf-attachment">
-                          <FaFilePdf className="pdf-icon" />
+                          <PdfThumbnail
+                            file={notice.pdfFile}
+                            onOpen={() => pdfHandler.view(notice.pdfFile)}
+                            iconClassName="pdf-icon"
+                          />
                           <span className="pdf-name">
                             {notice.pdfFile.originalName ||
                               notice.pdfFile.name ||
@@ -1206,7 +1799,9 @@ const AdminPanel = () => {
         {/* Submissions Tab Content */}
         {activeTab === "submissions" && (
           <div className="submissions-list">
-            <h2>User Submissions ({submissions.length})</h2>
+            <h2>
+              {t("admin.headings.submissions", { count: submissions.length })}
+            </h2>
 
             {submissions.length === 0 ? (
               <div className="empty-state">
@@ -1286,11 +1881,24 @@ const AdminPanel = () => {
                           </p>
                         )}
                         {submission.pdfFile && (
-                          <p className="submission-pdf">
-                            <FaFilePdf /> <strong>PDF:</strong>{" "}
-                            {submission.pdfFile.originalName ||
-                              submission.pdfFileName}
-                          </p>
+                          <div className="submission-pdf">
+                            <PdfThumbnail
+                              file={submission.pdfFile}
+                              onOpen={() => handleViewPDF(submission)}
+                            />
+                            <div className="submission-pdf-info">
+                              <p>
+                                <strong>PDF:</strong>{" "}
+                                {submission.pdfFile.originalName ||
+                                  submission.pdfFileName}
+                              </p>
+                              {submission.pdfFile.excerpt && (
+                                <p className="submission-pdf-excerpt">
+                                  {submission.pdfFile.excerpt}
+                                </p>
+                              )}
+                            </div>
+                          </div>
                         )}
                       </div>
                       <div className="submission-message">
@@ -1321,7 +1929,9 @@ const AdminPanel = () => {
         {activeTab === "gallery" && (
           <div className="gallery-list">
             <div className="gallery-header">
-              <h2>Manage Gallery Images ({galleryImages.length})</h2>
+              <h2>
+                {t("admin.headings.gallery", { count: galleryImages.length })}
+              </h2>
               <button
                 className="btn btn-secondary"
                 onClick={refreshGallery}
@@ -1381,66 +1991,10 @@ const AdminPanel = () => {
                       <h3 className="image-title">{image.title}</h3>
                       <p className="image-description">{image.description}</p>
 
-                      {/* Custom Event Data Display */}
-                      {(image.eventDate ||
-                        image.eventLocation ||
-                        image.eventType ||
-                        image.organizer) && (
-                        <div className="image-event-details">
-                          <h4 className="event-details-title">
-                            Event Information
-                          </h4>
-                          <div className="event-details-grid">
-                            {image.eventDate && (
-                              <div className="event-detail-item">
-                                <span className="event-detail-label">
-                                  📅 Event Date:
-                                </span>
-                                <span className="event-detail-value">
-                                  {new Date(image.eventDate).toLocaleDateString(
-                                    "en-US",
-                                    {
-                                      year: "numeric",
-                                      month: "long",
-                                      day: "numeric",
-                                    }
-                                  )}
-                                </span>
-                              </div>
-                            )}
-                            {image.eventLocation && (
-                              <div className="event-detail-item">
-                                <span className="event-detail-label">
-                                  📍 Location:
-                                </span>
-                                <span className="event-detail-value">
-                                  {image.eventLocation}
-                                </span>
-                              </div>
-                            )}
-                            {image.eventType && (
-                              <div className="event-detail-item">
-                                <span className="event-detail-label">
-                                  🎯 Type:
-                                </span>
-                                <span className="event-detail-value">
-                                  {image.eventType
-                                    .replace("-", " ")
-                                    .replace(/\b\w/g, (l) => l.toUpperCase())}
-                                </span>
-                              </div>
-                            )}
-                            {image.organizer && (
-                              <div className="event-detail-item">
-                                <span className="event-detail-label">
-                                  🏢 Organizer:
-                                </span>
-                                <span className="event-detail-value">
-                                  {image.organizer}
-                                </span>
-                              </div>
-                            )}
-                          </div>
+                      {image.album && albumNames[image.album] && (
+                        <div className="image-album">
+                          <FaFolderOpen />
+                          {albumNames[image.album]}
                         </div>
                       )}
 
@@ -1501,10 +2055,7 @@ const AdminPanel = () => {
                     category: "meeting",
                     order: 0,
                     image: null,
-                    eventDate: "",
-                    eventLocation: "",
-                    eventType: "",
-                    organizer: "",
+                    album: "",
                   });
                 }}
               >
@@ -1612,87 +2163,38 @@ const AdminPanel = () => {
                 </div>
               </div>
 
-              {/* Event Details Section */}
+              {/* Album Section */}
               <div className="form-section">
                 <div className="form-section-header">
-                  <h3>Event Details</h3>
-                  <p>Additional information about the meeting or event</p>
-                </div>
-
-                <div className="form-row">
-                  <div className="form-group">
-                    <label htmlFor="eventDate">
-                      <FaCalendarAlt className="label-icon" />
-                      Event Date
-                    </label>
-                    <input
-                      type="date"
-                      id="eventDate"
-                      name="eventDate"
-                      value={galleryFormData.eventDate}
-                      onChange={handleGalleryInputChange}
-                      className="form-input"
-                    />
-                  </div>
-
-                  <div className="form-group">
-                    <label htmlFor="eventType">
-                      <FaBullhorn className="label-icon" />
-                      Event Type
-                    </label>
-                    <select
-                      id="eventType"
-                      name="eventType"
-                      value={galleryFormData.eventType}
-                      onChange={handleGalleryInputChange}
-                      className="form-select"
-                    >
-                      <option value="">Select event type</option>
-                      <option value="business-meeting">Business Meeting</option>
-                      <option value="conference">Conference</option>
-                      <option value="seminar">Seminar</option>
-                      <option value="workshop">Workshop</option>
-                      <option value="networking">Networking Event</option>
-                      <option value="trade-show">Trade Show</option>
-                      <option value="award-ceremony">Award Ceremony</option>
-                      <option value="annual-meeting">Annual Meeting</option>
-                      <option value="other">Other</option>
-                    </select>
-                  </div>
+                  <h3>Album</h3>
+                  <p>
+                    The meeting or event the image belongs to. Its date,
+                    location and organizer are set on the album in the
+                    Albums tab.
+                  </p>
                 </div>
 
-                <div className="form-row">
-                  <div className="form-group">
-                    <label htmlFor="eventLocation">
-                      <FaMapMarkerAlt className="label-icon" />
-                      Event Location
-                    </label>
-                    <input
-                      type="text"
-                      id="eventLocation"
-                      name="eventLocation"
-                      value={galleryFormData.eventLocation}
-                      onChange={handleGalleryInputChange}
-                      placeholder="e.g., Hotel Grand Palace, Dhaka"
-                      className="form-input"
-                    />
-                  </div>
-
-                  <div className="form-group">
-                    <label htmlFor="organizer">
-                      <FaUsers className="label-icon" />
-                      Event Organizer
-                    </label>
-                    <input
-                      type="text"
-                      id="organizer"
-                      name="organizer"
-                      value={galleryFormData.organizer}
-                      onChange={handleGalleryInputChange}
-                      placeholder="e.g., JCCI Executive Committee"
-                      className="form-input"
-                    />
-                  </div>
+                <div className="form-group">
+                  <label htmlFor="album">
+                    <FaFolderOpen className="label-icon" />
+                    Album
+                  </label>
+                  <select
+                    id="album"
+                    name="album"
+                    value={galleryFormData.album}
+                    onChange={handleGalleryInputChange}
+                    className="form-select"
+                  >
+                    <option value="">No album</option>
+                    {albumOptions.map((album) => (
+                      <option key={album._id} value={album._id}>
+                        {album.title}
+                        {album.eventDate &&
+                          ` (${formatEventDate(album.eventDate)})`}
+                      </option>
+                    ))}
+                  </select>
                 </div>
               </div>
 
@@ -1780,10 +2282,7 @@ const AdminPanel = () => {
                       category: "meeting",
                       order: 0,
                       image: null,
-                      eventDate: "",
-                      eventLocation: "",
-                      eventType: "",
-                      organizer: "",
+                      album: "",
                     });
                   }}
                 >
@@ -1816,9 +2315,38 @@ const AdminPanel = () => {
       {/* News Tab Content */}
       {activeTab === "news" && (
         <div className="news-list">
-          <h2>Manage News Articles ({news.length})</h2>
+          <h2>{t("admin.headings.news", { count: adminNews.length })}</h2>
 
-          {news.length === 0 ? (
+          <div className="member-status-filter">
+            {NEWS_STATUS_FILTERS.map((filter) => (
+              <button
+                key={filter}
+                className={`filter-btn ${
+                  newsStatusFilter === filter ? "active" : ""
+                }`}
+                onClick={() => setNewsStatusFilter(filter)}
+              >
+                {filter === "all"
+                  ? t("admin.workflow.all")
+                  : t(`admin.workflow.status.${filter}`)}
+              </button>
+            ))}
+          </div>
+
+          <AnimatePresence>
+            {historyTarget && historyTarget.entityType === "news" && (
+              <RevisionHistory
+                key={historyTarget.id}
+                entityType="news"
+                entityId={historyTarget.id}
+                title={historyTarget.title}
+                onClose={() => setHistoryTarget(null)}
+                onRestored={handleRevisionRestored}
+              />
+            )}
+          </AnimatePresence>
+
+          {adminNews.length === 0 ? (
             <div className="empty-state">
               <FaFileAlt className="empty-icon" />
               <h3>No news articles yet</h3>
@@ -1826,7 +2354,7 @@ const AdminPanel = () => {
             </div>
           ) : (
             <div className="news-grid-admin">
-              {news.map((article, index) => (
+              {adminNews.map((article, index) => (
                 <motion.div
                   key={article.id}
                   className={`news-item-admin ${
@@ -1849,15 +2377,41 @@ const AdminPanel = () => {
                           {article.category}
                         </span>
                         <span
-                          className={`badge badge-status ${
-                            article.isActive ? "active" : "inactive"
-                          }`}
+                          className={`badge badge-status ${newsStatus(
+                            article
+                          )}`}
                         >
-                          {article.isActive ? "Active" : "Inactive"}
+                          {t(`admin.workflow.status.${newsStatus(article)}`)}
                         </span>
+                        {newsStatus(article) === "published" &&
+                          !article.isActive && (
+                            <span className="badge badge-status inactive">
+                              {article.isScheduled
+                                ? t("admin.publishing.scheduled")
+                                : t("admin.workflow.hidden")}
+                            </span>
+                          )}
                       </div>
                     </div>
 
+                    {newsStatus(article) === "in_review" && article.review && (
+                      <p className="news-review-note">
+                        {t("admin.workflow.submittedBy", {
+                          name: article.review.submittedBy || "",
+                        })}
+                      </p>
+                    )}
+                    {newsStatus(article) === "draft" &&
+                      article.review &&
+                      article.review.note && (
+                        <p className="news-review-note returned">
+                          {t("admin.workflow.sentBack", {
+                            name: article.review.reviewedBy || "",
+                            note: article.review.note,
+                          })}
+                        </p>
+                      )}
+
                     <div className="news-body">
                       <p className="news-preview">
                         {article.content.length > 150
@@ -1867,7 +2421,16 @@ const AdminPanel = () => {
 
                       {article.imageUrl && (
                         <div className="news-image-preview">
-                          <img src={article.imageUrl} alt={article.title} />
+                          <LazyImage
+                            src={article.imageUrl}
+                            srcWidth={article.imageWidth}
+                            variants={article.imageVariants}
+                            placeholder={article.imagePlaceholder}
+                            sizes="(max-width: 768px) 100vw, 400px"
+                            alt={article.title}
+                            width="100%"
+                            height="100%"
+                          />
                         </div>
                       )}
                     </div>
@@ -1935,16 +2498,37 @@ const AdminPanel = () => {
                     >
                       <FaEdit />
                     </button>
+                    {NEWS_WORKFLOW_ACTIONS[newsStatus(article)]
+                      .filter((action) => hasPermission(action.permission))
+                      .map(({ status, label, icon: Icon }) => (
+                        <button
+                          key={label}
+                          className={`btn-icon btn-workflow ${label}`}
+                          onClick={() => handleNewsStatus(article, status)}
+                          title={t(`admin.workflow.actions.${label}`)}
+                        >
+                          <Icon />
+                        </button>
+                      ))}
+                    <button
+                      className="btn-icon btn-preview"
+                      onClick={() => handlePreviewNews(article)}
+                      title={t("admin.workflow.preview")}
+                    >
+                      <FaExternalLinkAlt />
+                    </button>
                     <button
-                      className={`btn-icon ${
-                        article.isActive ? "btn-deactivate" : "btn-activate"
-                      }`}
+                      className="btn-icon btn-history"
                       onClick={() =>
-                        toggleNewsStatus(article.id, article.isActive)
+                        setHistoryTarget({
+                          entityType: "news",
+                          id: article.id,
+                          title: article.title,
+                        })
                       }
-                      title={article.isActive ? "Deactivate" : "Activate"}
+                      title={t("admin.revisions.open")}
                     >
-                      {article.isActive ? <FaTimes /> : <FaPlus />}
+                      <FaHistory />
                     </button>
                     <button
                       className="btn-icon btn-delete"
@@ -1961,6 +2545,87 @@ const AdminPanel = () => {
         </div>
       )}
 
+      {/* Scheduled Tab Content */}
+      {activeTab === "scheduled" && (
+        <div className="scheduled-list">
+          <h2>{t("admin.headings.scheduled")}</h2>
+
+          {scheduledItems.length === 0 ? (
+            <div className="empty-state">
+              <FaClock className="empty-icon" />
+              <h3>{t("admin.publishing.emptyTitle")}</h3>
+              <p>{t("admin.publishing.emptyText")}</p>
+            </div>
+          ) : (
+            <div className="scheduled-items">
+              {scheduledItems.map((item) => (
+                <div key={`${item.type}-${item._id}`} className="scheduled-item">
+                  <div className="scheduled-item-main">
+                    <div className="scheduled-item-badges">
+                      <span className="badge badge-category">
+                        {t(`admin.publishing.types.${item.type}`)}
+                      </span>
+                      <span
+                        className={`badge badge-status ${
+                          item.isScheduled ? "scheduled" : "active"
+                        }`}
+                      >
+                        {item.isScheduled
+                          ? t("admin.publishing.scheduled")
+                          : t("admin.publishing.live")}
+                      </span>
+                    </div>
+                    <h3>{item.title}</h3>
+                    <div className="scheduled-item-times">
+                      {item.isScheduled && (
+                        <span>
+                          <FaCalendarAlt />
+                          {t("admin.publishing.publishes", {
+                            date: formatScheduleTime(item.publishAt),
+                          })}
+                        </span>
+                      )}
+                      {item.expireAt && (
+                        <span>
+                          <FaClock />
+                          {t("admin.publishing.expires", {
+                            date: formatScheduleTime(item.expireAt),
+                          })}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="scheduled-item-actions">
+                    <button
+                      className="btn-icon btn-edit"
+                      onClick={() =>
+                        item.type === "notice"
+                          ? handleEdit(item)
+                          : handleEditNews(item)
+                      }
+                      title={t("admin.publishing.edit")}
+                    >
+                      <FaEdit />
+                    </button>
+                    <button
+                      className="btn-icon btn-delete"
+                      onClick={() =>
+                        item.type === "notice"
+                          ? handleDelete(item._id)
+                          : handleDeleteNews(item._id)
+                      }
+                      title={t("admin.publishing.delete")}
+                    >
+                      <FaTrash />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* News Form Modal */}
       {showNewsForm && (
         <div className="modal-overlay">
@@ -1972,7 +2637,9 @@ const AdminPanel = () => {
           >
             <div className="modal-header">
               <h2>
-                {editingNews ? "Edit News Article" : "Create New Article"}
+                {editingNews
+                  ? t("admin.newsForm.editTitle")
+                  : t("admin.newsForm.createTitle")}
               </h2>
               <button
                 className="btn-close"
@@ -1982,9 +2649,15 @@ const AdminPanel = () => {
                   setNewsFormData({
                     title: "",
                     content: "",
+                    titleBn: "",
+                    contentBn: "",
                     category: "business",
                     imageUrl: "",
+                    image: null,
                     isFeatured: false,
+                    publishAt: "",
+                    expireAt: "",
+                    status: "draft",
                   });
                 }}
               >
@@ -1994,7 +2667,7 @@ const AdminPanel = () => {
 
             <form onSubmit={handleNewsSubmit} className="news-form-content">
               <div className="form-group">
-                <label htmlFor="newsTitle">Article Title *</label>
+                <label htmlFor="newsTitle">{t("admin.newsForm.title")}</label>
                 <input
                   type="text"
                   id="newsTitle"
@@ -2002,12 +2675,27 @@ const AdminPanel = () => {
                   value={newsFormData.title}
                   onChange={handleNewsInputChange}
                   required
-                  placeholder="Enter article title"
+                  placeholder={t("admin.newsForm.titlePlaceholder")}
                 />
               </div>
 
               <div className="form-group">
-                <label htmlFor="newsContent">Article Content *</label>
+                <label htmlFor="newsTitleBn">{t("admin.newsForm.titleBn")}</label>
+                <input
+                  type="text"
+                  id="newsTitleBn"
+                  name="titleBn"
+                  lang="bn"
+                  value={newsFormData.titleBn}
+                  onChange={handleNewsInputChange}
+                  placeholder={t("admin.newsForm.titleBnPlaceholder")}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="newsContent">
+                  {t("admin.newsForm.content")}
+                </label>
                 <textarea
                   id="newsContent"
                   name="content"
@@ -2015,13 +2703,33 @@ const AdminPanel = () => {
                   onChange={handleNewsInputChange}
                   required
                   rows="6"
-                  placeholder="Write your article content here..."
+                  placeholder={t("admin.newsForm.contentPlaceholder")}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="newsContentBn">
+                  {t("admin.newsForm.contentBn")}
+                </label>
+                <textarea
+                  id="newsContentBn"
+                  name="contentBn"
+                  lang="bn"
+                  value={newsFormData.contentBn}
+                  onChange={handleNewsInputChange}
+                  rows="6"
+                  placeholder={t("admin.newsForm.contentBnPlaceholder")}
                 />
+                <small className="file-help-text">
+                  {t("admin.noticeForm.bilingualHint")}
+                </small>
               </div>
 
               <div className="form-row">
                 <div className="form-group">
-                  <label htmlFor="newsCategory">Category</label>
+                  <label htmlFor="newsCategory">
+                    {t("admin.newsForm.category")}
+                  </label>
                   <select
                     id="newsCategory"
                     name="category"
@@ -2036,7 +2744,9 @@ const AdminPanel = () => {
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="newsImageUrl">Image URL (Optional)</label>
+                  <label htmlFor="newsImageUrl">
+                    {t("admin.newsForm.imageUrl")}
+                  </label>
                   <input
                     type="url"
                     id="newsImageUrl"
@@ -2048,6 +2758,104 @@ const AdminPanel = () => {
                 </div>
               </div>
 
+              <div className="form-group">
+                <label htmlFor="newsImage">
+                  {t("admin.newsForm.uploadImage")}
+                </label>
+                <div className="file-upload-container">
+                  <input
+                    type="file"
+                    id="newsImage"
+                    name="image"
+                    accept="image/*"
+                    onChange={handleNewsInputChange}
+                    className="file-input"
+                  />
+                  <label htmlFor="newsImage" className="file-upload-label">
+                    <FaUpload className="upload-icon" />
+                    {newsFormData.image
+                      ? newsFormData.image.name
+                      : t("admin.newsForm.chooseImage")}
+                  </label>
+                  {newsFormData.image && (
+                    <div className="file-info">
+                      <FaImage className="pdf-icon" />
+                      <span>{newsFormData.image.name}</span>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setNewsFormData({ ...newsFormData, image: null })
+                        }
+                        className="remove-file-btn"
+                      >
+                        <FaTimes />
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <small className="file-help-text">
+                  {t("admin.newsForm.imageHint")}
+                </small>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="newsPublishAt">
+                    {t("admin.publishing.publishAt")}
+                  </label>
+                  <input
+                    type="datetime-local"
+                    id="newsPublishAt"
+                    name="publishAt"
+                    value={newsFormData.publishAt}
+                    onChange={handleNewsInputChange}
+                    className="form-input"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="newsExpireAt">
+                    {t("admin.publishing.expireAt")}
+                  </label>
+                  <input
+                    type="datetime-local"
+                    id="newsExpireAt"
+                    name="expireAt"
+                    value={newsFormData.expireAt}
+                    onChange={handleNewsInputChange}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+              <small className="file-help-text">
+                {t("admin.publishing.hint")}
+              </small>
+
+              {!editingNews && (
+                <div className="form-group">
+                  <label htmlFor="newsStatus">
+                    {t("admin.workflow.saveAs")}
+                  </label>
+                  <select
+                    id="newsStatus"
+                    name="status"
+                    value={newsFormData.status}
+                    onChange={handleNewsInputChange}
+                  >
+                    <option value="draft">
+                      {t("admin.workflow.status.draft")}
+                    </option>
+                    <option value="in_review">
+                      {t("admin.workflow.status.in_review")}
+                    </option>
+                    {hasPermission("news:publish") && (
+                      <option value="published">
+                        {t("admin.workflow.status.published")}
+                      </option>
+                    )}
+                  </select>
+                </div>
+              )}
+
               <div className="form-group checkbox-group">
                 <label className="checkbox-label">
                   <input
@@ -2056,7 +2864,9 @@ const AdminPanel = () => {
                     checked={newsFormData.isFeatured}
                     onChange={handleNewsInputChange}
                   />
-                  <span className="checkbox-text">Featured Article</span>
+                  <span className="checkbox-text">
+                    {t("admin.newsForm.featured")}
+                  </span>
                 </label>
               </div>
 
@@ -2070,9 +2880,15 @@ const AdminPanel = () => {
                     setNewsFormData({
                       title: "",
                       content: "",
+                      titleBn: "",
+                      contentBn: "",
                       category: "business",
                       imageUrl: "",
+                      image: null,
                       isFeatured: false,
+                      publishAt: "",
+                      expireAt: "",
+                      status: "draft",
                     });
                   }}
                 >
@@ -2086,12 +2902,16 @@ const AdminPanel = () => {
                   {loading ? (
                     <>
                       <div className="spinner"></div>
-                      {editingNews ? "Updating..." : "Creating..."}
+                      {editingNews
+                        ? t("common.updating")
+                        : t("admin.newsForm.creating")}
                     </>
                   ) : (
                     <>
                       <FaSave />
-                      {editingNews ? "Update Article" : "Create Article"}
+                      {editingNews
+                        ? t("admin.newsForm.update")
+                        : t("admin.newsForm.create")}
                     </>
                   )}
                 </button>
@@ -2101,10 +2921,233 @@ const AdminPanel = () => {
         </div>
       )}
 
+      {/* Member Review Tab Content */}
+      {activeTab === "members" && (
+        <div className="admin-management">
+          <h2>{t("admin.headings.members", { count: members.length })}</h2>
+
+          <div className="member-status-filter">
+            {MEMBER_FILTERS.map((filter) => (
+              <button
+                key={filter.key}
+                className={`filter-btn ${
+                  memberFilter === filter.key ? "active" : ""
+                }`}
+                onClick={() => setMemberFilter(filter.key)}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+
+          <AnimatePresence>
+            {ledgerMember && (
+              <MemberDuesLedger
+                key={ledgerMember._id}
+                member={ledgerMember}
+                paymentMethods={memberOptions.paymentMethods}
+                annualDues={memberOptions.annualDues}
+                onClose={() => setLedgerMember(null)}
+                onPaymentRecorded={handlePaymentRecorded}
+              />
+            )}
+          </AnimatePresence>
+
+          {members.length === 0 ? (
+            <div className="empty-state">
+              <FaBuilding className="empty-icon" />
+              <h3>No member profiles found</h3>
+              <p>Business profiles submitted by members will appear here.</p>
+            </div>
+          ) : (
+            <div className="admins-grid">
+              {members.map((member) => (
+                <motion.div
+                  key={member._id}
+                  className="admin-card"
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -20 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <div className="admin-header">
+                    <div className="admin-info">
+                      <FaBuilding className="admin-icon" />
+                      <div className="admin-details">
+                        <h3>{member.companyName}</h3>
+                        <p>
+                          {formatOptionLabel(member.businessCategory)} ·{" "}
+                          {formatOptionLabel(member.membershipTier)}
+                        </p>
+                        <span className={`member-review-status status-${member.status}`}>
+                          {member.status}
+                        </span>
+                        {member.membershipState !== "none" && (
+                          <span
+                            className={`member-review-status status-${member.membershipState}`}
+                          >
+                            {member.membershipState}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                    <div className="admin-actions">
+                      {member.status !== "approved" && (
+                        <button
+                          className="btn-icon btn-download"
+                          onClick={() => handleApproveMember(member._id)}
+                          title="Approve member"
+                        >
+                          <FaCheck />
+                        </button>
+                      )}
+                      {member.status === "approved" && (
+                        <button
+                          className="btn-icon btn-view"
+                          onClick={() => setLedgerMember(member)}
+                          title="Dues ledger"
+                        >
+                          <FaMoneyBillWave />
+                        </button>
+                      )}
+                      {["active", "grace"].includes(member.membershipState) && (
+                        <button
+                          className="btn-icon btn-download"
+                          onClick={() => handleDownloadCertificate(member)}
+                          title="Download membership certificate"
+                        >
+                          <FaCertificate />
+                        </button>
+                      )}
+                      {member.status !== "rejected" && (
+                        <button
+                          className="btn-icon btn-print"
+                          onClick={() => handleRejectMember(member._id)}
+                          title="Reject member"
+                        >
+                          <FaBan />
+                        </button>
+                      )}
+                      <button
+                        className="btn-icon btn-delete"
+                        onClick={() => handleDeleteMember(member._id)}
+                        title="Delete member"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="admin-meta">
+                    {member.membershipNumber && (
+                      <div className="admin-meta-item">
+                        <FaIdCard />
+                        <span>
+                          {member.membershipNumber} · Next due:{" "}
+                          {member.membershipExpiry
+                            ? formatDate(member.membershipExpiry)
+                            : "Never (life member)"}
+                        </span>
+                      </div>
+                    )}
+                    <div className="admin-meta-item">
+                      <FaFileAlt />
+                      <span>Trade License: {member.tradeLicenseNumber}</span>
+                    </div>
+                    <div className="admin-meta-item">
+                      <FaMapMarkerAlt />
+                      <span>
+                        {member.address?.line}, {member.address?.upazila}
+                      </span>
+                    </div>
+                    <div className="admin-meta-item">
+                      <FaPhone />
+                      <span>
+                        {member.contactPerson?.name} ({member.contactPerson?.phone})
+                      </span>
+                    </div>
+                    {member.user && (
+                      <div className="admin-meta-item">
+                        <FaUser />
+                        <span>Account: {member.user.email}</span>
+                      </div>
+                    )}
+                    <div className="admin-meta-item">
+                      <FaCalendarAlt />
+                      <span>
+                        Submitted: {new Date(member.createdAt).toLocaleDateString()}
+                      </span>
+                    </div>
+                    {member.documents?.map((document) => (
+                      <div className="admin-meta-item" key={document._id}>
+                        <FaPaperclip />
+                        <a
+                          href={document.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          {document.originalName}
+                        </a>
+                      </div>
+                    ))}
+                    {member.status === "rejected" && member.rejectionReason && (
+                      <div className="admin-meta-item">
+                        <FaInfoCircle />
+                        <span>Reason: {member.rejectionReason}</span>
+                      </div>
+                    )}
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Gallery Albums Tab Content */}
+      {activeTab === "albums" && (
+        <div className="admin-management">
+          <h2>{t("admin.headings.albums")}</h2>
+          <AlbumManager />
+        </div>
+      )}
+
+      {/* Events Tab Content */}
+      {activeTab === "events" && (
+        <div className="admin-management">
+          <h2>{t("admin.headings.events")}</h2>
+          <EventManager />
+        </div>
+      )}
+
+      {/* Activity Log Tab Content */}
+      {activeTab === "activity" && (
+        <div className="admin-management">
+          <h2>{t("admin.headings.activity")}</h2>
+          <AuditLogViewer />
+        </div>
+      )}
+
+      {/* Sign-in Lockouts Tab Content */}
+      {activeTab === "lockouts" && (
+        <div className="admin-management">
+          <h2>{t("admin.headings.lockouts")}</h2>
+          <LockoutManager />
+        </div>
+      )}
+
+      {/* System Health Tab Content */}
+      {activeTab === "health" && (
+        <div className="admin-management">
+          <h2>{t("admin.headings.health")}</h2>
+          <SystemHealth />
+        </div>
+      )}
+
       {/* Admin Management Tab Content */}
       {activeTab === "admins" && (
         <div className="admin-management">
-          <h2>Admin Management ({admins.length})</h2>
+          <h2>{t("admin.headings.admins", { count: admins.length })}</h2>
 
           {admins.length === 0 ? (
             <div className="empty-state">
@@ -2129,12 +3172,31 @@ const AdminPanel = () => {
                       <div className="admin-details">
                         <h3>{admin.name}</h3>
                         <p>{admin.email}</p>
+                        <span className="admin-role-badge">
+                          {getRoleLabel(admin.role)}
+                        </span>
+                        {admin.twoFactor?.enabled && (
+                          <span className="admin-2fa-badge">
+                            <FaShieldAlt />
+                            2FA
+                          </span>
+                        )}
                         {(admin._id || admin.id) === user.id && (
                           <span className="current-admin">Current Admin</span>
                         )}
                       </div>
                     </div>
                     <div className="admin-actions">
+                      {(admin._id || admin.id) !== user.id &&
+                        admin.twoFactor?.enabled && (
+                          <button
+                            className="btn-icon btn-edit"
+                            onClick={() => handleResetAdminTwoFactor(admin)}
+                            title="Reset two-factor authentication"
+                          >
+                            <FaShieldAlt />
+                          </button>
+                        )}
                       {(admin._id || admin.id) !== user.id && (
                         <button
                           className="btn-icon btn-delete"
@@ -2149,6 +3211,31 @@ const AdminPanel = () => {
                     </div>
                   </div>
 
+                  {(admin._id || admin.id) !== user.id && (
+                    <div className="admin-role-select">
+                      <label htmlFor={`role-${admin._id || admin.id}`}>
+                        Role
+                      </label>
+                      <select
+                        id={`role-${admin._id || admin.id}`}
+                        className="form-input"
+                        value={admin.role}
+                        onChange={(e) =>
+                          handleAdminRoleChange(
+                            admin._id || admin.id,
+                            e.target.value
+                          )
+                        }
+                      >
+                        {roles.map((role) => (
+                          <option key={role.name} value={role.name}>
+                            {role.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
                   <div className="admin-meta">
                     <div className="admin-meta-item">
                       <FaCalendarAlt />
@@ -2217,6 +3304,25 @@ const AdminPanel = () => {
                   />
                 </div>
 
+                <div className="form-group">
+                  <label htmlFor="adminRole">Role</label>
+                  <select
+                    id="adminRole"
+                    name="role"
+                    value={adminFormData.role}
+                    onChange={handleAdminInputChange}
+                    className="form-input"
+                  >
+                    {roles
+                      .filter((role) => role.permissions.length > 0)
+                      .map((role) => (
+                        <option key={role.name} value={role.name}>
+                          {role.label}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+
                 <div className="form-row">
                   <div className="form-group">
                     <label htmlFor="adminPassword">Password</label>
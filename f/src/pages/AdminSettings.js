@@ -3,6 +3,10 @@ import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import apiService from '../services/api';
 import { validatePassword } from '../utils/validation';
+import RoleManager from '../components/RoleManager';
+import SessionManager from '../components/SessionManager';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import PhoneSettings from '../components/PhoneSettings';
 import { 
   FaUser, 
   FaLock, 
@@ -12,14 +16,18 @@ import {
   FaUserShield,
   FaExclamationTriangle,
   FaCheckCircle,
-  FaArrowLeft
+  FaArrowLeft,
+  FaUserTag,
+  FaLaptop,
+  FaShieldAlt
 } from 'react-icons/fa';
 import { Link } from 'react-router-dom';
 import './AdminSettings.css';
 
 const AdminSettings = () => {
-  const { user, isAdmin } = useAuth();
-  const [activeTab, setActiveTab] = useState('profile');
+  const { user, isAdmin, hasPermission, needsTwoFactorSetup } = useAuth();
+  // Staff who must enroll in two-factor authentication land on that tab
+  const [activeTab, setActiveTab] = useState(() => (needsTwoFactorSetup() ? 'two-factor' : 'profile'));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -44,7 +52,7 @@ const AdminSettings = () => {
   });
 
   // Redirect if not admin
-  if (!isAdmin()) {
+  if (!isAdmin() && !needsTwoFactorSetup()) {
     return (
       <div className="admin-settings">
         <div className="access-denied">
@@ -130,7 +138,7 @@ const AdminSettings = () => {
       // Call backend API to change password
       await apiService.changePassword(passwordData.currentPassword, passwordData.newPassword);
       
-      setSuccess('Password changed successfully! You can now use your new password to login.');
+      setSuccess('Password changed successfully! Your other devices have been signed out.');
       setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
     } catch (err) {
       setError(err.message || 'Failed to change password. Please try again.');
@@ -168,8 +176,38 @@ const AdminSettings = () => {
             <FaLock />
             Change Password
           </button>
+          <button 
+            className={`tab-btn ${activeTab === 'two-factor' ? 'active' : ''}`}
+            onClick={() => setActiveTab('two-factor')}
+          >
+            <FaShieldAlt />
+            Two-Factor Auth
+          </button>
+          <button 
+            className={`tab-btn ${activeTab === 'sessions' ? 'active' : ''}`}
+            onClick={() => setActiveTab('sessions')}
+          >
+            <FaLaptop />
+            Sessions
+          </button>
+          {hasPermission('admin:manage') && (
+            <button 
+              className={`tab-btn ${activeTab === 'roles' ? 'active' : ''}`}
+              onClick={() => setActiveTab('roles')}
+            >
+              <FaUserTag />
+              Roles & Permissions
+            </button>
+          )}
         </div>
 
+        {needsTwoFactorSetup() && (
+          <div className="alert alert-warning">
+            <FaShieldAlt />
+            Your role requires two-factor authentication. Set it up below to unlock the admin panel.
+          </div>
+        )}
+
         {error && (
           <motion.div 
             className="alert alert-error"
@@ -260,6 +298,8 @@ const AdminSettings = () => {
                   </button>
                 </div>
               </form>
+
+              <PhoneSettings onError={setError} onSuccess={setSuccess} />
             </motion.div>
           )}
 
@@ -407,6 +447,55 @@ const AdminSettings = () => {
               </div>
             </motion.div>
           )}
+
+          {activeTab === 'two-factor' && (
+            <motion.div
+              className="two-factor-settings"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              <h2>Two-Factor Authentication</h2>
+              <p className="settings-description">
+                Sign in with a code from your phone as well as your password. If you lose your phone,
+                use a recovery code or have a code emailed to you.
+              </p>
+
+              <TwoFactorSettings onError={setError} onSuccess={setSuccess} />
+            </motion.div>
+          )}
+
+          {activeTab === 'sessions' && (
+            <motion.div
+              className="session-settings"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              <h2>Sessions</h2>
+              <p className="settings-description">
+                Devices currently signed in to your account. Log out any you don't recognise; changing your password signs out every other device.
+              </p>
+
+              <SessionManager onError={setError} onSuccess={setSuccess} />
+            </motion.div>
+          )}
+
+          {activeTab === 'roles' && hasPermission('admin:manage') && (
+            <motion.div
+              className="role-settings"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              <h2>Roles & Permissions</h2>
+              <p className="settings-description">
+                Choose what each office role can do. Staff accounts are assigned a role from the Admins tab of the admin panel.
+              </p>
+
+              <RoleManager onError={setError} onSuccess={setSuccess} />
+            </motion.div>
+          )}
         </div>
       </div>
     </div>
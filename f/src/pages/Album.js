@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  FaImages,
+  FaCalendarAlt,
+  FaMapMarkerAlt,
+  FaUsers,
+  FaArrowLeft,
+  FaChevronLeft,
+  FaChevronRight,
+  FaTimes
+} from 'react-icons/fa';
+import apiService from '../services/api';
+import LazyImage from '../components/LazyImage';
+import { formatEventType, formatEventDate } from '../utils/albums';
+import logger from '../utils/logger';
+import './Albums.css';
+
+// Public page for one meeting or event album, with a full-size image viewer
+const Album = () => {
+  const { albumId } = useParams();
+  const [album, setAlbum] = useState(null);
+  const [images, setImages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Index of the image open in the viewer
+  const [viewing, setViewing] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    apiService.getAlbum(albumId)
+      .then(data => {
+        setAlbum(data.album);
+        setImages(data.images);
+      })
+      .catch(err => {
+        logger.error('Error loading album:', err);
+        setError(err.message === 'Album not found'
+          ? 'This album does not exist or is no longer published.'
+          : 'Could not load the album. Please try again later.');
+      })
+      .finally(() => setLoading(false));
+  }, [albumId]);
+
+  const showPrevious = useCallback(() => {
+    setViewing(index => (index - 1 + images.length) % images.length);
+  }, [images.length]);
+
+  const showNext = useCallback(() => {
+    setViewing(index => (index + 1) % images.length);
+  }, [images.length]);
+
+  useEffect(() => {
+    if (viewing === null) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setViewing(null);
+      if (e.key === 'ArrowLeft') showPrevious();
+      if (e.key === 'ArrowRight') showNext();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [viewing, showPrevious, showNext]);
+
+  if (loading) {
+    return (
+      <div className="albums-page">
+        <div className="loading-state">
+          <div className="spinner"></div>
+          <p>Loading album...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="albums-page">
+        <div className="container album-page-missing">
+          <div className="error-message">{error}</div>
+          <Link to="/gallery" className="btn btn-primary">
+            <FaArrowLeft /> All Albums
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const current = viewing !== null ? images[viewing] : null;
+
+  return (
+    <div className="albums-page">
+      <section className="albums-page-header album-page-header">
+        <div className="container">
+          <motion.div
+            className="header-content"
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+          >
+            <Link to="/gallery" className="album-page-back">
+              <FaArrowLeft /> All Albums
+            </Link>
+            <span className="album-tile-type">{formatEventType(album.eventType)}</span>
+            <h1 className="page-title">{album.title}</h1>
+            <div className="album-page-meta">
+              {album.eventDate && <span><FaCalendarAlt /> {formatEventDate(album.eventDate)}</span>}
+              {album.eventLocation && <span><FaMapMarkerAlt /> {album.eventLocation}</span>}
+              {album.organizer && <span><FaUsers /> {album.organizer}</span>}
+            </div>
+            {album.description && <p className="page-subtitle">{album.description}</p>}
+          </motion.div>
+        </div>
+      </section>
+
+      <section className="albums-page-section">
+        <div className="container">
+          {images.length === 0 ? (
+            <div className="no-albums">
+              <FaImages />
+              <h3>No photos yet</h3>
+              <p>Photos from this event will appear here soon.</p>
+            </div>
+          ) : (
+            <div className="album-page-grid">
+              {images.map((image, index) => (
+                <button
+                  key={image._id}
+                  type="button"
+                  className="album-page-photo"
+                  onClick={() => setViewing(index)}
+                >
+                  <LazyImage
+                    src={image.imageUrl}
+                    alt={image.altText}
+                    variants={image.variants}
+                    srcWidth={image.width}
+                    width={image.width}
+                    height={image.height}
+                    placeholder={image.placeholder}
+                    sizes="(max-width: 600px) 50vw, (max-width: 1024px) 33vw, 300px"
+                  />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </section>
+
+      <AnimatePresence>
+        {current && (
+          <motion.div
+            className="album-viewer"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={() => setViewing(null)}
+          >
+            <button type="button" className="album-viewer-close" aria-label="Close">
+              <FaTimes />
+            </button>
+            {images.length > 1 && (
+              <button
+                type="button"
+                className="album-viewer-nav previous"
+                aria-label="Previous photo"
+                onClick={(e) => { e.stopPropagation(); showPrevious(); }}
+              >
+                <FaChevronLeft />
+              </button>
+            )}
+            <figure onClick={(e) => e.stopPropagation()}>
+              <LazyImage
+                key={current._id}
+                src={current.imageUrl}
+                alt={current.altText}
+                variants={current.variants}
+                srcWidth={current.width}
+                width={current.width}
+                height={current.height}
+                placeholder={current.placeholder}
+                sizes="90vw"
+              />
+              <figcaption>
+                {current.title !== album.title && <strong>{current.title}</strong>}
+                <span>{viewing + 1} / {images.length}</span>
+              </figcaption>
+            </figure>
+            {images.length > 1 && (
+              <button
+                type="button"
+                className="album-viewer-nav next"
+                aria-label="Next photo"
+                onClick={(e) => { e.stopPropagation(); showNext(); }}
+              >
+                <FaChevronRight />
+              </button>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default Album;
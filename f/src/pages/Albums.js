@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaImages, FaCalendarAlt, FaMapMarkerAlt } from 'react-icons/fa';
+import apiService from '../services/api';
+import LazyImage from '../components/LazyImage';
+import { formatEventType, formatEventDate } from '../utils/albums';
+import logger from '../utils/logger';
+import './Albums.css';
+
+// Public list of meeting and event albums, newest first
+const Albums = () => {
+  const [albums, setAlbums] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiService.getAlbums()
+      .then(setAlbums)
+      .catch(err => {
+        logger.error('Error loading albums:', err);
+        setError('Could not load the gallery. Please try again later.');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <div className="albums-page">
+      <section className="albums-page-header">
+        <div className="container">
+          <motion.div
+            className="header-content"
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+          >
+            <div className="header-icon">
+              <FaImages />
+            </div>
+            <h1 className="page-title">Meetings & Events</h1>
+            <p className="page-subtitle">
+              Photos from the chamber's meetings, conferences and events.
+            </p>
+          </motion.div>
+        </div>
+      </section>
+
+      <section className="albums-page-section">
+        <div className="container">
+          {error && <div className="error-message">{error}</div>}
+
+          {loading ? (
+            <div className="loading-state">
+              <div className="spinner"></div>
+              <p>Loading albums...</p>
+            </div>
+          ) : albums.length === 0 ? (
+            !error && (
+              <div className="no-albums">
+                <FaImages />
+                <h3>No albums yet</h3>
+                <p>Photos from our events will appear here.</p>
+              </div>
+            )
+          ) : (
+            <div className="albums-page-grid">
+              {albums.map((album, index) => (
+                <motion.div
+                  key={album._id}
+                  initial={{ opacity: 0, y: 30 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.4, delay: index * 0.05 }}
+                >
+                  <Link to={`/gallery/albums/${album._id}`} className="album-tile">
+                    <div className="album-tile-cover">
+                      {album.cover ? (
+                        <LazyImage
+                          src={album.cover.imageUrl}
+                          alt={album.cover.altText}
+                          variants={album.cover.variants}
+                          srcWidth={album.cover.width}
+                          width={album.cover.width}
+                          height={album.cover.height}
+                          placeholder={album.cover.placeholder}
+                          sizes="(max-width: 600px) 100vw, (max-width: 1024px) 50vw, 400px"
+                        />
+                      ) : (
+                        <FaImages className="album-tile-empty" />
+                      )}
+                      <span className="album-tile-count">
+                        {album.imageCount} photo{album.imageCount === 1 ? '' : 's'}
+                      </span>
+                    </div>
+                    <div className="album-tile-body">
+                      <span className="album-tile-type">{formatEventType(album.eventType)}</span>
+                      <h3>{album.title}</h3>
+                      {album.eventDate && (
+                        <p><FaCalendarAlt /> {formatEventDate(album.eventDate)}</p>
+                      )}
+                      {album.eventLocation && (
+                        <p><FaMapMarkerAlt /> {album.eventLocation}</p>
+                      )}
+                    </div>
+                  </Link>
+                </motion.div>
+              ))}
+            </div>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default Albums;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  FaArrowLeft,
+  FaCalendarAlt,
+  FaMapMarkerAlt,
+  FaMoneyBillWave,
+  FaUsers,
+  FaClock,
+  FaLock
+} from 'react-icons/fa';
+import apiService from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  formatEventDateTime,
+  formatEventFee,
+  formatSpotsLeft,
+  REGISTRATION_STATUS_LABELS
+} from '../utils/events';
+import logger from '../utils/logger';
+import './Events.css';
+
+// Public page for one event, where signed-in users register or cancel
+const EventDetail = () => {
+  const { eventId } = useParams();
+  const { user } = useAuth();
+  const [event, setEvent] = useState(null);
+  const [registration, setRegistration] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadEvent = useCallback(async () => {
+    try {
+      const data = await apiService.getEvent(eventId);
+      setEvent(data.event);
+      setRegistration(data.registration);
+      setError('');
+    } catch (err) {
+      logger.error('Error loading event:', err);
+      setError(err.message === 'Event not found'
+        ? 'This event does not exist or is no longer published.'
+        : 'Could not load the event. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [eventId]);
+
+  // Reload when the user signs in or out so their registration shows
+  useEffect(() => {
+    setLoading(true);
+    loadEvent();
+  }, [loadEvent, user]);
+
+  const handleRegister = async () => {
+    setSubmitting(true);
+    try {
+      const result = await apiService.registerForEvent(eventId);
+      setMessage({ type: 'success', text: result.message });
+      await loadEvent();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Registration failed. Please try again.' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel your registration for this event?')) return;
+
+    setSubmitting(true);
+    try {
+      const result = await apiService.cancelEventRegistration(eventId);
+      setMessage({ type: 'success', text: result.message });
+      await loadEvent();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Could not cancel the registration.' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="events-page">
+        <div className="loading-state">
+          <div className="spinner"></div>
+          <p>Loading event...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="events-page">
+        <div className="container event-page-missing">
+          <div className="error-message">{error}</div>
+          <Link to="/events" className="btn btn-primary">
+            <FaArrowLeft /> All Events
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const renderRegistration = () => {
+    if (registration) {
+      return (
+        <>
+          <p className={`event-status ${registration.status}`}>
+            {REGISTRATION_STATUS_LABELS[registration.status]}
+          </p>
+          <p>
+            {registration.status === 'confirmed'
+              ? 'Your seat is reserved. We will email you a reminder before the event.'
+              : 'We will email you if a seat becomes free.'}
+          </p>
+          {new Date(event.startsAt) > new Date() && (
+            <button className="btn btn-secondary" onClick={handleCancel} disabled={submitting}>
+              {submitting ? 'Cancelling...' : 'Cancel Registration'}
+            </button>
+          )}
+        </>
+      );
+    }
+
+    if (!event.registrationOpen) {
+      return <p>Registration for this event is closed.</p>;
+    }
+
+    if (!user) {
+      return (
+        <>
+          <p>Sign in to register for this event.</p>
+          <Link to="/login" className="btn btn-primary">Sign In</Link>
+        </>
+      );
+    }
+
+    return (
+      <button className="btn btn-primary" onClick={handleRegister} disabled={submitting}>
+        {submitting
+          ? 'Registering...'
+          : event.spotsLeft === 0 ? 'Join the Waitlist' : 'Register'}
+      </button>
+    );
+  };
+
+  return (
+    <div className="events-page">
+      <section className="events-page-header event-page-header">
+        <div className="container">
+          <motion.div
+            className="header-content"
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+          >
+            <Link to="/events" className="event-page-back">
+              <FaArrowLeft /> All Events
+            </Link>
+            <h1 className="page-title">{event.title}</h1>
+            <div className="event-page-meta">
+              <span><FaCalendarAlt /> {formatEventDateTime(event.startsAt)}</span>
+              <span><FaMapMarkerAlt /> {event.venue}</span>
+            </div>
+          </motion.div>
+        </div>
+      </section>
+
+      <section className="events-page-section">
+        <div className="container events-page-layout">
+          <div className="event-page-body">
+            <dl className="event-page-facts">
+              <div>
+                <dt><FaCalendarAlt /> Starts</dt>
+                <dd>{formatEventDateTime(event.startsAt)}</dd>
+              </div>
+              <div>
+                <dt><FaClock /> Ends</dt>
+                <dd>{formatEventDateTime(event.endsAt)}</dd>
+              </div>
+              <div>
+                <dt><FaMoneyBillWave /> Fee</dt>
+                <dd>{formatEventFee(event.fee)}</dd>
+              </div>
+              <div>
+                <dt><FaUsers /> Seats</dt>
+                <dd>
+                  {formatSpotsLeft(event)}
+                  {event.waitlistCount > 0 && ` (${event.waitlistCount} waiting)`}
+                </dd>
+              </div>
+              {event.registrationDeadline && (
+                <div>
+                  <dt><FaClock /> Register by</dt>
+                  <dd>{formatEventDateTime(event.registrationDeadline)}</dd>
+                </div>
+              )}
+              {event.membersOnly && (
+                <div>
+                  <dt><FaLock /> Open to</dt>
+                  <dd>Chamber members only</dd>
+                </div>
+              )}
+            </dl>
+            {event.description && <p className="event-page-description">{event.description}</p>}
+          </div>
+
+          <aside className="events-page-sidebar event-page-registration">
+            <h3>Registration</h3>
+            {message.text && (
+              <div className={`event-page-message ${message.type}`}>{message.text}</div>
+            )}
+            {renderRegistration()}
+          </aside>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default EventDetail;
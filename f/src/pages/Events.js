@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaCalendarCheck, FaTicketAlt } from 'react-icons/fa';
+import apiService from '../services/api';
+import EventCalendar from '../components/EventCalendar';
+import { useAuth } from '../contexts/AuthContext';
+import { formatEventDateTime, REGISTRATION_STATUS_LABELS } from '../utils/events';
+import logger from '../utils/logger';
+import './Events.css';
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+// Public events calendar, with the signed-in user's own registrations alongside
+const Events = () => {
+  const { user } = useAuth();
+  const [month, setMonth] = useState(() => startOfMonth(new Date()));
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [registrations, setRegistrations] = useState([]);
+
+  useEffect(() => {
+    const to = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+    to.setMilliseconds(-1);
+
+    setLoading(true);
+    apiService.getEvents({ from: month.toISOString(), to: to.toISOString() })
+      .then(loaded => {
+        setEvents(loaded);
+        setError('');
+      })
+      .catch(err => {
+        logger.error('Error loading events:', err);
+        setError('Could not load events. Please try again later.');
+      })
+      .finally(() => setLoading(false));
+  }, [month]);
+
+  useEffect(() => {
+    if (!user) {
+      setRegistrations([]);
+      return;
+    }
+
+    apiService.getMyEventRegistrations()
+      .then(loaded => setRegistrations(
+        loaded.filter(registration => new Date(registration.event.endsAt) >= new Date())
+      ))
+      .catch(err => logger.error('Error loading registrations:', err));
+  }, [user]);
+
+  return (
+    <div className="events-page">
+      <section className="events-page-header">
+        <div className="container">
+          <motion.div
+            className="header-content"
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+          >
+            <div className="header-icon">
+              <FaCalendarCheck />
+            </div>
+            <h1 className="page-title">Events</h1>
+            <p className="page-subtitle">
+              Meetings, seminars and networking events organised by the chamber.
+            </p>
+          </motion.div>
+        </div>
+      </section>
+
+      <section className="events-page-section">
+        <div className="container events-page-layout">
+          <div>
+            {error && <div className="error-message">{error}</div>}
+            <EventCalendar
+              month={month}
+              events={events}
+              loading={loading}
+              onMonthChange={setMonth}
+            />
+          </div>
+
+          <aside className="events-page-sidebar">
+            <h3>
+              <FaTicketAlt />
+              My Registrations
+            </h3>
+            {!user ? (
+              <p>
+                <Link to="/login">Sign in</Link> to register for events and see your registrations.
+              </p>
+            ) : registrations.length === 0 ? (
+              <p>You are not registered for any upcoming events.</p>
+            ) : (
+              <ul>
+                {registrations.map(registration => (
+                  <li key={registration._id}>
+                    <Link to={`/events/${registration.event._id}`}>{registration.event.title}</Link>
+                    <span>{formatEventDateTime(registration.event.startsAt)}</span>
+                    <span className={`event-status ${registration.status}`}>
+                      {REGISTRATION_STATUS_LABELS[registration.status]}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </aside>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default Events;
@@ -1,9 +1,10 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { FaEnvelope, FaArrowLeft, FaCheckCircle, FaExclamationTriangle, FaKey, FaLock, FaEye, FaEyeSlash } from 'react-icons/fa';
+import { FaEnvelope, FaArrowLeft, FaCheckCircle, FaExclamationTriangle, FaKey, FaLock, FaEye, FaEyeSlash, FaMobileAlt } from 'react-icons/fa';
 import apiService from '../services/api';
 import { validatePassword } from '../utils/validation';
+import logger from '../utils/logger';
 import './Auth.css';
 
 const ForgotPassword = () => {
@@ -13,6 +14,30 @@ const ForgotPassword = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
   const [resetUrl, setResetUrl] = useState('');
+  // 'email' sends a reset link; 'phone' texts a code to a verified number
+  const [method, setMethod] = useState('email');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [info, setInfo] = useState('');
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [passwordReset, setPasswordReset] = useState(false);
+
+  const switchMethod = (nextMethod) => {
+    setMethod(nextMethod);
+    setError('');
+    setInfo('');
+  };
+
+  const showRequestError = (err) => {
+    if (err.message.includes('Failed to fetch') || err.message.includes('NetworkError')) {
+      setError('Server is not running. Please start the server first or contact support.');
+    } else {
+      setError(err.message || 'Something went wrong. Please try again.');
+    }
+  };
 
   const handleSendResetLink = async (e) => {
     e.preventDefault();
@@ -34,18 +59,92 @@ const ForgotPassword = () => {
         console.log(`Reset link sent to email successfully via ${data.emailMethod}!`);
       }
     } catch (err) {
-      console.error('Send reset link error:', err);
-      if (err.message.includes('Failed to fetch') || err.message.includes('NetworkError')) {
-        setError('Server is not running. Please start the server first or contact support.');
-      } else {
-        setError(err.message || 'Something went wrong. Please try again.');
-      }
+      logger.error('Send reset link error:', err);
+      showRequestError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSendSmsCode = async (e) => {
+    if (e) e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await apiService.sendSmsOtp(phoneNumber);
+      setCodeSent(true);
+      setCode('');
+      setInfo(data.message);
+    } catch (err) {
+      logger.error('Send SMS code error:', err);
+      showRequestError(err);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleResetWithCode = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!validatePassword(newPassword).isValid) {
+      setError('Password must be at least 6 characters with uppercase, lowercase and a number.');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { resetToken } = await apiService.verifySmsOtp(phoneNumber, code);
+      await apiService.resetPassword(resetToken, newPassword);
+      setPasswordReset(true);
 
+      // Redirect to login after 3 seconds
+      setTimeout(() => {
+        navigate('/login');
+      }, 3000);
+    } catch (err) {
+      logger.error('SMS password reset error:', err);
+      showRequestError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (passwordReset) {
+    return (
+      <div className="auth-page">
+        <div className="auth-container">
+          <motion.div 
+            className="auth-card"
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+          >
+            <div className="auth-header">
+              <div className="auth-icon success">
+                <FaCheckCircle />
+              </div>
+              <h1 className="auth-title">Password Reset!</h1>
+              <p className="auth-subtitle">
+                Your password has been changed. Redirecting you to sign in...
+              </p>
+            </div>
+
+            <div className="auth-footer">
+              <Link to="/login" className="auth-link">
+                Go to Login Now
+              </Link>
+            </div>
+          </motion.div>
+        </div>
+      </div>
+    );
+  }
 
   if (success) {
     return (
@@ -135,11 +234,13 @@ const ForgotPassword = () => {
         >
           <div className="auth-header">
             <div className="auth-icon">
-              <FaEnvelope />
+              {method === 'phone' ? <FaMobileAlt /> : <FaEnvelope />}
             </div>
             <h1 className="auth-title">Forgot Password?</h1>
             <p className="auth-subtitle">
-              Enter your email address and we'll send you a password reset link
+              {method === 'phone'
+                ? 'Enter the phone number verified on your account and we\'ll text you a code'
+                : 'Enter your email address and we\'ll send you a password reset link'}
             </p>
             
             <div style={{
@@ -156,53 +257,226 @@ const ForgotPassword = () => {
             </div>
           </div>
 
-          <form onSubmit={handleSendResetLink} className="auth-form">
-            {error && (
-              <motion.div 
-                className="error-message"
-                initial={{ opacity: 0, y: -10 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ duration: 0.3 }}
+          <div className="reset-method-tabs">
+            <button
+              type="button"
+              className={method === 'email' ? 'active' : ''}
+              onClick={() => switchMethod('email')}
+            >
+              <FaEnvelope /> Email
+            </button>
+            <button
+              type="button"
+              className={method === 'phone' ? 'active' : ''}
+              onClick={() => switchMethod('phone')}
+            >
+              <FaMobileAlt /> Phone
+            </button>
+          </div>
+
+          {method === 'email' ? (
+            <form onSubmit={handleSendResetLink} className="auth-form">
+              {error && (
+                <motion.div 
+                  className="error-message"
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <FaExclamationTriangle />
+                  {error}
+                </motion.div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="email" className="form-label">
+                  <FaEnvelope /> Email Address
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="form-input"
+                  placeholder="Enter your email address"
+                  required
+                />
+              </div>
+
+              <button 
+                type="submit" 
+                className="btn btn-primary btn-full"
+                disabled={loading}
               >
-                <FaExclamationTriangle />
-                {error}
-              </motion.div>
-            )}
-
-            <div className="form-group">
-              <label htmlFor="email" className="form-label">
-                <FaEnvelope /> Email Address
-              </label>
-              <input
-                type="email"
-                id="email"
-                name="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                className="form-input"
-                placeholder="Enter your email address"
-                required
-              />
-            </div>
+                {loading ? (
+                  <>
+                    <div className="spinner-small"></div>
+                    Sending Reset Link...
+                  </>
+                ) : (
+                  <>
+                    <FaEnvelope />
+                    Send Reset Link
+                  </>
+                )}
+              </button>
+            </form>
+          ) : !codeSent ? (
+            <form onSubmit={handleSendSmsCode} className="auth-form">
+              {error && (
+                <motion.div 
+                  className="error-message"
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <FaExclamationTriangle />
+                  {error}
+                </motion.div>
+              )}
 
-            <button 
-              type="submit" 
-              className="btn btn-primary btn-full"
-              disabled={loading}
-            >
-              {loading ? (
-                <>
-                  <div className="spinner-small"></div>
-                  Sending Reset Link...
-                </>
-              ) : (
-                <>
-                  <FaEnvelope />
-                  Send Reset Link
-                </>
+              <div className="form-group">
+                <label htmlFor="phoneNumber" className="form-label">
+                  <FaMobileAlt /> Phone Number
+                </label>
+                <input
+                  type="tel"
+                  id="phoneNumber"
+                  name="phoneNumber"
+                  value={phoneNumber}
+                  onChange={(e) => setPhoneNumber(e.target.value)}
+                  className="form-input"
+                  placeholder="e.g. 01712345678"
+                  autoComplete="tel"
+                  required
+                />
+              </div>
+
+              <button 
+                type="submit" 
+                className="btn btn-primary btn-full"
+                disabled={loading}
+              >
+                {loading ? (
+                  <>
+                    <div className="spinner-small"></div>
+                    Sending Code...
+                  </>
+                ) : (
+                  <>
+                    <FaMobileAlt />
+                    Send Code
+                  </>
+                )}
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleResetWithCode} className="auth-form">
+              {info && <div className="info-message">{info}</div>}
+              {error && (
+                <motion.div 
+                  className="error-message"
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <FaExclamationTriangle />
+                  {error}
+                </motion.div>
               )}
-            </button>
-          </form>
+
+              <div className="form-group">
+                <label htmlFor="code" className="form-label">
+                  <FaKey /> Verification Code
+                </label>
+                <input
+                  id="code"
+                  name="code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="form-input"
+                  placeholder="6-digit code"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="newPassword" className="form-label">
+                  <FaLock /> New Password
+                </label>
+                <div className="password-input">
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    id="newPassword"
+                    name="newPassword"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    className="form-input"
+                    placeholder="Enter a new password"
+                    autoComplete="new-password"
+                    required
+                  />
+                  <button
+                    type="button"
+                    className="password-toggle"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? <FaEyeSlash /> : <FaEye />}
+                  </button>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="confirmPassword" className="form-label">
+                  <FaLock /> Confirm New Password
+                </label>
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="form-input"
+                  placeholder="Re-enter the new password"
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+
+              <button 
+                type="submit" 
+                className="btn btn-primary btn-full"
+                disabled={loading}
+              >
+                {loading ? (
+                  <>
+                    <div className="spinner-small"></div>
+                    Resetting Password...
+                  </>
+                ) : (
+                  <>
+                    <FaKey />
+                    Reset Password
+                  </>
+                )}
+              </button>
+
+              <div className="two-factor-options">
+                <button type="button" onClick={() => handleSendSmsCode()} disabled={loading}>
+                  Resend the code
+                </button>
+                <button type="button" onClick={() => setCodeSent(false)}>
+                  Use a different number
+                </button>
+                <button type="button" onClick={() => switchMethod('email')}>
+                  Reset by email instead
+                </button>
+              </div>
+            </form>
+          )}
 
           <div className="auth-footer">
             <p>
@@ -19,12 +19,14 @@ import {
   validationMessages,
 } from "../utils/validation";
 import { useAuth } from "../contexts/AuthContext";
+import { useLanguage } from "../contexts/LanguageContext";
 import apiService from "../services/api";
 import pdfHandler from "../utils/pdfHandler";
 import "./FormPage.css";
 
 const FormPage = () => {
-  const { user, isAdmin } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const { t, locale } = useLanguage();
   const [formData, setFormData] = useState({
     name: "",
     email: "",
@@ -53,8 +55,8 @@ const FormPage = () => {
   const [filePreview, setFilePreview] = useState(null);
 
   const loadSubmissions = useCallback(async () => {
-    // Only load submissions for admin users
-    if (!isAdmin()) {
+    // Only load submissions for staff who review them
+    if (!hasPermission("submission:review")) {
       setSubmissions([]);
       return;
     }
@@ -95,7 +97,7 @@ const FormPage = () => {
         }
       }
     }
-  }, [isAdmin]);
+  }, [hasPermission]);
 
   // Load submissions from API on component mount and when admin status changes
   useEffect(() => {
@@ -103,13 +105,13 @@ const FormPage = () => {
   }, [loadSubmissions]);
 
   const scanTypes = [
-    { value: "document", label: "Document Scan" },
-    { value: "contract", label: "Contract Scan" },
-    { value: "invoice", label: "Invoice Scan" },
-    { value: "certificate", label: "Certificate Scan" },
-    { value: "report", label: "Report Scan" },
-    { value: "other", label: "Other Document" },
-  ];
+    "document",
+    "contract",
+    "invoice",
+    "certificate",
+    "report",
+    "other",
+  ].map((value) => ({ value, label: t(`form.scanTypes.${value}`) }));
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -130,7 +132,7 @@ const FormPage = () => {
       if (file.type !== "application/pdf") {
         setFieldErrors((prev) => ({
           ...prev,
-          pdfFile: "Please select a valid PDF file",
+          pdfFile: t("form.errors.invalidPdf"),
         }));
         setFieldValid((prev) => ({
           ...prev,
@@ -143,7 +145,7 @@ const FormPage = () => {
       if (file.size > 10 * 1024 * 1024) {
         setFieldErrors((prev) => ({
           ...prev,
-          pdfFile: "File size must be less than 10MB",
+          pdfFile: t("form.errors.fileTooLarge"),
         }));
         setFieldValid((prev) => ({
           ...prev,
@@ -226,9 +228,9 @@ const FormPage = () => {
         break;
       case "description":
         if (!value.trim()) {
-          error = "Description is required";
+          error = t("form.errors.descriptionRequired");
         } else if (value.trim().length < 10) {
-          error = "Description must be at least 10 characters long";
+          error = t("form.errors.descriptionTooShort");
         } else {
           isValid = true;
         }
@@ -257,7 +259,7 @@ const FormPage = () => {
     const isFormValid = requiredFields.every((field) => fieldValid[field]);
 
     if (!isFormValid) {
-      alert("Please fix all validation errors before submitting");
+      alert(t("form.errors.fixErrors"));
       return;
     }
 
@@ -353,10 +355,10 @@ const FormPage = () => {
         setFilePreview(null);
       }
 
-      alert("PDF scan submitted successfully!");
+      alert(t("form.submitted"));
     } catch (error) {
       console.error("Error submitting form:", error);
-      alert("Error submitting PDF scan. Please try again.");
+      alert(t("form.errors.submitFailed"));
     }
   };
 
@@ -557,11 +559,8 @@ const FormPage = () => {
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.6 }}
         >
-          <h1 className="page-title">PDF Scan Management</h1>
-          <p className="page-subtitle">
-            Upload, scan, and manage PDF documents with our advanced scanning
-            system
-          </p>
+          <h1 className="page-title">{t("form.title")}</h1>
+          <p className="page-subtitle">{t("form.subtitle")}</p>
         </motion.div>
 
         <div className="form-layout">
@@ -575,7 +574,7 @@ const FormPage = () => {
             <div className="form-card">
               <div className="form-header">
                 <h2 className="form-title">
-                  {editingIndex >= 0 ? "Edit PDF Scan" : "New PDF Scan"}
+                  {editingIndex >= 0 ? t("form.editScan") : t("form.newScan")}
                 </h2>
                 {editingIndex >= 0 && (
                   <button
@@ -592,7 +591,7 @@ const FormPage = () => {
                       });
                     }}
                   >
-                    Cancel Edit
+                    {t("form.cancelEdit")}
                   </button>
                 )}
               </div>
@@ -601,7 +600,7 @@ const FormPage = () => {
                 <div className="form-row">
                   <div className="form-group">
                     <label htmlFor="name" className="form-label">
-                      Full Name *
+                      {t("form.name")}
                     </label>
                     <div className="input-container">
                       <input
@@ -617,7 +616,7 @@ const FormPage = () => {
                             ? "valid"
                             : ""
                         }`}
-                        placeholder="Enter your full name"
+                        placeholder={t("form.namePlaceholder")}
                         required
                       />
                       {fieldValid.name && (
@@ -639,7 +638,7 @@ const FormPage = () => {
                   </div>
                   <div className="form-group">
                     <label htmlFor="email" className="form-label">
-                      Email Address *
+                      {t("form.email")}
                     </label>
                     <div className="input-container">
                       <input
@@ -655,7 +654,7 @@ const FormPage = () => {
                             ? "valid"
                             : ""
                         }`}
-                        placeholder="Enter your email"
+                        placeholder={t("form.emailPlaceholder")}
                         required
                       />
                       {fieldValid.email && (
@@ -680,7 +679,7 @@ const FormPage = () => {
                 <div className="form-row">
                   <div className="form-group">
                     <label htmlFor="phone" className="form-label">
-                      Phone Number
+                      {t("form.phone")}
                     </label>
                     <div className="input-container">
                       <input
@@ -696,7 +695,7 @@ const FormPage = () => {
                             ? "valid"
                             : ""
                         }`}
-                        placeholder="Enter your phone number"
+                        placeholder={t("form.phonePlaceholder")}
                       />
                       {fieldValid.phone && formData.phone && (
                         <FaCheckCircle className="input-icon valid-icon" />
@@ -717,7 +716,7 @@ const FormPage = () => {
                   </div>
                   <div className="form-group">
                     <label htmlFor="scanType" className="form-label">
-                      Scan Type *
+                      {t("form.scanType")}
                     </label>
                     <select
                       id="scanType"
@@ -738,7 +737,7 @@ const FormPage = () => {
 
                 <div className="form-group">
                   <label htmlFor="pdfFile" className="form-label">
-                    PDF Document *
+                    {t("form.pdf")}
                   </label>
                   <div className="file-upload-container">
                     <input
@@ -755,7 +754,7 @@ const FormPage = () => {
                       <span className="file-text">
                         {formData.pdfFile
                           ? formData.pdfFile.name
-                          : "Choose PDF file to scan"}
+                          : t("form.choosePdf")}
                       </span>
                     </label>
                     {formData.pdfFile && (
@@ -763,7 +762,7 @@ const FormPage = () => {
                         type="button"
                         onClick={removeFile}
                         className="remove-file-btn"
-                        title="Remove file"
+                        title={t("form.removeFile")}
                       >
                         <FaTrash />
                       </button>
@@ -793,7 +792,7 @@ const FormPage = () => {
 
                 <div className="form-group">
                   <label htmlFor="description" className="form-label">
-                    Description *
+                    {t("form.description")}
                   </label>
                   <div className="input-container">
                     <textarea
@@ -808,7 +807,7 @@ const FormPage = () => {
                           ? "valid"
                           : ""
                       }`}
-                      placeholder="Describe what you want to scan or any special requirements"
+                      placeholder={t("form.descriptionPlaceholder")}
                       rows="4"
                       required
                     />
@@ -832,14 +831,14 @@ const FormPage = () => {
 
                 <button type="submit" className="btn btn-primary btn-full">
                   <FaFilePdf />
-                  {editingIndex >= 0 ? "Update Scan" : "Submit PDF Scan"}
+                  {editingIndex >= 0 ? t("form.update") : t("form.submit")}
                 </button>
               </form>
             </div>
           </motion.div>
 
-          {/* Submissions Section - Admin Only */}
-          {isAdmin() ? (
+          {/* Submissions Section - Submission reviewers only */}
+          {hasPermission("submission:review") ? (
             <motion.div
               className="submissions-section"
               initial={{ opacity: 0, x: 30 }}
@@ -851,9 +850,9 @@ const FormPage = () => {
                   <div className="admin-header">
                     <h2 className="submissions-title">
                       <FaUserShield className="admin-icon" />
-                      PDF Scans ({submissions.length})
+                      {t("form.scans", { count: submissions.length })}
                     </h2>
-                    <span className="admin-badge">Admin View</span>
+                    <span className="admin-badge">{t("form.adminView")}</span>
                   </div>
                   <div className="submissions-actions">
                     <div className="download-group">
@@ -864,7 +863,7 @@ const FormPage = () => {
                         title="Download all data and PDFs as ZIP file"
                       >
                         <FaDownload />
-                        Download All
+                        {t("form.downloadAll")}
                       </button>
                       <button
                         className="btn btn-secondary btn-sm"
@@ -873,7 +872,7 @@ const FormPage = () => {
                         title="Download only form data as JSON"
                       >
                         <FaFilePdf />
-                        Data Only
+                        {t("form.dataOnly")}
                       </button>
                       <button
                         className="btn btn-accent btn-sm"
@@ -882,7 +881,7 @@ const FormPage = () => {
                         title="Download all PDF files individually"
                       >
                         <FaFilePdf />
-                        PDFs Only
+                        {t("form.pdfsOnly")}
                       </button>
                     </div>
                     <button
@@ -891,7 +890,7 @@ const FormPage = () => {
                       disabled={submissions.length === 0}
                     >
                       <FaPrint />
-                      Print
+                      {t("form.print")}
                     </button>
                   </div>
                 </div>
@@ -899,10 +898,7 @@ const FormPage = () => {
                 <div className="submissions-list">
                   {submissions.length === 0 ? (
                     <div className="empty-state">
-                      <p>
-                        No PDF scans yet. Users can upload their first PDF
-                        document for scanning.
-                      </p>
+                      <p>{t("form.noScans")}</p>
                     </div>
                   ) : (
                     submissions.map((submission, index) => (
@@ -932,14 +928,14 @@ const FormPage = () => {
                                 <button
                                   className="action-btn view-btn"
                                   onClick={() => handleViewPDF(submission)}
-                                  title="View PDF"
+                                  title={t("notice.viewPdf")}
                                 >
                                   <FaEye />
                                 </button>
                                 <button
                                   className="action-btn download-btn"
                                   onClick={() => handleDownloadPDF(submission)}
-                                  title="Download PDF"
+                                  title={t("notice.downloadPdf")}
                                 >
                                   <FaDownload />
                                 </button>
@@ -948,14 +944,14 @@ const FormPage = () => {
                             <button
                               className="action-btn edit-btn"
                               onClick={() => handleEdit(index)}
-                              title="Edit"
+                              title={t("form.edit")}
                             >
                               <FaEdit />
                             </button>
                             <button
                               className="action-btn delete-btn"
                               onClick={() => handleDelete(index)}
-                              title="Delete"
+                              title={t("form.delete")}
                             >
                               <FaTrash />
                             </button>
@@ -993,8 +989,11 @@ const FormPage = () => {
                             </div>
                           )}
                           <p className="submission-date">
-                            Submitted:{" "}
-                            {new Date(submission.submittedAt).toLocaleString()}
+                            {t("form.submittedAt", {
+                              date: new Date(
+                                submission.submittedAt
+                              ).toLocaleString(locale),
+                            })}
                           </p>
                         </div>
                       </motion.div>
@@ -1016,16 +1015,15 @@ const FormPage = () => {
                     <FaLock />
                   </div>
                   <h2 className="admin-restricted-title">
-                    Admin Access Required
+                    {t("form.restrictedTitle")}
                   </h2>
                   <p className="admin-restricted-message">
-                    Only administrators can view and download form submissions.
-                    Please log in with an admin account to access this feature.
+                    {t("form.restrictedMessage")}
                   </p>
                   {!user && (
                     <div className="admin-restricted-actions">
                       <a href="/login" className="btn btn-primary">
-                        Login as Admin
+                        {t("form.loginAsAdmin")}
                       </a>
                     </div>
                   )}
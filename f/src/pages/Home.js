@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useMemo, useCallback } from "react";
+import { Link, useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import {
   FaRocket,
@@ -29,9 +30,13 @@ import {
   FaSync,
 } from "react-icons/fa";
 import FancyCalendar from "../components/FancyCalendar";
+import LazyImage from "../components/LazyImage";
+import NewsCard from "../components/NewsCard";
 import useAutoRefresh from "../hooks/useAutoRefresh";
+import useScrollToHash from "../hooks/useScrollToHash";
 import { useNews } from "../contexts/NewsContext";
 import { useGallery } from "../contexts/GalleryContext";
+import { useLanguage } from "../contexts/LanguageContext";
 import "./Home.css";
 
 const Home = () => {
@@ -41,11 +46,16 @@ const Home = () => {
     loading: galleryLoading,
     refreshGallery,
   } = useGallery();
+  const { t, localize, formatDate, formatNumber } = useLanguage();
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState("");
   const [isSearchFocused, setIsSearchFocused] = useState(false);
   const [searchResults, setSearchResults] = useState([]);
   const [showSearchResults, setShowSearchResults] = useState(false);
+  const navigate = useNavigate();
+
+  // News results on the search page link to /#latest-news
+  useScrollToHash(news.length > 0);
 
   // Auto-refresh gallery every 5 minutes to reduce unnecessary renders
   const manualRefreshGallery = useAutoRefresh(
@@ -104,16 +114,19 @@ const Home = () => {
       const results = [];
       const searchTerm = query.toLowerCase();
 
-      // Search in news
+      // Search in news, in both languages
       news.forEach((article) => {
-        if (
-          article.title.toLowerCase().includes(searchTerm) ||
-          article.content.toLowerCase().includes(searchTerm)
-        ) {
+        const matches = [
+          article.title,
+          article.content,
+          article.titleBn,
+          article.contentBn,
+        ].some((text) => text && text.toLowerCase().includes(searchTerm));
+        if (matches) {
           results.push({
             type: "news",
-            title: article.title,
-            content: article.content.substring(0, 150) + "...",
+            title: localize(article, "title"),
+            content: localize(article, "content").substring(0, 150) + "...",
             date: article.publishedAt,
             id: article._id,
           });
@@ -140,9 +153,16 @@ const Home = () => {
       setSearchResults(results);
       setShowSearchResults(true);
     },
-    [news, galleryImages]
+    [news, galleryImages, localize]
   );
 
+  // Enter opens the full site search, which also covers notices
+  const openSearchPage = (e) => {
+    if (e.key === "Enter" && searchQuery.trim()) {
+      navigate(`/search?${new URLSearchParams({ q: searchQuery.trim() })}`);
+    }
+  };
+
   const clearSearch = useCallback(() => {
     setSearchQuery("");
     setSearchResults([]);
@@ -151,57 +171,22 @@ const Home = () => {
 
   // Memoize services array to prevent recreation on every render
   const services = useMemo(
-    () => [
-      {
-        icon: <FaChartLine />,
-        title: "Trade and Finance Activities",
-        description:
-          "Along with coordinating and promoting the interest of its members- Chambers of Commerce, Trade, and Industrial Association, JCCI also plays a crucial role in trade facilitation and financial activities.",
-      },
-      {
-        icon: <FaGavel />,
-        title: "Policy Advocacy",
-        description:
-          "JCCI regularly conducts advocacy with the government on different fiscal, monetary and other policy issues for enabling ease of doing business and economic growth.",
-      },
-      {
-        icon: <FaHandshake />,
-        title: "CSR Activity",
-        description:
-          "JCCI takes part in different Corporate Social Responsibilities in order to enhance the social and environmental aspects of the country and community development.",
-      },
-      {
-        icon: <FaLightbulb />,
-        title: "Research & Planning",
-        description:
-          "JCCI collects statistical and additional necessary data to aid the trade and industry of the country in regard to development planning and policy formulation.",
-      },
-      {
-        icon: <FaFileContract />,
-        title: "Arbitration",
-        description:
-          "JCCI provides assistance to the businessmen all over the country to settle their domestic and international disputes at a minimum cost through arbitration services.",
-      },
-      {
-        icon: <FaNetworkWired />,
-        title: "Exchange of Business Delegation",
-        description:
-          "It is one of the crucial duties of JCCI to maintain the incoming and outgoing delegations along with arranging all necessary support for international business relations.",
-      },
-      {
-        icon: <FaUsers />,
-        title: "Networking with Strategic Partners",
-        description:
-          "JCCI maintains close liaison with the foreign National Chambers of Commerce and other Trade and Industrial Associations while initiating bilateral partnerships.",
-      },
-      {
-        icon: <FaBriefcase />,
-        title: "Seminar / Symposiums",
-        description:
-          "JCCI discusses and shares views on the crucial matters relevant to and affecting the national economy in various government forums and business conferences.",
-      },
-    ],
-    []
+    () =>
+      [
+        { icon: <FaChartLine />, key: "trade" },
+        { icon: <FaGavel />, key: "policy" },
+        { icon: <FaHandshake />, key: "csr" },
+        { icon: <FaLightbulb />, key: "research" },
+        { icon: <FaFileContract />, key: "arbitration" },
+        { icon: <FaNetworkWired />, key: "delegation" },
+        { icon: <FaUsers />, key: "networking" },
+        { icon: <FaBriefcase />, key: "seminar" },
+      ].map((service) => ({
+        icon: service.icon,
+        title: t(`home.services.${service.key}.title`),
+        description: t(`home.services.${service.key}.description`),
+      })),
+    [t]
   );
 
   return (
@@ -220,18 +205,11 @@ const Home = () => {
               transition={{ duration: 0.8 }}
             >
               <h1 className="hero-title">
-                Accelerating the{" "}
-                <span className="highlight">Trillion Dollar Journey</span>
+                {t("home.heroTitle")}{" "}
+                <span className="highlight">{t("home.heroHighlight")}</span>
               </h1>
-              <p className="hero-subtitle">
-                THE JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY
-              </p>
-              <p className="hero-description">
-                JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY (JCCI) is the apex
-                trade organization of Bangladesh playing a pivotal role in
-                consultative and advisory capacity, safeguarding the interest of
-                businesses and fostering economic growth across the nation.
-              </p>
+              <p className="hero-subtitle">{t("home.heroSubtitle")}</p>
+              <p className="hero-description">{t("home.heroDescription")}</p>
               <div className="hero-buttons">
                 <motion.button
                   className="btn btn-primary btn-large"
@@ -239,7 +217,7 @@ const Home = () => {
                   whileTap={{ scale: 0.95 }}
                 >
                   <FaRocket />
-                  Join Our Network
+                  {t("home.joinNetwork")}
                   <FaArrowRight />
                 </motion.button>
                 <motion.button
@@ -248,7 +226,7 @@ const Home = () => {
                   whileTap={{ scale: 0.95 }}
                 >
                   <FaHandshake />
-                  Learn More
+                  {t("home.learnMore")}
                 </motion.button>
               </div>
 
@@ -266,9 +244,10 @@ const Home = () => {
                     <FaSearch className="search-icon" />
                     <input
                       type="text"
-                      placeholder="Search news, events, and more..."
+                      placeholder={t("home.searchPlaceholder")}
                       value={searchQuery}
                       onChange={(e) => handleSearch(e.target.value)}
+                      onKeyDown={openSearchPage}
                       onFocus={() => setIsSearchFocused(true)}
                       onBlur={() =>
                         setTimeout(() => setIsSearchFocused(false), 200)
@@ -296,7 +275,11 @@ const Home = () => {
                     transition={{ duration: 0.3 }}
                   >
                     <div className="search-results-header">
-                      <span>Search Results ({searchResults.length})</span>
+                      <span>
+                        {t("home.searchResults", {
+                          count: searchResults.length,
+                        })}
+                      </span>
                     </div>
                     <div className="search-results-list">
                       {searchResults.slice(0, 5).map((result, index) => (
@@ -320,7 +303,7 @@ const Home = () => {
                               {result.content}
                             </p>
                             <span className="result-date">
-                              {new Date(result.date).toLocaleDateString()}
+                              {formatDate(result.date)}
                             </span>
                           </div>
                           {result.imageUrl && (
@@ -331,13 +314,22 @@ const Home = () => {
                         </motion.div>
                       ))}
                     </div>
-                    {searchResults.length > 5 && (
-                      <div className="search-results-footer">
+                    <div className="search-results-footer">
+                      {searchResults.length > 5 && (
                         <span>
-                          And {searchResults.length - 5} more results...
+                          {t("home.moreResults", {
+                            count: searchResults.length - 5,
+                          })}
                         </span>
-                      </div>
-                    )}
+                      )}
+                      <Link
+                        to={`/search?${new URLSearchParams({
+                          q: searchQuery.trim(),
+                        })}`}
+                      >
+                        {t("home.allResults")}
+                      </Link>
+                    </div>
                   </motion.div>
                 )}
 
@@ -351,8 +343,8 @@ const Home = () => {
                       transition={{ duration: 0.3 }}
                     >
                       <FaSearch className="no-results-icon" />
-                      <p>No results found for "{searchQuery}"</p>
-                      <span>Try different keywords or check your spelling</span>
+                      <p>{t("home.noResults", { query: searchQuery })}</p>
+                      <span>{t("home.noResultsHint")}</span>
                     </motion.div>
                   )}
               </motion.div>
@@ -375,7 +367,7 @@ const Home = () => {
                     }}
                   >
                     <FaChartLine />
-                    <span>Growth</span>
+                    <span>{t("home.growth")}</span>
                   </motion.div>
                   <motion.div
                     className="floating-card card-2"
@@ -388,7 +380,7 @@ const Home = () => {
                     }}
                   >
                     <FaUsers />
-                    <span>Network</span>
+                    <span>{t("home.network")}</span>
                   </motion.div>
                   <motion.div
                     className="floating-card card-3"
@@ -401,7 +393,7 @@ const Home = () => {
                     }}
                   >
                     <FaShieldAlt />
-                    <span>Security</span>
+                    <span>{t("home.security")}</span>
                   </motion.div>
                 </div>
               </motion.div>
@@ -421,43 +413,30 @@ const Home = () => {
               transition={{ duration: 0.6 }}
               viewport={{ once: true }}
             >
-              <h2 className="intro-title">
-                Introduction to THE JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY
-              </h2>
+              <h2 className="intro-title">{t("home.introTitle")}</h2>
               <div className="intro-stats">
                 <div className="stat-item">
-                  <div className="stat-number">50+</div>
-                  <div className="stat-label">Years of Excellence</div>
+                  <div className="stat-number">{formatNumber(50)}+</div>
+                  <div className="stat-label">
+                    {t("home.yearsOfExcellence")}
+                  </div>
                 </div>
               </div>
-              <p className="intro-description">
-                JAMALPUR CHAMBER OF COMMERCE AND INDUSTRY (JCCI) is the apex
-                trade organization of Bangladesh playing a pivotal role in
-                consultative and advisory capacity, safeguarding the interest of
-                businesses and fostering economic growth across the nation.
-              </p>
+              <p className="intro-description">{t("home.heroDescription")}</p>
               <div className="intro-features">
                 <div className="intro-feature">
-                  <h3>Our Mission</h3>
-                  <p>
-                    Chamber 4.0 focused on sustainability and more efficient
-                    activities that would be more participative. As fourth
-                    generation leaders of umbrella chamber aligned with 4RI, we
-                    engage with business communication of excellence in policy
-                    advocacy.
-                  </p>
+                  <h3>{t("home.missionTitle")}</h3>
+                  <p>{t("home.mission")}</p>
                 </div>
                 <div className="intro-feature">
-                  <h3>Our Vision</h3>
-                  <p>
-                    To be the center of excellence in policy advocacy and all
-                    matters relevant to trade and investment facilitation from
-                    CMSME to the largest sector of Bangladesh.
-                  </p>
+                  <h3>{t("home.visionTitle")}</h3>
+                  <p>{t("home.vision")}</p>
                 </div>
               </div>
               <div className="intro-read-more">
-                <button className="btn btn-outline">Read More</button>
+                <button className="btn btn-outline">
+                  {t("common.readMore")}
+                </button>
               </div>
             </motion.div>
             <motion.div
@@ -471,7 +450,7 @@ const Home = () => {
                 <div className="meeting-image main-meeting">
                   <div className="image-placeholder">
                     <FaUsers className="placeholder-icon" />
-                    <span>Executive Meeting</span>
+                    <span>{t("home.executiveMeeting")}</span>
                   </div>
                 </div>
                 <div className="meeting-thumbnails">
@@ -502,11 +481,8 @@ const Home = () => {
             transition={{ duration: 0.6 }}
             viewport={{ once: true }}
           >
-            <h2 className="section-title">What We Do</h2>
-            <p className="section-subtitle">
-              Comprehensive services to support your business growth and
-              development
-            </p>
+            <h2 className="section-title">{t("home.servicesTitle")}</h2>
+            <p className="section-subtitle">{t("home.servicesSubtitle")}</p>
           </motion.div>
 
           <div className="services-grid">
@@ -524,7 +500,9 @@ const Home = () => {
                 <h3 className="service-title">{service.title}</h3>
                 <p className="service-description">{service.description}</p>
                 <div className="service-read-more">
-                  <button className="btn btn-text">Read More</button>
+                  <button className="btn btn-text">
+                    {t("common.readMore")}
+                  </button>
                 </div>
               </motion.div>
             ))}
@@ -537,10 +515,10 @@ const Home = () => {
         <div className="container">
           <div className="stats-grid">
             {[
-              { number: "90", label: "Chambers" },
-              { number: "429", label: "Associations" },
-              { number: "19", label: "Joint Chambers" },
-              { number: "0", label: "G.B Members" },
+              { number: 90, label: t("home.stats.chambers") },
+              { number: 429, label: t("home.stats.associations") },
+              { number: 19, label: t("home.stats.jointChambers") },
+              { number: 0, label: t("home.stats.gbMembers") },
             ].map((stat, index) => (
               <motion.div
                 key={index}
@@ -550,7 +528,9 @@ const Home = () => {
                 transition={{ duration: 0.6, delay: index * 0.1 }}
                 viewport={{ once: true }}
               >
-                <div className="stat-number">{stat.number}</div>
+                <div className="stat-number">
+                  {formatNumber(stat.number)}
+                </div>
                 <div className="stat-label">{stat.label}</div>
               </motion.div>
             ))}
@@ -570,22 +550,26 @@ const Home = () => {
           >
             <div className="section-header-content">
               <div className="section-text">
-                <h2 className="section-title">
-                  Professional Meetings & Events
-                </h2>
+                <h2 className="section-title">{t("home.galleryTitle")}</h2>
                 <p className="section-subtitle">
-                  Engaging in high-level discussions and strategic partnerships
+                  {t("home.gallerySubtitle")}
                 </p>
               </div>
-              <button
-                className="gallery-refresh-btn"
-                onClick={() => manualRefreshGallery()}
-                disabled={loading}
-                title="Refresh gallery"
-              >
-                <FaSync className={loading ? "spinning" : ""} />
-                <span>Refresh</span>
-              </button>
+              <div className="gallery-header-actions">
+                <Link to="/gallery" className="gallery-albums-link">
+                  <FaImages />
+                  <span>{t("home.allAlbums")}</span>
+                </Link>
+                <button
+                  className="gallery-refresh-btn"
+                  onClick={() => manualRefreshGallery()}
+                  disabled={loading}
+                  title={t("home.refreshGallery")}
+                >
+                  <FaSync className={loading ? "spinning" : ""} />
+                  <span>{t("common.refresh")}</span>
+                </button>
+              </div>
             </div>
           </motion.div>
 
@@ -602,31 +586,23 @@ const Home = () => {
                   whileHover={{ scale: 1.02 }}
                 >
                   <div className="gallery-image">
-                    <img
+                    <LazyImage
                       src={image.imageUrl}
+                      srcWidth={image.width}
+                      variants={image.variants}
+                      placeholder={image.placeholder}
+                      sizes="(max-width: 600px) 100vw, (max-width: 1024px) 50vw, 400px"
                       alt={image.altText}
-                      className="gallery-img"
-                      loading="lazy"
-                      decoding="async"
+                      width="100%"
+                      height="100%"
+                      imgClassName="gallery-img"
                     />
                     <div className="gallery-overlay">
                       <div className="gallery-date">
-                        {image.eventDate
-                          ? new Date(image.eventDate).toLocaleDateString(
-                              "en-US",
-                              {
-                                month: "short",
-                                day: "numeric",
-                                year: "numeric",
-                              }
-                            )
-                          : new Date(
-                              image.uploadedAt || image.createdAt
-                            ).toLocaleDateString("en-US", {
-                              month: "short",
-                              day: "numeric",
-                              year: "numeric",
-                            })}
+                        {formatDate(
+                          image.eventDate || image.uploadedAt || image.createdAt,
+                          { month: "short", day: "numeric", year: "numeric" }
+                        )}
                       </div>
                       <h3>{image.title}</h3>
                       <p>{image.description}</p>
@@ -660,6 +636,15 @@ const Home = () => {
                           </div>
                         )}
                       </div>
+
+                      {image.album && (
+                        <Link
+                          to={`/gallery/albums/${image.album}`}
+                          className="gallery-album-link"
+                        >
+                          {t("home.viewAlbum")} <FaArrowRight />
+                        </Link>
+                      )}
                     </div>
                   </div>
                 </motion.div>
@@ -820,7 +805,7 @@ const Home = () => {
             </div>
 
             {/* Latest News Section */}
-            <div className="news-section">
+            <div className="news-section" id="latest-news">
               <motion.div
                 className="section-header"
                 initial={{ opacity: 0, y: 30 }}
@@ -828,57 +813,23 @@ const Home = () => {
                 transition={{ duration: 0.6 }}
                 viewport={{ once: true }}
               >
-                <h2 className="section-title">Latest News</h2>
-                <p className="section-subtitle">
-                  Stay updated with our latest announcements and events
-                </p>
+                <h2 className="section-title">{t("home.newsTitle")}</h2>
+                <p className="section-subtitle">{t("home.newsSubtitle")}</p>
               </motion.div>
 
               <div className="news-grid">
                 {loading ? (
                   <div className="loading-state">
                     <div className="spinner"></div>
-                    <p>Loading latest news...</p>
+                    <p>{t("home.loadingNews")}</p>
                   </div>
                 ) : news.length === 0 ? (
                   <div className="empty-state">
-                    <p>No news articles available at the moment.</p>
+                    <p>{t("home.noNews")}</p>
                   </div>
                 ) : (
                   news.slice(0, 6).map((article, index) => (
-                    <motion.div
-                      key={article.id}
-                      className="news-card"
-                      initial={{ opacity: 0, y: 30 }}
-                      whileInView={{ opacity: 1, y: 0 }}
-                      transition={{ duration: 0.6, delay: index * 0.1 }}
-                      viewport={{ once: true }}
-                      whileHover={{ y: -5, scale: 1.02 }}
-                    >
-                      <div className="news-date">
-                        {new Date(article.createdAt).toLocaleDateString(
-                          "en-US",
-                          {
-                            month: "short",
-                            day: "numeric",
-                            year: "numeric",
-                          }
-                        )}{" "}
-                        •{" "}
-                        {new Date(article.createdAt).toLocaleTimeString(
-                          "en-US",
-                          {
-                            hour: "2-digit",
-                            minute: "2-digit",
-                          }
-                        )}
-                      </div>
-                      <h3 className="news-title">{article.title}</h3>
-                      <div className="news-category">{article.category}</div>
-                      {article.isFeatured && (
-                        <div className="news-featured">Featured</div>
-                      )}
-                    </motion.div>
+                    <NewsCard key={article.id} article={article} index={index} />
                   ))
                 )}
               </div>
@@ -897,32 +848,32 @@ const Home = () => {
             transition={{ duration: 0.6 }}
             viewport={{ once: true }}
           >
-            <h2 className="contact-title">Contact Us</h2>
+            <h2 className="contact-title">{t("home.contactTitle")}</h2>
             <div className="contact-info">
               <div className="contact-item">
                 <FaMapMarkerAlt />
                 <div>
-                  <h4>Our Location</h4>
-                  <p>New Bus Terminal Road, BASIC Area, Jamalpur, Dhaka</p>
+                  <h4>{t("home.location")}</h4>
+                  <p>{t("home.address")}</p>
                 </div>
               </div>
               <div className="contact-item">
                 <FaEnvelope />
                 <div>
-                  <h4>Email</h4>
+                  <h4>{t("home.email")}</h4>
                   <p>jamalpurchamber@gmail.com</p>
                 </div>
               </div>
               <div className="contact-item">
                 <FaPhone />
                 <div>
-                  <h4>Phone</h4>
+                  <h4>{t("home.phone")}</h4>
                   <p>+8801922348844</p>
                 </div>
               </div>
             </div>
             <div className="social-links">
-              <h4>Follow Us</h4>
+              <h4>{t("home.followUs")}</h4>
               <div className="social-icons">
                 <a
                   href="https://facebook.com"
@@ -980,11 +931,8 @@ const Home = () => {
             transition={{ duration: 0.6 }}
             viewport={{ once: true }}
           >
-            <h2 className="cta-title">Ready to Join Our Network?</h2>
-            <p className="cta-description">
-              Join thousands of successful businesses that trust JCCI for their
-              growth and development in Bangladesh's economic journey.
-            </p>
+            <h2 className="cta-title">{t("home.ctaTitle")}</h2>
+            <p className="cta-description">{t("home.ctaDescription")}</p>
             <div className="cta-buttons">
               <motion.button
                 className="btn btn-primary btn-large"
@@ -992,7 +940,7 @@ const Home = () => {
                 whileTap={{ scale: 0.95 }}
               >
                 <FaHandshake />
-                Become a Member
+                {t("home.becomeMember")}
                 <FaArrowRight />
               </motion.button>
               <motion.button
@@ -1001,7 +949,7 @@ const Home = () => {
                 whileTap={{ scale: 0.95 }}
               >
                 <FaGlobe />
-                Explore Services
+                {t("home.exploreServices")}
               </motion.button>
             </div>
           </motion.div>
@@ -2,7 +2,8 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
-import { FaEye, FaEyeSlash, FaSignInAlt, FaUser, FaLock } from 'react-icons/fa';
+import { FaEye, FaEyeSlash, FaSignInAlt, FaUser, FaLock, FaKey, FaShieldAlt } from 'react-icons/fa';
+import apiService from '../services/api';
 import './Auth.css';
 
 const Login = () => {
@@ -14,9 +15,20 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
-  const { login } = useAuth();
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorMethod, setTwoFactorMethod] = useState('totp');
+  const [code, setCode] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
+  // Staff who still have to set up two-factor authentication go straight to it
+  const goToStart = (user) => {
+    navigate(user.twoFactorSetupRequired ? '/admin/settings' : '/');
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -31,8 +43,12 @@ const Login = () => {
     setError('');
 
     try {
-      await login(formData.email, formData.password);
-      navigate('/');
+      const result = await login(formData.email, formData.password);
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
+      }
+      goToStart(result);
     } catch (err) {
       setError('Invalid email or password. Please try again.');
     } finally {
@@ -40,6 +56,52 @@ const Login = () => {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const user = await verifyTwoFactor(challengeToken, code, twoFactorMethod);
+      goToStart(user);
+    } catch (err) {
+      setError(err.message || 'Invalid verification code.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const switchMethod = (method) => {
+    setTwoFactorMethod(method);
+    setCode('');
+    setError('');
+    setNotice('');
+  };
+
+  const handleSendEmailCode = async () => {
+    setError('');
+    setNotice('');
+    try {
+      const response = await apiService.sendTwoFactorEmailCode(challengeToken);
+      switchMethod('email');
+      setNotice(response.message);
+    } catch (err) {
+      setError(err.message || 'Failed to send the code.');
+    }
+  };
+
+  const handleBackToLogin = () => {
+    setChallengeToken(null);
+    switchMethod('totp');
+    setFormData({ ...formData, password: '' });
+  };
+
+  const codeLabels = {
+    totp: 'Authenticator code',
+    recovery: 'Recovery code',
+    email: 'Emailed code'
+  };
+
   return (
     <div className="auth-page">
       <div className="auth-container">
@@ -53,92 +115,172 @@ const Login = () => {
             <div className="auth-icon">
               <FaSignInAlt />
             </div>
-            <h1 className="auth-title">Welcome Back</h1>
-            <p className="auth-subtitle">Sign in to your account to continue</p>
+            <h1 className="auth-title">{challengeToken ? 'Two-Step Verification' : 'Welcome Back'}</h1>
+            <p className="auth-subtitle">
+              {challengeToken
+                ? 'Enter a code to confirm it\'s you'
+                : 'Sign in to your account to continue'}
+            </p>
           </div>
 
-          <form onSubmit={handleSubmit} className="auth-form">
-            {error && (
-              <motion.div 
-                className="error-message"
-                initial={{ opacity: 0, y: -10 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ duration: 0.3 }}
+          {challengeToken ? (
+            <form onSubmit={handleVerify} className="auth-form">
+              {error && (
+                <motion.div 
+                  className="error-message"
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  {error}
+                </motion.div>
+              )}
+
+              {notice && <div className="info-message">{notice}</div>}
+
+              <div className="form-group">
+                <label htmlFor="code" className="form-label">
+                  {twoFactorMethod === 'recovery' ? <FaKey /> : <FaShieldAlt />} {codeLabels[twoFactorMethod]}
+                </label>
+                <input
+                  type="text"
+                  id="code"
+                  name="code"
+                  value={code}
+                  onChange={(e) => {
+                    setCode(e.target.value);
+                    setError('');
+                  }}
+                  className="form-input"
+                  placeholder={twoFactorMethod === 'recovery' ? 'xxxxx-xxxxx' : '6-digit code'}
+                  inputMode={twoFactorMethod === 'recovery' ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                />
+              </div>
+
+              <button 
+                type="submit" 
+                className="btn btn-primary btn-full"
+                disabled={loading}
               >
-                {error}
-              </motion.div>
-            )}
-
-            <div className="form-group">
-              <label htmlFor="email" className="form-label">
-                <FaUser /> Email Address
-              </label>
-              <input
-                type="email"
-                id="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                className="form-input"
-                placeholder="Enter your email"
-                required
-              />
-            </div>
+                {loading ? (
+                  <>
+                    <div className="spinner-small"></div>
+                    Verifying...
+                  </>
+                ) : (
+                  <>
+                    <FaShieldAlt />
+                    Verify
+                  </>
+                )}
+              </button>
 
-            <div className="form-group">
-              <label htmlFor="password" className="form-label">
-                <FaLock /> Password
-              </label>
-              <div className="password-input">
+              <div className="two-factor-options">
+                {twoFactorMethod !== 'totp' && (
+                  <button type="button" onClick={() => switchMethod('totp')}>
+                    Use my authenticator app
+                  </button>
+                )}
+                {twoFactorMethod !== 'recovery' && (
+                  <button type="button" onClick={() => switchMethod('recovery')}>
+                    Use a recovery code
+                  </button>
+                )}
+                <button type="button" onClick={handleSendEmailCode}>
+                  {twoFactorMethod === 'email' ? 'Resend the email code' : 'Email me a code instead'}
+                </button>
+                <button type="button" onClick={handleBackToLogin}>
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form">
+              {error && (
+                <motion.div 
+                  className="error-message"
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  {error}
+                </motion.div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="email" className="form-label">
+                  <FaUser /> Email Address
+                </label>
                 <input
-                  type={showPassword ? 'text' : 'password'}
-                  id="password"
-                  name="password"
-                  value={formData.password}
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
                   onChange={handleChange}
                   className="form-input"
-                  placeholder="Enter your password"
+                  placeholder="Enter your email"
                   required
                 />
-                <button
-                  type="button"
-                  className="password-toggle"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? <FaEyeSlash /> : <FaEye />}
-                </button>
               </div>
-            </div>
 
-            <div className="form-options">
-              <label className="checkbox-label">
-                <input type="checkbox" />
-                <span className="checkmark"></span>
-                Remember me
-              </label>
-              <Link to="/forgot-password" className="forgot-link">
-                Forgot password?
-              </Link>
-            </div>
+              <div className="form-group">
+                <label htmlFor="password" className="form-label">
+                  <FaLock /> Password
+                </label>
+                <div className="password-input">
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    id="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="form-input"
+                    placeholder="Enter your password"
+                    required
+                  />
+                  <button
+                    type="button"
+                    className="password-toggle"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? <FaEyeSlash /> : <FaEye />}
+                  </button>
+                </div>
+              </div>
 
-            <button 
-              type="submit" 
-              className="btn btn-primary btn-full"
-              disabled={loading}
-            >
-              {loading ? (
-                <>
-                  <div className="spinner-small"></div>
-                  Signing In...
-                </>
-              ) : (
-                <>
-                  <FaSignInAlt />
-                  Sign In
-                </>
-              )}
-            </button>
-          </form>
+              <div className="form-options">
+                <label className="checkbox-label">
+                  <input type="checkbox" />
+                  <span className="checkmark"></span>
+                  Remember me
+                </label>
+                <Link to="/forgot-password" className="forgot-link">
+                  Forgot password?
+                </Link>
+              </div>
+
+              <button 
+                type="submit" 
+                className="btn btn-primary btn-full"
+                disabled={loading}
+              >
+                {loading ? (
+                  <>
+                    <div className="spinner-small"></div>
+                    Signing In...
+                  </>
+                ) : (
+                  <>
+                    <FaSignInAlt />
+                    Sign In
+                  </>
+                )}
+              </button>
+            </form>
+          )}
 
           <div className="auth-footer">
             <p>
@@ -0,0 +1,435 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  FaBuilding,
+  FaSave,
+  FaArrowLeft,
+  FaExclamationTriangle,
+  FaCheckCircle,
+  FaClock,
+  FaTimesCircle,
+  FaIdCard,
+  FaPaperclip,
+  FaTrash,
+  FaReceipt,
+  FaCertificate
+} from 'react-icons/fa';
+import apiService from '../services/api';
+import { saveBlob } from '../utils/download';
+import { formatDate, formatOptionLabel, formatPaymentMethod, formatTaka } from '../utils/format';
+import './Members.css';
+
+const emptyProfile = {
+  companyName: '',
+  tradeLicenseNumber: '',
+  businessCategory: 'other',
+  description: '',
+  addressLine: '',
+  upazila: '',
+  contactName: '',
+  contactDesignation: '',
+  contactPhone: '',
+  contactEmail: '',
+  website: ''
+};
+
+// Flatten a member document into the form fields the API accepts
+const toFormData = (member) => ({
+  companyName: member.companyName || '',
+  tradeLicenseNumber: member.tradeLicenseNumber || '',
+  businessCategory: member.businessCategory || 'other',
+  description: member.description || '',
+  addressLine: member.address?.line || '',
+  upazila: member.address?.upazila || '',
+  contactName: member.contactPerson?.name || '',
+  contactDesignation: member.contactPerson?.designation || '',
+  contactPhone: member.contactPerson?.phone || '',
+  contactEmail: member.contactPerson?.email || '',
+  website: member.website || ''
+});
+
+const statusInfo = {
+  pending: { icon: <FaClock />, text: 'Awaiting approval. Your profile will appear in the directory once an admin approves it.' },
+  approved: { icon: <FaCheckCircle />, text: 'Approved. Your business is listed in the member directory.' },
+  rejected: { icon: <FaTimesCircle />, text: 'Not approved. Please update your profile and submit it again.' }
+};
+
+const membershipStateInfo = {
+  active: 'Active',
+  grace: 'Dues overdue (grace period)',
+  lapsed: 'Lapsed'
+};
+
+const MAX_DOCUMENTS = 5;
+
+const MemberProfile = () => {
+  const [member, setMember] = useState(null);
+  const [formData, setFormData] = useState(emptyProfile);
+  const [logoFile, setLogoFile] = useState(null);
+  const [documentFiles, setDocumentFiles] = useState([]);
+  // Bumped after saving to clear the file inputs
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [payments, setPayments] = useState([]);
+  const [options, setOptions] = useState({ categories: [], tiers: [], upazilas: [], annualDues: {}, gracePeriodDays: 0 });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    Promise.all([
+      apiService.getMyMemberProfile(),
+      apiService.getMemberOptions(),
+      apiService.getMyMemberPayments()
+    ])
+      .then(([profileResult, memberOptions, myPayments]) => {
+        setOptions(memberOptions);
+        setPayments(myPayments);
+        if (profileResult.data.member) {
+          setMember(profileResult.data.member);
+          setFormData(toFormData(profileResult.data.member));
+        }
+      })
+      .catch(err => setError(err.message || 'Failed to load your business profile.'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setError('');
+    setSuccess('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const data = new FormData();
+      Object.entries(formData).forEach(([key, value]) => data.append(key, value));
+      if (logoFile) {
+        data.append('logo', logoFile);
+      }
+      documentFiles.forEach(file => data.append('documents', file));
+
+      const result = await apiService.saveMyMemberProfile(data);
+      setMember(result.data.member);
+      setFormData(toFormData(result.data.member));
+      setLogoFile(null);
+      setDocumentFiles([]);
+      setFileInputKey(fileInputKey + 1);
+      setSuccess(result.message || 'Business profile submitted for approval.');
+    } catch (err) {
+      setError(err.message || 'Failed to save your business profile.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDocumentsChange = (e) => {
+    const files = Array.from(e.target.files);
+    const existing = member?.documents?.length || 0;
+
+    if (existing + files.length > MAX_DOCUMENTS) {
+      setError(`You can attach up to ${MAX_DOCUMENTS} supporting documents.`);
+      e.target.value = '';
+      setDocumentFiles([]);
+      return;
+    }
+
+    setDocumentFiles(files);
+    setError('');
+  };
+
+  const handleRemoveDocument = async (documentId) => {
+    if (!window.confirm('Remove this document from your application?')) return;
+
+    try {
+      const result = await apiService.deleteMyMemberDocument(documentId);
+      setMember(result.data.member);
+      setSuccess(result.message);
+    } catch (err) {
+      setError(err.message || 'Failed to remove document.');
+    }
+  };
+
+  const handleReceipt = async (payment) => {
+    try {
+      const blob = await apiService.getMyPaymentReceipt(payment._id);
+      saveBlob(blob, `${payment.receiptNumber}.pdf`);
+    } catch (err) {
+      setError(err.message || 'Failed to download receipt.');
+    }
+  };
+
+  const handleCertificate = async () => {
+    try {
+      const blob = await apiService.getMyMemberCertificate();
+      saveBlob(blob, `${member.membershipNumber}-certificate.pdf`);
+    } catch (err) {
+      setError(err.message || 'Failed to download certificate.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="member-profile">
+        <div className="loading-state">
+          <div className="spinner"></div>
+          <p>Loading your business profile...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="member-profile">
+      <div className="container">
+        <Link to="/members" className="back-link">
+          <FaArrowLeft /> Back to Member Directory
+        </Link>
+
+        <motion.div
+          className="member-profile-card"
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <h1><FaBuilding /> My Business Profile</h1>
+          <p className="member-profile-intro">
+            Apply for chamber membership and tell other members and the public about your business. Every change is reviewed by the chamber before it is published.
+          </p>
+
+          {member && (
+            <div className={`member-status status-${member.status}`}>
+              {statusInfo[member.status].icon}
+              <span>{statusInfo[member.status].text}</span>
+              {member.status === 'rejected' && member.rejectionReason && (
+                <p className="member-status-reason">Reason: {member.rejectionReason}</p>
+              )}
+            </div>
+          )}
+
+          {member?.membershipNumber && (
+            <div className="membership-summary">
+              <div className="membership-summary-item">
+                <span>Membership No</span>
+                <strong><FaIdCard /> {member.membershipNumber}</strong>
+              </div>
+              <div className="membership-summary-item">
+                <span>Tier</span>
+                <strong>{formatOptionLabel(member.membershipTier)}</strong>
+              </div>
+              <div className="membership-summary-item">
+                <span>Status</span>
+                <strong className={`membership-state state-${member.membershipState}`}>
+                  {membershipStateInfo[member.membershipState] || formatOptionLabel(member.membershipState)}
+                </strong>
+              </div>
+              <div className="membership-summary-item">
+                <span>Next Dues</span>
+                <strong>
+                  {member.membershipExpiry
+                    ? `${formatDate(member.membershipExpiry)} (${formatTaka(options.annualDues[member.membershipTier])})`
+                    : 'Not required'}
+                </strong>
+              </div>
+              {member.membershipState === 'grace' && (
+                <p className="membership-summary-note">
+                  Your dues are overdue. Please pay within {options.gracePeriodDays} days of the due date to keep your membership active.
+                </p>
+              )}
+              {member.membershipState === 'lapsed' && (
+                <p className="membership-summary-note">
+                  Your membership has lapsed and your business is hidden from the directory. Pay your dues at the chamber office to renew.
+                </p>
+              )}
+              {['active', 'grace'].includes(member.membershipState) && (
+                <div className="membership-summary-actions">
+                  <button type="button" className="btn btn-secondary" onClick={handleCertificate}>
+                    <FaCertificate /> Download Membership Certificate
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {error && (
+            <div className="alert alert-error">
+              <FaExclamationTriangle />
+              {error}
+            </div>
+          )}
+
+          {success && (
+            <div className="alert alert-success">
+              <FaCheckCircle />
+              {success}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="member-profile-form">
+            <h3>Business</h3>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="companyName" className="form-label">Company Name</label>
+                <input id="companyName" name="companyName" className="form-input" value={formData.companyName} onChange={handleChange} required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="tradeLicenseNumber" className="form-label">Trade License Number</label>
+                <input id="tradeLicenseNumber" name="tradeLicenseNumber" className="form-input" value={formData.tradeLicenseNumber} onChange={handleChange} required />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="businessCategory" className="form-label">Business Category</label>
+                <select id="businessCategory" name="businessCategory" className="form-input" value={formData.businessCategory} onChange={handleChange}>
+                  {options.categories.map(option => (
+                    <option key={option} value={option}>{formatOptionLabel(option)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="website" className="form-label">Website</label>
+                <input id="website" name="website" type="url" className="form-input" value={formData.website} onChange={handleChange} placeholder="https://" />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="description" className="form-label">About the Business</label>
+              <textarea id="description" name="description" className="form-input form-textarea" value={formData.description} onChange={handleChange} maxLength={1000} rows={4} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="logo" className="form-label">Logo</label>
+              {member?.logo?.url && (
+                <img src={member.logo.url} alt="Current logo" className="member-logo" />
+              )}
+              <input key={`logo-${fileInputKey}`} id="logo" type="file" accept="image/*" className="form-input" onChange={(e) => setLogoFile(e.target.files[0] || null)} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="documents" className="form-label">
+                Supporting Documents (trade license, TIN certificate, etc.)
+              </label>
+              {member?.documents?.length > 0 && (
+                <ul className="member-documents">
+                  {member.documents.map(document => (
+                    <li key={document._id}>
+                      <FaPaperclip />
+                      <a href={document.url} target="_blank" rel="noopener noreferrer">{document.originalName}</a>
+                      <button
+                        type="button"
+                        className="member-document-remove"
+                        onClick={() => handleRemoveDocument(document._id)}
+                        title="Remove document"
+                      >
+                        <FaTrash />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <input
+                key={`documents-${fileInputKey}`}
+                id="documents"
+                type="file"
+                accept="application/pdf,image/*"
+                multiple
+                className="form-input"
+                onChange={handleDocumentsChange}
+              />
+            </div>
+
+            <h3>Address</h3>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="addressLine" className="form-label">Street Address</label>
+                <input id="addressLine" name="addressLine" className="form-input" value={formData.addressLine} onChange={handleChange} required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="upazila" className="form-label">Upazila (Jamalpur)</label>
+                <select id="upazila" name="upazila" className="form-input" value={formData.upazila} onChange={handleChange} required>
+                  <option value="">Select upazila</option>
+                  {options.upazilas.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <h3>Contact Person</h3>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="contactName" className="form-label">Name</label>
+                <input id="contactName" name="contactName" className="form-input" value={formData.contactName} onChange={handleChange} required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="contactDesignation" className="form-label">Designation</label>
+                <input id="contactDesignation" name="contactDesignation" className="form-input" value={formData.contactDesignation} onChange={handleChange} />
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="contactPhone" className="form-label">Phone</label>
+                <input id="contactPhone" name="contactPhone" type="tel" className="form-input" value={formData.contactPhone} onChange={handleChange} required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="contactEmail" className="form-label">Email</label>
+                <input id="contactEmail" name="contactEmail" type="email" className="form-input" value={formData.contactEmail} onChange={handleChange} />
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? (
+                  <>
+                    <div className="spinner-small"></div>
+                    Submitting...
+                  </>
+                ) : (
+                  <>
+                    <FaSave />
+                    {member ? 'Update Profile' : 'Submit Profile'}
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+
+          {payments.length > 0 && (
+            <div className="member-payments">
+              <h3>Dues Payments</h3>
+              <ul>
+                {payments.map(payment => (
+                  <li key={payment._id}>
+                    <div>
+                      <strong>{formatTaka(payment.amount)}</strong> on {formatDate(payment.paidAt)} by {formatPaymentMethod(payment.method)}
+                      <span>Receipt {payment.receiptNumber}</span>
+                    </div>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => handleReceipt(payment)}
+                    >
+                      <FaReceipt /> Receipt
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default MemberProfile;
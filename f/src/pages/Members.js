@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaBuilding, FaSearch, FaMapMarkerAlt, FaPhone, FaEnvelope, FaGlobe, FaUser, FaIdCard } from 'react-icons/fa';
+import { useAuth } from '../contexts/AuthContext';
+import { useDebounce } from '../hooks/useDebounce';
+import apiService from '../services/api';
+import { formatOptionLabel } from '../utils/format';
+import logger from '../utils/logger';
+import './Members.css';
+
+const Members = () => {
+  const { user } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [options, setOptions] = useState({ categories: [], tiers: [], upazilas: [] });
+  const [search, setSearch] = useState('');
+  const [category, setCategory] = useState('');
+  const [upazila, setUpazila] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const debouncedSearch = useDebounce(search, 400);
+
+  useEffect(() => {
+    apiService.getMemberOptions()
+      .then(setOptions)
+      .catch(err => logger.error('Error loading member options:', err));
+  }, []);
+
+  // Go back to the first page whenever the filters change
+  useEffect(() => {
+    setPage(1);
+  }, [debouncedSearch, category, upazila]);
+
+  useEffect(() => {
+    const params = { page, limit: 12 };
+    if (debouncedSearch) params.search = debouncedSearch;
+    if (category) params.category = category;
+    if (upazila) params.upazila = upazila;
+
+    setLoading(true);
+    setError('');
+    apiService.getMembers(params)
+      .then(result => {
+        setMembers(result.data.members);
+        setPagination(result.data.pagination);
+      })
+      .catch(err => {
+        logger.error('Error loading members:', err);
+        setError('Could not load the member directory. Please try again later.');
+      })
+      .finally(() => setLoading(false));
+  }, [debouncedSearch, category, upazila, page]);
+
+  return (
+    <div className="members">
+      {/* Header */}
+      <section className="members-header">
+        <div className="container">
+          <motion.div
+            className="header-content"
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+          >
+            <div className="header-icon">
+              <FaBuilding />
+            </div>
+            <h1 className="page-title">Member Directory</h1>
+            <p className="page-subtitle">
+              Find businesses and industries that are members of the Jamalpur Chamber of Commerce & Industry.
+            </p>
+            {user && (
+              <Link to="/member/profile" className="btn btn-outline members-profile-link">
+                <FaIdCard /> My Business Profile
+              </Link>
+            )}
+          </motion.div>
+        </div>
+      </section>
+
+      {/* Filter Section */}
+      <section className="members-filters">
+        <div className="container">
+          <div className="members-filter-bar">
+            <div className="members-search">
+              <FaSearch />
+              <input
+                type="text"
+                className="form-input"
+                placeholder="Search by company, contact person or trade license"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+            </div>
+            <select
+              className="form-input"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+            >
+              <option value="">All Categories</option>
+              {options.categories.map(option => (
+                <option key={option} value={option}>{formatOptionLabel(option)}</option>
+              ))}
+            </select>
+            <select
+              className="form-input"
+              value={upazila}
+              onChange={(e) => setUpazila(e.target.value)}
+            >
+              <option value="">All Upazilas</option>
+              {options.upazilas.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </section>
+
+      {/* Members List */}
+      <section className="members-section">
+        <div className="container">
+          {error && <div className="error-message">{error}</div>}
+
+          {loading ? (
+            <div className="loading-state">
+              <div className="spinner"></div>
+              <p>Loading members...</p>
+            </div>
+          ) : members.length === 0 ? (
+            <div className="no-members">
+              <FaBuilding />
+              <h3>No members found</h3>
+              <p>Try a different search or filter.</p>
+            </div>
+          ) : (
+            <div className="members-grid">
+              {members.map((member, index) => (
+                <motion.div
+                  key={member.id}
+                  className="member-card"
+                  initial={{ opacity: 0, y: 30 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.4, delay: index * 0.05 }}
+                >
+                  <div className="member-card-header">
+                    {member.logo?.url ? (
+                      <img src={member.logo.url} alt={`${member.companyName} logo`} className="member-logo" loading="lazy" />
+                    ) : (
+                      <div className="member-logo member-logo-placeholder">
+                        <FaBuilding />
+                      </div>
+                    )}
+                    <div>
+                      <h3 className="member-name">{member.companyName}</h3>
+                      <span className="member-category">{formatOptionLabel(member.businessCategory)}</span>
+                      <span className={`member-tier tier-${member.membershipTier}`}>
+                        {formatOptionLabel(member.membershipTier)} Member
+                      </span>
+                    </div>
+                  </div>
+
+                  {member.description && (
+                    <p className="member-description">{member.description}</p>
+                  )}
+
+                  <ul className="member-details">
+                    <li>
+                      <FaMapMarkerAlt />
+                      {member.address.line}, {member.address.upazila}, {member.address.district}
+                    </li>
+                    <li>
+                      <FaUser />
+                      {member.contactPerson.name}
+                      {member.contactPerson.designation && ` (${member.contactPerson.designation})`}
+                    </li>
+                    <li>
+                      <FaPhone />
+                      <a href={`tel:${member.contactPerson.phone}`}>{member.contactPerson.phone}</a>
+                    </li>
+                    {member.contactPerson.email && (
+                      <li>
+                        <FaEnvelope />
+                        <a href={`mailto:${member.contactPerson.email}`}>{member.contactPerson.email}</a>
+                      </li>
+                    )}
+                    {member.website && (
+                      <li>
+                        <FaGlobe />
+                        <a href={member.website} target="_blank" rel="noopener noreferrer">{member.website}</a>
+                      </li>
+                    )}
+                    {member.membershipNumber && (
+                      <li>
+                        <FaIdCard />
+                        Member No: {member.membershipNumber}
+                      </li>
+                    )}
+                    <li>
+                      <FaIdCard />
+                      Trade License: {member.tradeLicenseNumber}
+                    </li>
+                  </ul>
+                </motion.div>
+              ))}
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="members-pagination">
+              <button
+                className="btn btn-secondary"
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+              >
+                Previous
+              </button>
+              <span>Page {pagination.current} of {pagination.pages}</span>
+              <button
+                className="btn btn-secondary"
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default Members;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from "react";
+import { useParams } from "react-router-dom";
+import { FaEye, FaExclamationTriangle } from "react-icons/fa";
+import apiService from "../services/api";
+import NewsCard from "../components/NewsCard";
+import LazyImage from "../components/LazyImage";
+import { useLanguage } from "../contexts/LanguageContext";
+import logger from "../utils/logger";
+import "./Home.css";
+import "./NewsPreview.css";
+
+// Opened from a preview link: shows a news article, whatever its status, the
+// way the home page shows it, followed by its full text
+const NewsPreview = () => {
+  const { token } = useParams();
+  const { t, localize } = useLanguage();
+  const [article, setArticle] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setLoading(true);
+    apiService
+      .getNewsPreview(token)
+      .then((news) => {
+        setArticle({ ...news, id: news._id });
+        setError("");
+      })
+      .catch((err) => {
+        logger.error("Error loading news preview:", err);
+        setError(t("preview.invalid"));
+      })
+      .finally(() => setLoading(false));
+  }, [token, t]);
+
+  if (loading) {
+    return (
+      <div className="news-preview-page">
+        <div className="news-preview-message">{t("preview.loading")}</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="news-preview-page">
+        <div className="news-preview-message error">
+          <FaExclamationTriangle />
+          {error}
+        </div>
+      </div>
+    );
+  }
+
+  const status = article.status || "published";
+
+  return (
+    <div className="news-preview-page">
+      <div className="news-preview-banner">
+        <FaEye />
+        <span>{t("preview.banner")}</span>
+        <span className={`news-preview-status ${status}`}>
+          {t(`admin.workflow.status.${status}`)}
+        </span>
+      </div>
+
+      <section className="calendar-news-section">
+        <div className="container">
+          <div className="news-section">
+            <div className="news-grid news-preview-grid">
+              <NewsCard article={article} />
+            </div>
+
+            <article className="news-preview-body">
+              <h2>{localize(article, "title")}</h2>
+              {article.imageUrl && (
+                <div className="news-preview-image">
+                  <LazyImage
+                    src={article.imageUrl}
+                    srcWidth={article.imageWidth}
+                    variants={article.imageVariants}
+                    placeholder={article.imagePlaceholder}
+                    sizes="(max-width: 768px) 100vw, 800px"
+                    alt={localize(article, "title")}
+                    width="100%"
+                    height="100%"
+                  />
+                </div>
+              )}
+              {localize(article, "content")
+                .split(/\n+/)
+                .map((paragraph, index) => (
+                  <p key={index}>{paragraph}</p>
+                ))}
+            </article>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default NewsPreview;
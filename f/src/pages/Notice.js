@@ -1,17 +1,28 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { FaBell, FaCalendarAlt, FaExclamationTriangle, FaInfoCircle, FaBullhorn, FaFilePdf, FaDownload, FaSync } from 'react-icons/fa';
+import { FaBell, FaCalendarAlt, FaExclamationTriangle, FaInfoCircle, FaBullhorn, FaDownload, FaSync, FaSearch } from 'react-icons/fa';
 import { useNotice } from '../contexts/NoticeContext';
 import { useSocket } from '../contexts/SocketContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import pdfHandler from '../utils/pdfHandler';
+import PdfThumbnail from '../components/PdfThumbnail';
+import { formatBanglaDate } from '../utils/banglaDate';
 import useAutoRefresh from '../hooks/useAutoRefresh';
+import useScrollToHash from '../hooks/useScrollToHash';
 import './Notice.css';
 
 const Notice = () => {
   const [filter, setFilter] = useState('all');
   const { notices, loading, refreshNotices } = useNotice();
   const { isConnected } = useSocket();
+  const { t, localize, formatDate } = useLanguage();
   const [lastUpdated, setLastUpdated] = useState(new Date());
+  const [searchQuery, setSearchQuery] = useState('');
+  const navigate = useNavigate();
+
+  // Search results link to /notice#notice-<id>
+  useScrollToHash(!loading);
   
   // Auto-refresh every 30 seconds
   const manualRefresh = useAutoRefresh(() => {
@@ -45,6 +56,13 @@ const Notice = () => {
     }
   };
 
+  // Full-text search of notices happens on the site search page
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const q = searchQuery.trim();
+    if (q) navigate(`/search?${new URLSearchParams({ q, type: 'notice' })}`);
+  };
+
   const viewPDF = (pdfFile) => {
     pdfHandler.view(pdfFile);
   };
@@ -67,14 +85,12 @@ const Notice = () => {
             <div className="header-icon bell-animated">
               <FaBell />
             </div>
-            <h1 className="page-title">Notices & Announcements</h1>
-            <p className="page-subtitle">
-              Stay updated with the latest news, updates, and important information about our platform.
-            </p>
+            <h1 className="page-title">{t('notice.title')}</h1>
+            <p className="page-subtitle">{t('notice.subtitle')}</p>
             <div className="realtime-status">
               <div className={`status-indicator ${isConnected ? 'connected' : 'disconnected'}`}>
                 <div className="status-dot"></div>
-                <span>{isConnected ? 'Live Updates Active' : 'Offline Mode'}</span>
+                <span>{isConnected ? t('notice.live') : t('notice.offline')}</span>
               </div>
             </div>
           </motion.div>
@@ -96,36 +112,48 @@ const Notice = () => {
                   className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
                   onClick={() => setFilter('all')}
                 >
-                  All Notices
+                  {t('notice.all')}
                 </button>
                 <button 
                   className={`filter-btn ${filter === 'high' ? 'active' : ''}`}
                   onClick={() => setFilter('high')}
                 >
-                  High Priority
+                  {t('notice.high')}
                 </button>
                 <button 
                   className={`filter-btn ${filter === 'normal' ? 'active' : ''}`}
                   onClick={() => setFilter('normal')}
                 >
-                  Normal
+                  {t('notice.normal')}
                 </button>
                 <button 
                   className={`filter-btn ${filter === 'low' ? 'active' : ''}`}
                   onClick={() => setFilter('low')}
                 >
-                  Low Priority
+                  {t('notice.low')}
                 </button>
               </div>
+              <form className="notice-search" onSubmit={handleSearch}>
+                <input
+                  type="search"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  placeholder={t('notice.searchPlaceholder')}
+                  aria-label={t('notice.searchPlaceholder')}
+                />
+                <button type="submit" title={t('search.submit')}>
+                  <FaSearch />
+                </button>
+              </form>
               <div className="refresh-section">
                 <button 
                   className="refresh-btn"
                   onClick={() => manualRefresh()}
-                  title="Refresh notices"
+                  title={t('notice.refreshTitle')}
                   disabled={loading}
                 >
                   <FaSync className={loading ? 'spinning' : ''} />
-                  Refresh
+                  {t('common.refresh')}
                 </button>
               </div>
             </div>
@@ -139,13 +167,14 @@ const Notice = () => {
           {loading ? (
             <div className="loading-state">
               <div className="spinner"></div>
-              <p>Loading notices...</p>
+              <p>{t('notice.loading')}</p>
             </div>
           ) : (
             <div className="notices-grid">
               {filteredNotices.map((notice, index) => (
                 <motion.div
                   key={notice.id || notice._id}
+                  id={`notice-${notice.id || notice._id}`}
                   className="notice-card"
                   initial={{ opacity: 0, y: 30 }}
                   animate={{ opacity: 1, y: 0 }}
@@ -162,28 +191,29 @@ const Notice = () => {
                     <div className="notice-meta">
                       <div className="notice-date">
                         <FaCalendarAlt />
-                        {new Date(notice.createdAt).toLocaleDateString('en-US', {
-                          year: 'numeric',
-                          month: 'long',
-                          day: 'numeric'
-                        })}
+                        {formatDate(notice.createdAt)}
+                        <span className="notice-date-bangla">{formatBanglaDate(notice.createdAt)}</span>
                       </div>
                       <div 
                         className="notice-priority"
                         style={{ backgroundColor: getPriorityColor(notice.priority) }}
                       >
-                        {(notice.priority || 'normal').toUpperCase()}
+                        {t(`notice.priority.${notice.priority || 'normal'}`)}
                       </div>
                     </div>
                   </div>
                   
-                  <h3 className="notice-title">{notice.title}</h3>
-                  <p className="notice-content">{notice.content}</p>
+                  <h3 className="notice-title">{localize(notice, 'title')}</h3>
+                  <p className="notice-content">{localize(notice, 'content')}</p>
                   
                   {notice.pdfFile && (
                     <div className="notice-attachment">
                       <div className="pdf-attachment">
-                        <FaFilePdf className="pdf-icon" />
+                        <PdfThumbnail
+                          file={notice.pdfFile}
+                          onOpen={() => viewPDF(notice.pdfFile)}
+                          iconClassName="pdf-icon"
+                        />
                         <span className="pdf-name">
                           {notice.pdfFile.originalName || notice.pdfFile.name || notice.pdfFile.filename}
                         </span>
@@ -191,32 +221,35 @@ const Notice = () => {
                           <button 
                             className="view-pdf-btn"
                             onClick={() => viewPDF(notice.pdfFile)}
-                            title="View PDF"
+                            title={t('notice.viewPdf')}
                           >
-                            👁️ View
+                            👁️ {t('notice.view')}
                           </button>
                           <button 
                             className="download-pdf-btn"
                             onClick={() => downloadPDF(notice.pdfFile)}
-                            title="Download PDF"
+                            title={t('notice.downloadPdf')}
                           >
                             <FaDownload className="download-icon" />
                           </button>
                         </div>
                       </div>
+                      {notice.pdfFile.excerpt && (
+                        <p className="pdf-excerpt">{notice.pdfFile.excerpt}</p>
+                      )}
                       <small className="attachment-info">
-                        Click "View" to open PDF or "Download" to save it
+                        {t('notice.attachmentHint')}
                       </small>
                     </div>
                   )}
                   
                   <div className="notice-footer">
                     <span className="notice-author">
-                      By: {notice.author}
+                      {t('notice.by', { author: notice.author })}
                     </span>
                     {notice.updatedAt !== notice.createdAt && (
                       <span className="notice-updated">
-                        Updated: {new Date(notice.updatedAt).toLocaleDateString()}
+                        {t('notice.updated', { date: formatDate(notice.updatedAt) })}
                       </span>
                     )}
                   </div>
@@ -233,8 +266,8 @@ const Notice = () => {
               transition={{ duration: 0.6 }}
             >
               <FaBell />
-              <h3>No notices found</h3>
-              <p>There are no notices in this category at the moment.</p>
+              <h3>{t('notice.emptyTitle')}</h3>
+              <p>{t('notice.emptyText')}</p>
             </motion.div>
           )}
         </div>
@@ -13,6 +13,7 @@ const Registration = () => {
     password: '',
     confirmPassword: ''
   });
+  const [applyForMembership, setApplyForMembership] = useState(true);
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -125,7 +126,8 @@ const Registration = () => {
 
     try {
       await register(formData.name, formData.email, formData.password);
-      navigate('/');
+      // Continue straight to the membership application if requested
+      navigate(applyForMembership ? '/member/profile' : '/');
     } catch (err) {
       setError('Registration failed. Please try again.');
     } finally {
@@ -311,6 +313,18 @@ const Registration = () => {
               </label>
             </div>
 
+            <div className="form-options">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={applyForMembership}
+                  onChange={(e) => setApplyForMembership(e.target.checked)}
+                />
+                <span className="checkmark"></span>
+                Apply for chamber membership for my business next
+              </label>
+            </div>
+
             <button 
               type="submit" 
               className="btn btn-primary btn-full"
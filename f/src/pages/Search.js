@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaSearch, FaBell, FaNewspaper, FaImages, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import apiService from '../services/api';
+import { useLanguage } from '../contexts/LanguageContext';
+import logger from '../utils/logger';
+import './Search.css';
+
+const PAGE_SIZE = 10;
+
+const TYPE_ICONS = {
+  notice: FaBell,
+  news: FaNewspaper,
+  gallery: FaImages
+};
+
+// Search options kept in the URL, so results can be shared and revisited
+const FILTER_KEYS = ['type', 'category', 'year'];
+
+// Where a result opens
+const resultLink = (result) => {
+  switch (result.type) {
+    case 'notice':
+      return `/notice#notice-${result.id}`;
+    case 'news':
+      return '/#latest-news';
+    default:
+      return result.album ? `/gallery/albums/${result.album}` : '/gallery';
+  }
+};
+
+const hasMatch = (segments) => segments.some(segment => segment.match);
+
+// English or Bangla version of a highlighted field: the one in the current
+// language, unless only the other one contains the search words
+const pickHighlight = (highlights, field, language) => {
+  const versions = language === 'bn'
+    ? [highlights[`${field}Bn`], highlights[field]]
+    : [highlights[field], highlights[`${field}Bn`]];
+  const available = versions.filter(segments => segments && segments.length > 0);
+  return available.find(hasMatch) || available[0] || [];
+};
+
+// Text from the search API with the matching words marked
+const Highlighted = ({ segments }) =>
+  segments.map((segment, index) =>
+    segment.match
+      ? <mark key={index}>{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+  );
+
+// Site-wide search results with type, category and year facets
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t, language, formatDate } = useLanguage();
+  const q = searchParams.get('q') || '';
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+  const filters = Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || '']));
+  const { type, category, year } = filters;
+
+  const [input, setInput] = useState(q);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setInput(q);
+  }, [q]);
+
+  useEffect(() => {
+    if (!q.trim()) {
+      setData(null);
+      return undefined;
+    }
+
+    const params = { q, page, limit: PAGE_SIZE };
+    if (type) params.type = type;
+    if (category) params.category = category;
+    if (year) params.year = year;
+
+    let cancelled = false;
+    setLoading(true);
+    apiService.search(params)
+      .then(result => {
+        if (cancelled) return;
+        setData(result);
+        setError('');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        logger.error('Search error:', err);
+        setError(t('search.failed'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [q, type, category, year, page, t]);
+
+  // Change search options; anything but a page change starts again at page 1
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    if (!('page' in changes)) next.delete('page');
+    setSearchParams(next);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = input.trim();
+    if (value) updateParams({ q: value });
+  };
+
+  const facetGroups = data ? [
+    { key: 'type', values: data.facets.types, label: value => t(`search.types.${value}`) },
+    { key: 'category', values: data.facets.categories, label: value => t(`search.categories.${value}`) },
+    { key: 'year', values: data.facets.years, label: value => String(value) }
+  ] : [];
+
+  const pagination = data && data.pagination;
+
+  return (
+    <div className="search-page">
+      <section className="search-page-header">
+        <div className="container">
+          <motion.div
+            className="header-content"
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+          >
+            <h1 className="page-title">{t('search.title')}</h1>
+            <form className="search-page-form" onSubmit={handleSubmit} role="search">
+              <FaSearch className="search-page-icon" />
+              <input
+                type="search"
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder={t('search.placeholder')}
+                aria-label={t('search.placeholder')}
+                autoFocus={!q}
+              />
+              <button type="submit" className="btn btn-primary">
+                {t('search.submit')}
+              </button>
+            </form>
+          </motion.div>
+        </div>
+      </section>
+
+      <section className="search-page-section">
+        <div className="container">
+          {!q.trim() ? (
+            <p className="search-page-message">{t('search.prompt')}</p>
+          ) : error ? (
+            <div className="error-message">{error}</div>
+          ) : !data ? (
+            <p className="search-page-message">{t('search.loading')}</p>
+          ) : (
+            <div className={`search-page-layout ${loading ? 'loading' : ''}`}>
+              <aside className="search-facets">
+                {facetGroups.map(group => (
+                  <div key={group.key} className="search-facet">
+                    <h3>{t(`search.facets.${group.key}`)}</h3>
+                    <button
+                      className={`search-facet-option ${!filters[group.key] ? 'active' : ''}`}
+                      onClick={() => updateParams({ [group.key]: '' })}
+                    >
+                      {t('search.any')}
+                    </button>
+                    {group.values.map(({ value, count }) => (
+                      <button
+                        key={value}
+                        className={`search-facet-option ${filters[group.key] === String(value) ? 'active' : ''}`}
+                        onClick={() => updateParams({ [group.key]: String(value) })}
+                      >
+                        <span>{group.label(value)}</span>
+                        <span className="search-facet-count">{count}</span>
+                      </button>
+                    ))}
+                  </div>
+                ))}
+              </aside>
+
+              <div className="search-results-column">
+                <p className="search-summary">
+                  {t('search.summary', { count: pagination.total, query: data.query })}
+                </p>
+
+                {data.results.length === 0 ? (
+                  <div className="search-page-message">
+                    <p>{t('search.none', { query: data.query })}</p>
+                    <span>{t('search.noneHint')}</span>
+                  </div>
+                ) : (
+                  <ul className="search-result-list">
+                    {data.results.map(result => {
+                      const Icon = TYPE_ICONS[result.type];
+                      const body = pickHighlight(result.highlights, 'body', language);
+                      // Notices found through their attached PDF show where it matched
+                      const pdfText = result.highlights.document || [];
+                      const fromDocument = !hasMatch(body) && hasMatch(pdfText);
+                      return (
+                        <li key={`${result.type}-${result.id}`} className="search-result">
+                          {result.imageUrl && (
+                            <img className="search-result-image" src={result.imageUrl} alt="" loading="lazy" />
+                          )}
+                          <div className="search-result-content">
+                            <div className="search-result-meta">
+                              <span className={`search-result-type ${result.type}`}>
+                                <Icon /> {t(`search.types.${result.type}`)}
+                              </span>
+                              {result.category && (
+                                <span>{t(`search.categories.${result.category}`)}</span>
+                              )}
+                              {result.date && <span>{formatDate(result.date)}</span>}
+                            </div>
+                            <h3>
+                              <Link to={resultLink(result)}>
+                                <Highlighted segments={pickHighlight(result.highlights, 'title', language)} />
+                              </Link>
+                            </h3>
+                            {fromDocument ? (
+                              <p className="search-result-excerpt">
+                                <span className="search-result-source">{t('search.inDocument')}</span>{' '}
+                                <Highlighted segments={pdfText} />
+                              </p>
+                            ) : body.length > 0 && (
+                              <p className="search-result-excerpt">
+                                <Highlighted segments={body} />
+                              </p>
+                            )}
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+
+                {pagination.pages > 1 && (
+                  <div className="search-pagination">
+                    <button
+                      className="btn btn-outline"
+                      disabled={page <= 1}
+                      onClick={() => updateParams({ page: String(page - 1) })}
+                    >
+                      <FaChevronLeft /> {t('search.previous')}
+                    </button>
+                    <span>{t('search.page', { page, pages: pagination.pages })}</span>
+                    <button
+                      className="btn btn-outline"
+                      disabled={page >= pagination.pages}
+                      onClick={() => updateParams({ page: String(page + 1) })}
+                    >
+                      {t('search.next')} <FaChevronRight />
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default Search;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaCertificate, FaSearch, FaCheckCircle, FaTimesCircle } from 'react-icons/fa';
+import apiService from '../services/api';
+import { formatDate, formatOptionLabel } from '../utils/format';
+import './VerifyCertificate.css';
+
+// Public page for banks and government offices to check a membership certificate
+const VerifyCertificate = () => {
+  const { certificateNo } = useParams();
+  const navigate = useNavigate();
+  const [input, setInput] = useState(certificateNo || '');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!certificateNo) return;
+
+    setInput(certificateNo);
+    setLoading(true);
+    setError('');
+    setResult(null);
+
+    apiService.verifyCertificate(certificateNo)
+      .then(response => setResult(response.data))
+      .catch(err => setError(err.message || 'Could not verify this certificate.'))
+      .finally(() => setLoading(false));
+  }, [certificateNo]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = input.trim();
+    if (value) {
+      navigate(`/verify/${encodeURIComponent(value)}`);
+    }
+  };
+
+  return (
+    <div className="verify-page">
+      <div className="container">
+        <motion.div
+          className="verify-card"
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <div className="verify-header">
+            <FaCertificate className="verify-icon" />
+            <h1>Verify Membership Certificate</h1>
+            <p>Enter the certificate number printed on the certificate, or scan its QR code.</p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="verify-form">
+            <input
+              type="text"
+              className="form-input"
+              placeholder="e.g. CERT-2024-00001"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+            />
+            <button type="submit" className="btn btn-primary">
+              <FaSearch /> Verify
+            </button>
+          </form>
+
+          {loading && (
+            <div className="verify-loading">
+              <div className="spinner"></div>
+              <p>Checking certificate...</p>
+            </div>
+          )}
+
+          {error && (
+            <div className="verify-result invalid">
+              <FaTimesCircle className="verify-result-icon" />
+              <div>
+                <h2>Certificate Not Found</h2>
+                <p>{error}</p>
+              </div>
+            </div>
+          )}
+
+          {result && (
+            <div className={`verify-result ${result.valid ? 'valid' : 'invalid'}`}>
+              {result.valid ? (
+                <FaCheckCircle className="verify-result-icon" />
+              ) : (
+                <FaTimesCircle className="verify-result-icon" />
+              )}
+              <div>
+                <h2>{result.valid ? 'Valid Certificate' : 'Certificate Not Valid'}</h2>
+                {result.reason && <p>{result.reason}</p>}
+                <dl className="verify-details">
+                  <dt>Business</dt>
+                  <dd>{result.certificate.companyName}</dd>
+                  <dt>Membership No</dt>
+                  <dd>{result.certificate.membershipNumber}</dd>
+                  <dt>Certificate No</dt>
+                  <dd>{result.certificate.certificateNumber}</dd>
+                  <dt>Membership Tier</dt>
+                  <dd>{formatOptionLabel(result.certificate.membershipTier)}</dd>
+                  <dt>Issued On</dt>
+                  <dd>{formatDate(result.certificate.issuedAt)}</dd>
+                  <dt>Valid Until</dt>
+                  <dd>
+                    {result.certificate.validUntil
+                      ? formatDate(result.certificate.validUntil)
+                      : 'Life Membership'}
+                  </dd>
+                </dl>
+              </div>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificate;
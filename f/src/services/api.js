@@ -1,6 +1,23 @@
 const API_BASE_URL =
   process.env.REACT_APP_API_URL || "https://project1-wr4s.onrender.com/api";
 
+// Sent with every request so the server's logs, its response and any socket
+// events it causes can be matched to what happened in the browser
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+const createRequestId = () =>
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+// Error for a failed response, carrying its status and request ID
+const responseError = (response, message) => {
+  const error = new Error(message);
+  error.status = response.status;
+  error.requestId = response.headers.get(REQUEST_ID_HEADER);
+  return error;
+};
+
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
@@ -9,6 +26,8 @@ class ApiService {
     this.cacheDuration = 5 * 60 * 1000; // 5 minutes
     // Request deduplication
     this.pendingRequests = new Map();
+    // In-flight access token refresh, shared by every request that hit a 401
+    this.refreshPromise = null;
   }
 
   // Cache management with improved performance
@@ -52,11 +71,12 @@ class ApiService {
       ...options,
     };
 
-    const response = await fetch(`${this.baseURL}${url}`, config);
+    const response = await this.request(`${this.baseURL}${url}`, config);
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(
+      throw responseError(
+        response,
         errorData.message || `HTTP error! status: ${response.status}`
       );
     }
@@ -99,7 +119,7 @@ class ApiService {
         // If response is not JSON, use status text
         errorMessage = response.statusText || errorMessage;
       }
-      throw new Error(errorMessage);
+      throw responseError(response, errorMessage);
     }
     return response.json();
   }
@@ -120,9 +140,67 @@ class ApiService {
     return promise;
   }
 
+  // fetch() that sends the refresh cookie and a request ID and, when an
+  // access token has expired, renews it once and retries the request with
+  // the new token
+  async request(url, options = {}) {
+    const config = {
+      ...options,
+      headers: { ...options.headers, [REQUEST_ID_HEADER]: createRequestId() },
+      credentials: "include",
+    };
+    const response = await fetch(url, config);
+
+    const sentToken = options.headers && options.headers.Authorization;
+    if (response.status !== 401 || !sentToken) {
+      return response;
+    }
+
+    const token = await this.refreshAccessToken();
+    if (!token) {
+      return response;
+    }
+
+    return fetch(url, {
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${token}` },
+    });
+  }
+
+  // Exchange the refresh cookie for a new access token. Concurrent callers
+  // share one request, since each refresh rotates the cookie.
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = fetch(`${this.baseURL}/auth/refresh`, {
+        method: "POST",
+        headers: { [REQUEST_ID_HEADER]: createRequestId() },
+        credentials: "include",
+      })
+        .then(async (response) => {
+          if (!response.ok) {
+            throw new Error("Session expired");
+          }
+          const data = await response.json();
+          localStorage.setItem("token", data.token);
+          return data.token;
+        })
+        .catch(() => {
+          // The session is over; let AuthContext sign the user out
+          localStorage.removeItem("token");
+          localStorage.removeItem("user");
+          window.dispatchEvent(new Event("auth:logout"));
+          return null;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
   // Auth API calls
   async register(userData) {
-    const response = await fetch(`${this.baseURL}/auth/register`, {
+    const response = await this.request(`${this.baseURL}/auth/register`, {
       method: "POST",
       headers: this.getHeaders(),
       body: JSON.stringify(userData),
@@ -131,7 +209,7 @@ class ApiService {
   }
 
   async login(credentials) {
-    const response = await fetch(`${this.baseURL}/auth/login`, {
+    const response = await this.request(`${this.baseURL}/auth/login`, {
       method: "POST",
       headers: this.getHeaders(),
       body: JSON.stringify(credentials),
@@ -140,15 +218,25 @@ class ApiService {
   }
 
   async getProfile() {
-    const response = await fetch(`${this.baseURL}/auth/profile`, {
+    const response = await this.request(`${this.baseURL}/auth/profile`, {
       method: "GET",
       headers: this.getHeaders(),
     });
     return this.handleResponse(response);
   }
 
+  // Saves the signed-in user's site preferences, e.g. { language: "bn" }
+  async updatePreferences(preferences) {
+    const response = await this.request(`${this.baseURL}/auth/preferences`, {
+      method: "PUT",
+      headers: this.getHeaders(),
+      body: JSON.stringify(preferences),
+    });
+    return this.handleResponse(response);
+  }
+
   async forgotPassword(email) {
-    const response = await fetch(`${this.baseURL}/auth/forgot-password`, {
+    const response = await this.request(`${this.baseURL}/auth/forgot-password`, {
       method: "POST",
       headers: this.getHeaders(),
       body: JSON.stringify({ email }),
@@ -157,7 +245,7 @@ class ApiService {
   }
 
   async verifyResetToken(token) {
-    const response = await fetch(
+    const response = await this.request(
       `${this.baseURL}/auth/verify-reset-token/${token}`,
       {
         method: "GET",
@@ -168,7 +256,7 @@ class ApiService {
   }
 
   async resetPassword(token, newPassword) {
-    const response = await fetch(
+    const response = await this.request(
       `${this.baseURL}/auth/reset-password/${token}`,
       {
         method: "POST",
@@ -179,8 +267,27 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // Password reset by SMS code
+  async sendSmsOtp(phoneNumber) {
+    const response = await this.request(`${this.baseURL}/auth/send-sms-otp`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ phoneNumber }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async verifySmsOtp(phoneNumber, code) {
+    const response = await this.request(`${this.baseURL}/auth/verify-sms-otp`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ phoneNumber, code }),
+    });
+    return this.handleResponse(response);
+  }
+
   async changePassword(currentPassword, newPassword) {
-    const response = await fetch(`${this.baseURL}/auth/change-password`, {
+    const response = await this.request(`${this.baseURL}/auth/change-password`, {
       method: "POST",
       headers: this.getHeaders(),
       body: JSON.stringify({ currentPassword, newPassword }),
@@ -188,9 +295,144 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // Second login step for accounts with two-factor authentication
+  async verifyTwoFactorLogin({ challengeToken, code, method }) {
+    const response = await this.request(`${this.baseURL}/auth/login/2fa`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ challengeToken, code, method }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async sendTwoFactorEmailCode(challengeToken) {
+    const response = await this.request(`${this.baseURL}/auth/login/2fa/email`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ challengeToken }),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Two-factor authentication for the signed-in account
+  async getTwoFactorStatus() {
+    const response = await this.request(`${this.baseURL}/auth/2fa`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async setupTwoFactor() {
+    const response = await this.request(`${this.baseURL}/auth/2fa/setup`, {
+      method: "POST",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async enableTwoFactor(code) {
+    const response = await this.request(`${this.baseURL}/auth/2fa/enable`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ code }),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async disableTwoFactor(password) {
+    const response = await this.request(`${this.baseURL}/auth/2fa/disable`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ password }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async regenerateRecoveryCodes(password) {
+    const response = await this.request(
+      `${this.baseURL}/auth/2fa/recovery-codes`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify({ password }),
+      }
+    );
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  // Phone number of the signed-in account
+  async addPhoneNumber(phoneNumber) {
+    const response = await this.request(`${this.baseURL}/auth/phone`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ phoneNumber }),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async verifyPhoneNumber(code) {
+    const response = await this.request(`${this.baseURL}/auth/phone/verify`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ code }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async removePhoneNumber() {
+    const response = await this.request(`${this.baseURL}/auth/phone`, {
+      method: "DELETE",
+      headers: this.getHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Sign-in sessions
+  async logout() {
+    const response = await this.request(`${this.baseURL}/auth/logout`, {
+      method: "POST",
+      headers: this.getHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async logoutAll() {
+    const response = await this.request(`${this.baseURL}/auth/logout-all`, {
+      method: "POST",
+      headers: this.getHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async getSessions() {
+    const response = await this.request(`${this.baseURL}/auth/sessions`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data.sessions;
+  }
+
+  async revokeSession(sessionId) {
+    const response = await this.request(
+      `${this.baseURL}/auth/sessions/${sessionId}`,
+      {
+        method: "DELETE",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
   // Admin management API calls
   async getAdmins() {
-    const response = await fetch(`${this.baseURL}/admin/users`, {
+    const response = await this.request(`${this.baseURL}/admin/users`, {
       method: "GET",
       headers: this.getHeaders(),
     });
@@ -198,7 +440,7 @@ class ApiService {
   }
 
   async createAdmin(adminData) {
-    const response = await fetch(`${this.baseURL}/admin/users`, {
+    const response = await this.request(`${this.baseURL}/admin/users`, {
       method: "POST",
       headers: this.getHeaders(),
       body: JSON.stringify(adminData),
@@ -206,16 +448,127 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  async resetAdminTwoFactor(adminId) {
+    const response = await this.request(
+      `${this.baseURL}/admin/users/${adminId}/reset-2fa`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
   async deleteAdmin(adminId) {
-    const response = await fetch(`${this.baseURL}/admin/users/${adminId}`, {
+    const response = await this.request(`${this.baseURL}/admin/users/${adminId}`, {
       method: "DELETE",
       headers: this.getHeaders(),
     });
     return this.handleResponse(response);
   }
 
+  async updateAdminRole(adminId, role) {
+    const response = await this.request(`${this.baseURL}/admin/users/${adminId}`, {
+      method: "PUT",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ role }),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Role management API calls
+  async getRoles() {
+    const response = await this.request(`${this.baseURL}/admin/roles`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async createRole(roleData) {
+    const response = await this.request(`${this.baseURL}/admin/roles`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(roleData),
+    });
+    return this.handleResponse(response);
+  }
+
+  async updateRole(name, roleData) {
+    const response = await this.request(
+      `${this.baseURL}/admin/roles/${encodeURIComponent(name)}`,
+      {
+        method: "PUT",
+        headers: this.getHeaders(),
+        body: JSON.stringify(roleData),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  async deleteRole(name) {
+    const response = await this.request(
+      `${this.baseURL}/admin/roles/${encodeURIComponent(name)}`,
+      {
+        method: "DELETE",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  // Sign-in lockouts
+  async getLockouts() {
+    const response = await this.request(`${this.baseURL}/admin/lockouts`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data.lockouts;
+  }
+
+  async unlockLockout(lockoutId) {
+    const response = await this.request(
+      `${this.baseURL}/admin/lockouts/${lockoutId}`,
+      {
+        method: "DELETE",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  // Activity log API calls
+  async getAuditLog(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await this.request(
+      `${this.baseURL}/admin/audit${query ? `?${query}` : ""}`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async getAuditOptions() {
+    const response = await this.request(`${this.baseURL}/admin/audit/options`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async exportAuditLog(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.getBlob(`/admin/audit/export${query ? `?${query}` : ""}`);
+  }
+
   async updateProfile(profileData) {
-    const response = await fetch(`${this.baseURL}/admin/profile`, {
+    const response = await this.request(`${this.baseURL}/admin/profile`, {
       method: "PUT",
       headers: this.getHeaders(),
       body: JSON.stringify(profileData),
@@ -225,7 +578,7 @@ class ApiService {
 
   // Form API calls
   async submitForm(formData) {
-    const response = await fetch(`${this.baseURL}/forms/submit`, {
+    const response = await this.request(`${this.baseURL}/forms/submit`, {
       method: "POST",
       headers: this.getHeaders(),
       body: JSON.stringify(formData),
@@ -239,7 +592,7 @@ class ApiService {
       ...(token && { Authorization: `Bearer ${token}` }),
     };
 
-    const response = await fetch(`${this.baseURL}/forms/submit-with-file`, {
+    const response = await this.request(`${this.baseURL}/forms/submit-with-file`, {
       method: "POST",
       headers,
       body: formData,
@@ -248,7 +601,7 @@ class ApiService {
   }
 
   async getFormSubmissions() {
-    const response = await fetch(`${this.baseURL}/forms/submissions`, {
+    const response = await this.request(`${this.baseURL}/forms/submissions`, {
       method: "GET",
       headers: this.getHeaders(),
     });
@@ -262,7 +615,7 @@ class ApiService {
     if (cached) return cached;
 
     return this.deduplicatedRequest(cacheKey, async () => {
-      const response = await fetch(`${this.baseURL}/notices`, {
+      const response = await this.request(`${this.baseURL}/notices`, {
         method: "GET",
         headers: this.getHeaders(),
       });
@@ -273,7 +626,7 @@ class ApiService {
   }
 
   async createNotice(noticeData) {
-    const response = await fetch(`${this.baseURL}/notices`, {
+    const response = await this.request(`${this.baseURL}/notices`, {
       method: "POST",
       headers: this.getHeaders(),
       body: JSON.stringify(noticeData),
@@ -285,7 +638,7 @@ class ApiService {
   }
 
   async updateNotice(id, noticeData) {
-    const response = await fetch(`${this.baseURL}/notices/${id}`, {
+    const response = await this.request(`${this.baseURL}/notices/${id}`, {
       method: "PUT",
       headers: this.getHeaders(),
       body: JSON.stringify(noticeData),
@@ -297,7 +650,7 @@ class ApiService {
   }
 
   async deleteNotice(id) {
-    const response = await fetch(`${this.baseURL}/notices/${id}`, {
+    const response = await this.request(`${this.baseURL}/notices/${id}`, {
       method: "DELETE",
       headers: this.getHeaders(),
     });
@@ -307,6 +660,15 @@ class ApiService {
     return result;
   }
 
+  // Scheduled notices and live ones with an expiry (admin only)
+  async getScheduledNotices() {
+    const response = await this.request(`${this.baseURL}/notices/scheduled`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
   // News API calls with caching
   async getNews() {
     const cacheKey = "news";
@@ -314,7 +676,7 @@ class ApiService {
     if (cached) return cached;
 
     return this.deduplicatedRequest(cacheKey, async () => {
-      const response = await fetch(`${this.baseURL}/news`, {
+      const response = await this.request(`${this.baseURL}/news`, {
         method: "GET",
         headers: this.getHeaders(),
       });
@@ -324,24 +686,99 @@ class ApiService {
     });
   }
 
-  async getNewsAdmin() {
-    const response = await fetch(`${this.baseURL}/news/admin`, {
+  // All articles whatever their status; optionally one status only
+  async getNewsAdmin(status) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : "";
+    const response = await this.request(`${this.baseURL}/news/admin${query}`, {
       method: "GET",
       headers: this.getHeaders(),
     });
     return this.handleResponse(response);
   }
 
+  // Editorial workflow: move an article to draft, in_review, published or
+  // archived. `note` is the reviewer's message when sending it back.
+  async changeNewsStatus(id, status, note) {
+    const response = await this.request(`${this.baseURL}/news/${id}/status`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ status, note }),
+    });
+    const result = await this.handleResponse(response);
+    this.clearCache("news");
+    return result;
+  }
+
+  // Signed link token for previewing an unpublished article
+  async createNewsPreview(id) {
+    const response = await this.request(`${this.baseURL}/news/${id}/preview`, {
+      method: "POST",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async getNewsPreview(token) {
+    const response = await this.request(
+      `${this.baseURL}/news/preview/${encodeURIComponent(token)}`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    const result = await this.handleResponse(response);
+    return result.data.news;
+  }
+
+  // Scheduled articles and live ones with an expiry (admin only)
+  async getScheduledNews() {
+    const response = await this.request(
+      `${this.baseURL}/news/admin/scheduled`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  // Sends multipart form data when an image file is attached, JSON otherwise
+  newsRequestOptions(method, newsData) {
+    if (!newsData.image) {
+      return {
+        method,
+        headers: this.getHeaders(),
+        body: JSON.stringify(newsData),
+      };
+    }
+
+    const formData = new FormData();
+    Object.entries(newsData).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        formData.append(key, value);
+      }
+    });
+
+    const token = localStorage.getItem("token");
+    return {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: formData,
+    };
+  }
+
   async createNews(newsData) {
     console.log("🌐 API: Creating news with data:", newsData);
     console.log("🌐 API: URL:", `${this.baseURL}/news`);
     console.log("🌐 API: Headers:", this.getHeaders());
 
-    const response = await fetch(`${this.baseURL}/news`, {
-      method: "POST",
-      headers: this.getHeaders(),
-      body: JSON.stringify(newsData),
-    });
+    const response = await this.request(
+      `${this.baseURL}/news`,
+      this.newsRequestOptions("POST", newsData)
+    );
 
     console.log("🌐 API: Response status:", response.status);
     console.log("🌐 API: Response ok:", response.ok);
@@ -356,11 +793,10 @@ class ApiService {
   }
 
   async updateNews(id, newsData) {
-    const response = await fetch(`${this.baseURL}/news/${id}`, {
-      method: "PUT",
-      headers: this.getHeaders(),
-      body: JSON.stringify(newsData),
-    });
+    const response = await this.request(
+      `${this.baseURL}/news/${id}`,
+      this.newsRequestOptions("PUT", newsData)
+    );
     const result = await this.handleResponse(response);
     // Clear cache after updating
     this.clearCache("news");
@@ -369,7 +805,7 @@ class ApiService {
   }
 
   async deleteNews(id) {
-    const response = await fetch(`${this.baseURL}/news/${id}`, {
+    const response = await this.request(`${this.baseURL}/news/${id}`, {
       method: "DELETE",
       headers: this.getHeaders(),
     });
@@ -380,9 +816,476 @@ class ApiService {
     return result;
   }
 
+  // Revision history of notices and news articles ("notice" or "news")
+  async getRevisions(entityType, id) {
+    const response = await this.request(
+      `${this.baseURL}/revisions/${entityType}/${id}`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    const result = await this.handleResponse(response);
+    return result.data.revisions;
+  }
+
+  // One version with its changes against the previous version, or against
+  // the current content when `against` is "current"
+  async getRevision(entityType, id, revisionId, against) {
+    const query = against ? `?against=${against}` : "";
+    const response = await this.request(
+      `${this.baseURL}/revisions/${entityType}/${id}/${revisionId}${query}`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async restoreRevision(entityType, id, revisionId) {
+    const response = await this.request(
+      `${this.baseURL}/revisions/${entityType}/${id}/${revisionId}/restore`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+      }
+    );
+    const result = await this.handleResponse(response);
+    this.clearCache(entityType === "notice" ? "notices" : "news");
+    return result;
+  }
+
+  // Gallery albums (meetings and events with their photos)
+  async getAlbums() {
+    const response = await this.request(`${this.baseURL}/albums`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data.albums;
+  }
+
+  // Resolves to { album, images }
+  async getAlbum(albumId) {
+    const response = await this.request(`${this.baseURL}/albums/${albumId}`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async getAdminAlbums() {
+    const response = await this.request(`${this.baseURL}/albums/admin`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data.albums;
+  }
+
+  // Includes hidden images; resolves to { album, images }
+  async getAdminAlbum(albumId) {
+    const response = await this.request(
+      `${this.baseURL}/albums/admin/${albumId}`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async createAlbum(albumData) {
+    const response = await this.request(`${this.baseURL}/albums`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(albumData),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Also sets the cover with { coverImage: imageId }
+  async updateAlbum(albumId, albumData) {
+    const response = await this.request(`${this.baseURL}/albums/${albumId}`, {
+      method: "PUT",
+      headers: this.getHeaders(),
+      body: JSON.stringify(albumData),
+    });
+    return this.handleResponse(response);
+  }
+
+  async deleteAlbum(albumId) {
+    const response = await this.request(`${this.baseURL}/albums/${albumId}`, {
+      method: "DELETE",
+      headers: this.getHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Uploads several image files at once; resolves to { images, failed }
+  async uploadAlbumImages(albumId, files) {
+    const formData = new FormData();
+    Array.from(files).forEach((file) => formData.append("images", file));
+
+    const token = localStorage.getItem("token");
+    const response = await this.request(
+      `${this.baseURL}/albums/${albumId}/images`,
+      {
+        method: "POST",
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: formData,
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  // imageIds in their new display order
+  async reorderAlbumImages(albumId, imageIds) {
+    const response = await this.request(
+      `${this.baseURL}/albums/${albumId}/reorder`,
+      {
+        method: "PUT",
+        headers: this.getHeaders(),
+        body: JSON.stringify({ imageIds }),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  // Site-wide search across notices, news and gallery images
+  // params: { q, type, category, year, page, limit }
+  async search(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await this.request(`${this.baseURL}/search?${query}`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  // Chamber events and registrations
+  // params: { from, to } as ISO dates; upcoming events when left out
+  async getEvents(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await this.request(
+      `${this.baseURL}/events${query ? `?${query}` : ""}`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    const result = await this.handleResponse(response);
+    return result.data.events;
+  }
+
+  // Resolves to { event, registration } (registration is null when signed out)
+  async getEvent(eventId) {
+    const response = await this.request(`${this.baseURL}/events/${eventId}`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  async getMyEventRegistrations() {
+    const response = await this.request(`${this.baseURL}/events/mine`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data.registrations;
+  }
+
+  async registerForEvent(eventId) {
+    const response = await this.request(
+      `${this.baseURL}/events/${eventId}/registration`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  async cancelEventRegistration(eventId) {
+    const response = await this.request(
+      `${this.baseURL}/events/${eventId}/registration`,
+      {
+        method: "DELETE",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  async getAdminEvents() {
+    const response = await this.request(`${this.baseURL}/events/admin`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data.events;
+  }
+
+  async createEvent(eventData) {
+    const response = await this.request(`${this.baseURL}/events`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(eventData),
+    });
+    return this.handleResponse(response);
+  }
+
+  async updateEvent(eventId, eventData) {
+    const response = await this.request(`${this.baseURL}/events/${eventId}`, {
+      method: "PUT",
+      headers: this.getHeaders(),
+      body: JSON.stringify(eventData),
+    });
+    return this.handleResponse(response);
+  }
+
+  async deleteEvent(eventId) {
+    const response = await this.request(`${this.baseURL}/events/${eventId}`, {
+      method: "DELETE",
+      headers: this.getHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Resolves to { event, registrations }
+  async getEventRegistrations(eventId) {
+    const response = await this.request(
+      `${this.baseURL}/events/${eventId}/registrations`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    const result = await this.handleResponse(response);
+    return result.data;
+  }
+
+  // Member directory API calls
+  async getMembers(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await this.request(
+      `${this.baseURL}/members${query ? `?${query}` : ""}`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  async getMemberOptions() {
+    const cacheKey = "member-options";
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    const response = await this.request(`${this.baseURL}/members/options`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    this.setCachedData(cacheKey, result.data);
+    return result.data;
+  }
+
+  async getMyMemberProfile() {
+    const response = await this.request(`${this.baseURL}/members/me`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Sends multipart form data so an optional logo can be attached
+  async saveMyMemberProfile(formData) {
+    const token = localStorage.getItem("token");
+    const response = await this.request(`${this.baseURL}/members/me`, {
+      method: "PUT",
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: formData,
+    });
+    return this.handleResponse(response);
+  }
+
+  async deleteMyMemberDocument(documentId) {
+    const response = await this.request(
+      `${this.baseURL}/members/me/documents/${documentId}`,
+      {
+        method: "DELETE",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  async getMyMemberPayments() {
+    const response = await this.request(`${this.baseURL}/members/me/payments`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    const result = await this.handleResponse(response);
+    return result.data.payments;
+  }
+
+  // params: { status, state, search }
+  async getAdminMembers(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await this.request(
+      `${this.baseURL}/members/admin${query ? `?${query}` : ""}`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  async approveMember(memberId, data = {}) {
+    const response = await this.request(
+      `${this.baseURL}/members/${memberId}/approve`,
+      {
+        method: "PUT",
+        headers: this.getHeaders(),
+        body: JSON.stringify(data),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  async rejectMember(memberId, reason) {
+    const response = await this.request(`${this.baseURL}/members/${memberId}/reject`, {
+      method: "PUT",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ reason }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async deleteMember(memberId) {
+    const response = await this.request(`${this.baseURL}/members/${memberId}`, {
+      method: "DELETE",
+      headers: this.getHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Dues ledger API calls (admin)
+  async getMemberPayments(memberId) {
+    const response = await this.request(
+      `${this.baseURL}/members/${memberId}/payments`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  async recordMemberPayment(memberId, paymentData) {
+    const response = await this.request(
+      `${this.baseURL}/members/${memberId}/payments`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify(paymentData),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  // Fetch a file download (CSV, PDF) as a Blob, surfacing API errors
+  async getBlob(path) {
+    const response = await this.request(`${this.baseURL}${path}`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    if (!response.ok) {
+      await this.handleResponse(response);
+    }
+    return response.blob();
+  }
+
+  async exportMemberPayments(memberId) {
+    return this.getBlob(`/members/${memberId}/payments/export`);
+  }
+
+  async exportEventRegistrations(eventId) {
+    return this.getBlob(`/events/${eventId}/registrations/export`);
+  }
+
+  // Official PDF documents generated by the server
+  async getMemberCertificate(memberId) {
+    return this.getBlob(`/members/${memberId}/certificate`);
+  }
+
+  async getMyMemberCertificate() {
+    return this.getBlob("/members/me/certificate");
+  }
+
+  async getPaymentReceipt(memberId, paymentId) {
+    return this.getBlob(`/members/${memberId}/payments/${paymentId}/receipt`);
+  }
+
+  async getMyPaymentReceipt(paymentId) {
+    return this.getBlob(`/members/me/payments/${paymentId}/receipt`);
+  }
+
+  // Public certificate verification
+  async verifyCertificate(certificateNo) {
+    const response = await this.request(
+      `${this.baseURL}/verify/${encodeURIComponent(certificateNo)}`,
+      {
+        method: "GET",
+        headers: this.getHeaders(),
+      }
+    );
+    return this.handleResponse(response);
+  }
+
+  // Database and storage monitors with a live self-test (system:view)
+  async getSystemHealth() {
+    const response = await this.request(`${this.baseURL}/health/detailed`, {
+      method: "GET",
+      headers: this.getHeaders(),
+    });
+    // An unhealthy system still reports its details
+    if (response.status === 503) {
+      return response.json();
+    }
+    return this.handleResponse(response);
+  }
+
+  // Send an error caught in the browser to the server logs (see
+  // utils/logger). keepalive lets the report finish while the page unloads.
+  async reportClientError(report) {
+    const response = await fetch(`${this.baseURL}/client-errors`, {
+      method: "POST",
+      headers: { ...this.getHeaders(), [REQUEST_ID_HEADER]: createRequestId() },
+      body: JSON.stringify(report),
+      credentials: "include",
+      keepalive: true,
+    });
+    return this.handleResponse(response);
+  }
+
   // Health check
   async healthCheck() {
-    const response = await fetch(`${this.baseURL}/health`, {
+    const response = await this.request(`${this.baseURL}/health`, {
       method: "GET",
       headers: this.getHeaders(),
     });
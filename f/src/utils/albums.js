@@ -0,0 +1,24 @@
+// Event types an album can have (the backend's Album.EVENT_TYPES)
+export const EVENT_TYPE_OPTIONS = [
+  { value: 'business-meeting', label: 'Business Meeting' },
+  { value: 'conference', label: 'Conference' },
+  { value: 'seminar', label: 'Seminar' },
+  { value: 'workshop', label: 'Workshop' },
+  { value: 'networking', label: 'Networking Event' },
+  { value: 'trade-show', label: 'Trade Show' },
+  { value: 'award-ceremony', label: 'Award Ceremony' },
+  { value: 'annual-meeting', label: 'Annual Meeting' },
+  { value: 'other', label: 'Other' }
+];
+
+export const formatEventType = (value) =>
+  EVENT_TYPE_OPTIONS.find(option => option.value === value)?.label || value;
+
+export const formatEventDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    : '';
+
+// yyyy-mm-dd for <input type="date">
+export const toDateInputValue = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : '';
@@ -0,0 +1,87 @@
+// Bangla (Bangabda) dates in the revised Bangladesh national calendar (2019):
+// the year starts on 14 April (Pohela Boishakh), Boishakh to Ashwin have 31
+// days, Kartik to Magh and Chaitra 30, and Falgun 29, or 30 when it falls in a
+// Gregorian leap year. Every Bangla date therefore sits on the same Gregorian
+// date each year. The backend keeps a copy in server/utils/banglaDate.js.
+
+export const BANGLA_MONTHS = [
+  'বৈশাখ', 'জ্যৈষ্ঠ', 'আষাঢ়', 'শ্রাবণ', 'ভাদ্র', 'আশ্বিন',
+  'কার্তিক', 'অগ্রহায়ণ', 'পৌষ', 'মাঘ', 'ফাল্গুন', 'চৈত্র'
+];
+
+export const BANGLA_WEEKDAYS = [
+  'রবিবার', 'সোমবার', 'মঙ্গলবার', 'বুধবার', 'বৃহস্পতিবার', 'শুক্রবার', 'শনিবার'
+];
+
+const BANGLA_DIGITS = '০১২৩৪৫৬৭৮৯';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Months are 0-based, as in Date
+const FALGUN = 10;
+const APRIL = 3;
+const NEW_YEAR_DAY = 14;
+// Bangla year = Gregorian year it starts in - 593
+const YEAR_OFFSET = 593;
+
+// Replace the ASCII digits in a number or string with Bangla digits
+export const toBanglaDigits = (value) =>
+  String(value).replace(/[0-9]/g, digit => BANGLA_DIGITS[digit]);
+
+const isGregorianLeapYear = (year) =>
+  (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+// Falgun of Bangla year Y is in February of Gregorian year Y + 594
+export const isBanglaLeapYear = (banglaYear) =>
+  isGregorianLeapYear(banglaYear + YEAR_OFFSET + 1);
+
+export const getBanglaMonthLength = (banglaYear, month) => {
+  if (month < 6) return 31;
+  if (month === FALGUN) return isBanglaLeapYear(banglaYear) ? 30 : 29;
+  return 30;
+};
+
+// Bangla date for a Gregorian calendar day (monthIndex is 0-based).
+// Returns { year, month, day } with a 0-based month.
+export const fromGregorian = (year, monthIndex, day) => {
+  const startsThisYear = monthIndex > APRIL || (monthIndex === APRIL && day >= NEW_YEAR_DAY);
+  const startYear = startsThisYear ? year : year - 1;
+  const banglaYear = startYear - YEAR_OFFSET;
+
+  let remaining = Math.round(
+    (Date.UTC(year, monthIndex, day) - Date.UTC(startYear, APRIL, NEW_YEAR_DAY)) / DAY_MS
+  );
+  let month = 0;
+  while (remaining >= getBanglaMonthLength(banglaYear, month)) {
+    remaining -= getBanglaMonthLength(banglaYear, month);
+    month += 1;
+  }
+
+  return { year: banglaYear, month, day: remaining + 1 };
+};
+
+// Gregorian Date (local midnight) for a Bangla date with a 0-based month
+export const toGregorian = (banglaYear, month, day) => {
+  let offset = day - 1;
+  for (let index = 0; index < month; index += 1) {
+    offset += getBanglaMonthLength(banglaYear, index);
+  }
+  return new Date(banglaYear + YEAR_OFFSET, APRIL, NEW_YEAR_DAY + offset);
+};
+
+// Bangla date of a Date, ISO string or timestamp in the viewer's time zone.
+// Adds the 0-based day of the week.
+export const toBanglaDate = (value) => {
+  const date = new Date(value);
+  return {
+    ...fromGregorian(date.getFullYear(), date.getMonth(), date.getDate()),
+    dayOfWeek: date.getDay()
+  };
+};
+
+// "১ বৈশাখ ১৪৩২", or "সোমবার, ১ বৈশাখ ১৪৩২" with { weekday: true }
+export const formatBanglaDate = (value, { weekday = false } = {}) => {
+  // Missing or unparseable dates show nothing
+  if (!value || Number.isNaN(new Date(value).getTime())) return '';
+  const { year, month, day, dayOfWeek } = toBanglaDate(value);
+  const formatted = `${toBanglaDigits(day)} ${BANGLA_MONTHS[month]} ${toBanglaDigits(year)}`;
+  return weekday ? `${BANGLA_WEEKDAYS[dayOfWeek]}, ${formatted}` : formatted;
+};
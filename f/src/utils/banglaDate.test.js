@@ -0,0 +1,67 @@
+import {
+  isBanglaLeapYear,
+  fromGregorian,
+  toGregorian,
+  toBanglaDate,
+  formatBanglaDate,
+} from './banglaDate';
+
+// 0-based Bangla months used below
+const POUSH = 8;
+const FALGUN = 10;
+const CHAITRA = 11;
+
+const YEARS = [2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026, 2027, 2028, 2029, 2030];
+const LEAP_YEARS = [2020, 2024, 2028];
+
+describe('fromGregorian', () => {
+  test.each(YEARS)('the year starts on 14 April %i', (year) => {
+    expect(fromGregorian(year, 3, 14)).toEqual({ year: year - 593, month: 0, day: 1 });
+    expect(fromGregorian(year, 3, 13)).toEqual({ year: year - 594, month: CHAITRA, day: 30 });
+  });
+
+  test.each(YEARS)('16 December and 21 February %i', (year) => {
+    expect(fromGregorian(year, 11, 16)).toEqual({ year: year - 593, month: POUSH, day: 1 });
+    expect(fromGregorian(year, 1, 21)).toEqual({ year: year - 594, month: FALGUN, day: 8 });
+  });
+
+  test.each(YEARS)('Falgun 30 only in leap years (%i)', (year) => {
+    const leap = LEAP_YEARS.includes(year);
+    expect(isBanglaLeapYear(year - 594)).toBe(leap);
+    expect(fromGregorian(year, 2, 14)).toEqual({ year: year - 594, month: FALGUN, day: leap ? 30 : 29 });
+    expect(fromGregorian(year, 2, 15)).toEqual({ year: year - 594, month: CHAITRA, day: 1 });
+  });
+});
+
+describe('toGregorian', () => {
+  test('is the reverse of fromGregorian for every day from 2019 to 2031', () => {
+    const date = new Date(2019, 3, 14);
+    while (date < new Date(2031, 3, 14)) {
+      const { year, month, day } = fromGregorian(date.getFullYear(), date.getMonth(), date.getDate());
+      expect(toGregorian(year, month, day)).toEqual(date);
+      date.setDate(date.getDate() + 1);
+    }
+  });
+
+  test('leap-year Falgun 30 is 14 March', () => {
+    expect(toGregorian(1430, FALGUN, 30)).toEqual(new Date(2024, 2, 14));
+  });
+});
+
+describe('formatBanglaDate', () => {
+  test('uses the day in the viewer\'s time zone', () => {
+    expect(formatBanglaDate(new Date(2025, 3, 13, 23, 59))).toBe('৩০ চৈত্র ১৪৩১');
+    expect(formatBanglaDate(new Date(2025, 3, 14, 0, 0))).toBe('১ বৈশাখ ১৪৩২');
+    expect(toBanglaDate(new Date(2024, 11, 16)).month).toBe(POUSH);
+  });
+
+  test('adds the weekday on request', () => {
+    expect(formatBanglaDate(new Date(2025, 3, 14), { weekday: true })).toBe('সোমবার, ১ বৈশাখ ১৪৩২');
+  });
+
+  test('returns an empty string for missing or invalid dates', () => {
+    expect(formatBanglaDate(null)).toBe('');
+    expect(formatBanglaDate('not a date')).toBe('');
+    expect(formatBanglaDate(new Date(NaN))).toBe('');
+  });
+});
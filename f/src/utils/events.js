@@ -0,0 +1,52 @@
+import { formatTaka } from './format';
+
+export const formatEventDateTime = (date) =>
+  date
+    ? new Date(date).toLocaleString('en-US', {
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })
+    : '';
+
+export const formatEventTime = (date) =>
+  new Date(date).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+export const formatEventFee = (fee) => (fee > 0 ? formatTaka(fee) : 'Free');
+
+// "12 seats left", "Full — waitlist open", or "Open" for unlimited events
+export const formatSpotsLeft = (event) => {
+  if (event.spotsLeft === null || event.spotsLeft === undefined) return 'Open';
+  if (event.spotsLeft > 0) return `${event.spotsLeft} seat${event.spotsLeft === 1 ? '' : 's'} left`;
+  return 'Full — waitlist open';
+};
+
+export const REGISTRATION_STATUS_LABELS = {
+  confirmed: 'Confirmed',
+  waitlisted: 'On the waitlist',
+  cancelled: 'Cancelled'
+};
+
+// yyyy-mm-ddThh:mm in local time for <input type="datetime-local">
+export const toDateTimeInputValue = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  const offset = value.getTimezoneOffset() * 60 * 1000;
+  return new Date(value.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// yyyy-mm-dd of a date in the viewer's calendar, used to group events by day
+export const toDayKey = (date) => {
+  const value = new Date(date);
+  return [
+    value.getFullYear(),
+    String(value.getMonth() + 1).padStart(2, '0'),
+    String(value.getDate()).padStart(2, '0')
+  ].join('-');
+};
@@ -0,0 +1,21 @@
+// Turn option values like "import-export" into display labels ("Import / Export")
+export const formatOptionLabel = (value) =>
+  (value || '')
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' / ');
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  bank: 'Bank Transfer',
+  'mobile-banking': 'Mobile Banking'
+};
+
+export const formatPaymentMethod = (method) =>
+  PAYMENT_METHOD_LABELS[method] || formatOptionLabel(method);
+
+export const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString('en-GB') : 'N/A';
+
+export const formatTaka = (amount) =>
+  `BDT ${Number(amount || 0).toLocaleString('en-US')}`;
@@ -1,11 +1,50 @@
-// Production-safe console logger
-// Automatically disables logs in production builds
+// Console logger with levels that also reports errors to the server
+// (POST /api/client-errors), where they are logged next to the API's own
+// entries. Debug and info output is only shown in development.
+import apiService from '../services/api';
 
 const isDevelopment = process.env.NODE_ENV === 'development';
 
+// Reports sent per page load, and how long an identical error stays muted
+const MAX_REPORTS = 20;
+const REPEAT_INTERVAL = 60 * 1000;
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEYS = /passw(or)?d|secret|token|authorization|cookie|api[-_]?key|^otp$/i;
+const MAX_DEPTH = 4;
+
+const METHODS = ['log', 'info', 'warn', 'error', 'debug', 'group', 'groupEnd', 'table', 'time', 'timeEnd'];
+
+// Copy of extra values safe to send: secrets replaced, errors as text and
+// deep or circular structures cut short
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value instanceof Error) return value.message;
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEYS.test(key) ? REDACTED : redact(item, depth + 1, seen),
+    ])
+  );
+};
+
 class Logger {
   constructor() {
     this.enabled = isDevelopment;
+    this.reporting = process.env.REACT_APP_ERROR_REPORTING !== 'false';
+    this.reportCount = 0;
+    this.lastReported = new Map();
+    // The named exports below are used without the instance
+    METHODS.forEach((name) => {
+      this[name] = this[name].bind(this);
+    });
   }
 
   log(...args) {
@@ -25,9 +64,26 @@ class Logger {
     console.warn(...args);
   }
 
+  // Always shown, and reported to the server:
+  //   logger.error('Failed to save notice', error, { noticeId })
   error(...args) {
-    // Always show errors
     console.error(...args);
+
+    const error = args.find((arg) => arg instanceof Error);
+    const message = args
+      .filter((arg) => typeof arg === 'string')
+      .concat(error ? [error.message] : [])
+      .join(': ');
+    const extra = args.filter(
+      (arg) => arg && typeof arg === 'object' && !(arg instanceof Error)
+    );
+
+    this.report({
+      source: 'logger',
+      message: message || 'Unknown error',
+      error,
+      context: extra.length ? Object.assign({}, ...extra) : undefined,
+    });
   }
 
   debug(...args) {
@@ -36,6 +92,54 @@ class Logger {
     }
   }
 
+  // Send an error to the server. source is 'logger', 'boundary' (React
+  // error boundaries), 'window' or 'promise' (uncaught errors). Repeats of
+  // the same error and anything past MAX_REPORTS are dropped.
+  report({ source, message, error, componentStack, context }) {
+    if (!this.reporting || this.reportCount >= MAX_REPORTS) return;
+
+    const now = Date.now();
+    const lastSent = this.lastReported.get(message);
+    if (lastSent && now - lastSent < REPEAT_INTERVAL) return;
+    this.lastReported.set(message, now);
+    this.reportCount += 1;
+
+    apiService
+      .reportClientError({
+        source,
+        message,
+        stack: error && error.stack,
+        componentStack,
+        url: window.location.href,
+        // Set on errors from API calls (see ApiService.handleResponse)
+        requestId: error && error.requestId,
+        context: context && redact(context),
+      })
+      .catch(() => {
+        // Nowhere left to report to; the console already has it
+      });
+  }
+
+  // Report errors nothing else caught. Call once at startup.
+  captureGlobalErrors() {
+    window.addEventListener('error', (event) => {
+      this.report({
+        source: 'window',
+        message: event.message || 'Script error',
+        error: event.error,
+      });
+    });
+
+    window.addEventListener('unhandledrejection', (event) => {
+      const { reason } = event;
+      this.report({
+        source: 'promise',
+        message: reason instanceof Error ? reason.message : String(reason),
+        error: reason instanceof Error ? reason : undefined,
+      });
+    });
+  }
+
   group(label) {
     if (this.enabled && console.group) {
       console.group(label);
@@ -82,4 +186,3 @@ export default logger;
 
 // For convenience, also export individual methods
 export const { log, info, warn, error, debug, group, groupEnd, table, time, timeEnd } = logger;
-
@@ -1,3 +1,5 @@
+import apiService from "../services/api";
+
 // Notice service to handle both API and localStorage fallback
 class NoticeService {
   constructor() {
@@ -44,12 +46,16 @@ class NoticeService {
     formData.append("title", noticeData.title);
     formData.append("content", noticeData.content);
     formData.append("priority", noticeData.priority || "normal");
+    formData.append("titleBn", noticeData.titleBn || "");
+    formData.append("contentBn", noticeData.contentBn || "");
+    formData.append("publishAt", noticeData.publishAt || "");
+    formData.append("expireAt", noticeData.expireAt || "");
 
     if (noticeData.pdfFile) {
       formData.append("pdfFile", noticeData.pdfFile);
     }
 
-    const response = await fetch(`${this.apiBaseUrl}/notices`, {
+    const response = await apiService.request(`${this.apiBaseUrl}/notices`, {
       method: "POST",
       headers: {
         Authorization: `Bearer ${token}`,
@@ -84,12 +90,16 @@ class NoticeService {
     formData.append("title", noticeData.title);
     formData.append("content", noticeData.content);
     formData.append("priority", noticeData.priority || "normal");
+    formData.append("titleBn", noticeData.titleBn || "");
+    formData.append("contentBn", noticeData.contentBn || "");
+    formData.append("publishAt", noticeData.publishAt || "");
+    formData.append("expireAt", noticeData.expireAt || "");
 
     if (noticeData.pdfFile) {
       formData.append("pdfFile", noticeData.pdfFile);
     }
 
-    const response = await fetch(`${this.apiBaseUrl}/notices/${id}`, {
+    const response = await apiService.request(`${this.apiBaseUrl}/notices/${id}`, {
       method: "PUT",
       headers: {
         Authorization: `Bearer ${token}`,
@@ -118,7 +128,7 @@ class NoticeService {
     const token = localStorage.getItem("token");
 
     console.log("🗑️ Deleting notice via API...");
-    const response = await fetch(`${this.apiBaseUrl}/notices/${id}`, {
+    const response = await apiService.request(`${this.apiBaseUrl}/notices/${id}`, {
       method: "DELETE",
       headers: {
         Authorization: `Bearer ${token}`,